@@ -0,0 +1,89 @@
+/**
+ * Message attachment policy.
+ * Each AttachmentType lists the MIME types it accepts, its maximum file
+ * size and, for time-based media, its maximum duration in seconds.
+ * resourceType is the Cloudinary resource type used for the upload
+ * (Cloudinary handles audio as "video").
+ */
+const MB = 1024 * 1024;
+
+const AUDIO_MIME_TYPES = [
+  "audio/mpeg",
+  "audio/mp4",
+  "audio/x-m4a",
+  "audio/aac",
+  "audio/ogg",
+  "audio/wav",
+  "audio/webm",
+];
+
+const ATTACHMENT_POLICIES = {
+  IMAGE: {
+    mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+    maxSize: 10 * MB,
+    resourceType: "image",
+  },
+  VIDEO: {
+    mimeTypes: [
+      "video/mp4",
+      "video/quicktime",
+      "video/x-msvideo",
+      "video/x-matroska",
+      "video/webm",
+    ],
+    maxSize: 100 * MB,
+    maxDuration: 10 * 60,
+    resourceType: "video",
+  },
+  AUDIO: {
+    mimeTypes: AUDIO_MIME_TYPES,
+    maxSize: 25 * MB,
+    maxDuration: 60 * 60,
+    resourceType: "video",
+  },
+  // Recorded in the app; shorter and smaller than regular audio files
+  VOICE: {
+    mimeTypes: AUDIO_MIME_TYPES,
+    maxSize: 10 * MB,
+    maxDuration: 15 * 60,
+    resourceType: "video",
+  },
+  FILE: {
+    mimeTypes: [
+      "application/pdf",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.ms-powerpoint",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+      "text/plain",
+      "application/zip",
+      "application/x-zip-compressed",
+      "application/x-rar-compressed",
+      "application/x-7z-compressed",
+    ],
+    maxSize: 50 * MB,
+    resourceType: "raw",
+  },
+};
+
+const ATTACHMENT_TYPES = Object.keys(ATTACHMENT_POLICIES);
+
+module.exports = {
+  ATTACHMENT_POLICIES,
+  ATTACHMENT_TYPES,
+  // Upload limit before the type is known; per-type limits apply afterwards
+  MAX_ATTACHMENT_SIZE: Math.max(
+    ...ATTACHMENT_TYPES.map((type) => ATTACHMENT_POLICIES[type].maxSize)
+  ),
+  ALLOWED_MIME_TYPES: [
+    ...new Set(
+      ATTACHMENT_TYPES.flatMap((type) => ATTACHMENT_POLICIES[type].mimeTypes)
+    ),
+  ],
+  // Width of generated image and video thumbnails
+  THUMBNAIL_WIDTH: 480,
+  // Lifetime of the token that lets a socket message use an uploaded attachment
+  attachmentTokenTtl: "1h",
+};
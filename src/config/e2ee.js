@@ -0,0 +1,18 @@
+/**
+ * End-to-end encryption key directory policy (Signal protocol).
+ * Clients generate their keys and upload only the public halves; the
+ * server hands out prekey bundles and relays per-device ciphertext.
+ */
+module.exports = {
+  maxDevicesPerUser: 5,
+  // One-time prekeys accepted per upload, and kept per device
+  maxPreKeysPerUpload: 100,
+  maxStoredPreKeys: 200,
+  // Below this many one-time prekeys the device is asked to upload more
+  preKeyLowWatermark: 20,
+  // Curve25519 public keys are 33 bytes (0x05 type prefix), signatures 64
+  publicKeyLength: 33,
+  signatureLength: 64,
+  // Envelope bodies, base64
+  maxEnvelopeLength: 64 * 1024,
+};
@@ -0,0 +1,33 @@
+/**
+ * Email verification policy.
+ * UNVERIFIED_USER_RESTRICTIONS is a comma-separated list of actions that
+ * users who have not verified their email address may not perform.
+ * Set it to an empty string to allow everything.
+ */
+const RESTRICTABLE_ACTIONS = ["posting", "commenting", "messaging", "stories"];
+
+const restrictedActions = (
+  process.env.UNVERIFIED_USER_RESTRICTIONS ?? "posting,messaging"
+)
+  .split(",")
+  .map((action) => action.trim().toLowerCase())
+  .filter((action) => RESTRICTABLE_ACTIONS.includes(action));
+
+module.exports = {
+  RESTRICTABLE_ACTIONS,
+  restrictedActions,
+  // Lifetime of the signed link sent by email
+  verificationTokenTtl: process.env.EMAIL_VERIFICATION_TOKEN_TTL || "24h",
+  // Minimum delay between two verification emails for the same user
+  resendCooldownSeconds:
+    parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN, 10) || 60,
+
+  /**
+   * Checks whether an action is blocked for a user by the policy
+   * @param {Object} user - User with EmailVerified flag
+   * @param {string} action - One of RESTRICTABLE_ACTIONS
+   * @returns {boolean} True if the user may not perform the action
+   */
+  isActionRestricted: (user, action) =>
+    !user?.EmailVerified && restrictedActions.includes(action),
+};
@@ -0,0 +1,57 @@
+/**
+ * Key ring for message content encrypted at rest.
+ * ENCRYPTION_KEYS lists versioned secrets as comma-separated
+ * "version:secret" pairs (e.g. "1:...,2:..."); without it ENCRYPTION_SECRET
+ * is version 1. New content uses ENCRYPTION_KEY_VERSION, by default the
+ * highest version. Older versions stay readable until the re-encryption
+ * job has moved everything to the current one, then they can be dropped.
+ * LEGACY_ENCRYPTION_SECRET reads content stored before ciphertexts carried
+ * a version (defaults to ENCRYPTION_SECRET).
+ * SEARCH_INDEX_SECRET keys the blind search index and must never change
+ * (defaults to ENCRYPTION_SECRET).
+ */
+const MIN_SECRET_LENGTH = 32;
+// Former built-in default; anything encrypted with it is readable by anyone with the source
+const REJECTED_SECRETS = ["fallback-secret-key-32bytes-min"];
+
+const checkSecret = (secret, name) => {
+  if (!secret || secret.length < MIN_SECRET_LENGTH || REJECTED_SECRETS.includes(secret)) {
+    throw new Error(`${name} must be a random secret of at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  return secret;
+};
+
+const parseKeys = () => {
+  if (!process.env.ENCRYPTION_KEYS) {
+    return new Map([[1, checkSecret(process.env.ENCRYPTION_SECRET, "ENCRYPTION_SECRET")]]);
+  }
+
+  const keys = new Map();
+  process.env.ENCRYPTION_KEYS.split(",").forEach((entry) => {
+    const separator = entry.indexOf(":");
+    const version = Number(entry.slice(0, separator).trim());
+    if (separator < 1 || !Number.isInteger(version) || version < 1 || keys.has(version)) {
+      throw new Error("ENCRYPTION_KEYS entries must be unique \"version:secret\" pairs");
+    }
+    keys.set(version, checkSecret(entry.slice(separator + 1).trim(), `ENCRYPTION_KEYS version ${version}`));
+  });
+  return keys;
+};
+
+const keys = parseKeys();
+const currentVersion = process.env.ENCRYPTION_KEY_VERSION
+  ? Number(process.env.ENCRYPTION_KEY_VERSION)
+  : Math.max(...keys.keys());
+if (!keys.has(currentVersion)) {
+  throw new Error(`ENCRYPTION_KEY_VERSION ${process.env.ENCRYPTION_KEY_VERSION} is not in the key ring`);
+}
+
+module.exports = {
+  keys,
+  currentVersion,
+  legacySecret: process.env.LEGACY_ENCRYPTION_SECRET || process.env.ENCRYPTION_SECRET || null,
+  searchIndexSecret: checkSecret(
+    process.env.SEARCH_INDEX_SECRET || process.env.ENCRYPTION_SECRET,
+    "SEARCH_INDEX_SECRET"
+  ),
+};
@@ -0,0 +1,11 @@
+/**
+ * Time limits on changing sent messages, in minutes.
+ * MESSAGE_EDIT_WINDOW_MINUTES: how long the sender can edit a message.
+ * MESSAGE_DELETE_WINDOW_MINUTES: how long the sender can delete a message
+ * for everyone. Deleting for yourself is always possible.
+ */
+module.exports = {
+  editWindowMinutes: parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15,
+  deleteForEveryoneWindowMinutes:
+    parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES, 10) || 48 * 60,
+};
@@ -0,0 +1,121 @@
+/**
+ * Passport strategies for social login.
+ * A provider is enabled when its client credentials are set. Every provider
+ * endpoint can be overridden through the environment so the flow can run
+ * against a local mock OAuth server (see README).
+ */
+const passport = require("passport");
+const { Strategy: GoogleStrategy } = require("passport-google-oauth20");
+const { Strategy: FacebookStrategy } = require("passport-facebook");
+const { Strategy: TwitterStrategy } = require("passport-twitter");
+const RedisOAuthStateStore = require("../utils/oauthStateStore");
+
+const callbackBaseUrl = (
+  process.env.OAUTH_CALLBACK_BASE_URL ||
+  `http://localhost:${process.env.PORT || 3000}`
+).replace(/\/$/, "");
+
+const callbackURL = (provider) =>
+  `${callbackBaseUrl}/api/auth/oauth/${provider}/callback`;
+
+/**
+ * Maps a passport profile to the fields the app uses.
+ * @param {string} provider - Provider name
+ * @param {Object} profile - Passport profile
+ * @param {boolean} emailVerified - Whether the provider vouches for the email
+ * @returns {Object} Normalized profile
+ */
+const normalizeProfile = (provider, profile, emailVerified) => ({
+  provider,
+  providerUserId: String(profile.id),
+  email: profile.emails?.[0]?.value?.toLowerCase() || null,
+  emailVerified: Boolean(profile.emails?.[0]?.value && emailVerified),
+  displayName: profile.displayName || null,
+  username: profile.username || null,
+  photo: profile.photos?.[0]?.value || null,
+});
+
+const providers = {};
+
+if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+  passport.use(
+    new GoogleStrategy(
+      {
+        clientID: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackURL: callbackURL("google"),
+        authorizationURL: process.env.GOOGLE_AUTH_URL,
+        tokenURL: process.env.GOOGLE_TOKEN_URL,
+        userProfileURL: process.env.GOOGLE_USERINFO_URL,
+        store: new RedisOAuthStateStore("google"),
+      },
+      (accessToken, refreshToken, profile, done) => {
+        done(
+          null,
+          normalizeProfile(
+            "google",
+            profile,
+            profile._json?.email_verified === true ||
+              profile._json?.email_verified === "true"
+          )
+        );
+      }
+    )
+  );
+  providers.google = { scope: ["profile", "email"] };
+}
+
+if (process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET) {
+  passport.use(
+    new FacebookStrategy(
+      {
+        clientID: process.env.FACEBOOK_APP_ID,
+        clientSecret: process.env.FACEBOOK_APP_SECRET,
+        callbackURL: callbackURL("facebook"),
+        authorizationURL: process.env.FACEBOOK_AUTH_URL,
+        tokenURL: process.env.FACEBOOK_TOKEN_URL,
+        profileURL: process.env.FACEBOOK_PROFILE_URL,
+        profileFields: ["id", "displayName", "emails", "photos"],
+        store: new RedisOAuthStateStore("facebook"),
+      },
+      // Facebook only returns confirmed email addresses
+      (accessToken, refreshToken, profile, done) => {
+        done(null, normalizeProfile("facebook", profile, true));
+      }
+    )
+  );
+  providers.facebook = { scope: ["email"] };
+}
+
+if (process.env.TWITTER_CONSUMER_KEY && process.env.TWITTER_CONSUMER_SECRET) {
+  passport.use(
+    new TwitterStrategy(
+      {
+        consumerKey: process.env.TWITTER_CONSUMER_KEY,
+        consumerSecret: process.env.TWITTER_CONSUMER_SECRET,
+        callbackURL: callbackURL("twitter"),
+        requestTokenURL: process.env.TWITTER_REQUEST_TOKEN_URL,
+        accessTokenURL: process.env.TWITTER_ACCESS_TOKEN_URL,
+        userAuthorizationURL: process.env.TWITTER_AUTHORIZE_URL,
+        userProfileURL: process.env.TWITTER_PROFILE_URL,
+        includeEmail: true,
+        requestTokenStore: new RedisOAuthStateStore("twitter"),
+      },
+      // Twitter only returns verified email addresses
+      (token, tokenSecret, profile, done) => {
+        done(null, normalizeProfile("twitter", profile, true));
+      }
+    )
+  );
+  providers.twitter = {};
+}
+
+module.exports = {
+  passport,
+  // Authenticate options per enabled provider
+  providers,
+  // Where the browser is sent after the provider callback
+  oauthRedirectUrl:
+    process.env.OAUTH_REDIRECT_URL ||
+    `${process.env.FRONTEND_URL || "http://localhost:3000"}/oauth/callback`,
+};
@@ -0,0 +1,52 @@
+/**
+ * Role-based permissions.
+ * Routes check permissions with requirePermission instead of role names, so
+ * a role's abilities can change here without touching the routes.
+ * BANNED and USER have no staff permissions.
+ */
+const PERMISSIONS = {
+  "reports:read": "View reported posts and stories",
+  "reports:resolve": "Dismiss reports and remove reported posts",
+  "users:read": "View user accounts",
+  "users:warn": "Send warnings to users",
+  "users:ban": "Ban and unban users",
+  "roles:assign": "Assign roles to users",
+  "support:read": "Read support requests",
+  "audit:read": "Read the audit log",
+  "encryption:read": "View the progress of message encryption key rotation",
+};
+
+const ROLE_PERMISSIONS = {
+  USER: [],
+  BANNED: [],
+  SUPPORT: ["users:read", "support:read"],
+  MODERATOR: ["reports:read", "reports:resolve", "users:read", "users:warn"],
+  ADMIN: Object.keys(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Checks whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name (e.g. "reports:resolve")
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) =>
+  Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+
+/**
+ * Lists the roles that grant a permission
+ * @param {string} permission - Permission name
+ * @returns {string[]} Role names
+ */
+const rolesWithPermission = (permission) =>
+  ROLES.filter((role) => hasPermission(role, permission));
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+  rolesWithPermission,
+};
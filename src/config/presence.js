@@ -0,0 +1,14 @@
+/**
+ * Online presence and last seen.
+ * Every socket sends `presence:heartbeat` every heartbeatIntervalMs; a socket
+ * that misses heartbeats for socketTtlMs no longer counts as online, also when
+ * the instance holding it went away without a disconnect.
+ */
+module.exports = {
+  heartbeatIntervalMs: 30 * 1000,
+  socketTtlMs: 75 * 1000,
+  // LastActive is written at most this often per socket while it stays online
+  lastSeenWriteIntervalMs: 60 * 1000,
+  // User IDs per batch presence query
+  maxBatchSize: 100,
+};
@@ -0,0 +1,22 @@
+/**
+ * Message reaction policy.
+ * Only emoji in ALLOWED_REACTIONS can be used. Those in SKIN_TONE_REACTIONS
+ * may carry one skin tone modifier (U+1F3FB to U+1F3FF).
+ */
+const ALLOWED_REACTIONS = [
+  "👍", "👎", "❤️", "😂", "😮", "😢", "😡", "🙏",
+  "🔥", "🎉", "👏", "😍", "🤔", "😅", "😊", "😎",
+  "🥰", "😘", "🤣", "😭", "😱", "🤯", "🥳", "😴",
+  "🙄", "😬", "🤝", "👀", "💯", "✅", "❌", "⭐",
+  "💪", "👌", "✌️", "🤞", "🙌", "👋", "💔", "💙",
+  "💚", "💛", "💜", "🖤", "🤍", "💀", "🤡", "🫶",
+];
+
+const SKIN_TONE_REACTIONS = ["👍", "👎", "🙏", "👏", "🤝", "💪", "👌", "✌️", "🤞", "🙌", "👋", "🫶"];
+
+module.exports = {
+  ALLOWED_REACTIONS,
+  SKIN_TONE_REACTIONS,
+  // Different emoji one user can put on the same message
+  MAX_REACTIONS_PER_USER: 5,
+};
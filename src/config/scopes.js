@@ -0,0 +1,27 @@
+/**
+ * Scopes that can be granted to personal access tokens.
+ * API areas are mapped to a resource in routes/index.js: GET requests need
+ * "<resource>:read", every other method "<resource>:write". Areas without a
+ * resource (auth, admin) cannot be used with a personal access token, and
+ * neither can profile routes guarded by requireSession.
+ */
+const SCOPES = {
+  "profile:read": "Read profiles, followers and following lists",
+  "profile:write": "Update your profile and follow or unfollow users",
+  "posts:read": "Read posts, comments and likes",
+  "posts:write": "Create, edit and delete posts and comments",
+  "stories:read": "Read stories",
+  "stories:write": "Create and delete stories",
+  "highlights:read": "Read story highlights",
+  "highlights:write": "Create, edit and delete story highlights",
+  "messages:read": "Read conversations and messages",
+  "messages:write": "Send, edit and delete messages",
+  "notifications:read": "Read notifications",
+  "notifications:write": "Mark notifications as read and delete them",
+  "search:read": "Search users and posts",
+};
+
+module.exports = {
+  SCOPES,
+  SCOPE_NAMES: Object.keys(SCOPES),
+};
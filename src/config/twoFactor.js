@@ -0,0 +1,29 @@
+/**
+ * Two-factor authentication policy.
+ * TWO_FACTOR_REQUIRED_ROLES is a comma-separated list of roles (e.g. "ADMIN")
+ * that must enrol in 2FA before routes guarded by requireTwoFactor are usable.
+ */
+const requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim().toUpperCase())
+  .filter(Boolean);
+
+module.exports = {
+  requiredRoles,
+  // Name shown in authenticator apps
+  issuer: process.env.TWO_FACTOR_ISSUER || "LinkUp",
+  // Lifetime of the login challenge issued after a correct password
+  challengeTtlSeconds: 5 * 60,
+  // Wrong codes allowed per login challenge
+  maxChallengeAttempts: 5,
+  // Time to scan the QR code and confirm enrolment
+  setupTtlSeconds: 10 * 60,
+  recoveryCodeCount: 10,
+
+  /**
+   * Checks whether a user's role must have 2FA enabled
+   * @param {Object} user - User with Role
+   * @returns {boolean}
+   */
+  isTwoFactorRequired: (user) => requiredRoles.includes(user?.Role),
+};
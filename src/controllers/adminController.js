@@ -1,6 +1,22 @@
 const prisma = require("../utils/prisma");
+const redis = require("../utils/redis");
 const { handleServerError } = require("../utils/errorHandler");
 const { del } = require("../utils/redisUtils"); // Update to use redisUtils
+const { getReencryptionStatus } = require("../services/reencryptionService");
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+} = require("../config/permissions");
+
+// Permission required by each admin action
+const ACTION_PERMISSIONS = {
+  DELETE_POST: "reports:resolve",
+  DISMISS_REPORT: "reports:resolve",
+  WARN_USER: "users:warn",
+  BAN_USER: "users:ban",
+};
 
 /**
  * Fetches reported posts with pagination
@@ -198,16 +214,17 @@ const getUserDetails = async (req, res) => {
 
 /**
  * Updates user role or ban status
- * Requires admin permissions
+ * Requires the users:ban permission, and roles:assign to change the role
  */
 const updateUser = async (req, res) => {
   try {
     const { userId, role, isBanned, reason } = req.body;
     const adminId = req.user.UserID;
 
-    // Verify admin permissions
-    if (req.user.Role !== "ADMIN") {
-      return res.status(403).json({ error: "Admin access required" });
+    if (role !== undefined && !hasPermission(req.user.Role, "roles:assign")) {
+      return res
+        .status(403)
+        .json({ error: "You don't have permission to assign roles" });
     }
 
     // Validate inputs
@@ -229,8 +246,7 @@ const updateUser = async (req, res) => {
 
     // Validate role if provided
     if (role !== undefined) {
-      const validRoles = ["USER", "ADMIN", "BANNED"];
-      if (!validRoles.includes(role)) {
+      if (!ROLES.includes(role)) {
         return res.status(400).json({ error: "Invalid role value" });
       }
     }
@@ -325,6 +341,10 @@ const updateUser = async (req, res) => {
       ...notifications,
     ]);
 
+    if (role !== undefined) {
+      await redis.del(`role:${parsedUserId}`);
+    }
+
     res.json({
       success: true,
       message: `User ${parsedUserId} updated successfully`,
@@ -337,6 +357,7 @@ const updateUser = async (req, res) => {
 
 /**
  * Performs admin actions on posts or users
+ * Each action requires its own permission (see ACTION_PERMISSIONS)
  * Creates audit log for all actions
  */
 const takeAction = async (req, res) => {
@@ -344,11 +365,6 @@ const takeAction = async (req, res) => {
     const { actionType, postId, userId, reason } = req.body;
     const adminId = req.user.UserID;
 
-    // Verify admin permissions
-    if (req.user.Role !== "ADMIN") {
-      return res.status(403).json({ error: "Admin access required" });
-    }
-
     // Validate inputs
     if (!actionType || (!postId && !userId) || !reason) {
       return res.status(400).json({ error: "Missing required fields" });
@@ -378,6 +394,12 @@ const takeAction = async (req, res) => {
       return res.status(400).json({ error: "Invalid action type" });
     }
 
+    if (!hasPermission(req.user.Role, ACTION_PERMISSIONS[actionType])) {
+      return res
+        .status(403)
+        .json({ error: "You don't have permission to perform this action" });
+    }
+
     // Create audit log
     const auditLog = await prisma.auditLog.create({
       data: {
@@ -522,10 +544,235 @@ const takeAction = async (req, res) => {
   }
 };
 
+/**
+ * Lists the roles and the permissions each one grants
+ */
+const getRoles = (req, res) => {
+  res.json({
+    data: {
+      roles: ROLES.map((role) => ({
+        role,
+        permissions: ROLE_PERMISSIONS[role],
+      })),
+      permissions: PERMISSIONS,
+    },
+  });
+};
+
+/**
+ * Assigns a role to a user
+ * Records the change in the audit log and clears the cached role
+ */
+const assignRole = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { role, reason } = req.body;
+    const adminId = req.user.UserID;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    // Prevent self-action
+    if (userId === adminId) {
+      return res.status(400).json({ error: "Cannot change your own role" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { UserID: userId },
+      select: { UserID: true, Role: true },
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.Role === role) {
+      return res.status(400).json({ error: `User already has role ${role}` });
+    }
+
+    const auditLog = await prisma.auditLog.create({
+      data: {
+        Action: "ASSIGN_ROLE",
+        AdminID: adminId,
+        UserID: userId,
+        Details: JSON.stringify({
+          previousRole: user.Role,
+          role,
+          reason: reason || null,
+        }),
+      },
+    });
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { UserID: userId },
+        data: { Role: role },
+      }),
+      prisma.notification.create({
+        data: {
+          UserID: userId,
+          Type: "ADMIN_WARNING",
+          Content: `Your role has been changed to ${role}`,
+          Metadata: { AdminID: adminId, AuditLogID: auditLog.AuditLogID },
+        },
+      }),
+    ]);
+
+    // The new role must apply immediately, not when the cache expires
+    await redis.del(`role:${userId}`);
+
+    res.json({
+      success: true,
+      message: `Role of user ${userId} changed from ${user.Role} to ${role}`,
+      data: {
+        userId,
+        previousRole: user.Role,
+        role,
+        permissions: ROLE_PERMISSIONS[role],
+      },
+      auditLogId: auditLog.AuditLogID,
+    });
+  } catch (error) {
+    handleServerError(res, error, "Failed to assign role");
+  }
+};
+
+/**
+ * Fetches support requests with pagination
+ */
+const getSupportRequests = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 10));
+
+    const [requests, total] = await Promise.all([
+      prisma.supportRequest.findMany({
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+        include: {
+          User: { select: { UserID: true, Username: true, Email: true } },
+        },
+        orderBy: { CreatedAt: "desc" },
+      }),
+      prisma.supportRequest.count(),
+    ]);
+
+    res.json({
+      data: requests.map((request) => ({
+        requestId: request.RequestID,
+        subject: request.Subject,
+        content: request.Content,
+        createdAt: request.CreatedAt,
+        user: {
+          userId: request.User.UserID,
+          username: request.User.Username,
+          email: request.User.Email,
+        },
+      })),
+      meta: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    handleServerError(res, error, "Failed to fetch support requests");
+  }
+};
+
+/**
+ * Fetches audit log entries with pagination
+ * Supports filtering by action and by the admin or user involved
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, action, adminId, userId } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+
+    const where = {};
+    if (action) where.Action = action;
+    if (adminId) where.AdminID = parseInt(adminId);
+    if (userId) where.UserID = parseInt(userId);
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+        where,
+        include: {
+          Admin: { select: { UserID: true, Username: true } },
+          User: { select: { UserID: true, Username: true } },
+        },
+        orderBy: { CreatedAt: "desc" },
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    res.json({
+      data: logs.map((log) => {
+        let details = log.Details;
+        try {
+          details = log.Details ? JSON.parse(log.Details) : null;
+        } catch (parseError) {
+          // Keep non-JSON details as plain text
+        }
+
+        return {
+          auditLogId: log.AuditLogID,
+          action: log.Action,
+          admin: log.Admin
+            ? { userId: log.Admin.UserID, username: log.Admin.Username }
+            : null,
+          user: log.User
+            ? { userId: log.User.UserID, username: log.User.Username }
+            : null,
+          details,
+          createdAt: log.CreatedAt,
+        };
+      }),
+      meta: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    handleServerError(res, error, "Failed to fetch audit logs");
+  }
+};
+
+/**
+ * Reports how far stored message content has been re-encrypted with the
+ * current key ring version
+ */
+const getEncryptionStatus = async (req, res) => {
+  try {
+    const targets = await getReencryptionStatus();
+    res.json({
+      keyVersion: targets[0].keyVersion,
+      complete: targets.every((target) => target.completedAt),
+      targets,
+    });
+  } catch (error) {
+    handleServerError(res, error, "Failed to fetch encryption status");
+  }
+};
+
 module.exports = {
   getReportedPosts,
   getAllUsers,
   getUserDetails,
   updateUser,
   takeAction,
+  getRoles,
+  assignRole,
+  getSupportRequests,
+  getAuditLogs,
+  getEncryptionStatus,
 };
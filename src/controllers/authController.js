@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
 const prisma = require("../utils/prisma");
@@ -6,12 +7,44 @@ const { sendResetEmail } = require("../services/emailService");
 const {
   register,
   login: serviceLogin,
+  loginWithIdentity,
+  completeTwoFactorLogin,
   logout: serviceLogout,
   refreshAccessToken,
+  sendEmailVerification,
+  resendEmailVerification,
+  verifyEmail: serviceVerifyEmail,
 } = require("../services/authService");
+const {
+  getClientContext,
+  listSessions,
+  revokeSession: serviceRevokeSession,
+  revokeOtherSessions: serviceRevokeOtherSessions,
+  revokeAllSessions,
+  verifyAccessToken,
+  isSessionRevoked,
+} = require("../services/sessionService");
+const twoFactorService = require("../services/twoFactorService");
+const oauthService = require("../services/oauthService");
+const { unlockAccount: serviceUnlockAccount } = require("../services/loginProtectionService");
+const accessTokenService = require("../services/accessTokenService");
+const { SCOPES } = require("../config/scopes");
+const { challengeTtlSeconds } = require("../config/twoFactor");
+const {
+  passport,
+  providers,
+  oauthRedirectUrl,
+} = require("../config/passport");
+const { sessionRoom } = require("../socket/rooms");
 
 const SALT_ROUNDS = 10; // Define salt rounds
 
+// Password reset
+const RESET_CODE_LENGTH = 6;
+const RESET_CODE_TTL_SECONDS = 15 * 60;
+const RESET_MAX_ATTEMPTS = 5; // Wrong codes allowed per email before lockout
+const RESET_LOCKOUT_SECONDS = 15 * 60;
+
 // Cookie options for security
 const getCookieOptions = (isRefresh = false) => ({
   httpOnly: true, // Prevents client-side JS from accessing the cookie
@@ -39,14 +72,17 @@ const signup = async (req, res) => {
 
   try {
     // Register the user using authService
-    const { user: newUser, tokens } = await register({
-      profileName,
-      username,
-      email: email.toLowerCase(),
-      password,
-      gender,
-      dateOfBirth,
-    });
+    const { user: newUser, tokens } = await register(
+      {
+        profileName,
+        username,
+        email: email.toLowerCase(),
+        password,
+        gender,
+        dateOfBirth,
+      },
+      getClientContext(req)
+    );
 
     if (!newUser || !tokens) {
       throw new Error("Registration failed: Invalid response from register");
@@ -66,6 +102,14 @@ const signup = async (req, res) => {
       Username: newUser.Username,
     });
 
+    // Send the verification link; the account works (within the unverified
+    // policy) even if the email cannot be sent, and the user can resend it
+    try {
+      await sendEmailVerification(newUser);
+    } catch (emailError) {
+      console.error("Verification email error:", emailError.message);
+    }
+
     // Set secure cookies for tokens
     res.cookie("accessToken", tokens.accessToken, getCookieOptions());
     res.cookie("refreshToken", tokens.refreshToken, getCookieOptions(true));
@@ -78,6 +122,7 @@ const signup = async (req, res) => {
         profileName: newUser.ProfileName,
         profilePicture: newUser.ProfilePicture,
         email: newUser.Email,
+        emailVerified: newUser.EmailVerified,
       },
     });
   } catch (error) {
@@ -115,7 +160,25 @@ const login = async (req, res) => {
         .json({ message: "Username/email and password required" });
     }
 
-    const { user, tokens } = await serviceLogin(usernameOrEmail, password);
+    const result = await serviceLogin(
+      usernameOrEmail,
+      password,
+      getClientContext(req)
+    );
+
+    // Password is correct but a second factor is required: no cookies yet
+    if (result.twoFactorRequired) {
+      return res.json({
+        message: "Two-factor authentication required",
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: result.challengeToken,
+          expiresIn: challengeTtlSeconds,
+        },
+      });
+    }
+
+    const { user, tokens } = result;
 
     // Set secure cookies for tokens
     res.cookie("accessToken", tokens.accessToken, getCookieOptions());
@@ -129,6 +192,7 @@ const login = async (req, res) => {
         profileName: user.ProfileName,
         profilePicture: user.ProfilePicture,
         email: user.Email,
+        emailVerified: user.EmailVerified,
       },
     });
   } catch (error) {
@@ -136,6 +200,14 @@ const login = async (req, res) => {
     if (error.message.includes("Invalid credentials")) {
       return res.status(401).json({ message: "Invalid credentials" });
     }
+    if (error.message.includes("Too many failed login attempts")) {
+      res.set("Retry-After", String(error.retryAfter));
+      return res.status(429).json({
+        message:
+          "Too many failed login attempts, please try again later or use the unlock link sent to your email",
+        retryAfter: error.retryAfter,
+      });
+    }
     if (error.message.includes("redis.set")) {
       return res.status(503).json({ message: "Failed to store refresh token" });
     }
@@ -146,6 +218,70 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Second login step for accounts with 2FA: exchanges the challenge token
+ * from login (or the challenge cookie set by an OAuth sign-in) and a TOTP
+ * or recovery code for session cookies.
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  const { code } = req.body;
+  const challengeToken =
+    req.body.challengeToken || req.cookies.twoFactorChallenge;
+
+  try {
+    if (!challengeToken || typeof challengeToken !== "string") {
+      return res.status(400).json({ message: "Challenge token is required" });
+    }
+
+    const { user, tokens, method } = await completeTwoFactorLogin(
+      challengeToken,
+      code,
+      getClientContext(req)
+    );
+
+    res.clearCookie("twoFactorChallenge", { path: "/" });
+    res.cookie("accessToken", tokens.accessToken, getCookieOptions());
+    res.cookie("refreshToken", tokens.refreshToken, getCookieOptions(true));
+
+    res.json({
+      message: "Login successful",
+      data: {
+        userId: user.UserID,
+        username: user.Username,
+        profileName: user.ProfileName,
+        profilePicture: user.ProfilePicture,
+        email: user.Email,
+        emailVerified: user.EmailVerified,
+        usedRecoveryCode: method === "recovery_code",
+      },
+    });
+  } catch (error) {
+    console.error("verifyTwoFactorLogin error:", error.message);
+    if (error.message.includes("Invalid or expired two-factor challenge")) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired two-factor challenge, please login again" });
+    }
+    if (error.message.includes("Too many two-factor attempts")) {
+      return res
+        .status(429)
+        .json({ message: "Too many attempts, please login again" });
+    }
+    if (error.message.includes("Too many failed login attempts")) {
+      res.set("Retry-After", String(error.retryAfter));
+      return res.status(429).json({
+        message:
+          "Too many failed login attempts, please try again later or use the unlock link sent to your email",
+        retryAfter: error.retryAfter,
+      });
+    }
+    if (error.message.includes("Invalid two-factor code")) {
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+    res.status(500).json({ message: "Authentication failed" });
+  }
+};
+
 /**
  * Refreshes access token using a valid refresh token from cookies.
  */
@@ -157,7 +293,10 @@ const refreshToken = async (req, res) => {
     }
 
     console.log("Attempting token refresh for user");
-    const { user, tokens } = await refreshAccessToken(refreshToken);
+    const { user, tokens } = await refreshAccessToken(
+      refreshToken,
+      getClientContext(req)
+    );
 
     // Set new secure cookies
     res.cookie("accessToken", tokens.accessToken, getCookieOptions());
@@ -175,6 +314,15 @@ const refreshToken = async (req, res) => {
     });
   } catch (error) {
     console.error("refreshToken error:", error.message);
+    if (error.message.includes("Refresh token reuse detected")) {
+      // The whole session was revoked: sign this client out everywhere it used it
+      disconnectSessionSockets(req, [error.sessionId]);
+      res.clearCookie("accessToken", { path: "/" });
+      res.clearCookie("refreshToken", { path: "/" });
+      return res
+        .status(401)
+        .json({ error: "Session revoked for security reasons, please login again" });
+    }
     if (error.message.includes("Invalid or expired refresh token")) {
       return res
         .status(401)
@@ -191,38 +339,53 @@ const refreshToken = async (req, res) => {
 };
 
 /**
- * Initiates password reset flow by sending a 4-digit verification code.
+ * Generates a reset code, stores its hash and emails it to the user.
+ * @param {Object} user - User with UserID and Email
+ */
+const issueResetCode = async (user) => {
+  // Cryptographically random 6-digit code; only its hash is persisted
+  const verificationCode = crypto
+    .randomInt(0, 10 ** RESET_CODE_LENGTH)
+    .toString()
+    .padStart(RESET_CODE_LENGTH, "0");
+  const resetTokenExpiry = new Date(Date.now() + RESET_CODE_TTL_SECONDS * 1000);
+
+  await prisma.user.update({
+    where: { UserID: user.UserID },
+    data: {
+      ResetToken: await bcrypt.hash(verificationCode, SALT_ROUNDS),
+      ResetTokenExpiry: resetTokenExpiry,
+    },
+  });
+
+  await sendResetEmail(user.Email, verificationCode, true); // true indicates it's a code, not a link
+};
+
+/**
+ * Initiates password reset flow by sending a 6-digit verification code.
+ * The response is identical whether or not the account exists, and the code
+ * is issued in the background so response times do not reveal it either.
  */
 const forgotPassword = async (req, res) => {
-  const { email } = req.body;
-  console.log(req.body);
+  const email = req.body.email.toLowerCase();
 
   try {
-    const user = await prisma.user.findUnique({ where: { Email: email } });
-    let codeSent = false;
-
-    if (user) {
-      // Generate a 4-digit verification code
-      const verificationCode = Math.floor(
-        1000 + Math.random() * 9000
-      ).toString();
-      const resetTokenExpiry = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes expiry
-
-      // Store the code in resetToken field
-      await prisma.user.update({
-        where: { UserID: user.UserID },
-        data: { resetToken: verificationCode, resetTokenExpiry },
-      });
+    // While locked out no new code is issued, otherwise a new code would
+    // simply restart the guessing
+    const isLocked = await redis.exists(`password_reset:lock:${email}`);
 
-      // Send the verification code via email
-      await sendResetEmail(email, verificationCode, true); // true indicates it's a code, not a link
-      codeSent = true;
+    if (!isLocked) {
+      prisma.user
+        .findFirst({
+          where: { Email: { equals: email, mode: "insensitive" } },
+          select: { UserID: true, Email: true },
+        })
+        .then((user) => user && issueResetCode(user))
+        .catch((error) => console.error("Password reset error:", error));
     }
 
-    // Generic response to prevent email enumeration, but include codeSent for UI
     res.status(200).json({
       message: "If the email exists, a verification code has been sent",
-      codeSent,
     });
   } catch (error) {
     console.error("Password reset error:", error);
@@ -231,22 +394,46 @@ const forgotPassword = async (req, res) => {
 };
 
 /**
- * Verifies the 4-digit verification code and returns a temporary token.
+ * Verifies the 6-digit verification code and returns a temporary token.
+ * Wrong codes count towards a per-email limit; reaching it invalidates the
+ * code and locks the reset flow for that email.
  */
 const verifyCode = async (req, res) => {
-  const { code, email } = req.body;
+  const { code } = req.body;
+  const email = req.body.email.toLowerCase();
+  const attemptsKey = `password_reset:attempts:${email}`;
+  const lockKey = `password_reset:lock:${email}`;
 
   try {
-    // Find user with valid, non-expired verification code
+    if (await redis.exists(lockKey)) {
+      res.set("Retry-After", String(RESET_LOCKOUT_SECONDS));
+      return res.status(429).json({
+        message: "Too many attempts, please request a new code later",
+      });
+    }
+
     const user = await prisma.user.findFirst({
-      where: {
-        Email: email,
-        resetToken: code,
-        resetTokenExpiry: { gt: new Date() },
-      },
+      where: { Email: { equals: email, mode: "insensitive" } },
+      select: { UserID: true, ResetToken: true, ResetTokenExpiry: true },
     });
 
-    if (!user) {
+    const isValid =
+      user?.ResetToken &&
+      user.ResetTokenExpiry > new Date() &&
+      (await bcrypt.compare(code, user.ResetToken));
+
+    if (!isValid) {
+      const attempts = await redis.incr(attemptsKey, RESET_CODE_TTL_SECONDS);
+      if (attempts >= RESET_MAX_ATTEMPTS) {
+        await redis.set(lockKey, "1", RESET_LOCKOUT_SECONDS);
+        await redis.del(attemptsKey);
+        if (user?.ResetToken) {
+          await prisma.user.update({
+            where: { UserID: user.UserID },
+            data: { ResetToken: null, ResetTokenExpiry: null },
+          });
+        }
+      }
       return res
         .status(400)
         .json({ message: "Invalid or expired verification code" });
@@ -254,7 +441,7 @@ const verifyCode = async (req, res) => {
 
     // Generate a temporary token for password reset (valid for 5 minutes)
     const resetToken = jwt.sign(
-      { userId: user.UserID },
+      { userId: user.UserID, purpose: "password_reset" },
       process.env.JWT_SECRET,
       { expiresIn: "5m", issuer: "linkup-api" }
     );
@@ -267,13 +454,14 @@ const verifyCode = async (req, res) => {
     );
 
     // Set resetToken in a secure cookie
-    res.cookie("resetToken", resetToken, getCookieOptions(false, true));
+    res.cookie("resetToken", resetToken, getCookieOptions());
 
-    // Clear the verification code
+    // Clear the verification code so it cannot be used twice
     await prisma.user.update({
       where: { UserID: user.UserID },
-      data: { resetToken: null, resetTokenExpiry: null },
+      data: { ResetToken: null, ResetTokenExpiry: null },
     });
+    await redis.del(attemptsKey);
 
     res.status(200).json({
       message: "Code verified successfully",
@@ -286,6 +474,8 @@ const verifyCode = async (req, res) => {
 
 /**
  * Completes password reset flow using a temporary token.
+ * Every session of the user is revoked: whoever knew the old password is
+ * signed out everywhere.
  */
 const resetPassword = async (req, res) => {
   const { newPassword } = req.body;
@@ -312,7 +502,11 @@ const resetPassword = async (req, res) => {
     const userId = decoded.userId;
     const storedToken = await redis.get(`reset_token:${userId}`);
 
-    if (!storedToken || storedToken !== resetToken) {
+    if (
+      decoded.purpose !== "password_reset" ||
+      !storedToken ||
+      storedToken !== resetToken
+    ) {
       return res
         .status(401)
         .json({ message: "Invalid or expired reset token" });
@@ -335,9 +529,15 @@ const resetPassword = async (req, res) => {
       },
     });
 
+    // Sign out every device, including live sockets
+    const revokedIds = await revokeAllSessions(userId, "PASSWORD_RESET");
+    disconnectSessionSockets(req, revokedIds);
+
     // Clear the temporary token from Redis and cookie
     await redis.del(`reset_token:${userId}`);
     res.clearCookie("resetToken", { path: "/" });
+    res.clearCookie("accessToken", { path: "/" });
+    res.clearCookie("refreshToken", { path: "/" });
 
     res.status(200).json({ message: "Password updated successfully" });
   } catch (error) {
@@ -347,13 +547,14 @@ const resetPassword = async (req, res) => {
 };
 
 /**
- * Logs out the user by clearing cookies and removing refresh token from Redis.
+ * Logs out the current session by clearing cookies and revoking it.
  */
 const logout = async (req, res) => {
   try {
     const userId = req.user.UserID; // From authMiddleware
     const accessToken = req.cookies.accessToken; // Get accessToken from cookies
-    await serviceLogout(userId, accessToken);
+    await serviceLogout(userId, accessToken, req.sessionId);
+    disconnectSessionSockets(req, [req.sessionId]);
 
     // Clear all cookies
     res.clearCookie("accessToken", { path: "/" });
@@ -392,7 +593,7 @@ const isAuthenticated = async (req, res) => {
 
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = verifyAccessToken(token);
       console.log("Access token verified for user ID:", decoded.userId);
     } catch (jwtError) {
       console.error("JWT verification error:", jwtError.message);
@@ -402,6 +603,13 @@ const isAuthenticated = async (req, res) => {
       });
     }
 
+    if (await isSessionRevoked(decoded.sid)) {
+      return res.status(401).json({
+        isAuthenticated: false,
+        message: "Session has been revoked, please login again",
+      });
+    }
+
     const user = await prisma.user.findUnique({
       where: { UserID: decoded.userId },
       select: {
@@ -410,6 +618,7 @@ const isAuthenticated = async (req, res) => {
         ProfileName: true,
         ProfilePicture: true,
         Email: true,
+        EmailVerified: true,
         IsPrivate: true,
         IsBanned: true,
       },
@@ -438,6 +647,7 @@ const isAuthenticated = async (req, res) => {
         profileName: user.ProfileName,
         profilePicture: user.ProfilePicture,
         email: user.Email,
+        emailVerified: user.EmailVerified,
         isPrivate: user.IsPrivate,
       },
     });
@@ -450,13 +660,681 @@ const isAuthenticated = async (req, res) => {
   }
 };
 
+/**
+ * Confirms ownership of the email address using the token from the
+ * verification link.
+ */
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    await serviceVerifyEmail(token);
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("verifyEmail error:", error.message);
+    if (error.message.includes("Invalid or expired verification token")) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+    res.status(500).json({ message: "Error verifying email" });
+  }
+};
+
+/**
+ * Resends the verification email to the authenticated user.
+ * Limited to one email per cooldown window.
+ */
+const resendVerification = async (req, res) => {
+  try {
+    await resendEmailVerification(req.user.UserID);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("resendVerification error:", error.message);
+    if (error.message.includes("Email already verified")) {
+      return res.status(400).json({ message: "Email already verified" });
+    }
+    if (error.message.includes("Verification email recently sent")) {
+      res.set("Retry-After", String(error.retryAfter));
+      return res.status(429).json({
+        message: "Please wait before requesting another verification email",
+        retryAfter: error.retryAfter,
+      });
+    }
+    if (error.message.includes("User not found")) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(500).json({ message: "Failed to send verification email" });
+  }
+};
+
+/**
+ * Returns the 2FA status of the authenticated user.
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.UserID);
+    res.json({ message: "Two-factor status retrieved successfully", data: status });
+  } catch (error) {
+    console.error("getTwoFactorStatus error:", error.message);
+    if (error.message.includes("User not found")) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(500).json({ message: "Failed to fetch two-factor status" });
+  }
+};
+
+/**
+ * Starts 2FA enrolment and returns the secret and otpauth URI to add to an
+ * authenticator app.
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await twoFactorService.beginSetup(
+      req.user.UserID
+    );
+    res.json({
+      message: "Scan the code with your authenticator app, then confirm it",
+      data: { secret, otpauthUri },
+    });
+  } catch (error) {
+    console.error("setupTwoFactor error:", error.message);
+    if (error.message.includes("already enabled")) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication already enabled" });
+    }
+    if (error.message.includes("User not found")) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(500).json({ message: "Failed to start two-factor setup" });
+  }
+};
+
+/**
+ * Confirms 2FA enrolment with a code from the app and returns the recovery
+ * codes. They are only shown once.
+ */
+const confirmTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const recoveryCodes = await twoFactorService.confirmSetup(
+      req.user.UserID,
+      code
+    );
+    res.json({
+      message: "Two-factor authentication enabled",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("confirmTwoFactor error:", error.message);
+    if (error.message.includes("No pending two-factor setup")) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor setup expired or not started" });
+    }
+    if (error.message.includes("Invalid two-factor code")) {
+      return res.status(400).json({ message: "Invalid two-factor code" });
+    }
+    res.status(500).json({ message: "Failed to enable two-factor authentication" });
+  }
+};
+
+/**
+ * Replaces the recovery codes of the authenticated user.
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+      req.user.UserID,
+      code
+    );
+    res.json({
+      message: "Recovery codes regenerated",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("regenerateRecoveryCodes error:", error.message);
+    if (error.message.includes("Invalid two-factor code")) {
+      return res.status(400).json({ message: "Invalid two-factor code" });
+    }
+    res.status(500).json({ message: "Failed to regenerate recovery codes" });
+  }
+};
+
+/**
+ * Disables 2FA after re-checking the password and a current code.
+ */
+const disableTwoFactor = async (req, res) => {
+  const { password, code } = req.body;
+
+  try {
+    await twoFactorService.disable(req.user.UserID, password, code);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("disableTwoFactor error:", error.message);
+    if (error.message.includes("is not enabled")) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (error.message.includes("required for your role")) {
+      return res
+        .status(403)
+        .json({ message: "Two-factor authentication is required for your role" });
+    }
+    if (
+      error.message.includes("Invalid password") ||
+      error.message.includes("Invalid two-factor code")
+    ) {
+      return res.status(401).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Failed to disable two-factor authentication" });
+  }
+};
+
+/**
+ * Sends the browser back to the frontend after an OAuth callback.
+ * @param {Object} res - Express response object
+ * @param {Object} params - Query parameters (status, and token/reason)
+ */
+const redirectAfterOAuth = (res, params) => {
+  const url = new URL(oauthRedirectUrl);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  res.redirect(url.toString());
+};
+
+/**
+ * Starts the OAuth flow with a provider. When the request is authenticated
+ * (link route), the identity is linked to the current account on callback
+ * instead of signing in.
+ */
+const startOAuth = (req, res, next) => {
+  const { provider } = req.params;
+  if (!providers[provider]) {
+    return res.status(404).json({ message: "OAuth provider not supported" });
+  }
+
+  passport.authenticate(provider, {
+    session: false,
+    ...providers[provider],
+    state: req.user ? { linkUserId: req.user.UserID } : undefined,
+  })(req, res, next);
+};
+
+/**
+ * Handles the provider callback: links the identity, signs in an existing
+ * user (or issues a 2FA challenge), or asks the frontend to complete the
+ * profile of a new user. Pending signup and 2FA challenge tokens are handed
+ * over in httpOnly cookies, never in the redirect URL, which ends up in the
+ * browser history, server logs and Referer headers.
+ */
+const oauthCallback = (req, res, next) => {
+  const { provider } = req.params;
+  if (!providers[provider]) {
+    return res.status(404).json({ message: "OAuth provider not supported" });
+  }
+
+  passport.authenticate(
+    provider,
+    { session: false },
+    async (err, profile, info) => {
+      try {
+        if (err || !profile) {
+          console.error("OAuth callback error:", err?.message || info?.message);
+          return redirectAfterOAuth(res, {
+            status: "error",
+            provider,
+            reason: "Authentication failed",
+          });
+        }
+
+        const linkUserId = info?.state?.linkUserId;
+        if (linkUserId) {
+          await oauthService.linkIdentity(linkUserId, profile);
+          return redirectAfterOAuth(res, { status: "linked", provider });
+        }
+
+        const identity = await oauthService.resolveIdentity(profile);
+        if (identity.pendingToken) {
+          res.cookie("oauthPendingSignup", identity.pendingToken, {
+            ...getCookieOptions(),
+            maxAge: oauthService.PENDING_SIGNUP_TTL_SECONDS * 1000,
+          });
+          return redirectAfterOAuth(res, {
+            status: "complete_profile",
+            provider,
+          });
+        }
+
+        const result = await loginWithIdentity(
+          identity.userId,
+          getClientContext(req)
+        );
+
+        if (result.twoFactorRequired) {
+          res.cookie("twoFactorChallenge", result.challengeToken, {
+            ...getCookieOptions(),
+            maxAge: challengeTtlSeconds * 1000,
+          });
+          return redirectAfterOAuth(res, {
+            status: "two_factor_required",
+            provider,
+          });
+        }
+
+        res.cookie("accessToken", result.tokens.accessToken, getCookieOptions());
+        res.cookie(
+          "refreshToken",
+          result.tokens.refreshToken,
+          getCookieOptions(true)
+        );
+        redirectAfterOAuth(res, { status: "success", provider });
+      } catch (error) {
+        console.error("OAuth callback error:", error.message);
+        const knownErrors = [
+          "Identity already linked to another account",
+          "Provider already linked to this account",
+          "Email registered to an unverified account",
+          "User is banned",
+        ];
+        redirectAfterOAuth(res, {
+          status: "error",
+          provider,
+          reason: knownErrors.find((msg) => error.message.includes(msg)) ||
+            "Authentication failed",
+        });
+      }
+    }
+  )(req, res, next);
+};
+
+/**
+ * Returns what the provider supplied for a pending OAuth signup, so the
+ * frontend can prefill the form and knows which fields are still required.
+ */
+const getPendingOAuthSignup = async (req, res) => {
+  const { oauthPendingSignup: pendingToken } = req.cookies;
+
+  try {
+    const profile =
+      typeof pendingToken === "string"
+        ? await oauthService.getPendingSignup(pendingToken)
+        : null;
+    if (!profile) {
+      return res
+        .status(404)
+        .json({ message: "Invalid or expired signup token" });
+    }
+
+    res.json({
+      message: "Pending signup retrieved successfully",
+      data: {
+        provider: profile.provider,
+        email: profile.email,
+        emailRequired: !profile.email,
+        profileName: profile.displayName,
+        suggestedUsername: profile.username,
+        profilePicture: profile.photo,
+      },
+    });
+  } catch (error) {
+    console.error("getPendingOAuthSignup error:", error.message);
+    res.status(500).json({ message: "Failed to fetch pending signup" });
+  }
+};
+
+/**
+ * Creates the account for a pending OAuth signup once the user supplied
+ * the fields providers do not (username, gender, date of birth, and email
+ * when missing). Sets the same cookies as login.
+ */
+const completeOAuthSignup = async (req, res) => {
+  const { username, gender, dateOfBirth, email, profileName } = req.body;
+  const { oauthPendingSignup: pendingToken } = req.cookies;
+
+  try {
+    if (typeof pendingToken !== "string") {
+      throw new Error("Invalid or expired signup token");
+    }
+
+    const newUser = await oauthService.completeSignup(pendingToken, {
+      username,
+      gender,
+      dateOfBirth,
+      email,
+      profileName,
+    });
+
+    await prisma.notification.create({
+      data: {
+        UserID: newUser.UserID,
+        Type: "WELCOME",
+        Content: `Welcome to LinkUp, ${username}! Start exploring and connecting!`,
+        Metadata: { signupDate: new Date().toISOString() },
+      },
+    });
+
+    if (!newUser.EmailVerified) {
+      try {
+        await sendEmailVerification(newUser);
+      } catch (emailError) {
+        console.error("Verification email error:", emailError.message);
+      }
+    }
+
+    const { tokens } = await loginWithIdentity(
+      newUser.UserID,
+      getClientContext(req)
+    );
+
+    res.clearCookie("oauthPendingSignup", { path: "/" });
+    res.cookie("accessToken", tokens.accessToken, getCookieOptions());
+    res.cookie("refreshToken", tokens.refreshToken, getCookieOptions(true));
+
+    res.status(201).json({
+      message: "User registered successfully",
+      data: {
+        userId: newUser.UserID,
+        username: newUser.Username,
+        profileName: newUser.ProfileName,
+        profilePicture: newUser.ProfilePicture,
+        email: newUser.Email,
+        emailVerified: newUser.EmailVerified,
+      },
+    });
+  } catch (error) {
+    console.error("completeOAuthSignup error:", error.message);
+    if (error.message.includes("Invalid or expired signup token")) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired signup token" });
+    }
+    if (
+      error.message.includes("Email is required") ||
+      error.message.includes("Invalid date of birth format")
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message.includes("Email or username already exists")) {
+      return res
+        .status(409)
+        .json({ message: "Email or username already exists" });
+    }
+    res.status(500).json({ message: "Error registering user" });
+  }
+};
+
+/**
+ * Lists the OAuth providers linked to the authenticated user.
+ */
+const getLinkedIdentities = async (req, res) => {
+  try {
+    const identities = await oauthService.listIdentities(req.user.UserID);
+    res.json({
+      message: "Linked accounts retrieved successfully",
+      data: identities.map((identity) => ({
+        provider: identity.Provider.toLowerCase(),
+        email: identity.Email,
+        displayName: identity.DisplayName,
+        linkedAt: identity.CreatedAt,
+        lastUsedAt: identity.LastUsedAt,
+      })),
+    });
+  } catch (error) {
+    console.error("getLinkedIdentities error:", error.message);
+    res.status(500).json({ message: "Failed to fetch linked accounts" });
+  }
+};
+
+/**
+ * Unlinks an OAuth provider from the authenticated user.
+ */
+const unlinkIdentity = async (req, res) => {
+  try {
+    const removed = await oauthService.unlinkIdentity(
+      req.user.UserID,
+      req.params.provider
+    );
+    if (!removed) {
+      return res.status(404).json({ message: "Linked account not found" });
+    }
+    res.json({ message: "Account unlinked successfully" });
+  } catch (error) {
+    console.error("unlinkIdentity error:", error.message);
+    res.status(500).json({ message: "Failed to unlink account" });
+  }
+};
+
+/**
+ * Lifts an account lockout using the link emailed when the account was
+ * locked after repeated failed logins.
+ */
+const unlockAccount = async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    await serviceUnlockAccount(token);
+    res.json({ message: "Account unlocked successfully" });
+  } catch (error) {
+    console.error("unlockAccount error:", error.message);
+    if (error.message.includes("Invalid or expired unlock token")) {
+      return res.status(400).json({ message: "Invalid or expired unlock link" });
+    }
+    res.status(500).json({ message: "Failed to unlock account" });
+  }
+};
+
+/**
+ * Formats a personal access token for API responses.
+ * @param {Object} token - PersonalAccessToken record
+ * @returns {Object} Token summary (never includes the hash)
+ */
+const formatAccessToken = (token) => ({
+  tokenId: token.TokenID,
+  name: token.Name,
+  tokenPrefix: token.TokenPrefix,
+  scopes: token.Scopes,
+  createdAt: token.CreatedAt,
+  lastUsedAt: token.LastUsedAt,
+  lastUsedIp: token.LastUsedIP,
+  expiresAt: token.ExpiresAt,
+});
+
+/**
+ * Lists the scopes that can be granted to personal access tokens.
+ */
+const getAccessTokenScopes = (req, res) => {
+  res.json({
+    message: "Scopes retrieved successfully",
+    data: Object.entries(SCOPES).map(([scope, description]) => ({
+      scope,
+      description,
+    })),
+  });
+};
+
+/**
+ * Lists the personal access tokens of the authenticated user.
+ */
+const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await accessTokenService.listTokens(req.user.UserID);
+    res.json({
+      message: "Access tokens retrieved successfully",
+      data: tokens.map(formatAccessToken),
+    });
+  } catch (error) {
+    console.error("getAccessTokens error:", error.message);
+    res.status(500).json({ message: "Failed to fetch access tokens" });
+  }
+};
+
+/**
+ * Creates a personal access token. The token value is returned only once.
+ */
+const createAccessToken = async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  try {
+    const { record, rawToken } = await accessTokenService.createToken(
+      req.user.UserID,
+      { name, scopes, expiresInDays }
+    );
+
+    res.status(201).json({
+      message: "Access token created. Copy it now, it will not be shown again",
+      data: { ...formatAccessToken(record), token: rawToken },
+    });
+  } catch (error) {
+    console.error("createAccessToken error:", error.message);
+    if (error.message.includes("Token limit reached")) {
+      return res
+        .status(400)
+        .json({ message: "Maximum number of access tokens reached" });
+    }
+    res.status(500).json({ message: "Failed to create access token" });
+  }
+};
+
+/**
+ * Revokes a personal access token of the authenticated user.
+ */
+const revokeAccessToken = async (req, res) => {
+  try {
+    const revoked = await accessTokenService.revokeToken(
+      req.user.UserID,
+      req.params.tokenId
+    );
+    if (!revoked) {
+      return res.status(404).json({ message: "Access token not found" });
+    }
+    res.json({ message: "Access token revoked successfully" });
+  } catch (error) {
+    console.error("revokeAccessToken error:", error.message);
+    res.status(500).json({ message: "Failed to revoke access token" });
+  }
+};
+
+/**
+ * Disconnects live sockets opened with the given sessions.
+ */
+const disconnectSessionSockets = (req, sessionIds) => {
+  const io = req.app.get("io");
+  if (!io) return;
+  sessionIds.filter(Boolean).forEach((sessionId) => {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  });
+};
+
+/**
+ * Lists the active sessions (devices) of the authenticated user.
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.UserID);
+
+    res.json({
+      message: "Sessions retrieved successfully",
+      data: sessions.map((session) => ({
+        sessionId: session.SessionID,
+        userAgent: session.UserAgent,
+        ipAddress: session.IPAddress,
+        createdAt: session.CreatedAt,
+        lastUsedAt: session.LastUsedAt,
+        expiresAt: session.ExpiresAt,
+        isCurrent: session.SessionID === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("getSessions error:", error.message);
+    res.status(500).json({ message: "Failed to fetch sessions" });
+  }
+};
+
+/**
+ * Revokes one session of the authenticated user.
+ * Revoking the current session behaves like logout.
+ */
+const revokeSession = async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const revoked = await serviceRevokeSession(req.user.UserID, sessionId);
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    disconnectSessionSockets(req, [sessionId]);
+
+    if (sessionId === req.sessionId) {
+      res.clearCookie("accessToken", { path: "/" });
+      res.clearCookie("refreshToken", { path: "/" });
+    }
+
+    res.json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("revokeSession error:", error.message);
+    res.status(500).json({ message: "Failed to revoke session" });
+  }
+};
+
+/**
+ * Revokes every session of the authenticated user except the current one.
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedIds = await serviceRevokeOtherSessions(
+      req.user.UserID,
+      req.sessionId
+    );
+
+    disconnectSessionSockets(req, revokedIds);
+
+    res.json({
+      message: "Other sessions revoked successfully",
+      data: { revokedCount: revokedIds.length },
+    });
+  } catch (error) {
+    console.error("revokeOtherSessions error:", error.message);
+    res.status(500).json({ message: "Failed to revoke sessions" });
+  }
+};
+
 module.exports = {
   signup,
   login,
+  verifyTwoFactorLogin,
   refreshToken,
   forgotPassword,
   verifyCode,
   resetPassword,
   logout,
   isAuthenticated,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  startOAuth,
+  oauthCallback,
+  getPendingOAuthSignup,
+  completeOAuthSignup,
+  getLinkedIdentities,
+  unlinkIdentity,
+  unlockAccount,
+  getAccessTokenScopes,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
 };
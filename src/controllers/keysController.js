@@ -0,0 +1,146 @@
+const deviceKeyService = require("../services/deviceKeyService");
+const { handleServerError } = require("../utils/errorHandler");
+const { userRoom } = require("../socket/rooms");
+
+/**
+ * Maps key directory errors to HTTP responses
+ */
+const handleKeyError = (res, error, defaultMessage) => {
+  const message = error.message;
+  if (
+    message.includes("Device not found") ||
+    message.includes("User not found") ||
+    message.includes("No devices")
+  ) {
+    return res.status(404).json({ error: message });
+  }
+  if (message.includes("Cannot message")) {
+    return res.status(403).json({ error: message });
+  }
+  if (message.includes("Invalid")) {
+    return res.status(400).json({ error: message });
+  }
+  if (message.includes("limit reached") || message.includes("Too many prekeys")) {
+    return res.status(409).json({ error: message });
+  }
+  handleServerError(res, error, defaultMessage);
+};
+
+/**
+ * Publish the public keys of the current device
+ */
+const registerDevice = async (req, res) => {
+  try {
+    const device = await deviceKeyService.registerDevice(
+      req.user.UserID,
+      req.sessionId,
+      req.body
+    );
+    res.status(201).json(device);
+  } catch (error) {
+    handleKeyError(res, error, "Failed to register device");
+  }
+};
+
+/**
+ * List the devices of the authenticated user
+ */
+const getDevices = async (req, res) => {
+  try {
+    res.json({ devices: await deviceKeyService.listDevices(req.user.UserID) });
+  } catch (error) {
+    handleKeyError(res, error, "Failed to fetch devices");
+  }
+};
+
+/**
+ * Remove a device and its keys
+ */
+const removeDevice = async (req, res) => {
+  try {
+    await deviceKeyService.removeDevice(req.user.UserID, req.params.deviceId);
+    res.json({ success: true });
+  } catch (error) {
+    handleKeyError(res, error, "Failed to remove device");
+  }
+};
+
+/**
+ * Upload more one-time prekeys
+ */
+const uploadPreKeys = async (req, res) => {
+  try {
+    const status = await deviceKeyService.uploadPreKeys(
+      req.user.UserID,
+      req.params.deviceId,
+      req.body.preKeys
+    );
+    res.json(status);
+  } catch (error) {
+    handleKeyError(res, error, "Failed to upload prekeys");
+  }
+};
+
+/**
+ * Number of one-time prekeys a device has left
+ */
+const getPreKeyStatus = async (req, res) => {
+  try {
+    const status = await deviceKeyService.getPreKeyStatus(
+      req.user.UserID,
+      req.params.deviceId
+    );
+    res.json(status);
+  } catch (error) {
+    handleKeyError(res, error, "Failed to fetch prekey status");
+  }
+};
+
+/**
+ * Rotate the signed prekey of a device
+ */
+const updateSignedPreKey = async (req, res) => {
+  try {
+    const result = await deviceKeyService.setSignedPreKey(
+      req.user.UserID,
+      req.params.deviceId,
+      req.body
+    );
+    res.json(result);
+  } catch (error) {
+    handleKeyError(res, error, "Failed to update signed prekey");
+  }
+};
+
+/**
+ * Fetch prekey bundles to start sessions with a user's devices. Devices
+ * running low on one-time prekeys are asked to upload more.
+ */
+const getPreKeyBundles = async (req, res) => {
+  const { userId } = req.params;
+  const io = req.app.get("io");
+
+  try {
+    const { bundles, lowDevices } = await deviceKeyService.getPreKeyBundles(
+      req.user.UserID,
+      userId,
+      req.query.deviceId ? parseInt(req.query.deviceId) : undefined
+    );
+    lowDevices.forEach((low) =>
+      io.to(userRoom(userId)).emit("keys:prekeys:low", low)
+    );
+    res.json({ userId, bundles });
+  } catch (error) {
+    handleKeyError(res, error, "Failed to fetch prekey bundles");
+  }
+};
+
+module.exports = {
+  registerDevice,
+  getDevices,
+  removeDevice,
+  uploadPreKeys,
+  getPreKeyStatus,
+  updateSignedPreKey,
+  getPreKeyBundles,
+};
@@ -8,8 +8,20 @@ const NotificationService = require("../services/notificationService");
 const { del } = require("../utils/redisUtils");
 const { handleServerError } = require("../utils/errorHandler");
 const { uploadToCloud } = require("../services/cloudService");
-const { encryptMessage, decryptMessage } = require("../utils/encryption");
+const attachmentService = require("../services/attachmentService");
+const reactionService = require("../services/reactionService");
+const { decryptMessage } = require("../utils/encryption");
 const rateLimit = require("express-rate-limit");
+const { userRoom, conversationRoom } = require("../socket/rooms");
+const conversationService = require("../services/conversationService");
+const receiptService = require("../services/receiptService");
+const messageSearchService = require("../services/messageSearchService");
+const conversationStateService = require("../services/conversationStateService");
+const messageShareService = require("../services/messageShareService");
+const messageService = require("../services/messageService");
+const scheduledMessageService = require("../services/scheduledMessageService");
+const conversationInfoService = require("../services/conversationInfoService");
+const deviceKeyService = require("../services/deviceKeyService");
 
 // Rate limiting: 30 messages per 15 seconds per user
 const messageRateLimiter = rateLimit({
@@ -38,122 +50,200 @@ const emitMessageToParticipants = (
     .then((conv) => {
       if (!conv) return;
 
+      // Recipients report delivery themselves (message:delivered), so the
+      // initial status is whatever the message was stored with
       const payload = {
         ...message,
         Content: message.Content,
-        status:
-          status === "SENT" && message.SenderId === senderId
-            ? "SENT"
-            : "DELIVERED",
+        status: message.Status || status,
       };
 
       conv.Participants.forEach((p) => {
-        io.to(`user:${p.UserID}`).emit("message:new", payload);
+        io.to(userRoom(p.UserID)).emit("message:new", payload);
       });
     })
     .catch(console.error);
 };
 
 /**
- * Get user conversations with optimized N+1 avoidance
+ * Helper: Fields of a conversation list item, from the point of view of a user.
+ * The preview is the latest message the user can still see, so expired
+ * messages and messages they deleted for themselves are skipped.
  */
-const getConversations = async (req, res) => {
-  const { UserID } = req.user;
-  const { page = 1, limit = 15 } = req.query;
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-
-  try {
-    const conversations = await prisma.conversation.findMany({
-      where: { Participants: { some: { UserID } } },
-      skip,
-      take: parseInt(limit),
-      orderBy: { UpdatedAt: "desc" },
+const conversationListSelect = (userId) => {
+  const visible = {
+    OR: [{ ExpiresAt: null }, { ExpiresAt: { gt: new Date() } }],
+    HiddenFor: { none: { UserId: userId } },
+  };
+
+  return {
+    Id: true,
+    IsGroup: true,
+    Title: true,
+    AvatarUrl: true,
+    UpdatedAt: true,
+    Messages: {
+      where: visible,
+      orderBy: [{ CreatedAt: "desc" }, { Id: "desc" }],
+      take: 1,
       select: {
         Id: true,
-        UpdatedAt: true,
-        LastMessage: {
-          select: {
-            Id: true,
-            Content: true,
-            CreatedAt: true,
-            SenderId: true,
-            IsDeleted: true,
-            Attachments: {
-              select: { Type: true },
-            },
-          },
-        },
-        Participants: {
-          where: { UserID: { not: UserID } },
-          select: {
-            UserID: true,
-            Username: true,
-            ProfilePicture: true,
-            LastActive: true,
-          },
-          take: 1,
+        Content: true,
+        CreatedAt: true,
+        SenderId: true,
+        IsDeleted: true,
+        Status: true,
+        Attachments: {
+          select: { Type: true },
         },
-        _count: {
-          select: {
-            Messages: {
-              where: {
-                SenderId: { not: UserID },
-                Status: { not: "READ" },
-                IsDeleted: false,
-              },
-            },
+        Receipts: { select: { DeliveredAt: true, ReadAt: true } },
+      },
+    },
+    ParticipantStates: {
+      where: { UserId: userId },
+    },
+    Participants: {
+      where: { UserID: { not: userId } },
+      select: {
+        UserID: true,
+        Username: true,
+        ProfilePicture: true,
+        LastActive: true,
+        HideLastSeen: true,
+      },
+      take: 1,
+    },
+    _count: {
+      select: {
+        Participants: true,
+        Messages: {
+          where: {
+            ...visible,
+            IsDeleted: false,
+            Receipts: { some: { UserId: userId, ReadAt: null } },
           },
         },
       },
-    });
+    },
+  };
+};
 
-    const total = await prisma.conversation.count({
-      where: { Participants: { some: { UserID } } },
-    });
+/**
+ * Helper: Other participant of a direct conversation, without the last
+ * seen of users who hide it
+ */
+const formatOtherParticipant = ({ HideLastSeen, ...participant }) => ({
+  ...participant,
+  LastActive: HideLastSeen ? null : participant.LastActive,
+});
+
+/**
+ * Helper: Format a conversation selected with conversationListSelect
+ */
+const formatConversationListItem = (c) => {
+  const lastMessage = c.Messages[0];
+  let content = null;
+
+  if (lastMessage) {
+    if (lastMessage.IsDeleted) {
+      content = "Message deleted";
+    } else if (
+      lastMessage.Attachments &&
+      lastMessage.Attachments.length > 0
+    ) {
+      const type = lastMessage.Attachments[0].Type;
+      content =
+        type === "IMAGE"
+          ? "Image"
+          : type === "VIDEO"
+          ? "Video"
+          : type === "VOICE"
+          ? "Voice message"
+          : "Attachment";
+    } else {
+      content = decryptMessage(lastMessage.Content, c.Id);
+    }
+  }
 
-    const formatted = conversations.map((c) => {
-      let content = null;
-
-      if (c.LastMessage) {
-        if (c.LastMessage.IsDeleted) {
-          content = "Message deleted";
-        } else if (
-          c.LastMessage.Attachments &&
-          c.LastMessage.Attachments.length > 0
-        ) {
-          const type = c.LastMessage.Attachments[0].Type;
-          // content = type === "IMAGE" ? "Image" : type === "VIDEO" ? "Video" : "Attachment";
-          content =
-            type === "IMAGE"
-              ? "Image"
-              : type === "VIDEO"
-              ? "Video"
-              : type === "VOICE"
-              ? "Voice message"
-              : "Attachment";
-        } else {
-          content = decryptMessage(c.LastMessage.Content, c.Id);
+  return {
+    conversationId: c.Id,
+    lastMessage: lastMessage
+      ? {
+          id: lastMessage.Id,
+          content,
+          createdAt: lastMessage.CreatedAt,
+          senderId: lastMessage.SenderId,
+          status: receiptService.aggregateStatus(
+            lastMessage,
+            lastMessage.Receipts
+          ),
         }
-      }
+      : null,
+    unreadCount: c._count.Messages,
+    ...conversationStateService.formatState(c.ParticipantStates[0]),
+    isGroup: c.IsGroup,
+    title: c.IsGroup ? c.Title : null,
+    avatarUrl: c.IsGroup ? c.AvatarUrl : null,
+    participantCount: c._count.Participants,
+    otherParticipant:
+      c.IsGroup || !c.Participants[0]
+        ? null
+        : formatOtherParticipant(c.Participants[0]),
+    updatedAt: c.UpdatedAt,
+  };
+};
 
-      return {
-        conversationId: c.Id,
-        lastMessage: c.LastMessage
-          ? {
-              id: c.LastMessage.Id,
-              content,
-              createdAt: c.LastMessage.CreatedAt,
-              senderId: c.LastMessage.SenderId,
-            }
-          : null,
-        unreadCount: c._count.Messages,
-        otherParticipant: c.Participants[0] || null,
-        updatedAt: c.UpdatedAt,
-      };
-    });
+/**
+ * Get user conversations with optimized N+1 avoidance.
+ * Pinned conversations come first on page 1 (they do not count towards
+ * the limit); archived conversations are only listed with ?archived=true.
+ */
+const getConversations = async (req, res) => {
+  const { UserID } = req.user;
+  const { page = 1, limit = 15 } = req.query;
+  const archived = req.query.archived === "true";
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  try {
+    const isParticipant = { Participants: { some: { UserID } } };
+    const isArchived = {
+      ParticipantStates: { some: { UserId: UserID, IsArchived: true } },
+    };
+    const isPinned = {
+      ParticipantStates: { some: { UserId: UserID, PinnedAt: { not: null } } },
+    };
+
+    const where = archived
+      ? { ...isParticipant, ...isArchived }
+      : { ...isParticipant, NOT: [isArchived, isPinned] };
+
+    const [pinned, conversations, total, unread] = await Promise.all([
+      archived || parseInt(page) > 1
+        ? []
+        : prisma.conversation.findMany({
+            where: { AND: [isParticipant, isPinned] },
+            select: conversationListSelect(UserID),
+          }),
+      prisma.conversation.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { UpdatedAt: "desc" },
+        select: conversationListSelect(UserID),
+      }),
+      prisma.conversation.count({ where }),
+      conversationStateService.getUnreadSummary(UserID),
+    ]);
+
+    const formatted = [
+      ...pinned
+        .map(formatConversationListItem)
+        .sort((a, b) => b.pinnedAt - a.pinnedAt),
+      ...conversations.map(formatConversationListItem),
+    ];
 
     // Emit conversation list update (optional)
-    req.app.get("io").to(`user:${UserID}`).emit("conversations:updated", {
+    req.app.get("io").to(userRoom(UserID)).emit("conversations:updated", {
       conversations: formatted,
       total,
     });
@@ -163,12 +253,61 @@ const getConversations = async (req, res) => {
       total,
       page: parseInt(page),
       limit: parseInt(limit),
+      unread,
     });
   } catch (error) {
     handleServerError(res, error, "Failed to fetch conversations");
   }
 };
 
+/**
+ * Get the unread badge count
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    res.json(await conversationStateService.getUnreadSummary(req.user.UserID));
+  } catch (error) {
+    handleServerError(res, error, "Failed to fetch unread count");
+  }
+};
+
+/**
+ * Mute, pin or archive a conversation for the current user
+ */
+const updateConversationState = async (req, res) => {
+  const { conversationId } = req.params;
+  const userId = req.user.UserID;
+
+  try {
+    const isParticipant = await prisma.conversation.count({
+      where: { Id: conversationId, Participants: { some: { UserID: userId } } },
+    });
+    if (!isParticipant) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const { muted, mutedUntil, pinned, archived } = req.body;
+    const state = await conversationStateService.updateState(
+      userId,
+      conversationId,
+      { muted, mutedUntil, pinned, archived }
+    );
+
+    // Keep the user's other devices in sync
+    req.app
+      .get("io")
+      .to(userRoom(userId))
+      .emit("conversation:state", { conversationId, ...state });
+
+    res.json({ conversationId, ...state });
+  } catch (error) {
+    if (error.message.includes("limit reached")) {
+      return res.status(400).json({ error: error.message });
+    }
+    handleServerError(res, error, "Failed to update conversation");
+  }
+};
+
 /**
  * Start or get existing conversation
  */
@@ -198,6 +337,7 @@ const startConversation = async (req, res) => {
 
     let conversation = await prisma.conversation.findFirst({
       where: {
+        IsGroup: false,
         AND: [
           { Participants: { some: { UserID } } },
           { Participants: { some: { UserID: participantId } } },
@@ -239,8 +379,8 @@ const startConversation = async (req, res) => {
       const formatted = formatConversation(conversation);
 
       // Notify both users
-      io.to(`user:${UserID}`).emit("conversation:created", formatted);
-      io.to(`user:${participantId}`).emit("conversation:created", formatted);
+      io.to(userRoom(UserID)).emit("conversation:created", formatted);
+      io.to(userRoom(participantId)).emit("conversation:created", formatted);
     }
 
     // ---- If conversation already exists ----
@@ -272,10 +412,18 @@ const getMessages = async (req, res) => {
     ) {
       return res.status(403).json({ error: "Access denied" });
     }
+    // Encrypted messages come with the envelope of the caller's device
+    const viewerDevice = await deviceKeyService.findSessionDevice(
+      userId,
+      req.sessionId
+    );
 
     const where = {
       ConversationId: conversationId,
       CreatedAt: before ? { lt: new Date(before) } : undefined,
+      // Expired messages stay hidden until the cleanup job deletes them
+      OR: [{ ExpiresAt: null }, { ExpiresAt: { gt: new Date() } }],
+      HiddenFor: { none: { UserId: userId } },
     };
 
     const messages = await prisma.message.findMany({
@@ -289,20 +437,27 @@ const getMessages = async (req, res) => {
         Attachments: true,
         Reactions: {
           include: { User: { select: { UserID: true, Username: true } } },
+          orderBy: { CreatedAt: "asc" },
+        },
+        Receipts: {
+          select: { UserId: true, DeliveredAt: true, ReadAt: true },
         },
-        ReadBy: { select: { UserID: true } },
         ReplyTo: {
           select: { Id: true, Content: true, SenderId: true, IsDeleted: true },
         },
+        Envelopes: {
+          where: { DeviceID: viewerDevice?.DeviceID ?? -1 },
+          select: { Type: true, Body: true },
+        },
       },
     });
 
     const decrypted = await Promise.all(
       messages.map(async (msg) => {
-        const decryptedContent = msg.Content
-          ? !msg.IsDeleted
-            ? decryptMessage(msg.Content, conversationId)
-            : "Message deleted"
+        const decryptedContent = msg.IsDeleted
+          ? "Message deleted"
+          : msg.Content
+          ? decryptMessage(msg.Content, conversationId)
           : null;
 
         let decryptedReplyContent = null;
@@ -335,49 +490,80 @@ const getMessages = async (req, res) => {
           };
         }
 
-        const { Metadata, ...rest } = msg;
+        const { Metadata, Receipts, Envelopes, ...rest } = msg;
         return {
           ...rest,
+          envelope: Envelopes.length
+            ? { type: Envelopes[0].Type, body: Envelopes[0].Body }
+            : null,
+          reactionSummary: reactionService.summarizeReactions(
+            msg.Reactions,
+            userId
+          ),
+          Status: receiptService.aggregateStatus(msg, Receipts),
+          ReadBy: Receipts.filter((r) => r.ReadAt).map((r) => ({
+            UserID: r.UserId,
+          })),
+          receipts: receiptService.formatReceipts(Receipts),
+          systemEvent: Metadata?.systemEvent || null,
           Content: decryptedContent,
           ReplyTo: msg.ReplyTo
             ? { ...msg.ReplyTo, Content: decryptedReplyContent }
             : null,
           storyReference,
+          ...(await messageShareService.renderShares(userId, Metadata)),
         };
       })
     );
 
-    // Mark as read
-    await prisma.message.updateMany({
-      where: {
-        ConversationId: conversationId,
-        SenderId: { not: userId },
-        Status: { not: "READ" },
-      },
-      data: { Status: "READ", ReadAt: new Date() },
-    });
-
-    // Emit read status
-    io.to(`conversation:${conversationId}`).emit("messages:read", {
-      userId,
-      conversationId,
-    });
+    // Opening the latest page reads the conversation; older pages only
+    // confirm delivery of what was fetched
+    if (before) {
+      const changed = await receiptService.markDelivered(userId, {
+        messageIds: messages.map((m) => m.Id),
+      });
+      receiptService.emitStatusChanges(io, changed);
+    } else {
+      const result = await receiptService.markReadUpTo(userId, conversationId);
+      if (result) {
+        io.to(conversationRoom(conversationId)).emit(
+          "messages:read",
+          result.cursor
+        );
+        receiptService.emitStatusChanges(io, result.changed);
+      }
+    }
 
     res.json({
       messages: decrypted.reverse(),
       hasMore: messages.length === parseInt(limit),
+      readCursors: await receiptService.getReadCursors(conversationId),
     });
   } catch (error) {
     handleServerError(res, error, "Failed to fetch messages");
   }
 };
 
+/**
+ * Maps attachment policy errors to HTTP responses
+ */
+const handleAttachmentError = (res, error, defaultMessage) => {
+  const message = error.message;
+  if (message.includes("File too large") || message.includes("Attachment too long")) {
+    return res.status(413).json({ error: message });
+  }
+  if (message.includes("is not allowed") || message.includes("Unsupported attachment type")) {
+    return res.status(400).json({ error: message });
+  }
+  handleServerError(res, error, defaultMessage);
+};
+
 /**
  * Send message (with real-time broadcast)
  */
 const sendMessage = async (req, res) => {
   const { conversationId } = req.params;
-  const { content, replyToId } = req.body;
+  const { content, replyToId, sendAt, attachmentType, envelopes } = req.body;
   const userId = req.user.UserID;
   const io = req.app.get("io");
   try {
@@ -391,122 +577,93 @@ const sendMessage = async (req, res) => {
     ) {
       return res.status(403).json({ error: "Access denied" });
     }
-    let attachment = null;
-    if (req.file) {
-      const mime = req.file.mimetype;
-      let resourceType = "auto";
-      let type = "FILE";
-      if (mime.startsWith("image/")) {
-        resourceType = "image";
-        type = "IMAGE";
-      } else if (mime.startsWith("video/") || mime.startsWith("audio/")) {
-        resourceType = "video";
-        type = mime.startsWith("audio/") ? "VOICE" : "VIDEO";
-      } else if (mime === "application/pdf") {
-        resourceType = "raw";
-        type = "FILE";
-      } else {
-        resourceType = "raw";
-        type = "FILE";
+    let senderDevice = null;
+    if (envelopes) {
+      // Encrypted attachments travel inside the ciphertext, never as files
+      if (sendAt || req.file) {
+        return res.status(400).json({
+          error: "Encrypted messages cannot be scheduled or carry files",
+        });
+      }
+      senderDevice = await deviceKeyService.findSessionDevice(
+        userId,
+        req.sessionId
+      );
+      if (!senderDevice) {
+        return res.status(400).json({
+          error: "Register this device's keys before sending encrypted messages",
+        });
       }
-      const uploadResult = await uploadToCloud(req.file.buffer, {
-        folder: `messages/${userId}`,
-        resource_type: resourceType,
-      });
-      attachment = {
-        Url: uploadResult.secure_url,
-        Type: type,
-        FileName: req.file.originalname,
-        FileSize: req.file.size,
-      };
     }
-    const encryptedContent = content
-      ? encryptMessage(content, conversationId)
+
+    const attachment = req.file
+      ? await attachmentService.processAttachment(req.file, {
+          userId,
+          type: attachmentType,
+        })
       : null;
-    const message = await prisma.$transaction(
-      async (tx) => {
-        const msg = await tx.message.create({
-          data: {
-            ConversationId: conversationId,
-            SenderId: userId,
-            Content: encryptedContent,
-            ReplyToId: replyToId,
-            Attachments: attachment ? { create: attachment } : undefined,
-          },
-          include: {
-            Attachments: true,
-            Sender: {
-              select: { UserID: true, Username: true, ProfilePicture: true },
-            },
-          },
-        });
-        await tx.conversation.update({
-          where: { Id: conversationId },
-          data: { LastMessageId: msg.Id, UpdatedAt: new Date() },
-        });
-        return msg;
-      },
-      { timeout: 15000 }
-    );
 
-    // Format the message similarly to getMessages
-    let replyTo = null;
-    if (replyToId) {
-      const replyMsg = await prisma.message.findUnique({
-        where: { Id: replyToId },
-        select: { Id: true, Content: true, SenderId: true, IsDeleted: true },
+    // A future sendAt stores the message for the scheduler instead
+    if (sendAt && new Date(sendAt) > new Date()) {
+      const scheduled = await scheduledMessageService.scheduleMessage({
+        conversationId,
+        senderId: userId,
+        content,
+        replyToId,
+        attachment,
+        sendAt,
       });
-      if (replyMsg) {
-        let decryptedReplyContent = null;
-        if (replyMsg.Content && !replyMsg.IsDeleted) {
-          decryptedReplyContent = decryptMessage(
-            replyMsg.Content,
-            conversationId
-          );
-        } else if (replyMsg.IsDeleted) {
-          decryptedReplyContent = "Message deleted";
-        }
-        replyTo = {
-          Id: replyMsg.Id,
-          Content: decryptedReplyContent,
-          SenderId: replyMsg.SenderId,
-          IsDeleted: replyMsg.IsDeleted,
-        };
-      }
+      return res.status(202).json(scheduled);
     }
 
-    const formattedMessage = {
-      Id: message.Id,
-      ConversationId: message.ConversationId,
-      SenderId: message.SenderId,
-      Content: content
-        ? !message.IsDeleted
-          ? content
-          : "Message deleted"
-        : null,
-      Status: message.Status || "SENT",
-      ReadAt: message.ReadAt,
-      ReplyToId: message.ReplyToId,
-      CreatedAt: message.CreatedAt,
-      UpdatedAt: message.UpdatedAt,
-      IsEdited: message.IsEdited,
-      IsDeleted: message.IsDeleted,
-      DeletedAt: message.DeletedAt,
-      Sender: message.Sender,
-      Attachments: message.Attachments,
-      Reactions: [],
-      ReadBy: [],
-      ReplyTo: replyTo,
-      storyReference: null,
-    };
-
-    // Emit real-time to all participants (using formatted message for consistency)
-    // emitMessageToParticipants(io, conversationId, formattedMessage, userId);
-    emitMessageToParticipants(io, conversationId, formattedMessage, userId);
+    const formattedMessage = await messageService.sendUserMessage(io, {
+      conversationId,
+      senderId: userId,
+      participantIds: conversation.Participants.map((p) => p.UserID),
+      content,
+      replyToId,
+      attachments: attachment ? [attachment] : [],
+      envelopes,
+      senderDeviceId: senderDevice?.DeviceID,
+    });
 
     res.status(201).json(formattedMessage);
   } catch (error) {
-    handleServerError(res, error, "Failed to send message");
+    if (error.message === "Device list mismatch") {
+      return res.status(409).json({
+        error: error.message,
+        missingDevices: error.missingDevices,
+        extraDevices: error.extraDevices,
+      });
+    }
+    if (error.message.includes("envelopes")) {
+      return res.status(400).json({ error: error.message });
+    }
+    handleAttachmentError(res, error, "Failed to send message");
+  }
+};
+
+/**
+ * Upload a message attachment without sending it. The returned token is
+ * used to attach it to a message sent over the socket (message:send).
+ */
+const uploadAttachment = async (req, res) => {
+  const userId = req.user.UserID;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Attachment required" });
+    }
+    const attachment = await attachmentService.processAttachment(req.file, {
+      userId,
+      type: req.body.attachmentType,
+    });
+    res.status(201).json({
+      attachment,
+      attachmentToken: attachmentService.signAttachment(attachment, userId),
+    });
+  } catch (error) {
+    handleAttachmentError(res, error, "Failed to upload attachment");
   }
 };
 
@@ -540,6 +697,7 @@ const replyToStory = async (req, res) => {
 
     let conversation = await prisma.conversation.findFirst({
       where: {
+        IsGroup: false,
         AND: [
           { Participants: { some: { UserID: senderId } } },
           { Participants: { some: { UserID: story.UserID } } },
@@ -561,50 +719,21 @@ const replyToStory = async (req, res) => {
       await del(`conversations:${story.UserID}`);
     }
 
-    const encryptedContent = content
-      ? encryptMessage(content, conversation.Id)
-      : null;
-
-    const message = await prisma.$transaction(async (tx) => {
-      const msg = await tx.message.create({
-        data: {
-          ConversationId: conversation.Id,
-          SenderId: senderId,
-          Content: encryptedContent,
-          Metadata: {
-            storyReference: {
-              storyId: story.StoryID,
-              mediaUrl: story.MediaURL,
-              expiresAt: story.ExpiresAt.toISOString(),
-            },
-          },
-        },
-        include: { Sender: { select: { UserID: true, Username: true } } },
-      });
-
-      await tx.conversation.update({
-        where: { Id: conversation.Id },
-        data: { LastMessageId: msg.Id, UpdatedAt: new Date() },
-      });
-
-      return msg;
-    });
-
-    // Notification
-    await prisma.notification.create({
-      data: {
-        UserID: story.UserID,
-        SenderID: senderId,
-        Type: "MESSAGE",
-        Content: `${req.user.Username} replied to your story`,
-        Metadata: {
-          conversationId: conversation.Id,
-          isStoryReply: true,
+    const message = await messageService.createMessage({
+      conversationId: conversation.Id,
+      senderId,
+      participantIds: [senderId, story.UserID],
+      content,
+      metadata: {
+        storyReference: {
           storyId: story.StoryID,
+          mediaUrl: story.MediaURL,
+          expiresAt: story.ExpiresAt.toISOString(),
         },
       },
     });
 
+    // Notification (skipped if the story owner muted the conversation)
     await NotificationService.createNotification({
       userId: story.UserID,
       senderId: senderId,
@@ -639,6 +768,7 @@ const replyToStory = async (req, res) => {
       ReplyToId: message.ReplyToId,
       CreatedAt: message.CreatedAt,
       UpdatedAt: message.UpdatedAt,
+      ExpiresAt: message.ExpiresAt,
       IsEdited: message.IsEdited,
       IsDeleted: message.IsDeleted,
       DeletedAt: message.DeletedAt,
@@ -672,102 +802,197 @@ const replyToStory = async (req, res) => {
 };
 
 /**
- * Edit message (real-time)
+ * Maps forward and share errors to HTTP responses
  */
-const editMessage = async (req, res) => {
+const handleShareError = (res, error, defaultMessage) => {
+  const message = error.message;
+  if (
+    message.includes("Message not found") ||
+    message.includes("Post not found") ||
+    message.includes("Story not found")
+  ) {
+    return res.status(404).json({ error: message });
+  }
+  if (message.includes("access denied") || message.includes("No access")) {
+    return res.status(403).json({ error: message });
+  }
+  if (message.includes("cannot be forwarded")) {
+    return res.status(400).json({ error: message });
+  }
+  handleServerError(res, error, defaultMessage);
+};
+
+/**
+ * Forward a message to one or more conversations
+ */
+const forwardMessage = async (req, res) => {
   const { messageId } = req.params;
-  const { content } = req.body;
+  const { conversationIds } = req.body;
   const userId = req.user.UserID;
   const io = req.app.get("io");
 
   try {
-    const message = await prisma.message.findUnique({
-      where: { Id: messageId },
-      select: { SenderId: true, ConversationId: true, Content: true, IsDeleted: true },
-    });
+    const results = await messageShareService.forwardMessage(
+      userId,
+      messageId,
+      conversationIds
+    );
+    await Promise.all(
+      results.map((result) => messageShareService.emitNewMessage(io, result))
+    );
 
-    if (!message) {
-      return res.status(404).json({ error: "Message not found" });
-    }
+    res.status(201).json({
+      messages: await Promise.all(
+        results.map((result) =>
+          messageShareService.formatForViewer(result, userId)
+        )
+      ),
+    });
+  } catch (error) {
+    handleShareError(res, error, "Failed to forward message");
+  }
+};
 
-    if (message.SenderId !== userId) {
-      return res.status(403).json({ error: "Not authorized" });
-    }
+/**
+ * Share a post or a story into a conversation
+ */
+const shareToConversation = async (req, res) => {
+  const { conversationId } = req.params;
+  const { postId, storyId, content } = req.body;
+  const userId = req.user.UserID;
+  const io = req.app.get("io");
 
-    if (message.IsDeleted) {
-      return res.status(400).json({ error: "Cannot edit a deleted message" });
-    }
+  try {
+    const result = postId
+      ? await messageShareService.sharePost(
+          userId,
+          conversationId,
+          parseInt(postId),
+          content
+        )
+      : await messageShareService.shareStory(
+          userId,
+          conversationId,
+          parseInt(storyId),
+          content
+        );
+    await messageShareService.emitNewMessage(io, result);
+
+    res
+      .status(201)
+      .json(await messageShareService.formatForViewer(result, userId));
+  } catch (error) {
+    handleShareError(res, error, "Failed to share");
+  }
+};
 
-    const encrypted = encryptMessage(content, message.ConversationId);
+/**
+ * Maps message edit and delete errors to HTTP responses
+ */
+const handleMessageChangeError = (res, error, defaultMessage) => {
+  const message = error.message;
+  if (message.includes("Message not found")) {
+    return res.status(404).json({ error: message });
+  }
+  if (message.includes("Not authorized") || message.includes("can only be")) {
+    return res.status(403).json({ error: message });
+  }
+  if (
+    message.includes("Cannot edit") ||
+    message.includes("already deleted") ||
+    message.includes("was deleted")
+  ) {
+    return res.status(400).json({ error: message });
+  }
+  handleServerError(res, error, defaultMessage);
+};
 
-    await prisma.$transaction(async (tx) => {
-      await tx.messageEdit.create({
-        data: { MessageId: messageId, OldContent: message.Content, EditorId: userId },
-      });
-      await tx.message.update({
-        where: { Id: messageId },
-        data: { Content: encrypted, IsEdited: true, UpdatedAt: new Date() },
-      });
-    });
+/**
+ * Edit message (real-time)
+ */
+const editMessage = async (req, res) => {
+  const { messageId } = req.params;
+  const { content } = req.body;
+  const io = req.app.get("io");
 
-    io.to(`conversation:${message.ConversationId}`).emit("message:edited", {
+  try {
+    const edit = await messageService.editMessage(
+      req.user.UserID,
       messageId,
-      conversationId: message.ConversationId,
-      content,
-      editedAt: new Date(),
-    });
+      content
+    );
 
-    res.json({ success: true });
+    io.to(conversationRoom(edit.conversationId)).emit("message:edited", edit);
+
+    res.json({ success: true, editedAt: edit.editedAt });
+  } catch (error) {
+    handleMessageChangeError(res, error, "Failed to edit message");
+  }
+};
+
+/**
+ * Get the edit history of a message
+ */
+const getMessageEdits = async (req, res) => {
+  try {
+    const history = await messageService.getEditHistory(
+      req.user.UserID,
+      req.params.messageId
+    );
+    res.json(history);
   } catch (error) {
-    handleServerError(res, error);
+    handleMessageChangeError(res, error, "Failed to fetch edit history");
   }
 };
 
 /**
- * Delete message (real-time)
+ * Delete message for everyone (sender, real-time) or only for the caller
  */
 const deleteMessage = async (req, res) => {
   const { messageId } = req.params;
+  const { scope = "everyone" } = req.query;
   const userId = req.user.UserID;
   const io = req.app.get("io");
 
   try {
-    const message = await prisma.message.findUnique({
-      where: { Id: messageId },
-      select: { SenderId: true, ConversationId: true },
-    });
-
-    if (!message || message.SenderId !== userId) {
-      return res.status(403).json({ error: "Not authorized" });
+    if (scope === "me") {
+      const hidden = await messageService.deleteForMe(userId, messageId);
+      // Keep the user's other devices in sync
+      io.to(userRoom(userId)).emit("message:hidden", hidden);
+      return res.json({ success: true, scope });
     }
 
-    await prisma.$transaction(async (tx) => {
-      await tx.message.update({
-        where: { Id: messageId },
-        data: { IsDeleted: true, DeletedAt: new Date() },
-      });
-      await tx.messageDelete.create({
-        data: { MessageId: messageId, DeletedBy: userId },
-      });
-    });
-
-    io.to(`conversation:${message.ConversationId}`).emit("message:deleted", {
-      messageId, 
-      conversationId: message.ConversationId,
-     });
+    const { wasPinned, ...deleted } = await messageService.deleteForEveryone(
+      userId,
+      messageId
+    );
+    const room = io.to(conversationRoom(deleted.conversationId));
+    room.emit("message:deleted", deleted);
+    if (wasPinned) {
+      room.emit("message:unpinned", { ...deleted, unpinnedBy: userId });
+    }
 
-    res.json({ success: true });
+    res.json({ success: true, scope });
   } catch (error) {
-    handleServerError(res, error);
+    handleMessageChangeError(res, error, "Failed to delete message");
   }
 };
 
 /**
- * Search messages
+ * Maps message search errors to HTTP responses
  */
-const searchMessages = async (req, res) => {
+const handleSearchError = (res, error) => {
+  if (error.message.includes("no searchable words")) {
+    return res.status(400).json({ error: error.message });
+  }
+  handleServerError(res, error, "Failed to search messages");
+};
+
+/**
+ * Search messages of one conversation
+ */
+const searchMessages = async (req, res) => {
   const { conversationId } = req.params;
-  const { q, limit = 20 } = req.query;
   const userId = req.user.UserID;
 
   try {
@@ -780,25 +1005,41 @@ const searchMessages = async (req, res) => {
       return res.status(403).json({ error: "Access denied" });
     }
 
-    const messages = await prisma.message.findMany({
-      where: {
-        ConversationId: conversationId,
-        Content: { contains: q, mode: "insensitive" },
-        IsDeleted: false,
-      },
-      take: parseInt(limit),
-      orderBy: { CreatedAt: "desc" },
-      select: { Id: true, Content: true, CreatedAt: true, SenderId: true },
-    });
-
-    const decrypted = messages.map((m) => ({
-      ...m,
-      Content: decryptMessage(m.Content, conversationId),
-    }));
+    const { q, senderId, from, to, cursor, limit } = req.query;
+    res.json(
+      await messageSearchService.searchMessages(userId, {
+        q,
+        conversationId,
+        senderId,
+        from,
+        to,
+        cursor,
+        limit,
+      })
+    );
+  } catch (error) {
+    handleSearchError(res, error);
+  }
+};
 
-    res.json({ results: decrypted });
+/**
+ * Search messages across all of the user's conversations
+ */
+const searchAllMessages = async (req, res) => {
+  try {
+    const { q, senderId, from, to, cursor, limit } = req.query;
+    res.json(
+      await messageSearchService.searchMessages(req.user.UserID, {
+        q,
+        senderId,
+        from,
+        to,
+        cursor,
+        limit,
+      })
+    );
   } catch (error) {
-    handleServerError(res, error);
+    handleSearchError(res, error);
   }
 };
 
@@ -836,6 +1077,11 @@ const searchConversations = async (req, res) => {
       });
     }
 
+    const visible = {
+      OR: [{ ExpiresAt: null }, { ExpiresAt: { gt: new Date() } }],
+      HiddenFor: { none: { UserId: UserID } },
+    };
+
     // Search participants (exclude current user) using ILIKE for case-insensitive
     const participants = await prisma.user.findMany({
       where: {
@@ -861,12 +1107,17 @@ const searchConversations = async (req, res) => {
         Username: true,
         ProfilePicture: true,
         LastActive: true,
+        HideLastSeen: true,
         Conversations: {
           where: { Id: { in: conversationIds } },
           select: {
             Id: true,
             UpdatedAt: true,
-            LastMessage: {
+            // Latest message the user can still see, like conversationListSelect
+            Messages: {
+              where: visible,
+              orderBy: [{ CreatedAt: "desc" }, { Id: "desc" }],
+              take: 1,
               select: {
                 Id: true,
                 Content: true,
@@ -880,9 +1131,9 @@ const searchConversations = async (req, res) => {
               select: {
                 Messages: {
                   where: {
-                    SenderId: { not: UserID },
-                    Status: { not: "READ" },
+                    ...visible,
                     IsDeleted: false,
+                    Receipts: { some: { UserId: UserID, ReadAt: null } },
                   },
                 },
               },
@@ -902,35 +1153,37 @@ const searchConversations = async (req, res) => {
         if (seenConvIds.has(conv.Id)) continue;
         seenConvIds.add(conv.Id);
 
+        const lastMessage = conv.Messages[0];
         let content = null;
-        if (conv.LastMessage) {
-          if (conv.LastMessage.IsDeleted) {
+        if (lastMessage) {
+          if (lastMessage.IsDeleted) {
             content = "Message deleted";
-          } else if (conv.LastMessage.Attachments?.length > 0) {
-            const type = conv.LastMessage.Attachments[0].Type;
+          } else if (lastMessage.Attachments?.length > 0) {
+            const type = lastMessage.Attachments[0].Type;
             content = type === "IMAGE" ? "Image" : type === "VIDEO" ? "Video" : "Attachment";
           } else {
-            content = decryptMessage(conv.LastMessage.Content, conv.Id);
+            content = decryptMessage(lastMessage.Content, conv.Id);
           }
         }
 
         formatted.push({
           conversationId: conv.Id,
-          lastMessage: conv.LastMessage
+          lastMessage: lastMessage
             ? {
-                id: conv.LastMessage.Id,
+                id: lastMessage.Id,
                 content,
-                createdAt: conv.LastMessage.CreatedAt,
-                senderId: conv.LastMessage.SenderId,
+                createdAt: lastMessage.CreatedAt,
+                senderId: lastMessage.SenderId,
               }
             : null,
           unreadCount: conv._count.Messages,
-          otherParticipant: {
+          otherParticipant: formatOtherParticipant({
             UserID: participant.UserID,
             Username: participant.Username,
             ProfilePicture: participant.ProfilePicture,
             LastActive: participant.LastActive,
-          },
+            HideLastSeen: participant.HideLastSeen,
+          }),
           updatedAt: conv.UpdatedAt,
         });
       }
@@ -942,7 +1195,7 @@ const searchConversations = async (req, res) => {
 
     // Optional: Emit search results update (for real-time search-as-you-type)
     const io = req.app.get("io");
-    io.to(`user:${UserID}`).emit("conversations:search", {
+    io.to(userRoom(UserID)).emit("conversations:search", {
       query: searchTerm,
       results: paginated,
       total,
@@ -962,15 +1215,751 @@ const searchConversations = async (req, res) => {
   }
 };
 
+/**
+ * Maps group conversation errors to HTTP responses
+ */
+const handleGroupError = (res, error, defaultMessage) => {
+  const message = error.message;
+  if (message.includes("Conversation not found")) {
+    return res.status(404).json({ error: message });
+  }
+  if (message.includes("User is not a member")) {
+    return res.status(404).json({ error: message });
+  }
+  if (
+    message.includes("Not a member") ||
+    message.includes("Only group admins") ||
+    message.includes("Only the group owner")
+  ) {
+    return res.status(403).json({ error: message });
+  }
+  if (
+    message.includes("Not a group conversation") ||
+    message.includes("Invalid or banned users") ||
+    message.includes("Avatar must be an image") ||
+    message.includes("already") ||
+    message.includes("limit reached") ||
+    message.includes("at least one other member") ||
+    message.includes("Use leave") ||
+    message.includes("Cannot change your own role")
+  ) {
+    return res.status(400).json({ error: message });
+  }
+  handleServerError(res, error, defaultMessage);
+};
+
+/**
+ * Helper: Emit an event to the personal rooms of several users
+ */
+const emitToUsers = (io, userIds, event, payload) => {
+  userIds.forEach((id) => io.to(userRoom(id)).emit(event, payload));
+};
+
+/**
+ * Helper: Format a system message like sent messages
+ */
+const formatSystemMessage = (message) => ({
+  Id: message.Id,
+  ConversationId: message.ConversationId,
+  SenderId: message.SenderId,
+  Content: message.Content,
+  Type: message.Type,
+  systemEvent: message.Metadata?.systemEvent || null,
+  Status: message.Status,
+  CreatedAt: message.CreatedAt,
+  UpdatedAt: message.UpdatedAt,
+  IsEdited: false,
+  IsDeleted: false,
+  Sender: message.Sender,
+  Attachments: [],
+  Reactions: [],
+  ReadBy: [],
+  ReplyTo: null,
+  storyReference: null,
+});
+
+/**
+ * Helper: Upload a group avatar, if one was sent
+ */
+const uploadGroupAvatar = async (file) => {
+  if (!file) return undefined;
+  if (!file.mimetype.startsWith("image/")) {
+    throw new Error("Avatar must be an image");
+  }
+  const result = await uploadToCloud(file.buffer, {
+    folder: "conversations/avatars",
+    resource_type: "image",
+  });
+  return result.secure_url;
+};
+
+/**
+ * Create a group conversation (creator becomes owner)
+ */
+const createGroupConversation = async (req, res) => {
+  const { title, participantIds } = req.body;
+  const io = req.app.get("io");
+
+  try {
+    const avatarUrl = await uploadGroupAvatar(req.file);
+    const { group, systemMessage } = await conversationService.createGroup(
+      req.user,
+      { title, participantIds, avatarUrl }
+    );
+
+    const formatted = conversationService.formatGroup(group);
+    const memberIds = formatted.members.map((m) => m.userId);
+    emitToUsers(io, memberIds, "conversation:created", formatted);
+    emitMessageToParticipants(
+      io,
+      group.Id,
+      formatSystemMessage(systemMessage),
+      req.user.UserID
+    );
+
+    await Promise.all(
+      memberIds
+        .filter((id) => id !== req.user.UserID)
+        .map((id) =>
+          NotificationService.createNotification({
+            userId: id,
+            senderId: req.user.UserID,
+            type: "MESSAGE",
+            content: `${req.user.Username} added you to the group "${group.Title}"`,
+            metadata: { conversationId: group.Id, isGroup: true },
+          })
+        )
+    );
+
+    res.status(201).json(formatted);
+  } catch (error) {
+    handleGroupError(res, error, "Failed to create group");
+  }
+};
+
+/**
+ * Update group title and/or avatar
+ */
+const updateGroupConversation = async (req, res) => {
+  const { conversationId } = req.params;
+  const { title } = req.body;
+  const io = req.app.get("io");
+
+  try {
+    const avatarUrl = await uploadGroupAvatar(req.file);
+    if (title === undefined && avatarUrl === undefined) {
+      return res.status(400).json({ error: "Title or avatar required" });
+    }
+
+    const { group, systemMessage } = await conversationService.updateGroup(
+      conversationId,
+      req.user,
+      { title, avatarUrl }
+    );
+
+    const formatted = conversationService.formatGroup(group);
+    emitToUsers(
+      io,
+      formatted.members.map((m) => m.userId),
+      "conversation:updated",
+      formatted
+    );
+    emitMessageToParticipants(
+      io,
+      conversationId,
+      formatSystemMessage(systemMessage),
+      req.user.UserID
+    );
+
+    res.json(formatted);
+  } catch (error) {
+    handleGroupError(res, error, "Failed to update group");
+  }
+};
+
+/**
+ * List the members of a group with their roles
+ */
+const getConversationMembers = async (req, res) => {
+  try {
+    const { group } = await conversationService.getGroupMembership(
+      req.params.conversationId,
+      req.user.UserID
+    );
+    res.json(conversationService.formatGroup(group));
+  } catch (error) {
+    handleGroupError(res, error, "Failed to fetch members");
+  }
+};
+
+/**
+ * Add members to a group (owner/admin)
+ */
+const addConversationMembers = async (req, res) => {
+  const { conversationId } = req.params;
+  const { userIds } = req.body;
+  const io = req.app.get("io");
+
+  try {
+    const { group, addedIds, systemMessage } =
+      await conversationService.addMembers(conversationId, req.user, userIds);
+
+    const formatted = conversationService.formatGroup(group);
+    const existingIds = formatted.members
+      .map((m) => m.userId)
+      .filter((id) => !addedIds.includes(id));
+
+    emitToUsers(io, addedIds, "conversation:created", formatted);
+    emitToUsers(io, existingIds, "conversation:members:added", {
+      conversationId,
+      userIds: addedIds,
+      group: formatted,
+    });
+    emitMessageToParticipants(
+      io,
+      conversationId,
+      formatSystemMessage(systemMessage),
+      req.user.UserID
+    );
+
+    await Promise.all(
+      addedIds.map((id) =>
+        NotificationService.createNotification({
+          userId: id,
+          senderId: req.user.UserID,
+          type: "MESSAGE",
+          content: `${req.user.Username} added you to the group "${group.Title}"`,
+          metadata: { conversationId, isGroup: true },
+        })
+      )
+    );
+
+    res.json(formatted);
+  } catch (error) {
+    handleGroupError(res, error, "Failed to add members");
+  }
+};
+
+/**
+ * Helper: Broadcast that a user left or was removed from a group
+ */
+const emitMemberRemoved = (io, formatted, removedId, systemMessage, actorId) => {
+  // Other devices of the removed user stop receiving conversation events
+  io.in(userRoom(removedId)).socketsLeave(
+    conversationRoom(formatted.conversationId)
+  );
+  emitToUsers(io, [removedId], "conversation:removed", {
+    conversationId: formatted.conversationId,
+  });
+  emitToUsers(
+    io,
+    formatted.members.map((m) => m.userId),
+    "conversation:members:removed",
+    {
+      conversationId: formatted.conversationId,
+      userIds: [removedId],
+      group: formatted,
+    }
+  );
+  emitMessageToParticipants(
+    io,
+    formatted.conversationId,
+    formatSystemMessage(systemMessage),
+    actorId
+  );
+};
+
+/**
+ * Remove a member from a group (owner/admin)
+ */
+const removeConversationMember = async (req, res) => {
+  const { conversationId } = req.params;
+  const userId = parseInt(req.params.userId);
+  const io = req.app.get("io");
+
+  try {
+    const { group, systemMessage, statusChanges } =
+      await conversationService.removeMember(conversationId, req.user, userId);
+
+    const formatted = conversationService.formatGroup(group);
+    emitMemberRemoved(io, formatted, userId, systemMessage, req.user.UserID);
+    receiptService.emitStatusChanges(io, statusChanges);
+
+    res.json(formatted);
+  } catch (error) {
+    handleGroupError(res, error, "Failed to remove member");
+  }
+};
+
+/**
+ * Leave a group
+ */
+const leaveConversation = async (req, res) => {
+  const { conversationId } = req.params;
+  const io = req.app.get("io");
+
+  try {
+    const { group, systemMessage, newOwnerId, statusChanges } =
+      await conversationService.leaveGroup(conversationId, req.user);
+
+    emitMemberRemoved(
+      io,
+      conversationService.formatGroup(group),
+      req.user.UserID,
+      systemMessage,
+      req.user.UserID
+    );
+    receiptService.emitStatusChanges(io, statusChanges);
+
+    res.json({ success: true, conversationId, newOwnerId });
+  } catch (error) {
+    handleGroupError(res, error, "Failed to leave group");
+  }
+};
+
+/**
+ * Change a member's role (owner only)
+ */
+const updateConversationMemberRole = async (req, res) => {
+  const { conversationId } = req.params;
+  const userId = parseInt(req.params.userId);
+  const { role } = req.body;
+  const io = req.app.get("io");
+
+  try {
+    const { group, systemMessage } =
+      await conversationService.updateMemberRole(
+        conversationId,
+        req.user,
+        userId,
+        role
+      );
+
+    const formatted = conversationService.formatGroup(group);
+    emitToUsers(
+      io,
+      formatted.members.map((m) => m.userId),
+      "conversation:members:updated",
+      { conversationId, userIds: [userId], group: formatted }
+    );
+    emitMessageToParticipants(
+      io,
+      conversationId,
+      formatSystemMessage(systemMessage),
+      req.user.UserID
+    );
+
+    res.json(formatted);
+  } catch (error) {
+    handleGroupError(res, error, "Failed to update member role");
+  }
+};
+
+/**
+ * Maps pin and conversation info errors to HTTP responses
+ */
+const handlePinError = (res, error, defaultMessage) => {
+  const message = error.message;
+  if (
+    message.includes("Conversation not found") ||
+    message.includes("Message not found")
+  ) {
+    return res.status(404).json({ error: message });
+  }
+  if (message.includes("Only group admins")) {
+    return res.status(403).json({ error: message });
+  }
+  if (message.includes("already pinned") || message.includes("limit reached")) {
+    return res.status(409).json({ error: message });
+  }
+  if (message.includes("not pinned")) {
+    return res.status(404).json({ error: message });
+  }
+  handleServerError(res, error, defaultMessage);
+};
+
+/**
+ * Get the info panel of a conversation: participants, pinned messages,
+ * shared media, files and links, and message counts
+ */
+const getConversationInfo = async (req, res) => {
+  try {
+    const info = await conversationInfoService.getConversationInfo(
+      req.user.UserID,
+      req.params.conversationId,
+      { limit: req.query.limit }
+    );
+    res.json(info);
+  } catch (error) {
+    handlePinError(res, error, "Failed to fetch conversation info");
+  }
+};
+
+/**
+ * List the pinned messages of a conversation
+ */
+const getPinnedMessages = async (req, res) => {
+  try {
+    const pins = await conversationInfoService.getPinnedMessages(
+      req.user.UserID,
+      req.params.conversationId
+    );
+    res.json(pins);
+  } catch (error) {
+    handlePinError(res, error, "Failed to fetch pinned messages");
+  }
+};
+
+/**
+ * Pin a message to the top of its conversation (real-time)
+ */
+const pinMessage = async (req, res) => {
+  const { conversationId } = req.params;
+  const io = req.app.get("io");
+
+  try {
+    const pin = await conversationInfoService.pinMessage(
+      req.user.UserID,
+      conversationId,
+      req.body.messageId
+    );
+    io.to(conversationRoom(conversationId)).emit("message:pinned", pin);
+    res.status(201).json(pin);
+  } catch (error) {
+    handlePinError(res, error, "Failed to pin message");
+  }
+};
+
+/**
+ * Unpin a message (real-time)
+ */
+const unpinMessage = async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const io = req.app.get("io");
+
+  try {
+    await conversationInfoService.unpinMessage(
+      req.user.UserID,
+      conversationId,
+      messageId
+    );
+    io.to(conversationRoom(conversationId)).emit("message:unpinned", {
+      messageId,
+      conversationId,
+      unpinnedBy: req.user.UserID,
+    });
+    res.json({ success: true });
+  } catch (error) {
+    handlePinError(res, error, "Failed to unpin message");
+  }
+};
+
+/**
+ * Maps reaction errors to HTTP responses
+ */
+const handleReactionError = (res, error, defaultMessage) => {
+  const message = error.message;
+  if (message.includes("Message not found")) {
+    return res.status(404).json({ error: message });
+  }
+  if (
+    message.includes("not allowed") ||
+    message.includes("Cannot react") ||
+    message.includes("limit reached")
+  ) {
+    return res.status(400).json({ error: message });
+  }
+  handleServerError(res, error, defaultMessage);
+};
+
+/**
+ * Add a reaction to a message (no-op if the caller already reacted with it)
+ */
+const addReaction = async (req, res) => {
+  const { messageId } = req.params;
+  const io = req.app.get("io");
+
+  try {
+    const result = await reactionService.setReaction(
+      req.user.UserID,
+      messageId,
+      req.body.emoji,
+      true
+    );
+    reactionService.emitReactionChange(io, req.user, messageId, result, true);
+    res.status(result.changed ? 201 : 200).json({
+      emoji: result.emoji,
+      summary: result.summary,
+    });
+  } catch (error) {
+    handleReactionError(res, error, "Failed to add reaction");
+  }
+};
+
+/**
+ * Remove one of the caller's reactions from a message
+ */
+const removeReaction = async (req, res) => {
+  const { messageId, emoji } = req.params;
+  const io = req.app.get("io");
+
+  try {
+    const result = await reactionService.setReaction(
+      req.user.UserID,
+      messageId,
+      emoji,
+      false
+    );
+    reactionService.emitReactionChange(io, req.user, messageId, result, false);
+    res.json({ emoji: result.emoji, summary: result.summary });
+  } catch (error) {
+    handleReactionError(res, error, "Failed to remove reaction");
+  }
+};
+
+/**
+ * List who reacted to a message, grouped by emoji
+ */
+const getMessageReactions = async (req, res) => {
+  try {
+    const reactions = await reactionService.getMessageReactions(
+      req.user.UserID,
+      req.params.messageId,
+      req.query.emoji
+    );
+    res.json(reactions);
+  } catch (error) {
+    handleReactionError(res, error, "Failed to fetch reactions");
+  }
+};
+
+/**
+ * Set or turn off the disappearing message timer of a conversation
+ */
+const setDisappearingTimer = async (req, res) => {
+  const { conversationId } = req.params;
+  const timer = req.body.timer === null ? null : parseInt(req.body.timer);
+  const io = req.app.get("io");
+
+  try {
+    const { participantIds, messageTtlSeconds, systemMessage } =
+      await conversationService.setDisappearingTimer(
+        conversationId,
+        req.user,
+        timer
+      );
+
+    emitToUsers(io, participantIds, "conversation:disappearing", {
+      conversationId,
+      messageTtlSeconds,
+    });
+    emitMessageToParticipants(
+      io,
+      conversationId,
+      formatSystemMessage(systemMessage),
+      req.user.UserID
+    );
+
+    res.json({ conversationId, messageTtlSeconds });
+  } catch (error) {
+    handleGroupError(res, error, "Failed to update disappearing messages");
+  }
+};
+
+/**
+ * List the caller's pending scheduled messages
+ */
+const getScheduledMessages = async (req, res) => {
+  try {
+    const scheduled = await scheduledMessageService.listScheduled(
+      req.user.UserID,
+      req.query.conversationId
+    );
+    res.json({ scheduled });
+  } catch (error) {
+    handleServerError(res, error, "Failed to fetch scheduled messages");
+  }
+};
+
+/**
+ * Cancel a pending scheduled message
+ */
+const cancelScheduledMessage = async (req, res) => {
+  try {
+    const canceled = await scheduledMessageService.cancelScheduled(
+      req.user.UserID,
+      req.params.scheduledId
+    );
+    if (!canceled) {
+      return res.status(404).json({ error: "Scheduled message not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    handleServerError(res, error, "Failed to cancel scheduled message");
+  }
+};
+
+/**
+ * Record delivery or read receipts for a batch of messages
+ */
+const updateReceipts = async (req, res) => {
+  const { messageIds, status } = req.body;
+  const userId = req.user.UserID;
+  const io = req.app.get("io");
+
+  try {
+    if (status === "DELIVERED") {
+      const changed = await receiptService.markDelivered(userId, {
+        messageIds,
+      });
+      receiptService.emitStatusChanges(io, changed);
+      return res.json({ success: true, cursors: [] });
+    }
+
+    const { cursors, changed } = await receiptService.markRead(
+      userId,
+      messageIds
+    );
+    cursors.forEach((cursor) =>
+      io.to(conversationRoom(cursor.conversationId)).emit("messages:read", cursor)
+    );
+    receiptService.emitStatusChanges(io, changed);
+
+    res.json({ success: true, cursors });
+  } catch (error) {
+    handleServerError(res, error, "Failed to update receipts");
+  }
+};
+
+/**
+ * Move the caller's "read up to" cursor in a conversation
+ */
+const markConversationRead = async (req, res) => {
+  const { conversationId } = req.params;
+  const { messageId } = req.body;
+  const userId = req.user.UserID;
+  const io = req.app.get("io");
+
+  try {
+    const isParticipant = await prisma.conversation.count({
+      where: { Id: conversationId, Participants: { some: { UserID: userId } } },
+    });
+    if (!isParticipant) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const result = await receiptService.markReadUpTo(
+      userId,
+      conversationId,
+      messageId
+    );
+    if (!result) {
+      return res.json({ cursor: null });
+    }
+
+    io.to(conversationRoom(conversationId)).emit("messages:read", result.cursor);
+    receiptService.emitStatusChanges(io, result.changed);
+
+    res.json({ cursor: result.cursor });
+  } catch (error) {
+    if (error.message.includes("Message not found")) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes("does not belong")) {
+      return res.status(400).json({ error: error.message });
+    }
+    handleServerError(res, error, "Failed to mark conversation as read");
+  }
+};
+
+/**
+ * Get per-recipient delivery and read state of a message
+ */
+const getMessageReceipts = async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.UserID;
+
+  try {
+    const message = await prisma.message.findUnique({
+      where: { Id: messageId },
+      select: {
+        Id: true,
+        Status: true,
+        Conversation: {
+          select: {
+            Participants: { where: { UserID: userId }, select: { UserID: true } },
+          },
+        },
+        Receipts: {
+          select: {
+            UserId: true,
+            DeliveredAt: true,
+            ReadAt: true,
+            User: {
+              select: { UserID: true, Username: true, ProfilePicture: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (!message.Conversation.Participants.length) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    res.json({
+      messageId: message.Id,
+      status: receiptService.aggregateStatus(message, message.Receipts),
+      receipts: message.Receipts.map((r) => ({
+        user: r.User,
+        deliveredAt: r.DeliveredAt,
+        readAt: r.ReadAt,
+      })),
+    });
+  } catch (error) {
+    handleServerError(res, error, "Failed to fetch receipts");
+  }
+};
+
 module.exports = {
   getConversations,
+  getUnreadCount,
+  updateConversationState,
   startConversation,
   getMessages,
   sendMessage,
+  uploadAttachment,
   replyToStory,
+  forwardMessage,
+  shareToConversation,
   editMessage,
+  getMessageEdits,
   deleteMessage,
   searchMessages,
+  searchAllMessages,
   searchConversations,
+  createGroupConversation,
+  updateGroupConversation,
+  getConversationMembers,
+  getConversationInfo,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  addConversationMembers,
+  removeConversationMember,
+  leaveConversation,
+  updateConversationMemberRole,
+  updateReceipts,
+  markConversationRead,
+  getMessageReceipts,
+  addReaction,
+  removeReaction,
+  getMessageReactions,
+  setDisappearingTimer,
+  getScheduledMessages,
+  cancelScheduledMessage,
   messageRateLimiter,
 };
\ No newline at end of file
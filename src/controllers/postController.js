@@ -10,6 +10,8 @@ const {
 } = require("../utils/errorHandler");
 
 const NotificationService = require("../services/notificationService");
+const { canViewPost } = require("../services/contentAccessService");
+const { rolesWithPermission } = require("../config/permissions");
 
 // Constants for configuration
 const POST_CACHE_TTL = 3600; // 1 hour cache duration for debugging
@@ -302,8 +304,9 @@ async function notifyAdminsAboutReport(
   reporterUsername
 ) {
   try {
+    // Everyone whose role can review reports, not only admins
     const admins = await prisma.user.findMany({
-      where: { Role: "ADMIN" },
+      where: { Role: { in: rolesWithPermission("reports:read") } },
       select: { UserID: true },
     });
 
@@ -2756,26 +2759,6 @@ const sharePost = async (req, res) => {
   }
 };
 
-
-// Helper function to check if user can view the post (reused from getPostById logic)
-async function canViewPost(userId, post) {
-  if (post.privacy === "PUBLIC") return true;
-  if (post.UserID === userId) return true;
-
-  if (post.privacy === "FOLLOWERS_ONLY") {
-    const isFollower = await prisma.follower.findFirst({
-      where: {
-        UserID: post.UserID,
-        FollowerUserID: userId,
-        Status: "ACCEPTED",
-      },
-    });
-    return !!isFollower;
-  }
-
-  return false; // For PRIVATE
-}
-
 /**
  * Get post likers with pagination
  * - Excludes likes already returned in getPosts/getPostById (current user + followed users)
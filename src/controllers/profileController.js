@@ -1,4 +1,6 @@
 const NotificationService = require("../services/notificationService");
+const presenceService = require("../services/presenceService");
+const { sendEmailVerification } = require("../services/authService");
 const logger = require("../utils/logger");
 const prisma = require("../utils/prisma");
 const bcrypt = require("bcryptjs");
@@ -307,6 +309,7 @@ const getProfile = async (req, res) => {
         JobTitle: true,
         DateOfBirth: true,
         IsPrivate: true,
+        HideLastSeen: true,
         Role: true,
         CreatedAt: true,
         UpdatedAt: true,
@@ -338,6 +341,7 @@ const getProfile = async (req, res) => {
       jobTitle: user.JobTitle,
       dateOfBirth: user.DateOfBirth,
       isPrivate: user.IsPrivate,
+      hideLastSeen: user.HideLastSeen,
       role: user.Role,
       createdAt: user.CreatedAt,
       updatedAt: user.UpdatedAt,
@@ -401,7 +405,7 @@ const updateProfile = async (req, res) => {
     // Fetch current user data to get the old username
     const currentUser = await prisma.user.findUnique({
       where: { UserID: userId },
-      select: { Username: true, IsPrivate: true },
+      select: { Username: true, Email: true, IsPrivate: true },
     });
 
     if (!currentUser) {
@@ -409,6 +413,9 @@ const updateProfile = async (req, res) => {
     }
 
     const wasPrivate = currentUser.IsPrivate;
+    const emailChanged =
+      Boolean(originalEmail) &&
+      originalEmail.toLowerCase() !== currentUser.Email.toLowerCase();
 
     // Upload profile picture if provided
     if (profilePictureFile) {
@@ -513,37 +520,48 @@ const updateProfile = async (req, res) => {
       }
     }
 
-    // Update the user's profile, preserving the original email
-    const updatedUser = await prisma.user.update({
-      where: { UserID: userId },
-      data: {
-        Username: username,
-        Email: originalEmail, // Save the original email as provided
-        Bio: bio,
-        Address: address,
-        JobTitle: jobTitle,
-        DateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined,
-        ProfilePicture: profilePictureUrl,
-        CoverPicture: coverPictureUrl,
-        IsPrivate: parsedIsPrivate,
-        ProfileName: profileName,
-      },
-      select: {
-        UserID: true,
-        Username: true,
-        Email: true,
-        ProfilePicture: true,
-        CoverPicture: true,
-        Bio: true,
-        Address: true,
-        JobTitle: true,
-        DateOfBirth: true,
-        IsPrivate: true,
-        Role: true,
-        CreatedAt: true,
-        UpdatedAt: true,
-        ProfileName: true,
-      },
+    // Update the user's profile, preserving the original email. A new
+    // address is unverified until its link is used; if the link cannot be
+    // sent, the change is rolled back.
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      const user = await tx.user.update({
+        where: { UserID: userId },
+        data: {
+          Username: username,
+          Email: originalEmail, // Save the original email as provided
+          ...(emailChanged && { EmailVerified: false, EmailVerifiedAt: null }),
+          Bio: bio,
+          Address: address,
+          JobTitle: jobTitle,
+          DateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined,
+          ProfilePicture: profilePictureUrl,
+          CoverPicture: coverPictureUrl,
+          IsPrivate: parsedIsPrivate,
+          ProfileName: profileName,
+        },
+        select: {
+          UserID: true,
+          Username: true,
+          Email: true,
+          ProfilePicture: true,
+          CoverPicture: true,
+          Bio: true,
+          Address: true,
+          JobTitle: true,
+          DateOfBirth: true,
+          IsPrivate: true,
+          Role: true,
+          CreatedAt: true,
+          UpdatedAt: true,
+          ProfileName: true,
+          EmailVerified: true,
+        },
+      });
+
+      if (emailChanged) {
+        await sendEmailVerification(user);
+      }
+      return user;
     });
 
     if (becomingPublic) {
@@ -608,6 +626,7 @@ const updateProfile = async (req, res) => {
         userId: updatedUser.UserID,
         username: updatedUser.Username,
         email: updatedUser.Email,
+        emailVerified: updatedUser.EmailVerified,
         profilePicture: updatedUser.ProfilePicture,
         coverPicture: updatedUser.CoverPicture,
         bio: updatedUser.Bio,
@@ -773,6 +792,40 @@ const updatePrivacySettings = async (req, res) => {
   }
 };
 
+/**
+ * Hides or shows the user's last seen to followers and conversation partners
+ */
+const updateLastSeenPrivacy = async (req, res) => {
+  try {
+    const setting = await presenceService.setHideLastSeen(
+      req.user.UserID,
+      req.body.hideLastSeen
+    );
+    res.status(200).json({
+      message: "Last seen setting updated successfully",
+      ...setting,
+    });
+  } catch (error) {
+    handleServerError(res, error, "Failed to update last seen setting");
+  }
+};
+
+/**
+ * Online status and last seen of several users, limited to users whose
+ * presence the caller may see
+ */
+const getPresence = async (req, res) => {
+  try {
+    const userIds = String(req.query.ids)
+      .split(",")
+      .map((id) => parseInt(id, 10));
+    const presence = await presenceService.getPresence(req.user.UserID, userIds);
+    res.status(200).json({ presence });
+  } catch (error) {
+    handleServerError(res, error, "Failed to fetch presence");
+  }
+};
+
 /**
  * Permanently deletes user account and all associated data
  * Requires authentication
@@ -2343,6 +2396,8 @@ module.exports = {
   updateProfile,
   changePassword,
   updatePrivacySettings,
+  updateLastSeenPrivacy,
+  getPresence,
   deleteProfile,
   getUserPosts,
   getSavedPosts,
@@ -9,7 +9,9 @@ const {
 } = require("../utils/redisUtils");
 const { uploadToCloud } = require("../services/cloudService");
 const { handleServerError } = require("../utils/errorHandler");
+const { rolesWithPermission } = require("../config/permissions");
 const redis = require("../utils/redis"); // Ensure Redis is imported
+const { userRoom } = require("../socket/rooms");
 
 /**
  * Creates a new story with media
@@ -63,7 +65,7 @@ const createStory = async (req, res) => {
     // Notify via WebSocket
     const io = req.app.get("io");
     if (io) {
-      io.to(`user_${UserID}`).emit("storyUpdate", {
+      io.to(userRoom(UserID)).emit("storyUpdate", {
         storyId: story.StoryID,
         action: "new",
       });
@@ -1194,7 +1196,7 @@ async function notifyAdminsAboutReport(
       reason.length > 50 ? reason.substring(0, 50) + "..." : reason;
 
     const admins = await prisma.user.findMany({
-      where: { Role: "ADMIN" },
+      where: { Role: { in: rolesWithPermission("reports:read") } },
       select: { UserID: true },
     });
 
@@ -293,8 +293,8 @@ const swaggerOptions = {
             },
             code: {
               type: "string",
-              pattern: "^[0-9]{4}$",
-              example: "1234",
+              pattern: "^[0-9]{6}$",
+              example: "123456",
             },
           },
         },
@@ -317,7 +317,6 @@ const swaggerOptions = {
           type: "object",
           properties: {
             message: { type: "string" },
-            codeSent: { type: "boolean" },
             resetToken: { type: "string" },
             data: { type: "object" },
           },
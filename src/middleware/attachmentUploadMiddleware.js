@@ -0,0 +1,44 @@
+const multer = require("multer");
+const {
+  ALLOWED_MIME_TYPES,
+  MAX_ATTACHMENT_SIZE,
+} = require("../config/attachments");
+
+// Single message attachment; per-type size limits are checked by attachmentService
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${file.mimetype} is not allowed`), false);
+    }
+  },
+}).single("attachment");
+
+/**
+ * Parses the "attachment" field of a message upload and answers upload
+ * errors with 400/413 instead of letting them reach the error handler
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const uploadMessageAttachment = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: "File too large" });
+      }
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(400).json({ error: err.message });
+  });
+};
+
+module.exports = uploadMessageAttachment;
@@ -1,10 +1,66 @@
-const jwt = require("jsonwebtoken");
 const prisma = require("../utils/prisma");
 const redis = require("../utils/redis");
-const { handleUnauthorizedError } = require("../utils/errorHandler");
+const {
+  handleUnauthorizedError,
+  handleForbiddenError,
+} = require("../utils/errorHandler");
+const { isActionRestricted } = require("../config/emailVerification");
+const { isTwoFactorRequired } = require("../config/twoFactor");
+const { hasPermission } = require("../config/permissions");
+const {
+  verifyAccessToken,
+  isSessionRevoked,
+} = require("../services/sessionService");
+const {
+  isPersonalAccessToken,
+  authenticateToken,
+} = require("../services/accessTokenService");
+
+/**
+ * Authenticates a request made with a personal access token. The token must
+ * carry the scope that scopeFor assigned to the route; areas without a
+ * scope (auth, admin) are not available to tokens at all.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} rawToken - Token from the Authorization header
+ * @async
+ */
+const authenticatePersonalAccessToken = async (req, res, next, rawToken) => {
+  const result = await authenticateToken(rawToken, req.ip);
+  if (!result) {
+    return handleUnauthorizedError(res, "Invalid or expired access token");
+  }
+
+  if (result.user.IsBanned) {
+    return handleUnauthorizedError(res, "User is banned");
+  }
+
+  if (!req.requiredScope) {
+    return handleForbiddenError(
+      res,
+      "This endpoint is not available to personal access tokens"
+    );
+  }
+
+  if (!result.scopes.includes(req.requiredScope)) {
+    return handleForbiddenError(
+      res,
+      `Token is missing the required scope: ${req.requiredScope}`
+    );
+  }
+
+  req.user = result.user;
+  req.sessionId = null;
+  req.tokenScopes = result.scopes;
+  req.accessTokenId = result.tokenId;
+  next();
+};
 
 /**
  * Verifies JWT token from cookies and attaches user to request.
+ * Requests with "Authorization: Bearer lup_..." are authenticated with a
+ * personal access token instead.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -12,6 +68,13 @@ const { handleUnauthorizedError } = require("../utils/errorHandler");
  */
 const authMiddleware = async (req, res, next) => {
   try {
+    const bearerToken = req
+      .get("authorization")
+      ?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (isPersonalAccessToken(bearerToken)) {
+      return await authenticatePersonalAccessToken(req, res, next, bearerToken);
+    }
+
     const token = req.cookies.accessToken;
     if (!token) {
       return handleUnauthorizedError(res, "No token provided");
@@ -23,9 +86,14 @@ const authMiddleware = async (req, res, next) => {
       return handleUnauthorizedError(res, "Token is blacklisted");
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     console.log("Decoded JWT:", decoded); // Log the decoded token
 
+    // Reject tokens of sessions revoked from another device
+    if (await isSessionRevoked(decoded.sid)) {
+      return handleUnauthorizedError(res, "Session has been revoked");
+    }
+
     const user = await prisma.user.findUnique({
       where: { UserID: decoded.userId },
       select: {
@@ -33,6 +101,8 @@ const authMiddleware = async (req, res, next) => {
         Username: true,
         Role: true,
         IsBanned: true,
+        EmailVerified: true,
+        TwoFactorEnabled: true,
       },
     });
 
@@ -47,6 +117,8 @@ const authMiddleware = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.tokenScopes = null; // Cookie sessions are not limited by scopes
     next();
   } catch (error) {
     console.error("Auth middleware error:", error.message); // Log the error
@@ -54,34 +126,44 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Returns the role of a user.
+ * Caches role in Redis to reduce database queries; the cache is cleared
+ * when an admin assigns a new role.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<string|null>} Role, or null if the user does not exist
+ */
+const getUserRole = async (userId) => {
+  let role = await redis.get(`role:${userId}`);
+
+  // Fetch role from database if not cached
+  if (!role) {
+    const user = await prisma.user.findUnique({
+      where: { UserID: userId },
+      select: { Role: true },
+    });
+
+    if (!user) return null;
+
+    role = user.Role;
+    // Cache role for 1 hour
+    await redis.set(`role:${userId}`, role, 3600);
+  }
+
+  return role;
+};
+
 /**
  * Authorizes requests based on user role.
- * Caches role in Redis to reduce database queries.
  * @param {string[]} allowedRoles - Array of allowed roles
  * @returns {Function} Express middleware
  */
 const authorize = (allowedRoles) => {
   return async (req, res, next) => {
     try {
-      const userId = req.user.UserID;
-      let role = await redis.get(`role:${userId}`);
-
-      // Fetch role from database if not cached
+      const role = await getUserRole(req.user.UserID);
       if (!role) {
-        const user = await prisma.user.findUnique({
-          where: { UserID: userId },
-          select: { Role: true },
-        });
-
-        console.log("Role lookup result:", user); // Log the role lookup
-
-        if (!user) {
-          return handleUnauthorizedError(res, "User not found");
-        }
-
-        role = user.Role;
-        // Cache role for 1 hour
-        await redis.set(`role:${userId}`, role, 3600);
+        return handleUnauthorizedError(res, "User not found");
       }
 
       if (!allowedRoles.includes(role)) {
@@ -96,4 +178,136 @@ const authorize = (allowedRoles) => {
   };
 };
 
-module.exports = { authMiddleware, authorize };
+/**
+ * Authorizes requests based on the permissions granted by the user's role
+ * (see config/permissions.js). All listed permissions are required.
+ * Must run after authMiddleware.
+ * @param {...string} permissions - Required permissions (e.g. "reports:resolve")
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const role = await getUserRole(req.user.UserID);
+      if (!role) {
+        return handleUnauthorizedError(res, "User not found");
+      }
+
+      if (!permissions.every((permission) => hasPermission(role, permission))) {
+        return handleForbiddenError(
+          res,
+          "You don't have permission to perform this action"
+        );
+      }
+
+      // Controllers check per-action permissions against the current role
+      req.user.Role = role;
+      next();
+    } catch (error) {
+      console.error("Permission middleware error:", error.message);
+      handleUnauthorizedError(res, "Authorization failed");
+    }
+  };
+};
+
+/**
+ * Blocks actions that the email verification policy restricts for users
+ * who have not verified their email address. Must run after authMiddleware.
+ * @param {string} action - Policy action (e.g. "posting", "messaging")
+ * @returns {Function} Express middleware
+ */
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (isActionRestricted(req.user, action)) {
+      return handleForbiddenError(
+        res,
+        "Please verify your email address to use this feature"
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Blocks users whose role must use two-factor authentication (see
+ * TWO_FACTOR_REQUIRED_ROLES) until they have enrolled. Must run after
+ * authMiddleware.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireTwoFactor = (req, res, next) => {
+  if (isTwoFactorRequired(req.user) && !req.user.TwoFactorEnabled) {
+    return handleForbiddenError(
+      res,
+      "Two-factor authentication must be enabled to access this resource"
+    );
+  }
+  next();
+};
+
+/**
+ * Assigns the personal access token scope required by an API area:
+ * "<resource>:read" for GET/HEAD requests, "<resource>:write" otherwise.
+ * Mounted in front of routers in routes/index.js; enforced by authMiddleware.
+ * @param {string} resource - Scope resource (e.g. "posts")
+ * @returns {Function} Express middleware
+ */
+const scopeFor = (resource) => {
+  return (req, res, next) => {
+    const access = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+    req.requiredScope = `${resource}:${access}`;
+    next();
+  };
+};
+
+/**
+ * Requires scopes for requests made with a personal access token, on top of
+ * the scope of the API area (see scopeFor), for routes that read or change
+ * another area. Cookie sessions pass through. Must run after authMiddleware.
+ * @param {...string} scopes - Required scopes (e.g. "posts:read")
+ * @returns {Function} Express middleware
+ */
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.tokenScopes) return next();
+
+    const missing = scopes.filter((scope) => !req.tokenScopes.includes(scope));
+    if (missing.length > 0) {
+      return handleForbiddenError(
+        res,
+        `Token is missing the required scope: ${missing.join(", ")}`
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Refuses personal access tokens on routes that could take over the
+ * account (password, email, deletion), whatever their scopes: these need a
+ * login session. Must run after authMiddleware.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireSession = (req, res, next) => {
+  if (req.accessTokenId) {
+    return handleForbiddenError(
+      res,
+      "This endpoint is not available to personal access tokens"
+    );
+  }
+  next();
+};
+
+module.exports = {
+  authMiddleware,
+  authorize,
+  requirePermission,
+  requireVerifiedEmail,
+  requireTwoFactor,
+  scopeFor,
+  requireScope,
+  requireSession,
+};
@@ -1,6 +1,7 @@
 const moderationService = require("../services/moderationService");
 const logger = require("../utils/logger");
 const { handleValidationError } = require("../utils/errorHandler");
+const { userRoom } = require("../socket/rooms");
 
 const moderateContent = async (req, res, next) => {
   try {
@@ -10,7 +11,7 @@ const moderateContent = async (req, res, next) => {
 
     if (!isSafe) {
       const io = req.app.get("io");
-      io.to(`user_${req.user.UserID}`).emit("contentRejected", {
+      io.to(userRoom(req.user.UserID)).emit("contentRejected", {
         userId: req.user.UserID,
         reason: details,
       });
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "Session" (
+    "SessionID" TEXT NOT NULL,
+    "UserID" INTEGER NOT NULL,
+    "RefreshTokenHash" TEXT NOT NULL,
+    "UserAgent" TEXT,
+    "IPAddress" TEXT,
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "LastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ExpiresAt" TIMESTAMP(3) NOT NULL,
+    "RevokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Session_pkey" PRIMARY KEY ("SessionID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Session_RefreshTokenHash_key" ON "Session"("RefreshTokenHash");
+
+-- CreateIndex
+CREATE INDEX "Session_UserID_RevokedAt_idx" ON "Session"("UserID", "RevokedAt");
+
+-- CreateIndex
+CREATE INDEX "Session_ExpiresAt_idx" ON "Session"("ExpiresAt");
+
+-- AddForeignKey
+ALTER TABLE "Session" ADD CONSTRAINT "Session_UserID_fkey" FOREIGN KEY ("UserID") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- DropIndex
+DROP INDEX "Session_RefreshTokenHash_key";
+
+-- AlterTable
+ALTER TABLE "Session" DROP COLUMN "RefreshTokenHash",
+ADD COLUMN     "RevokedReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "RefreshToken" (
+    "TokenID" TEXT NOT NULL,
+    "SessionID" TEXT NOT NULL,
+    "TokenHash" TEXT NOT NULL,
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ExpiresAt" TIMESTAMP(3) NOT NULL,
+    "RotatedAt" TIMESTAMP(3),
+    "ReplacedByID" TEXT,
+
+    CONSTRAINT "RefreshToken_pkey" PRIMARY KEY ("TokenID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RefreshToken_TokenHash_key" ON "RefreshToken"("TokenHash");
+
+-- CreateIndex
+CREATE INDEX "RefreshToken_SessionID_idx" ON "RefreshToken"("SessionID");
+
+-- AddForeignKey
+ALTER TABLE "RefreshToken" ADD CONSTRAINT "RefreshToken_SessionID_fkey" FOREIGN KEY ("SessionID") REFERENCES "Session"("SessionID") ON DELETE CASCADE ON UPDATE CASCADE;
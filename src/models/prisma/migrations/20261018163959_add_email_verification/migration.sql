@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "EmailVerified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "EmailVerifiedAt" TIMESTAMP(3);
+
+-- Accounts created before verification existed keep posting and messaging
+UPDATE "User" SET "EmailVerified" = true;
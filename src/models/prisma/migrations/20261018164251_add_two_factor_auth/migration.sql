@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "TwoFactorEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "TwoFactorEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "TwoFactorSecret" TEXT;
+
+-- CreateTable
+CREATE TABLE "RecoveryCode" (
+    "CodeID" SERIAL NOT NULL,
+    "UserID" INTEGER NOT NULL,
+    "CodeHash" TEXT NOT NULL,
+    "UsedAt" TIMESTAMP(3),
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RecoveryCode_pkey" PRIMARY KEY ("CodeID")
+);
+
+-- CreateIndex
+CREATE INDEX "RecoveryCode_UserID_idx" ON "RecoveryCode"("UserID");
+
+-- AddForeignKey
+ALTER TABLE "RecoveryCode" ADD CONSTRAINT "RecoveryCode_UserID_fkey" FOREIGN KEY ("UserID") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "AuthProvider" AS ENUM ('GOOGLE', 'FACEBOOK', 'TWITTER');
+
+-- CreateTable
+CREATE TABLE "LinkedIdentity" (
+    "IdentityID" SERIAL NOT NULL,
+    "UserID" INTEGER NOT NULL,
+    "Provider" "AuthProvider" NOT NULL,
+    "ProviderUserID" TEXT NOT NULL,
+    "Email" TEXT,
+    "DisplayName" TEXT,
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "LastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LinkedIdentity_pkey" PRIMARY KEY ("IdentityID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LinkedIdentity_Provider_ProviderUserID_key" ON "LinkedIdentity"("Provider", "ProviderUserID");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LinkedIdentity_UserID_Provider_key" ON "LinkedIdentity"("UserID", "Provider");
+
+-- AddForeignKey
+ALTER TABLE "LinkedIdentity" ADD CONSTRAINT "LinkedIdentity_UserID_fkey" FOREIGN KEY ("UserID") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "PersonalAccessToken" (
+    "TokenID" TEXT NOT NULL,
+    "UserID" INTEGER NOT NULL,
+    "Name" TEXT NOT NULL,
+    "TokenHash" TEXT NOT NULL,
+    "TokenPrefix" TEXT NOT NULL,
+    "Scopes" TEXT[],
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "LastUsedAt" TIMESTAMP(3),
+    "LastUsedIP" TEXT,
+    "ExpiresAt" TIMESTAMP(3),
+    "RevokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PersonalAccessToken_pkey" PRIMARY KEY ("TokenID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PersonalAccessToken_TokenHash_key" ON "PersonalAccessToken"("TokenHash");
+
+-- CreateIndex
+CREATE INDEX "PersonalAccessToken_UserID_idx" ON "PersonalAccessToken"("UserID");
+
+-- AddForeignKey
+ALTER TABLE "PersonalAccessToken" ADD CONSTRAINT "PersonalAccessToken_UserID_fkey" FOREIGN KEY ("UserID") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
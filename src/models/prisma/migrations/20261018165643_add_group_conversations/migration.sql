@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "MessageType" AS ENUM ('USER', 'SYSTEM');
+
+-- CreateEnum
+CREATE TYPE "ConversationRole" AS ENUM ('OWNER', 'ADMIN', 'MEMBER');
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "AvatarUrl" TEXT,
+ADD COLUMN     "IsGroup" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "Title" TEXT;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "Type" "MessageType" NOT NULL DEFAULT 'USER';
+
+-- CreateTable
+CREATE TABLE "ConversationMember" (
+    "ConversationId" TEXT NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "Role" "ConversationRole" NOT NULL DEFAULT 'MEMBER',
+    "AddedById" INTEGER,
+    "JoinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConversationMember_pkey" PRIMARY KEY ("ConversationId","UserId")
+);
+
+-- CreateIndex
+CREATE INDEX "ConversationMember_UserId_idx" ON "ConversationMember"("UserId");
+
+-- AddForeignKey
+ALTER TABLE "ConversationMember" ADD CONSTRAINT "ConversationMember_ConversationId_fkey" FOREIGN KEY ("ConversationId") REFERENCES "Conversation"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationMember" ADD CONSTRAINT "ConversationMember_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
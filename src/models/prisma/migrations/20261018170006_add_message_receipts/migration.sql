@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "MessageReceipt" (
+    "MessageId" TEXT NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "DeliveredAt" TIMESTAMP(3),
+    "ReadAt" TIMESTAMP(3),
+
+    CONSTRAINT "MessageReceipt_pkey" PRIMARY KEY ("MessageId","UserId")
+);
+
+-- CreateTable
+CREATE TABLE "ConversationReadState" (
+    "ConversationId" TEXT NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "LastReadMessageId" TEXT,
+    "LastReadAt" TIMESTAMP(3),
+
+    CONSTRAINT "ConversationReadState_pkey" PRIMARY KEY ("ConversationId","UserId")
+);
+
+-- CreateIndex
+CREATE INDEX "MessageReceipt_UserId_ReadAt_idx" ON "MessageReceipt"("UserId", "ReadAt");
+
+-- CreateIndex
+CREATE INDEX "ConversationReadState_UserId_idx" ON "ConversationReadState"("UserId");
+
+-- AddForeignKey
+ALTER TABLE "MessageReceipt" ADD CONSTRAINT "MessageReceipt_MessageId_fkey" FOREIGN KEY ("MessageId") REFERENCES "Message"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageReceipt" ADD CONSTRAINT "MessageReceipt_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationReadState" ADD CONSTRAINT "ConversationReadState_ConversationId_fkey" FOREIGN KEY ("ConversationId") REFERENCES "Conversation"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationReadState" ADD CONSTRAINT "ConversationReadState_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
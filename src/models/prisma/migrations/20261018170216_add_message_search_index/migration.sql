@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "SearchIndexed" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "MessageSearchToken" (
+    "MessageId" TEXT NOT NULL,
+    "ConversationId" TEXT NOT NULL,
+    "Token" TEXT NOT NULL,
+
+    CONSTRAINT "MessageSearchToken_pkey" PRIMARY KEY ("MessageId","Token")
+);
+
+-- CreateIndex
+CREATE INDEX "MessageSearchToken_ConversationId_Token_idx" ON "MessageSearchToken"("ConversationId", "Token");
+
+-- AddForeignKey
+ALTER TABLE "MessageSearchToken" ADD CONSTRAINT "MessageSearchToken_MessageId_fkey" FOREIGN KEY ("MessageId") REFERENCES "Message"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
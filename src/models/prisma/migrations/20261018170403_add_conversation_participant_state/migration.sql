@@ -0,0 +1,21 @@
+-- Rename the read state table instead of recreating it, to keep read positions
+
+-- RenameTable
+ALTER TABLE "ConversationReadState" RENAME TO "ConversationParticipantState";
+
+-- RenamePrimaryKey
+ALTER TABLE "ConversationParticipantState" RENAME CONSTRAINT "ConversationReadState_pkey" TO "ConversationParticipantState_pkey";
+
+-- RenameForeignKey
+ALTER TABLE "ConversationParticipantState" RENAME CONSTRAINT "ConversationReadState_ConversationId_fkey" TO "ConversationParticipantState_ConversationId_fkey";
+
+-- RenameForeignKey
+ALTER TABLE "ConversationParticipantState" RENAME CONSTRAINT "ConversationReadState_UserId_fkey" TO "ConversationParticipantState_UserId_fkey";
+
+-- RenameIndex
+ALTER INDEX "ConversationReadState_UserId_idx" RENAME TO "ConversationParticipantState_UserId_idx";
+
+-- AlterTable
+ALTER TABLE "ConversationParticipantState" ADD COLUMN     "IsArchived" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "MutedUntil" TIMESTAMP(3),
+ADD COLUMN     "PinnedAt" TIMESTAMP(3);
@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "ScheduledMessageStatus" AS ENUM ('PENDING', 'SENDING', 'SENT', 'FAILED', 'CANCELED');
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "MessageTtlSeconds" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "ExpiresAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ScheduledMessage" (
+    "Id" TEXT NOT NULL,
+    "ConversationId" TEXT NOT NULL,
+    "SenderId" INTEGER NOT NULL,
+    "Content" TEXT,
+    "ReplyToId" TEXT,
+    "Attachment" JSONB,
+    "SendAt" TIMESTAMP(3) NOT NULL,
+    "Status" "ScheduledMessageStatus" NOT NULL DEFAULT 'PENDING',
+    "MessageId" TEXT,
+    "FailureReason" TEXT,
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "UpdatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScheduledMessage_pkey" PRIMARY KEY ("Id")
+);
+
+-- CreateIndex
+CREATE INDEX "ScheduledMessage_Status_SendAt_idx" ON "ScheduledMessage"("Status", "SendAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledMessage_SenderId_Status_idx" ON "ScheduledMessage"("SenderId", "Status");
+
+-- CreateIndex
+CREATE INDEX "Message_ExpiresAt_idx" ON "Message"("ExpiresAt");
+
+-- AddForeignKey
+ALTER TABLE "ScheduledMessage" ADD CONSTRAINT "ScheduledMessage_ConversationId_fkey" FOREIGN KEY ("ConversationId") REFERENCES "Conversation"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduledMessage" ADD CONSTRAINT "ScheduledMessage_SenderId_fkey" FOREIGN KEY ("SenderId") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "Reaction_MessageId_UserId_key";
+
+-- AlterTable
+ALTER TABLE "Reaction" ADD COLUMN     "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Reaction_MessageId_UserId_Emoji_key" ON "Reaction"("MessageId", "UserId", "Emoji");
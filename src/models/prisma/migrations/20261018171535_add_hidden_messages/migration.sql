@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "MessageHidden" (
+    "MessageId" TEXT NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "HiddenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MessageHidden_pkey" PRIMARY KEY ("MessageId","UserId")
+);
+
+-- CreateIndex
+CREATE INDEX "MessageHidden_UserId_idx" ON "MessageHidden"("UserId");
+
+-- AddForeignKey
+ALTER TABLE "MessageHidden" ADD CONSTRAINT "MessageHidden_MessageId_fkey" FOREIGN KEY ("MessageId") REFERENCES "Message"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageHidden" ADD CONSTRAINT "MessageHidden_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PinnedMessage" (
+    "MessageId" TEXT NOT NULL,
+    "ConversationId" TEXT NOT NULL,
+    "PinnedById" INTEGER NOT NULL,
+    "PinnedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PinnedMessage_pkey" PRIMARY KEY ("MessageId")
+);
+
+-- CreateIndex
+CREATE INDEX "PinnedMessage_ConversationId_PinnedAt_idx" ON "PinnedMessage"("ConversationId", "PinnedAt");
+
+-- AddForeignKey
+ALTER TABLE "PinnedMessage" ADD CONSTRAINT "PinnedMessage_MessageId_fkey" FOREIGN KEY ("MessageId") REFERENCES "Message"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PinnedMessage" ADD CONSTRAINT "PinnedMessage_ConversationId_fkey" FOREIGN KEY ("ConversationId") REFERENCES "Conversation"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PinnedMessage" ADD CONSTRAINT "PinnedMessage_PinnedById_fkey" FOREIGN KEY ("PinnedById") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
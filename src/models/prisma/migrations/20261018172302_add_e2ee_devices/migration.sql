@@ -0,0 +1,79 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "IsEncrypted" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "SenderDeviceId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Device" (
+    "DeviceID" SERIAL NOT NULL,
+    "UserID" INTEGER NOT NULL,
+    "SessionId" TEXT,
+    "Name" TEXT,
+    "RegistrationId" INTEGER NOT NULL,
+    "IdentityKey" BYTEA NOT NULL,
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "LastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Device_pkey" PRIMARY KEY ("DeviceID")
+);
+
+-- CreateTable
+CREATE TABLE "PreKey" (
+    "Id" SERIAL NOT NULL,
+    "DeviceID" INTEGER NOT NULL,
+    "KeyId" INTEGER NOT NULL,
+    "PublicKey" BYTEA NOT NULL,
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PreKey_pkey" PRIMARY KEY ("Id")
+);
+
+-- CreateTable
+CREATE TABLE "SignedPreKey" (
+    "DeviceID" INTEGER NOT NULL,
+    "KeyId" INTEGER NOT NULL,
+    "PublicKey" BYTEA NOT NULL,
+    "Signature" BYTEA NOT NULL,
+    "CreatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SignedPreKey_pkey" PRIMARY KEY ("DeviceID")
+);
+
+-- CreateTable
+CREATE TABLE "MessageEnvelope" (
+    "MessageId" TEXT NOT NULL,
+    "DeviceID" INTEGER NOT NULL,
+    "Type" INTEGER NOT NULL,
+    "Body" TEXT NOT NULL,
+
+    CONSTRAINT "MessageEnvelope_pkey" PRIMARY KEY ("MessageId","DeviceID")
+);
+
+-- CreateIndex
+CREATE INDEX "Device_SessionId_idx" ON "Device"("SessionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Device_UserID_RegistrationId_key" ON "Device"("UserID", "RegistrationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PreKey_DeviceID_KeyId_key" ON "PreKey"("DeviceID", "KeyId");
+
+-- CreateIndex
+CREATE INDEX "MessageEnvelope_DeviceID_idx" ON "MessageEnvelope"("DeviceID");
+
+-- AddForeignKey
+ALTER TABLE "Device" ADD CONSTRAINT "Device_UserID_fkey" FOREIGN KEY ("UserID") REFERENCES "User"("UserID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Device" ADD CONSTRAINT "Device_SessionId_fkey" FOREIGN KEY ("SessionId") REFERENCES "Session"("SessionID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PreKey" ADD CONSTRAINT "PreKey_DeviceID_fkey" FOREIGN KEY ("DeviceID") REFERENCES "Device"("DeviceID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SignedPreKey" ADD CONSTRAINT "SignedPreKey_DeviceID_fkey" FOREIGN KEY ("DeviceID") REFERENCES "Device"("DeviceID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageEnvelope" ADD CONSTRAINT "MessageEnvelope_MessageId_fkey" FOREIGN KEY ("MessageId") REFERENCES "Message"("Id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageEnvelope" ADD CONSTRAINT "MessageEnvelope_DeviceID_fkey" FOREIGN KEY ("DeviceID") REFERENCES "Device"("DeviceID") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "EncryptionMigration" (
+    "Target" TEXT NOT NULL,
+    "KeyVersion" INTEGER NOT NULL,
+    "Cursor" TEXT,
+    "Migrated" INTEGER NOT NULL DEFAULT 0,
+    "Failed" INTEGER NOT NULL DEFAULT 0,
+    "StartedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "UpdatedAt" TIMESTAMP(3) NOT NULL,
+    "CompletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "EncryptionMigration_pkey" PRIMARY KEY ("Target")
+);
@@ -2,13 +2,21 @@ const express = require("express");
 const router = express.Router();
 const adminController = require("../controllers/adminController");
 const { validate } = require("../middleware/validationMiddleware");
-const { authMiddleware, authorize } = require("../middleware/authMiddleware");
+const {
+  authMiddleware,
+  requirePermission,
+  requireTwoFactor,
+} = require("../middleware/authMiddleware");
+const { assignRoleValidationRules } = require("../validators/adminValidators");
 
 /**
  * @swagger
  * tags:
  *   name: Admin
- *   description: Admin management endpoints
+ *   description: |
+ *     Staff management endpoints. Access is granted by permissions derived from the role
+ *     (see `GET /admin/roles`): MODERATOR can review and resolve reports and warn users,
+ *     SUPPORT can read user accounts and support requests, ADMIN has every permission.
  */
 
 /**
@@ -44,7 +52,7 @@ const { authMiddleware, authorize } = require("../middleware/authMiddleware");
  *           type: string
  *         role:
  *           type: string
- *           enum: [USER, ADMIN, BANNED]
+ *           enum: [USER, MODERATOR, SUPPORT, ADMIN, BANNED]
  *         isBanned:
  *           type: boolean
  *         createdAt:
@@ -75,7 +83,7 @@ const { authMiddleware, authorize } = require("../middleware/authMiddleware");
  *           type: integer
  *         role:
  *           type: string
- *           enum: [USER, ADMIN, BANNED]
+ *           enum: [USER, MODERATOR, SUPPORT, ADMIN, BANNED]
  *         isBanned:
  *           type: boolean
  *         reason:
@@ -243,12 +251,13 @@ const { authMiddleware, authorize } = require("../middleware/authMiddleware");
  *       401:
  *         description: Unauthorized (missing or invalid token)
  *       403:
- *         description: Forbidden (not an admin)
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
  */
 router.get(
   "/reports",
   authMiddleware,
-  authorize("ADMIN"),
+  requirePermission("reports:read"),
+  requireTwoFactor,
   adminController.getReportedPosts
 );
 
@@ -305,12 +314,13 @@ router.get(
  *       401:
  *         description: Unauthorized (missing or invalid token)
  *       403:
- *         description: Forbidden (not an admin)
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
  */
 router.get(
   "/users",
   authMiddleware,
-  authorize("ADMIN"),
+  requirePermission("users:read"),
+  requireTwoFactor,
   adminController.getAllUsers
 );
 
@@ -344,14 +354,15 @@ router.get(
  *       401:
  *         description: Unauthorized (missing or invalid token)
  *       403:
- *         description: Forbidden (not an admin)
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
  *       404:
  *         description: User not found
  */
 router.get(
   "/users/:userId",
   authMiddleware,
-  authorize("ADMIN"),
+  requirePermission("users:read"),
+  requireTwoFactor,
   adminController.getUserDetails
 );
 
@@ -360,6 +371,7 @@ router.get(
  * /admin/users/{userId}:
  *   put:
  *     summary: Update user role or ban status
+ *     description: Requires `users:ban`; changing the role also requires `roles:assign`.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -395,14 +407,15 @@ router.get(
  *       401:
  *         description: Unauthorized (missing or invalid token)
  *       403:
- *         description: Forbidden (not an admin)
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
  *       404:
  *         description: User not found
  */
 router.put(
   "/users/:userId",
   authMiddleware,
-  authorize("ADMIN"),
+  requirePermission("users:ban"),
+  requireTwoFactor,
   validate,
   adminController.updateUser
 );
@@ -412,6 +425,9 @@ router.put(
  * /admin/actions:
  *   post:
  *     summary: Take admin action
+ *     description: |
+ *       DELETE_POST and DISMISS_REPORT require `reports:resolve`, WARN_USER requires
+ *       `users:warn` and BAN_USER requires `users:ban`.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -440,16 +456,281 @@ router.put(
  *       401:
  *         description: Unauthorized (missing or invalid token)
  *       403:
- *         description: Forbidden (not an admin)
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
  *       404:
  *         description: Target not found (user/post)
  */
 router.post(
   "/actions",
   authMiddleware,
-  authorize("ADMIN"),
+  requirePermission("reports:resolve"),
+  requireTwoFactor,
   validate,
   adminController.takeAction
 );
 
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     summary: List roles and their permissions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles and permissions
+ *         content:
+ *           application/json:
+ *             example:
+ *               data:
+ *                 roles:
+ *                   - role: MODERATOR
+ *                     permissions: [reports:read, reports:resolve, users:read, users:warn]
+ *                   - role: SUPPORT
+ *                     permissions: [users:read, support:read]
+ *                 permissions:
+ *                   reports:resolve: Dismiss reports and remove reported posts
+ *       401:
+ *         description: Unauthorized (missing or invalid token)
+ *       403:
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
+ */
+router.get(
+  "/roles",
+  authMiddleware,
+  requirePermission("users:read"),
+  requireTwoFactor,
+  adminController.getRoles
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/role:
+ *   put:
+ *     summary: Assign a role to a user
+ *     description: Requires `roles:assign`. The change is recorded in the audit log and applies immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [USER, MODERATOR, SUPPORT, ADMIN, BANNED]
+ *               reason:
+ *                 type: string
+ *                 example: Joined the moderation team
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Role of user 42 changed from USER to MODERATOR
+ *               data:
+ *                 userId: 42
+ *                 previousRole: USER
+ *                 role: MODERATOR
+ *                 permissions: [reports:read, reports:resolve, users:read, users:warn]
+ *               auditLogId: 120
+ *       400:
+ *         description: Invalid input, own account, or user already has the role
+ *       401:
+ *         description: Unauthorized (missing or invalid token)
+ *       403:
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  "/users/:userId/role",
+  authMiddleware,
+  requirePermission("roles:assign"),
+  requireTwoFactor,
+  assignRoleValidationRules,
+  validate,
+  adminController.assignRole
+);
+
+/**
+ * @swagger
+ * /admin/support-requests:
+ *   get:
+ *     summary: Get support requests
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of support requests, newest first
+ *         content:
+ *           application/json:
+ *             example:
+ *               data:
+ *                 - requestId: 7
+ *                   subject: Cannot upload a profile picture
+ *                   content: The upload fails with an error every time.
+ *                   createdAt: 2025-01-01T12:00:00.000Z
+ *                   user:
+ *                     userId: 42
+ *                     username: john_doe
+ *                     email: john@example.com
+ *               meta:
+ *                 total: 1
+ *                 page: 1
+ *                 limit: 10
+ *                 totalPages: 1
+ *       401:
+ *         description: Unauthorized (missing or invalid token)
+ *       403:
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
+ */
+router.get(
+  "/support-requests",
+  authMiddleware,
+  requirePermission("support:read"),
+  requireTwoFactor,
+  adminController.getSupportRequests
+);
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     summary: Get audit log entries
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Filter by action (e.g. ASSIGN_ROLE, BAN_USER)
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: integer
+ *         description: Filter by the staff member who acted
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Filter by the affected user
+ *     responses:
+ *       200:
+ *         description: Audit log entries, newest first
+ *         content:
+ *           application/json:
+ *             example:
+ *               data:
+ *                 - auditLogId: 120
+ *                   action: ASSIGN_ROLE
+ *                   admin:
+ *                     userId: 1
+ *                     username: admin
+ *                   user:
+ *                     userId: 42
+ *                     username: john_doe
+ *                   details:
+ *                     previousRole: USER
+ *                     role: MODERATOR
+ *                     reason: Joined the moderation team
+ *                   createdAt: 2025-01-01T12:00:00.000Z
+ *               meta:
+ *                 total: 1
+ *                 page: 1
+ *                 limit: 20
+ *                 totalPages: 1
+ *       401:
+ *         description: Unauthorized (missing or invalid token)
+ *       403:
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
+ */
+router.get(
+  "/audit-logs",
+  authMiddleware,
+  requirePermission("audit:read"),
+  requireTwoFactor,
+  adminController.getAuditLogs
+);
+
+/**
+ * @swagger
+ * /admin/encryption:
+ *   get:
+ *     summary: Get the progress of message encryption key rotation
+ *     description: |
+ *       After a new key version is added to `ENCRYPTION_KEYS`, a background job
+ *       re-encrypts stored message content, edit history and scheduled messages with
+ *       it. Rows that cannot be decrypted are counted as failed and skipped. Older
+ *       key versions can be removed once every target is complete without failures.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Re-encryption progress per encrypted column
+ *         content:
+ *           application/json:
+ *             example:
+ *               keyVersion: 2
+ *               complete: false
+ *               targets:
+ *                 - target: Message.Content
+ *                   keyVersion: 2
+ *                   migrated: 5000
+ *                   failed: 0
+ *                   startedAt: 2025-01-01T12:00:00.000Z
+ *                   completedAt: null
+ *       401:
+ *         description: Unauthorized (missing or invalid token)
+ *       403:
+ *         description: Forbidden (missing permission, or required 2FA not enabled)
+ */
+router.get(
+  "/encryption",
+  authMiddleware,
+  requirePermission("encryption:read"),
+  requireTwoFactor,
+  adminController.getEncryptionStatus
+);
+
 module.exports = router;
@@ -13,6 +13,28 @@ const {
   resetPassword,
   logout,
   isAuthenticated,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  startOAuth,
+  oauthCallback,
+  getPendingOAuthSignup,
+  completeOAuthSignup,
+  getLinkedIdentities,
+  unlinkIdentity,
+  unlockAccount,
+  getAccessTokenScopes,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
 } = require("../controllers/authController");
 const {
   signupValidationRules,
@@ -20,6 +42,17 @@ const {
   forgotPasswordValidationRules,
   verifyCodeValidationRules,
   resetPasswordValidationRules,
+  revokeSessionValidationRules,
+  verifyEmailValidationRules,
+  twoFactorConfirmValidationRules,
+  twoFactorCodeValidationRules,
+  twoFactorLoginValidationRules,
+  twoFactorDisableValidationRules,
+  oauthCompleteValidationRules,
+  oauthProviderValidationRules,
+  unlockAccountValidationRules,
+  createAccessTokenValidationRules,
+  revokeAccessTokenValidationRules,
 } = require("../validators/authValidators");
 const { validate } = require("../middleware/validationMiddleware");
 const { authMiddleware } = require("../middleware/authMiddleware");
@@ -42,6 +75,13 @@ const forgotPasswordLimiter = rateLimit({
     "Too many password reset requests, please try again after 15 minutes",
 });
 
+// Rate limiter for second-factor code checks
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit to 10 attempts
+  message: "Too many two-factor attempts, please try again after 15 minutes",
+});
+
 /**
  * @swagger
  * tags:
@@ -146,9 +186,9 @@ const forgotPasswordLimiter = rateLimit({
  *           description: Email address associated with the account
  *         code:
  *           type: string
- *           pattern: '^[0-9]{4}$'
- *           example: "1234"
- *           description: 4-digit verification code received via email
+ *           pattern: '^[0-9]{6}$'
+ *           example: "123456"
+ *           description: 6-digit verification code received via email
  *     PasswordResetWithToken:
  *       type: object
  *       required:
@@ -170,9 +210,6 @@ const forgotPasswordLimiter = rateLimit({
  *         message:
  *           type: string
  *           description: Success message
- *         codeSent:
- *           type: boolean
- *           description: Indicates if a code was sent (optional)
  *         resetToken:
  *           type: string
  *           description: Temporary token for password reset (optional)
@@ -306,6 +343,14 @@ router.post("/signup", signupValidationRules, validate, signup);
  * /auth/login:
  *   post:
  *     summary: Authenticate user and set tokens in cookies
+ *     description: |
+ *       Failed attempts are counted per account and per IP. After 5 failures the account is locked
+ *       (1 minute, doubling with every further failure, up to 1 hour) and the owner receives an unlock link.
+ *       Logins from a new device or IP range create a security notification.
+ *
+ *       If the account has two-factor authentication enabled, no cookies are set.
+ *       The response contains `requiresTwoFactor: true` and a short-lived `challengeToken`
+ *       to be sent with a code to `/auth/2fa/verify-login`.
  *     tags: [Authentication]
  *     security:
  *       - csrfToken: []
@@ -386,8 +431,15 @@ router.post("/signup", signupValidationRules, validate, signup);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *             example:
- *               message: Too many login attempts, please try again after 15 minutes
+ *             examples:
+ *               rateLimited:
+ *                 value:
+ *                   message: Too many login attempts, please try again after 15 minutes
+ *               lockedOut:
+ *                 summary: Account or IP locked after repeated failures (see Retry-After)
+ *                 value:
+ *                   message: Too many failed login attempts, please try again later or use the unlock link sent to your email
+ *                   retryAfter: 120
  *       500:
  *         description: Internal server error
  *         content:
@@ -405,11 +457,366 @@ router.post(
   login
 );
 
+/**
+ * @swagger
+ * /auth/unlock-account:
+ *   post:
+ *     summary: Unlock an account locked after failed logins
+ *     description: Uses the single-use link (valid 1 hour) emailed when the account was locked.
+ *     tags: [Authentication]
+ *     security:
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               message: Account unlocked successfully
+ *       400:
+ *         description: Invalid or expired unlock link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Invalid or expired unlock link
+ */
+router.post(
+  "/unlock-account",
+  unlockAccountValidationRules,
+  validate,
+  unlockAccount
+);
+
+/**
+ * @swagger
+ * /auth/2fa/verify-login:
+ *   post:
+ *     summary: Complete login with a second factor
+ *     description: |
+ *       Exchanges the challenge token returned by `/auth/login` and a code from the
+ *       authenticator app (or an unused recovery code) for session cookies.
+ *       After an OAuth sign-in, `challengeToken` is omitted and read from the
+ *       `twoFactorChallenge` cookie instead.
+ *       A challenge expires after 5 minutes, allows 5 attempts and can only be used once.
+ *     tags: [Authentication]
+ *     security:
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *                 description: 6-digit TOTP code or a recovery code (xxxxx-xxxxx)
+ *     responses:
+ *       200:
+ *         description: Login successful, tokens set in secure cookies
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Login successful
+ *               data:
+ *                 userId: 1
+ *                 username: john_doe
+ *                 profileName: John Doe
+ *                 profilePicture: null
+ *                 email: john.doe@example.com
+ *                 emailVerified: true
+ *                 usedRecoveryCode: false
+ *       401:
+ *         description: Invalid code or invalid/expired challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Invalid two-factor code
+ *       429:
+ *         description: Too many attempts for this challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Too many attempts, please login again
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/2fa/verify-login",
+  twoFactorLimiter,
+  twoFactorLoginValidationRules,
+  validate,
+  verifyTwoFactorLogin
+);
+
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Two-factor status retrieved successfully
+ *               data:
+ *                 enabled: true
+ *                 enabledAt: 2025-01-01T12:00:00.000Z
+ *                 required: false
+ *                 recoveryCodesRemaining: 8
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/2fa", authMiddleware, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: |
+ *       Generates a TOTP secret and returns it with an `otpauth://` URI (to render as a QR code).
+ *       2FA is not active until the setup is confirmed with a code within 10 minutes.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     responses:
+ *       200:
+ *         description: Setup started
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Scan the code with your authenticator app, then confirm it
+ *               data:
+ *                 secret: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                 otpauthUri: otpauth://totp/LinkUp%3Ajohn.doe%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=LinkUp&algorithm=SHA1&digits=6&period=30
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Two-factor authentication already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/2fa/setup", authMiddleware, setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     description: Enables 2FA and returns one-time recovery codes. They are shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Two-factor authentication enabled
+ *               data:
+ *                 recoveryCodes: ["3f9a1-c07be", "0d2e4-9a6f1"]
+ *       400:
+ *         description: Invalid code or setup expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Invalid two-factor code
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/2fa/confirm",
+  authMiddleware,
+  twoFactorLimiter,
+  twoFactorConfirmValidationRules,
+  validate,
+  confirmTwoFactor
+);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes. Previous codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Recovery codes regenerated
+ *               data:
+ *                 recoveryCodes: ["3f9a1-c07be", "0d2e4-9a6f1"]
+ *       400:
+ *         description: Invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware,
+  twoFactorLimiter,
+  twoFactorCodeValidationRules,
+  validate,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the current password and a current code. Not allowed for roles that must use 2FA.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Two-factor authentication is required for your role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/2fa/disable",
+  authMiddleware,
+  twoFactorLimiter,
+  twoFactorDisableValidationRules,
+  validate,
+  disableTwoFactor
+);
+
 /**
  * @swagger
  * /auth/refresh:
  *   post:
  *     summary: Refresh access token using refresh token from cookies
+ *     description: |
+ *       Rotates the refresh token: every call returns a new refresh token and the
+ *       presented one stops working. Presenting an already-rotated refresh token is
+ *       treated as a replay of a stolen cookie - the whole session is revoked, the
+ *       event is written to the audit log, and the user must login again.
  *     tags: [Authentication]
  *     security:
  *       - csrfToken: []
@@ -437,7 +844,7 @@ router.post(
  *             example:
  *               message: Valid refresh token required
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid or expired refresh token, or session revoked after token reuse
  *         content:
  *           application/json:
  *             schema:
@@ -609,6 +1016,9 @@ router.get("/isAuthenticated", isAuthenticated);
  * /auth/forgot-password:
  *   post:
  *     summary: Request a password reset verification code
+ *     description: |
+ *       Emails a 6-digit code valid for 15 minutes. The response is the same whether or not
+ *       the account exists. No code is issued while the email is locked out after too many wrong codes.
  *     tags: [Authentication]
  *     security:
  *       - csrfToken: []
@@ -627,7 +1037,6 @@ router.get("/isAuthenticated", isAuthenticated);
  *               $ref: '#/components/schemas/SuccessResponse'
  *             example:
  *               message: If the email exists, a verification code has been sent
- *               codeSent: true
  *       400:
  *         description: Validation error
  *         content:
@@ -676,7 +1085,10 @@ router.post(
  * @swagger
  * /auth/verify-code:
  *   post:
- *     summary: Verify the 4-digit verification code
+ *     summary: Verify the 6-digit verification code
+ *     description: |
+ *       After 5 wrong codes for an email, the code is invalidated and the reset flow is locked
+ *       for that email for 15 minutes.
  *     tags: [Authentication]
  *     security:
  *       - csrfToken: []
@@ -720,6 +1132,14 @@ router.post(
  *               $ref: '#/components/schemas/ErrorResponse'
  *             example:
  *               message: Error verifying code
+ *       429:
+ *         description: Too many wrong codes, reset locked for this email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Too many attempts, please request a new code later
  */
 router.post(
   "/verify-code",
@@ -733,6 +1153,7 @@ router.post(
  * /auth/reset-password:
  *   post:
  *     summary: Reset user password using a temporary token
+ *     description: On success every session of the user is revoked, so all devices must login again.
  *     tags: [Authentication]
  *     security:
  *       - csrfToken: []
@@ -791,6 +1212,693 @@ router.post(
   resetPassword
 );
 
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify the user's email address
+ *     description: Confirms ownership of the email address using the token from the link sent after signup.
+ *     tags: [Authentication]
+ *     security:
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 description: Token from the verification link
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               message: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Invalid or expired verification link
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Error verifying email
+ */
+router.post(
+  "/verify-email",
+  verifyEmailValidationRules,
+  validate,
+  verifyEmail
+);
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     description: Sends a new verification link to the authenticated user. Limited to one email per cooldown window (60 seconds by default).
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               message: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Email already verified
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Cooldown has not elapsed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Please wait before requesting another verification email
+ *               retryAfter: 60
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Failed to send verification email
+ */
+router.post("/resend-verification", authMiddleware, resendVerification);
+
+/**
+ * @swagger
+ * /auth/oauth/identities:
+ *   get:
+ *     summary: List linked social accounts
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked accounts
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Linked accounts retrieved successfully
+ *               data:
+ *                 - provider: google
+ *                   email: john.doe@gmail.com
+ *                   displayName: John Doe
+ *                   linkedAt: 2025-01-01T12:00:00.000Z
+ *                   lastUsedAt: 2025-01-05T08:30:00.000Z
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/oauth/identities", authMiddleware, getLinkedIdentities);
+
+/**
+ * @swagger
+ * /auth/oauth/identities/{provider}:
+ *   delete:
+ *     summary: Unlink a social account
+ *     description: Accounts created with a provider have no password; use the password reset flow to set one before unlinking the last provider.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, facebook, twitter]
+ *     responses:
+ *       200:
+ *         description: Account unlinked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: Linked account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/oauth/identities/:provider",
+  authMiddleware,
+  oauthProviderValidationRules,
+  validate,
+  unlinkIdentity
+);
+
+/**
+ * @swagger
+ * /auth/oauth/pending:
+ *   get:
+ *     summary: Get the data of a pending social signup
+ *     description: |
+ *       Returns what the provider supplied so the frontend can prefill the signup form.
+ *       The pending signup is identified by the httpOnly `oauthPendingSignup` cookie set by the callback.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Pending signup data
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Pending signup retrieved successfully
+ *               data:
+ *                 provider: google
+ *                 email: john.doe@gmail.com
+ *                 emailRequired: false
+ *                 profileName: John Doe
+ *                 suggestedUsername: null
+ *                 profilePicture: https://lh3.googleusercontent.com/a/photo.jpg
+ *       404:
+ *         description: Invalid or expired signup token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/oauth/pending", getPendingOAuthSignup);
+
+/**
+ * @swagger
+ * /auth/oauth/complete:
+ *   post:
+ *     summary: Complete a signup started with a social provider
+ *     description: |
+ *       Providers do not supply a username, gender or date of birth. When a new user signs in
+ *       with a provider, the callback redirects with `status=complete_profile` and sets the httpOnly
+ *       `oauthPendingSignup` cookie (valid 15 minutes). This endpoint creates the account and sets the
+ *       same cookies as login.
+ *       `email` is only required if the provider did not return one.
+ *     tags: [Authentication]
+ *     security:
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - gender
+ *               - dateOfBirth
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: john_doe
+ *               gender:
+ *                 type: string
+ *                 enum: [MALE, FEMALE, OTHER]
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *                 example: 1995-04-12
+ *               email:
+ *                 type: string
+ *               profileName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User registered, tokens set in secure cookies
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: User registered successfully
+ *               data:
+ *                 userId: 1
+ *                 username: john_doe
+ *                 profileName: John Doe
+ *                 profilePicture: null
+ *                 email: john.doe@gmail.com
+ *                 emailVerified: true
+ *       400:
+ *         description: Validation error or invalid/expired signup token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Email or username already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/oauth/complete",
+  oauthCompleteValidationRules,
+  validate,
+  completeOAuthSignup
+);
+
+/**
+ * @swagger
+ * /auth/oauth/{provider}:
+ *   get:
+ *     summary: Sign in with a social provider
+ *     description: |
+ *       Redirects the browser to the provider. After the provider redirects back to the callback,
+ *       the browser is sent to `OAUTH_REDIRECT_URL` (default `FRONTEND_URL/oauth/callback`) with a
+ *       `status` query parameter:
+ *       - `success`: session cookies are set
+ *       - `two_factor_required`: send a code to `/auth/2fa/verify-login`; the challenge is kept in
+ *         a short-lived httpOnly `twoFactorChallenge` cookie
+ *       - `complete_profile`: new user, finish with `/auth/oauth/complete`; the pending signup is kept
+ *         in a short-lived httpOnly `oauthPendingSignup` cookie
+ *       - `linked`: the provider was linked to the current account (link flow)
+ *       - `error`: see `reason`
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, facebook, twitter]
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Provider not supported or not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/oauth/:provider", startOAuth);
+
+/**
+ * @swagger
+ * /auth/oauth/{provider}/link:
+ *   get:
+ *     summary: Link a social provider to the current account
+ *     description: Same flow as `/auth/oauth/{provider}`, but the callback links the provider account instead of signing in.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, facebook, twitter]
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *       404:
+ *         description: Provider not supported or not configured
+ */
+router.get("/oauth/:provider/link", authMiddleware, startOAuth);
+
+/**
+ * @swagger
+ * /auth/oauth/{provider}/callback:
+ *   get:
+ *     summary: OAuth provider callback
+ *     description: Called by the provider. Redirects to the frontend with the outcome (see `/auth/oauth/{provider}`).
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, facebook, twitter]
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+router.get("/oauth/:provider/callback", oauthCallback);
+
+/**
+ * @swagger
+ * /auth/tokens/scopes:
+ *   get:
+ *     summary: List scopes available to personal access tokens
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Available scopes
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Scopes retrieved successfully
+ *               data:
+ *                 - scope: posts:read
+ *                   description: Read posts, comments and likes
+ *                 - scope: messages:write
+ *                   description: Send, edit and delete messages
+ */
+router.get("/tokens/scopes", getAccessTokenScopes);
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   get:
+ *     summary: List personal access tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Active tokens (token values are never returned again)
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Access tokens retrieved successfully
+ *               data:
+ *                 - tokenId: 0b5f1c1e-6a4e-4f0e-9d6b-2f7f6f0f9a11
+ *                   name: Posting bot
+ *                   tokenPrefix: lup_Xk3v9QaB
+ *                   scopes: [posts:read, posts:write]
+ *                   createdAt: 2025-01-01T12:00:00.000Z
+ *                   lastUsedAt: 2025-01-05T08:30:00.000Z
+ *                   lastUsedIp: 203.0.113.7
+ *                   expiresAt: null
+ *       401:
+ *         description: Unauthorized (invalid or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   post:
+ *     summary: Create a personal access token
+ *     description: |
+ *       Creates a scoped token for scripts and bots, sent as `Authorization: Bearer <token>`.
+ *       GET requests need `<area>:read` and other methods `<area>:write` (see `/auth/tokens/scopes`).
+ *       Authentication and admin endpoints cannot be used with tokens. The token is shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Posting bot
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [posts:read, posts:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Access token created. Copy it now, it will not be shown again
+ *               data:
+ *                 tokenId: 0b5f1c1e-6a4e-4f0e-9d6b-2f7f6f0f9a11
+ *                 name: Posting bot
+ *                 tokenPrefix: lup_Xk3v9QaB
+ *                 scopes: [posts:read, posts:write]
+ *                 expiresAt: 2025-04-01T12:00:00.000Z
+ *                 token: lup_Xk3v9QaB2m7...
+ *       400:
+ *         description: Validation error or token limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/tokens", authMiddleware, getAccessTokens);
+router.post(
+  "/tokens",
+  authMiddleware,
+  createAccessTokenValidationRules,
+  validate,
+  createAccessToken
+);
+
+/**
+ * @swagger
+ * /auth/tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: Access token not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/tokens/:tokenId",
+  authMiddleware,
+  revokeAccessTokenValidationRules,
+  validate,
+  revokeAccessToken
+);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the active sessions (devices) of the authenticated user
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sessionId:
+ *                         type: string
+ *                         format: uuid
+ *                       userAgent:
+ *                         type: string
+ *                         nullable: true
+ *                       ipAddress:
+ *                         type: string
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       isCurrent:
+ *                         type: boolean
+ *             example:
+ *               message: Sessions retrieved successfully
+ *               data:
+ *                 - sessionId: 3f1c2b7e-8a4d-4c1e-9f2a-6b5d4e3c2a10
+ *                   userAgent: Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)
+ *                   ipAddress: 203.0.113.7
+ *                   createdAt: 2025-05-01T10:00:00.000Z
+ *                   lastUsedAt: 2025-05-03T08:30:00.000Z
+ *                   expiresAt: 2025-05-10T08:30:00.000Z
+ *                   isCurrent: true
+ *       401:
+ *         description: Unauthorized (invalid, revoked or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Failed to fetch sessions
+ */
+router.get("/sessions", authMiddleware, getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/others:
+ *   delete:
+ *     summary: Revoke all sessions except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               message: Other sessions revoked successfully
+ *               data:
+ *                 revokedCount: 2
+ *       401:
+ *         description: Unauthorized (invalid, revoked or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Failed to revoke sessions
+ */
+router.delete("/sessions/others", authMiddleware, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a single session
+ *     description: Signs the given device out. Revoking the current session also clears its cookies.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID of the session to revoke
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               message: Session revoked successfully
+ *       400:
+ *         description: Invalid session ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized (invalid, revoked or missing token)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Session not found or already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Session not found
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: Failed to revoke session
+ */
+router.delete(
+  "/sessions/:sessionId",
+  authMiddleware,
+  revokeSessionValidationRules,
+  validate,
+  revokeSession
+);
+
 /**
  * @swagger
  * /auth/csrf-token:
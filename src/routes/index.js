@@ -10,16 +10,22 @@ const adminRoutes = require("./adminRoutes");
 const notificationRoutes = require("./notificationRoutes");
 const testRoutes = require("./testRoutes");
 const searchRoutes = require("./searchRoutes");
+const keysRoutes = require("./keysRoutes");
+const { scopeFor } = require("../middleware/authMiddleware");
 
+// Personal access tokens need the scope assigned by scopeFor; /auth and
+// /admin have none, so they only accept cookie sessions
 router.use("/auth", authRoutes);
-router.use("/profile", profileRoutes);
-router.use("/posts", postRoutes);
-router.use("/stories", storyRoutes);
-router.use('/messages', messagesRoutes);
-router.use("/highlights", highlightRoutes);
+router.use("/profile", scopeFor("profile"), profileRoutes);
+router.use("/posts", scopeFor("posts"), postRoutes);
+router.use("/stories", scopeFor("stories"), storyRoutes);
+router.use('/messages', scopeFor("messages"), messagesRoutes);
+router.use("/highlights", scopeFor("highlights"), highlightRoutes);
 router.use("/admin", adminRoutes);
-router.use("/notifications", notificationRoutes);
+router.use("/notifications", scopeFor("notifications"), notificationRoutes);
 router.use("/test", testRoutes);
-router.use("/search", searchRoutes);
+router.use("/search", scopeFor("search"), searchRoutes);
+// Devices are bound to login sessions, so keys have no token scope either
+router.use("/keys", keysRoutes);
 
 module.exports = router;
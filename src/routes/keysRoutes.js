@@ -0,0 +1,410 @@
+const express = require("express");
+const router = express.Router();
+const rateLimit = require("express-rate-limit");
+const { validate } = require("../middleware/validationMiddleware");
+const {
+  authMiddleware,
+  requireVerifiedEmail,
+} = require("../middleware/authMiddleware");
+const {
+  registerDeviceRules,
+  deviceRules,
+  uploadPreKeysRules,
+  signedPreKeyUpdateRules,
+  preKeyBundleRules,
+} = require("../validators/keyValidators");
+const {
+  registerDevice,
+  getDevices,
+  removeDevice,
+  uploadPreKeys,
+  getPreKeyStatus,
+  updateSignedPreKey,
+  getPreKeyBundles,
+} = require("../controllers/keysController");
+
+// Every bundle fetch uses up one-time prekeys of the target's devices
+const bundleRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => `keys:${req.user.UserID}`,
+  message: "Too many prekey bundle requests. Please slow down.",
+});
+
+// Caps how fast all requesters together can drain one user's prekeys.
+// Refused requests don't count, so strangers cannot lock others out.
+const targetBundleRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  keyGenerator: (req) => `keys:target:${req.params.userId}`,
+  skipFailedRequests: true,
+  message: "Too many prekey bundle requests for this user. Please try again later.",
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Keys
+ *   description: |
+ *     End-to-end encryption key directory (Signal protocol). Devices generate their
+ *     keys and publish only the public halves; senders fetch prekey bundles to start
+ *     sessions and send one envelope per recipient device (see sending messages).
+ *     Keys are base64: public keys are 33 bytes with the 0x05 type prefix,
+ *     signatures 64 bytes. Only available to cookie sessions.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Device:
+ *       type: object
+ *       properties:
+ *         deviceId:
+ *           type: integer
+ *           description: Signal device ID of the address `<userId>.<deviceId>`
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         registrationId:
+ *           type: integer
+ *         identityKey:
+ *           type: string
+ *         signedPreKeyId:
+ *           type: integer
+ *         signedPreKeyCreatedAt:
+ *           type: string
+ *           format: date-time
+ *         preKeyCount:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *     SignedPreKey:
+ *       type: object
+ *       required: [keyId, publicKey, signature]
+ *       properties:
+ *         keyId:
+ *           type: integer
+ *         publicKey:
+ *           type: string
+ *         signature:
+ *           type: string
+ *     PreKey:
+ *       type: object
+ *       required: [keyId, publicKey]
+ *       properties:
+ *         keyId:
+ *           type: integer
+ *         publicKey:
+ *           type: string
+ *     PreKeyStatus:
+ *       type: object
+ *       properties:
+ *         deviceId:
+ *           type: integer
+ *         count:
+ *           type: integer
+ *         needsMore:
+ *           type: boolean
+ *           description: Fewer than 20 one-time prekeys left
+ */
+
+/**
+ * @swagger
+ * /keys/devices:
+ *   get:
+ *     summary: List your devices
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Devices with published keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Device'
+ *   post:
+ *     summary: Publish the keys of this device
+ *     description: |
+ *       Binds the device to the current login session so that encrypted messages
+ *       reach it over the socket. Publishing again with the same registration ID and
+ *       identity key updates the device; with a new identity key the old device and
+ *       its undelivered envelopes are replaced. Up to 5 devices per user.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [registrationId, identityKey, signedPreKey]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Pixel 8
+ *               registrationId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 16380
+ *               identityKey:
+ *                 type: string
+ *               signedPreKey:
+ *                 $ref: '#/components/schemas/SignedPreKey'
+ *               preKeys:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   $ref: '#/components/schemas/PreKey'
+ *     responses:
+ *       201:
+ *         description: Device registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Device'
+ *       400:
+ *         description: Invalid key material
+ *       409:
+ *         description: Device limit reached, or too many prekeys stored
+ */
+router.get("/devices", authMiddleware, getDevices);
+router.post(
+  "/devices",
+  authMiddleware,
+  registerDeviceRules,
+  validate,
+  registerDevice
+);
+
+/**
+ * @swagger
+ * /keys/devices/{deviceId}:
+ *   delete:
+ *     summary: Remove a device and its keys
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Device removed
+ *       404:
+ *         description: Device not found
+ */
+router.delete(
+  "/devices/:deviceId",
+  authMiddleware,
+  deviceRules,
+  validate,
+  removeDevice
+);
+
+/**
+ * @swagger
+ * /keys/devices/{deviceId}/prekeys:
+ *   get:
+ *     summary: Count the one-time prekeys a device has left
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prekey status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreKeyStatus'
+ *       404:
+ *         description: Device not found
+ *   post:
+ *     summary: Upload more one-time prekeys
+ *     description: |
+ *       Each prekey is handed out once. When a bundle fetch leaves a device with fewer
+ *       than 20, its user receives `keys:prekeys:low` `{ deviceId, remaining }`.
+ *       Key IDs the device already has are ignored; at most 200 are stored.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [preKeys]
+ *             properties:
+ *               preKeys:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   $ref: '#/components/schemas/PreKey'
+ *     responses:
+ *       200:
+ *         description: Prekeys stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreKeyStatus'
+ *       400:
+ *         description: Invalid prekeys
+ *       404:
+ *         description: Device not found
+ *       409:
+ *         description: Too many prekeys stored
+ */
+router.get(
+  "/devices/:deviceId/prekeys",
+  authMiddleware,
+  deviceRules,
+  validate,
+  getPreKeyStatus
+);
+router.post(
+  "/devices/:deviceId/prekeys",
+  authMiddleware,
+  uploadPreKeysRules,
+  validate,
+  uploadPreKeys
+);
+
+/**
+ * @swagger
+ * /keys/devices/{deviceId}/signed-prekey:
+ *   put:
+ *     summary: Rotate the signed prekey of a device
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedPreKey'
+ *     responses:
+ *       200:
+ *         description: Signed prekey replaced
+ *       400:
+ *         description: Invalid key
+ *       404:
+ *         description: Device not found
+ */
+router.put(
+  "/devices/:deviceId/signed-prekey",
+  authMiddleware,
+  signedPreKeyUpdateRules,
+  validate,
+  updateSignedPreKey
+);
+
+/**
+ * @swagger
+ * /keys/users/{userId}/bundles:
+ *   get:
+ *     summary: Fetch prekey bundles of a user's devices
+ *     description: |
+ *       One bundle per device, each with a one-time prekey that is not handed out
+ *       again (`preKey` is null once a device has run out). Verify the signed prekey
+ *       signature with the identity key before starting a session. Only available
+ *       for yourself and for users you share a conversation with.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: integer
+ *         description: Only this device
+ *     responses:
+ *       200:
+ *         description: Prekey bundles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: integer
+ *                 bundles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       address:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           deviceId:
+ *                             type: integer
+ *                       registrationId:
+ *                         type: integer
+ *                       identityKey:
+ *                         type: string
+ *                       signedPreKey:
+ *                         $ref: '#/components/schemas/SignedPreKey'
+ *                       preKey:
+ *                         nullable: true
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/PreKey'
+ *       403:
+ *         description: Email not verified, or no conversation with this user
+ *       404:
+ *         description: User not found, or no devices with published keys
+ *       429:
+ *         description: Too many requests, by you or for this user
+ */
+router.get(
+  "/users/:userId/bundles",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  bundleRateLimiter,
+  preKeyBundleRules,
+  validate,
+  targetBundleRateLimiter,
+  getPreKeyBundles
+);
+
+module.exports = router;
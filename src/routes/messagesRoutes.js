@@ -1,28 +1,87 @@
 const express = require("express");
 const router = express.Router();
 const { validate } = require("../middleware/validationMiddleware");
-const { authMiddleware } = require("../middleware/authMiddleware");
+const {
+  authMiddleware,
+  requireVerifiedEmail,
+  requireScope,
+} = require("../middleware/authMiddleware");
 const upload = require("../middleware/uploadMiddleware");
+const uploadMessageAttachment = require("../middleware/attachmentUploadMiddleware");
 const rateLimit = require("express-rate-limit");
 const {
   getConversationsRules,
+  updateConversationStateRules,
   sendMessageRules,
   editMessageRules,
+  deleteMessageRules,
+  messageEditsRules,
   searchMessagesRules,
+  searchConversationMessagesRules,
   startConversationRules,
   replyStoryRules,
-  searchConversationsRules
+  forwardMessageRules,
+  shareToConversationRules,
+  searchConversationsRules,
+  createGroupRules,
+  updateGroupRules,
+  conversationMembersRules,
+  conversationInfoRules,
+  pinMessageRules,
+  unpinMessageRules,
+  addMembersRules,
+  memberRules,
+  updateMemberRoleRules,
+  updateReceiptsRules,
+  markConversationReadRules,
+  messageReceiptsRules,
+  addReactionRules,
+  removeReactionRules,
+  messageReactionsRules,
+  attachmentRules,
+  scheduleMessageRules,
+  encryptedMessageRules,
+  getScheduledMessagesRules,
+  cancelScheduledMessageRules,
+  setDisappearingTimerRules,
 } = require("../validators/messageValidators");
 const {
   getConversations,
+  getUnreadCount,
+  updateConversationState,
   startConversation,
   getMessages,
   sendMessage,
+  uploadAttachment,
   replyToStory,
+  forwardMessage,
+  shareToConversation,
   editMessage,
+  getMessageEdits,
   deleteMessage,
   searchMessages,
-  searchConversations
+  searchAllMessages,
+  searchConversations,
+  createGroupConversation,
+  updateGroupConversation,
+  getConversationMembers,
+  getConversationInfo,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  addConversationMembers,
+  removeConversationMember,
+  leaveConversation,
+  updateConversationMemberRole,
+  updateReceipts,
+  markConversationRead,
+  getMessageReceipts,
+  addReaction,
+  removeReaction,
+  getMessageReactions,
+  setDisappearingTimer,
+  getScheduledMessages,
+  cancelScheduledMessage,
 } = require("../controllers/messagesController");
 
 // Rate limiting: 30 messages per 15 seconds per user
@@ -38,7 +97,7 @@ const messageRateLimiter = rateLimit({
  * @swagger
  * tags:
  *   name: Messages
- *   description: Secure, real-time one-on-one messaging with E2EE, voice, link preview, infinite scroll, and reactions
+ *   description: Secure, real-time one-on-one and group messaging with E2EE, voice, link preview, infinite scroll, and reactions
  */
 
 /**
@@ -46,7 +105,11 @@ const messageRateLimiter = rateLimit({
  * /messages/conversations:
  *   get:
  *     summary: Get paginated list of user's conversations
- *     description: Returns conversations with last message, unread count, and other participant info. Optimized to avoid N+1.
+ *     description: |
+ *       Returns conversations with last message, unread count, the caller's mute/pin/archive
+ *       state, and other participant info. Optimized to avoid N+1.
+ *       Pinned conversations are listed first on page 1 and do not count towards `limit`.
+ *       Archived conversations are only returned with `archived=true`.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -64,6 +127,12 @@ const messageRateLimiter = rateLimit({
  *           default: 15
  *           maximum: 50
  *         description: Number of conversations per page
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: List archived conversations instead of the inbox
  *     responses:
  *       200:
  *         description: List of conversations
@@ -93,8 +162,42 @@ const messageRateLimiter = rateLimit({
  *                             format: date-time
  *                           senderId:
  *                             type: integer
+ *                           status:
+ *                             type: string
+ *                             enum: [SENT, DELIVERED, READ]
+ *                             description: Aggregated over all recipients
  *                       unreadCount:
  *                         type: integer
+ *                       lastReadMessageId:
+ *                         type: string
+ *                         nullable: true
+ *                         description: The caller's "read up to" cursor
+ *                       isMuted:
+ *                         type: boolean
+ *                       mutedUntil:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Null while muted means muted until unmuted
+ *                       isPinned:
+ *                         type: boolean
+ *                       pinnedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       isArchived:
+ *                         type: boolean
+ *                       isGroup:
+ *                         type: boolean
+ *                       title:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Group title (null for one-on-one conversations)
+ *                       avatarUrl:
+ *                         type: string
+ *                         nullable: true
+ *                       participantCount:
+ *                         type: integer
  *                       otherParticipant:
  *                         type: object
  *                         nullable: true
@@ -109,6 +212,8 @@ const messageRateLimiter = rateLimit({
  *                           LastActive:
  *                             type: string
  *                             format: date-time
+ *                             nullable: true
+ *                             description: Null when the user hides their last seen
  *                       updatedAt:
  *                         type: string
  *                         format: date-time
@@ -118,6 +223,8 @@ const messageRateLimiter = rateLimit({
  *                   type: integer
  *                 limit:
  *                   type: integer
+ *                 unread:
+ *                   $ref: '#/components/schemas/UnreadSummary'
  *       401:
  *         description: Unauthorized
  */
@@ -131,27 +238,157 @@ router.get(
 
 /**
  * @swagger
- * /messages/start:
- *   post:
- *     summary: Start a conversation with a user
- *     description: Creates a new conversation if not exists, or returns existing one
+ * components:
+ *   schemas:
+ *     UnreadSummary:
+ *       type: object
+ *       description: Badge counts. Muted and archived conversations are not counted.
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Unread messages
+ *         conversations:
+ *           type: integer
+ *           description: Conversations with unread messages
+ */
+
+/**
+ * @swagger
+ * /messages/unread-count:
+ *   get:
+ *     summary: Get the unread badge count
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnreadSummary'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/unread-count", authMiddleware, getUnreadCount);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/state:
+ *   patch:
+ *     summary: Mute, pin or archive a conversation
+ *     description: |
+ *       Only affects the caller. Muted conversations send no message notifications
+ *       and are left out of the badge count. Archiving unpins; pinning unarchives.
+ *       The new state is also emitted as `conversation:state` to the caller's other devices.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [participantId]
  *             properties:
- *               participantId:
+ *               muted:
+ *                 type: boolean
+ *                 description: Mute until unmuted, or unmute
+ *               mutedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Mute until this time (null unmutes)
+ *               pinned:
+ *                 type: boolean
+ *               archived:
+ *                 type: boolean
+ *           example:
+ *             mutedUntil: "2025-01-01T08:00:00Z"
+ *             pinned: true
+ *     responses:
+ *       200:
+ *         description: Updated state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conversationId:
+ *                   type: string
+ *                 isMuted:
+ *                   type: boolean
+ *                 mutedUntil:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 isPinned:
+ *                   type: boolean
+ *                 pinnedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 isArchived:
+ *                   type: boolean
+ *                 lastReadMessageId:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Validation error or pinned conversation limit reached
+ *       403:
+ *         description: Not a participant in this conversation
+ */
+router.patch(
+  "/conversations/:conversationId/state",
+  authMiddleware,
+  updateConversationStateRules,
+  validate,
+  updateConversationState
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/disappearing:
+ *   put:
+ *     summary: Set or turn off disappearing messages
+ *     description: |
+ *       Messages sent after the change are deleted for everyone once the timer runs out.
+ *       In groups only owners and admins can change it; in direct conversations either
+ *       participant can. Posts a system message and emits `conversation:disappearing`
+ *       to every participant. Expired messages are removed with `messages:expired`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [timer]
+ *             properties:
+ *               timer:
  *                 type: integer
- *                 description: UserID of the person to message
+ *                 nullable: true
+ *                 enum: [86400, 604800, 7776000, null]
+ *                 description: Seconds (24 hours, 7 days or 90 days), or null to turn off
  *     responses:
  *       200:
- *         description: Conversation ready
+ *         description: Timer updated
  *         content:
  *           application/json:
  *             schema:
@@ -159,33 +396,122 @@ router.get(
  *               properties:
  *                 conversationId:
  *                   type: string
- *                 participants:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       UserID: { type: integer }
- *                       Username: { type: string }
- *                       ProfilePicture: { type: string, nullable: true }
+ *                 messageTtlSeconds:
+ *                   type: integer
+ *                   nullable: true
  *       400:
- *         description: Invalid participant or cannot message self
- *       401:
- *         description: Unauthorized
+ *         description: Invalid timer or timer unchanged
+ *       403:
+ *         description: Not a participant, or not a group admin
+ *       404:
+ *         description: Conversation not found
  */
-router.post(
-  "/start",
+router.put(
+  "/conversations/:conversationId/disappearing",
   authMiddleware,
-  startConversationRules,
+  setDisappearingTimerRules,
   validate,
-  startConversation
+  setDisappearingTimer
 );
 
 /**
  * @swagger
- * /messages/conversations/{conversationId}/messages:
+ * components:
+ *   schemas:
+ *     PinnedMessage:
+ *       type: object
+ *       properties:
+ *         messageId:
+ *           type: string
+ *         conversationId:
+ *           type: string
+ *         content:
+ *           type: string
+ *           nullable: true
+ *         sender:
+ *           type: object
+ *           properties:
+ *             UserID:
+ *               type: integer
+ *             Username:
+ *               type: string
+ *             ProfilePicture:
+ *               type: string
+ *               nullable: true
+ *         attachments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               Type:
+ *                 type: string
+ *               Url:
+ *                 type: string
+ *               Thumbnail:
+ *                 type: string
+ *                 nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         pinnedAt:
+ *           type: string
+ *           format: date-time
+ *         pinnedBy:
+ *           type: object
+ *           properties:
+ *             UserID:
+ *               type: integer
+ *             Username:
+ *               type: string
+ *     SharedItems:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *         items:
+ *           type: array
+ *           description: Most recent first, up to `limit`
+ *           items:
+ *             type: object
+ *             properties:
+ *               Id:
+ *                 type: string
+ *               Url:
+ *                 type: string
+ *               Type:
+ *                 type: string
+ *                 enum: [IMAGE, VIDEO, AUDIO, VOICE, FILE]
+ *               FileName:
+ *                 type: string
+ *                 nullable: true
+ *               FileSize:
+ *                 type: integer
+ *                 nullable: true
+ *               Duration:
+ *                 type: number
+ *                 nullable: true
+ *               Thumbnail:
+ *                 type: string
+ *                 nullable: true
+ *               messageId:
+ *                 type: string
+ *               senderId:
+ *                 type: integer
+ *               sentAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/info:
  *   get:
- *     summary: Get messages in a conversation (infinite scroll)
- *     description: Returns decrypted messages with attachments, reactions, and reply info. Supports pagination via `before`.
+ *     summary: Get the info panel of a conversation
+ *     description: |
+ *       Participants with their role and number of messages, pinned messages, and the
+ *       media (images and videos), audio (voice notes and audio), files and links shared
+ *       in the conversation. Deleted, expired and messages the caller deleted for
+ *       themselves are left out. Links are taken from the latest 500 messages.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -195,112 +521,127 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
- *         description: UUID of the conversation
+ *           format: uuid
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 20
- *           maximum: 100
- *         description: Number of messages to return
- *       - in: query
- *         name: before
- *         schema:
- *           type: string
- *           format: date-time
- *         description: ISO timestamp to load messages before this time
+ *           default: 12
+ *           maximum: 50
+ *         description: Items returned per shared group
  *     responses:
  *       200:
- *         description: List of decrypted messages
+ *         description: Conversation info
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 messages:
+ *                 conversationId:
+ *                   type: string
+ *                 isGroup:
+ *                   type: boolean
+ *                 title:
+ *                   type: string
+ *                   nullable: true
+ *                 avatarUrl:
+ *                   type: string
+ *                   nullable: true
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                 messageTtlSeconds:
+ *                   type: integer
+ *                   nullable: true
+ *                 participants:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       Id:
+ *                       UserID:
+ *                         type: integer
+ *                       Username:
  *                         type: string
- *                       Content:
+ *                       ProfilePicture:
  *                         type: string
  *                         nullable: true
- *                       CreatedAt:
+ *                       role:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [OWNER, ADMIN, MEMBER, null]
+ *                       joinedAt:
  *                         type: string
  *                         format: date-time
- *                       Sender:
- *                         type: object
- *                         properties:
- *                           UserID:
- *                             type: integer
- *                           Username:
- *                             type: string
- *                           ProfilePicture:
- *                             type: string
- *                             nullable: true
- *                       Attachments:
- *                         type: array
- *                         items:
- *                           $ref: '#/components/schemas/Attachment'
- *                       Reactions:
- *                         type: array
- *                         items:
- *                           type: object
- *                           properties:
- *                             User:
- *                               type: object
- *                               properties:
- *                                 UserID:
- *                                   type: integer
- *                                 Username:
- *                                   type: string
- *                             Emoji:
- *                               type: string
- *                       ReadBy:
- *                         type: array
- *                         items:
- *                           type: object
- *                           properties:
- *                             UserID:
- *                               type: integer
- *                       ReplyTo:
- *                         type: object
  *                         nullable: true
- *                         properties:
- *                           Id:
- *                             type: string
- *                           Content:
- *                             type: string
- *                           SenderId:
- *                             type: integer
- *                           IsDeleted:
- *                             type: boolean
- *                       IsEdited:
- *                         type: boolean
- *                       IsDeleted:
- *                         type: boolean
- *                 hasMore:
+ *                       messageCount:
+ *                         type: integer
+ *                 pinnedMessages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PinnedMessage'
+ *                 maxPinnedMessages:
+ *                   type: integer
+ *                 canManagePins:
  *                   type: boolean
- *       403:
- *         description: Not a participant in this conversation
- *       401:
- *         description: Unauthorized
+ *                 shared:
+ *                   type: object
+ *                   properties:
+ *                     media:
+ *                       $ref: '#/components/schemas/SharedItems'
+ *                     audio:
+ *                       $ref: '#/components/schemas/SharedItems'
+ *                     files:
+ *                       $ref: '#/components/schemas/SharedItems'
+ *                     links:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         scannedMessages:
+ *                           type: integer
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               url:
+ *                                 type: string
+ *                               messageId:
+ *                                 type: string
+ *                               senderId:
+ *                                 type: integer
+ *                               sentAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                 counts:
+ *                   type: object
+ *                   properties:
+ *                     messages:
+ *                       type: integer
+ *                     media:
+ *                       type: integer
+ *                     audio:
+ *                       type: integer
+ *                     files:
+ *                       type: integer
+ *                     links:
+ *                       type: integer
+ *       404:
+ *         description: Conversation not found or not a participant
  */
 router.get(
-  "/conversations/:conversationId/messages",
+  "/conversations/:conversationId/info",
   authMiddleware,
+  conversationInfoRules,
   validate,
-  getMessages
+  getConversationInfo
 );
 
 /**
  * @swagger
- * /messages/conversations/{conversationId}/messages:
- *   post:
- *     summary: Send a new message (text, voice, image, file, or reply)
- *     description: Supports E2EE, link preview, voice notes, and file attachments. Rate limited.
+ * /messages/conversations/{conversationId}/pins:
+ *   get:
+ *     summary: List pinned messages
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -310,59 +651,1698 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Pinned messages, most recently pinned first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pinnedMessages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PinnedMessage'
+ *                 maxPinnedMessages:
+ *                   type: integer
+ *                   example: 5
+ *                 canManagePins:
+ *                   type: boolean
+ *       404:
+ *         description: Conversation not found or not a participant
+ *   post:
+ *     summary: Pin a message
+ *     description: |
+ *       Up to 5 messages can be pinned per conversation. In groups only owners and
+ *       admins can pin; in direct conversations either participant can. Participants
+ *       receive `message:pinned`. Deleting a pinned message for everyone unpins it.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [messageId]
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Message pinned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PinnedMessage'
+ *       403:
+ *         description: Not a group admin
+ *       404:
+ *         description: Conversation or message not found
+ *       409:
+ *         description: Message already pinned, or pinned message limit reached
+ */
+router.get(
+  "/conversations/:conversationId/pins",
+  authMiddleware,
+  conversationMembersRules,
+  validate,
+  getPinnedMessages
+);
+router.post(
+  "/conversations/:conversationId/pins",
+  authMiddleware,
+  pinMessageRules,
+  validate,
+  pinMessage
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/pins/{messageId}:
+ *   delete:
+ *     summary: Unpin a message
+ *     description: |
+ *       Same permissions as pinning. Participants receive `message:unpinned`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Message unpinned
+ *       403:
+ *         description: Not a group admin
+ *       404:
+ *         description: Conversation not found, or message not pinned
+ */
+router.delete(
+  "/conversations/:conversationId/pins/:messageId",
+  authMiddleware,
+  unpinMessageRules,
+  validate,
+  unpinMessage
+);
+
+/**
+ * @swagger
+ * /messages/start:
+ *   post:
+ *     summary: Start a conversation with a user
+ *     description: Creates a new conversation if not exists, or returns existing one
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [participantId]
+ *             properties:
+ *               participantId:
+ *                 type: integer
+ *                 description: UserID of the person to message
+ *     responses:
+ *       200:
+ *         description: Conversation ready
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conversationId:
+ *                   type: string
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       UserID: { type: integer }
+ *                       Username: { type: string }
+ *                       ProfilePicture: { type: string, nullable: true }
+ *       400:
+ *         description: Invalid participant or cannot message self
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/start",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  startConversationRules,
+  validate,
+  startConversation
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/messages:
+ *   get:
+ *     summary: Get messages in a conversation (infinite scroll)
+ *     description: Returns decrypted messages with attachments, reactions, and reply info. Supports pagination via `before`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: UUID of the conversation
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of messages to return
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: ISO timestamp to load messages before this time
+ *     responses:
+ *       200:
+ *         description: List of decrypted messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       Id:
+ *                         type: string
+ *                       Content:
+ *                         type: string
+ *                         nullable: true
+ *                       CreatedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       Sender:
+ *                         type: object
+ *                         properties:
+ *                           UserID:
+ *                             type: integer
+ *                           Username:
+ *                             type: string
+ *                           ProfilePicture:
+ *                             type: string
+ *                             nullable: true
+ *                       Attachments:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Attachment'
+ *                       Reactions:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             User:
+ *                               type: object
+ *                               properties:
+ *                                 UserID:
+ *                                   type: integer
+ *                                 Username:
+ *                                   type: string
+ *                             Emoji:
+ *                               type: string
+ *                       reactionSummary:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ReactionSummary'
+ *                       Status:
+ *                         type: string
+ *                         enum: [SENT, DELIVERED, READ]
+ *                         description: Aggregated over all recipients
+ *                       ReadBy:
+ *                         type: array
+ *                         description: Recipients who have read the message
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             UserID:
+ *                               type: integer
+ *                       receipts:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/MessageReceipt'
+ *                       ReplyTo:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           Id:
+ *                             type: string
+ *                           Content:
+ *                             type: string
+ *                           SenderId:
+ *                             type: integer
+ *                           IsDeleted:
+ *                             type: boolean
+ *                       IsEdited:
+ *                         type: boolean
+ *                       IsDeleted:
+ *                         type: boolean
+ *                 hasMore:
+ *                   type: boolean
+ *                 readCursors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReadCursor'
+ *       403:
+ *         description: Not a participant in this conversation
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/conversations/:conversationId/messages",
+  authMiddleware,
+  validate,
+  getMessages
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/messages:
+ *   post:
+ *     summary: Send a new message (text, voice, image, file, or reply)
+ *     description: |
+ *       Supports link preview, voice notes, and file attachments. Rate limited.
+ *       Attachments are checked against per-type size and duration limits (see
+ *       `POST /messages/attachments`) and returned with their duration and thumbnail.
+ *
+ *       End-to-end encrypted messages are sent as JSON with `envelopes` instead of
+ *       `content`: one Signal ciphertext per device of every participant, including
+ *       your other devices but not the sending one (see `/keys`). The sending device
+ *       must have published its keys from this login session. The server stores the
+ *       envelopes as they are; each device receives its own as `envelope` in
+ *       `message:new` and when fetching messages. If the envelopes do not match the
+ *       current devices the response is 409 with the devices to add or drop.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Message text (optional if attachment exists)
+ *               attachment:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image, video, audio, or file
+ *               replyToId:
+ *                 type: string
+ *                 description: ID of message being replied to
+ *               attachmentType:
+ *                 type: string
+ *                 enum: [IMAGE, VIDEO, AUDIO, VOICE, FILE]
+ *                 description: Defaults from the file type; audio defaults to VOICE
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule the message for this time (up to 365 days ahead)
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *               replyToId:
+ *                 type: string
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *               envelopes:
+ *                 type: array
+ *                 description: End-to-end encrypted content, instead of content
+ *                 items:
+ *                   type: object
+ *                   required: [deviceId, type, body]
+ *                   properties:
+ *                     deviceId:
+ *                       type: integer
+ *                     type:
+ *                       type: integer
+ *                       enum: [1, 3]
+ *                       description: 1 = whisper message, 3 = prekey message
+ *                     body:
+ *                       type: string
+ *                       description: base64 ciphertext
+ *     responses:
+ *       201:
+ *         description: Message sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Message'
+ *       202:
+ *         description: Message scheduled (sendAt in the future)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduledMessage'
+ *       400:
+ *         description: Invalid input, missing content/attachment or file type not allowed
+ *       403:
+ *         description: Not a participant
+ *       409:
+ *         description: Envelopes do not match the participants' devices
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: Device list mismatch
+ *               missingDevices: [{ userId: 5, deviceId: 12 }]
+ *               extraDevices: [9]
+ *       413:
+ *         description: Attachment too large or too long for its type
+ *       429:
+ *         description: Rate limit exceeded
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/conversations/:conversationId/messages",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  messageRateLimiter,
+  uploadMessageAttachment,
+  // sendMessageRules,
+  attachmentRules,
+  scheduleMessageRules,
+  encryptedMessageRules,
+  validate,
+  sendMessage
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attachment:
+ *       type: object
+ *       properties:
+ *         Url:
+ *           type: string
+ *         Type:
+ *           type: string
+ *           enum: [IMAGE, VIDEO, AUDIO, VOICE, FILE]
+ *         FileName:
+ *           type: string
+ *         FileSize:
+ *           type: integer
+ *           description: Size in bytes
+ *         Duration:
+ *           type: number
+ *           nullable: true
+ *           description: Length in seconds (audio, voice and video)
+ *         Thumbnail:
+ *           type: string
+ *           nullable: true
+ *           description: Thumbnail URL (images and videos)
+ *         Metadata:
+ *           type: object
+ *           properties:
+ *             mimeType:
+ *               type: string
+ *             format:
+ *               type: string
+ *             width:
+ *               type: integer
+ *               nullable: true
+ *             height:
+ *               type: integer
+ *               nullable: true
+ *             waveformUrl:
+ *               type: string
+ *               nullable: true
+ *               description: Waveform image (audio and voice)
+ */
+
+/**
+ * @swagger
+ * /messages/attachments:
+ *   post:
+ *     summary: Upload a message attachment for the socket
+ *     description: |
+ *       Validates and processes the file like sending a message with an attachment does,
+ *       then returns it with a token valid for one hour. Pass the token as
+ *       `attachmentToken` in the `message:send` socket event.
+ *
+ *       Limits: images 10MB; videos 100MB and 10 minutes; audio 25MB and 60 minutes;
+ *       voice notes 10MB and 15 minutes; files 50MB.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [attachment]
+ *             properties:
+ *               attachment:
+ *                 type: string
+ *                 format: binary
+ *               attachmentType:
+ *                 type: string
+ *                 enum: [IMAGE, VIDEO, AUDIO, VOICE, FILE]
+ *                 description: Defaults from the file type; audio defaults to VOICE
+ *     responses:
+ *       201:
+ *         description: Attachment processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachment:
+ *                   $ref: '#/components/schemas/Attachment'
+ *                 attachmentToken:
+ *                   type: string
+ *       400:
+ *         description: Missing file or file type not allowed
+ *       413:
+ *         description: File too large or too long for its type
+ */
+router.post(
+  "/attachments",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  messageRateLimiter,
+  uploadMessageAttachment,
+  attachmentRules,
+  validate,
+  uploadAttachment
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduledMessage:
+ *       type: object
+ *       properties:
+ *         scheduledId:
+ *           type: string
+ *         conversationId:
+ *           type: string
+ *         content:
+ *           type: string
+ *           nullable: true
+ *         replyToId:
+ *           type: string
+ *           nullable: true
+ *         attachment:
+ *           type: object
+ *           nullable: true
+ *         sendAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [PENDING, SENDING, SENT, FAILED, CANCELED]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /messages/scheduled:
+ *   get:
+ *     summary: List your pending scheduled messages
+ *     description: |
+ *       Scheduled messages are sent by a background job within a minute of `sendAt`,
+ *       like regular messages. The sender then receives `message:scheduled:sent`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only list messages scheduled in this conversation
+ *     responses:
+ *       200:
+ *         description: Pending scheduled messages, soonest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 scheduled:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScheduledMessage'
+ */
+router.get(
+  "/scheduled",
+  authMiddleware,
+  getScheduledMessagesRules,
+  validate,
+  getScheduledMessages
+);
+
+/**
+ * @swagger
+ * /messages/scheduled/{scheduledId}:
+ *   delete:
+ *     summary: Cancel a scheduled message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Scheduled message canceled
+ *       404:
+ *         description: Scheduled message not found or already sent
+ */
+router.delete(
+  "/scheduled/:scheduledId",
+  authMiddleware,
+  cancelScheduledMessageRules,
+  validate,
+  cancelScheduledMessage
+);
+
+/**
+ * @swagger
+ * /messages/reply-story:
+ *   post:
+ *     summary: Reply to a story with reference (Instagram-style)
+ *     description: |
+ *       Sends a message referencing a specific story.
+ *       - The story appears as a preview in chat
+ *       - Clicking it opens the original story
+ *       - Auto-creates conversation if needed
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [storyId]
+ *             properties:
+ *               storyId:
+ *                 type: integer
+ *                 description: ID of the story being replied to
+ *               content:
+ *                 type: string
+ *                 description: Optional text message
+ *     responses:
+ *       201:
+ *         description: Reply sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   $ref: '#/components/schemas/Message'
+ *                 conversationId:
+ *                   type: string
+ *                 isNewConversation:
+ *                   type: boolean
+ *                 storyPreview:
+ *                   type: object
+ *                   properties:
+ *                     StoryID: { type: integer }
+ *                     MediaURL: { type: string }
+ *                     ExpiresAt: { type: string, format: date-time }
+ */
+router.post(
+  "/reply-story",
+  authMiddleware,
+  requireScope("stories:read"),
+  requireVerifiedEmail("messaging"),
+  messageRateLimiter,
+  replyStoryRules,
+  validate,
+  replyToStory
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MessageShares:
+ *       type: object
+ *       description: Forward and share references of a message, rendered for the caller
+ *       properties:
+ *         forwardedFrom:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             messageId:
+ *               type: string
+ *             senderId:
+ *               type: integer
+ *               description: Sender of the forwarded message
+ *             forwardCount:
+ *               type: integer
+ *               description: How many times the content was forwarded
+ *         sharedPost:
+ *           type: object
+ *           nullable: true
+ *           description: Only postId and isAvailable are set when the caller cannot view the post
+ *           properties:
+ *             postId:
+ *               type: integer
+ *             isAvailable:
+ *               type: boolean
+ *             content:
+ *               type: string
+ *               nullable: true
+ *             imageUrl:
+ *               type: string
+ *               nullable: true
+ *             videoUrl:
+ *               type: string
+ *               nullable: true
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             author:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: integer
+ *                 username:
+ *                   type: string
+ *                 profilePicture:
+ *                   type: string
+ *                   nullable: true
+ *         sharedStory:
+ *           type: object
+ *           nullable: true
+ *           description: Media is hidden once the story expired or when the caller cannot view it
+ *           properties:
+ *             storyId:
+ *               type: integer
+ *             userId:
+ *               type: integer
+ *             username:
+ *               type: string
+ *             mediaUrl:
+ *               type: string
+ *               nullable: true
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             isExpired:
+ *               type: boolean
+ *             isAvailable:
+ *               type: boolean
+ */
+
+/**
+ * @swagger
+ * /messages/{messageId}/forward:
+ *   post:
+ *     summary: Forward a message to other conversations
+ *     description: |
+ *       Copies the content (re-encrypted for each target) and attachments. The copies
+ *       carry a `forwardedFrom` reference; shared posts and stories stay shared.
+ *       The socket equivalent is `message:forward`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [conversationIds]
+ *             properties:
+ *               conversationIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       201:
+ *         description: One new message per target conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Message'
+ *                       - $ref: '#/components/schemas/MessageShares'
+ *       400:
+ *         description: Deleted, system or empty messages cannot be forwarded
+ *       403:
+ *         description: Not a participant of every target conversation
+ *       404:
+ *         description: Message not found
+ */
+router.post(
+  "/:messageId/forward",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  messageRateLimiter,
+  forwardMessageRules,
+  validate,
+  forwardMessage
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/share:
+ *   post:
+ *     summary: Share a post or a story into a conversation
+ *     description: |
+ *       The sender must be able to view the post or story. Each participant gets a
+ *       preview limited to what they can view themselves (`canViewPost`, private accounts).
+ *       The socket equivalent is `message:share`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Exactly one of postId and storyId
+ *             properties:
+ *               postId:
+ *                 type: integer
+ *               storyId:
+ *                 type: integer
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Optional caption
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Message'
+ *                 - $ref: '#/components/schemas/MessageShares'
+ *       403:
+ *         description: Not a participant, or no access to the post or story
+ *       404:
+ *         description: Post not found, or story not found or expired
+ */
+router.post(
+  "/conversations/:conversationId/share",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  messageRateLimiter,
+  shareToConversationRules,
+  validate,
+  shareToConversation
+);
+
+/**
+ * @swagger
+ * /messages/{messageId}/update:
+ *   patch:
+ *     summary: Edit a message (sender only)
+ *     description: |
+ *       Updates message content. Only the sender can edit, within
+ *       `MESSAGE_EDIT_WINDOW_MINUTES` (default 15) of sending. The previous content is
+ *       kept in the edit history. The same applies to the `message:edit` socket event.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: New message content
+ *     responses:
+ *       200:
+ *         description: Message edited successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 editedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid content or deleted message
+ *       403:
+ *         description: Not the sender of the message, or edit window expired
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch(
+  "/:messageId/update",
+  authMiddleware,
+  editMessageRules,
+  validate,
+  editMessage
+);
+
+/**
+ * @swagger
+ * /messages/{messageId}/edits:
+ *   get:
+ *     summary: Get the edit history of a message
+ *     description: Decrypted versions of the message, oldest first; the last one is the current content.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Edit history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messageId:
+ *                   type: string
+ *                 conversationId:
+ *                   type: string
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       content:
+ *                         type: string
+ *                         nullable: true
+ *                       since:
+ *                         type: string
+ *                         format: date-time
+ *                       editedBy:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           UserID:
+ *                             type: integer
+ *                           Username:
+ *                             type: string
+ *       400:
+ *         description: Message was deleted for everyone
+ *       404:
+ *         description: Message not found or not a participant
+ */
+router.get(
+  "/:messageId/edits",
+  authMiddleware,
+  messageEditsRules,
+  validate,
+  getMessageEdits
+);
+
+/**
+ * @swagger
+ * /messages/{messageId}/delete:
+ *   delete:
+ *     summary: Delete a message for everyone or only for yourself
+ *     description: |
+ *       `scope=everyone` (default): only the sender, within `MESSAGE_DELETE_WINDOW_MINUTES`
+ *       (default 48 hours) of sending. Content, attachments and edit history are removed
+ *       and participants receive `message:deleted`.
+ *
+ *       `scope=me`: any participant, at any time. The message is hidden from the caller's
+ *       messages and search only; their other devices receive `message:hidden`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [everyone, me]
+ *           default: everyone
+ *     responses:
+ *       200:
+ *         description: Message deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 scope:
+ *                   type: string
+ *       400:
+ *         description: Message already deleted
+ *       403:
+ *         description: Not the sender of the message, or delete window expired
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  "/:messageId/delete",
+  authMiddleware,
+  deleteMessageRules,
+  validate,
+  deleteMessage
+);
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     MessageSearchQuery:
+ *       in: query
+ *       name: q
+ *       required: true
+ *       schema:
+ *         type: string
+ *         maxLength: 200
+ *       description: |
+ *         Words to find, ignoring case and accents. Every word must appear in the
+ *         message; wrap words in double quotes to require them as a phrase.
+ *       example: '"see you" tomorrow'
+ *     MessageSearchSender:
+ *       in: query
+ *       name: senderId
+ *       schema:
+ *         type: integer
+ *       description: Only messages sent by this user
+ *     MessageSearchFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Only messages sent at or after this time
+ *     MessageSearchTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Only messages sent at or before this time
+ *     MessageSearchCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *       description: nextCursor returned by the previous page
+ *     MessageSearchLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 20
+ *         maximum: 50
+ *   schemas:
+ *     MessageSearchResults:
+ *       type: object
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               Id:
+ *                 type: string
+ *               ConversationId:
+ *                 type: string
+ *               Content:
+ *                 type: string
+ *               CreatedAt:
+ *                 type: string
+ *                 format: date-time
+ *               IsEdited:
+ *                 type: boolean
+ *               SenderId:
+ *                 type: integer
+ *               Sender:
+ *                 type: object
+ *                 properties:
+ *                   UserID:
+ *                     type: integer
+ *                   Username:
+ *                     type: string
+ *                   ProfilePicture:
+ *                     type: string
+ *                     nullable: true
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as `cursor` to get the next page; null on the last page
+ */
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/search:
+ *   get:
+ *     summary: Search messages within a conversation
+ *     description: |
+ *       Message content is encrypted, so matching uses a blind index: a keyed hash of
+ *       every word, kept up to date on send, edit and delete. Newest first.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/MessageSearchQuery'
+ *       - $ref: '#/components/parameters/MessageSearchSender'
+ *       - $ref: '#/components/parameters/MessageSearchFrom'
+ *       - $ref: '#/components/parameters/MessageSearchTo'
+ *       - $ref: '#/components/parameters/MessageSearchCursor'
+ *       - $ref: '#/components/parameters/MessageSearchLimit'
+ *     responses:
+ *       200:
+ *         description: Matching messages with decrypted content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageSearchResults'
+ *       400:
+ *         description: Missing query, or a query without searchable words
+ *       403:
+ *         description: Not a participant
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/conversations/:conversationId/search",
+  authMiddleware,
+  searchConversationMessagesRules,
+  validate,
+  searchMessages
+);
+
+/**
+ * @swagger
+ * /messages/search:
+ *   get:
+ *     summary: Search messages across all of the user's conversations
+ *     description: Same matching as the per-conversation search. Newest first.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MessageSearchQuery'
+ *       - $ref: '#/components/parameters/MessageSearchSender'
+ *       - $ref: '#/components/parameters/MessageSearchFrom'
+ *       - $ref: '#/components/parameters/MessageSearchTo'
+ *       - $ref: '#/components/parameters/MessageSearchCursor'
+ *       - $ref: '#/components/parameters/MessageSearchLimit'
+ *     responses:
+ *       200:
+ *         description: Matching messages with decrypted content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageSearchResults'
+ *       400:
+ *         description: Missing query, or a query without searchable words
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/search",
+  authMiddleware,
+  searchMessagesRules,
+  validate,
+  searchAllMessages
+);
+
+
+/**
+ * @swagger
+ * /messages/conversations/search:
+ *   get:
+ *     summary: Search user's conversations by participant name or username
+ *     description: |
+ *       Searches through user's active conversations for participants matching the query.
+ *       Returns the same format as `/conversations` but filtered by search term.
+ *       Supports pagination and real-time updates.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 50
+ *         description: Search term (username or display name)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 15
+ *           maximum: 50
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Filtered conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/responses/ConversationSearchResponse'
+ *       400:
+ *         description: Missing or invalid search query
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/conversations/search",
+  authMiddleware,
+  searchConversationsRules,
+  validate,
+  searchConversations
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GroupConversation:
+ *       type: object
+ *       properties:
+ *         conversationId:
+ *           type: string
+ *           format: uuid
+ *         isGroup:
+ *           type: boolean
+ *           example: true
+ *         title:
+ *           type: string
+ *           example: Weekend trip
+ *         avatarUrl:
+ *           type: string
+ *           nullable: true
+ *         members:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId: { type: integer }
+ *               username: { type: string }
+ *               profilePicture: { type: string, nullable: true }
+ *               role: { type: string, enum: [OWNER, ADMIN, MEMBER] }
+ *               joinedAt: { type: string, format: date-time }
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /messages/conversations/group:
+ *   post:
+ *     summary: Create a group conversation
+ *     description: |
+ *       The creator becomes the group owner. Members receive `conversation:created`
+ *       over the socket and a system message is posted to the group.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [title, participantIds]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *               participantIds:
+ *                 type: string
+ *                 description: JSON array or comma-separated list of user IDs
+ *                 example: "[2, 3, 4]"
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, participantIds]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               participantIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Group created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupConversation'
+ *       400:
+ *         description: Invalid title, members, or member limit reached
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/conversations/group",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  upload.single("avatar"),
+  createGroupRules,
+  validate,
+  createGroupConversation
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}:
+ *   patch:
+ *     summary: Update a group's title or avatar
+ *     description: Owners and admins only. Members receive `conversation:updated`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Group updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupConversation'
+ *       400:
+ *         description: Nothing to update or not a group
+ *       403:
+ *         description: Not a group admin
+ *       404:
+ *         description: Conversation not found
+ */
+router.patch(
+  "/conversations/:conversationId",
+  authMiddleware,
+  upload.single("avatar"),
+  updateGroupRules,
+  validate,
+  updateGroupConversation
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/members:
+ *   get:
+ *     summary: List group members and their roles
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Group with members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupConversation'
+ *       400:
+ *         description: Not a group conversation
+ *       403:
+ *         description: Not a member
+ *       404:
+ *         description: Conversation not found
+ *   post:
+ *     summary: Add members to a group
+ *     description: |
+ *       Owners and admins only. New members receive `conversation:created`, existing
+ *       members `conversation:members:added`, and a system message is posted.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userIds]
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [5, 6]
+ *     responses:
+ *       200:
+ *         description: Members added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupConversation'
+ *       400:
+ *         description: Invalid users, already members, or member limit reached
+ *       403:
+ *         description: Not a group admin
+ *       404:
+ *         description: Conversation not found
+ */
+router.get(
+  "/conversations/:conversationId/members",
+  authMiddleware,
+  conversationMembersRules,
+  validate,
+  getConversationMembers
+);
+router.post(
+  "/conversations/:conversationId/members",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  addMembersRules,
+  validate,
+  addConversationMembers
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/members/me:
+ *   delete:
+ *     summary: Leave a group
+ *     description: |
+ *       If the owner leaves, ownership passes to the longest-standing admin, or
+ *       the longest-standing member when there is no admin.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Left the group
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               conversationId: 3f1c2b7e-8d5a-4c1e-9b2f-6a7d8e9f0a1b
+ *               newOwnerId: null
+ *       403:
+ *         description: Not a member
+ *       404:
+ *         description: Conversation not found
+ */
+router.delete(
+  "/conversations/:conversationId/members/me",
+  authMiddleware,
+  conversationMembersRules,
+  validate,
+  leaveConversation
+);
+
+/**
+ * @swagger
+ * /messages/conversations/{conversationId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a group
+ *     description: Owners can remove anyone; admins can only remove regular members.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupConversation'
+ *       403:
+ *         description: Not allowed to remove this member
+ *       404:
+ *         description: Conversation or member not found
+ *   patch:
+ *     summary: Change a member's role
+ *     description: Owner only. Setting OWNER transfers ownership; the previous owner becomes an admin.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
+ *             required: [role]
  *             properties:
- *               content:
- *                 type: string
- *                 description: Message text (optional if attachment exists)
- *               attachment:
- *                 type: string
- *                 format: binary
- *                 description: Image, video, audio, or file
- *               replyToId:
+ *               role:
  *                 type: string
- *                 description: ID of message being replied to
+ *                 enum: [OWNER, ADMIN, MEMBER]
  *     responses:
- *       201:
- *         description: Message sent successfully
+ *       200:
+ *         description: Role updated
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Message'
+ *               $ref: '#/components/schemas/GroupConversation'
  *       400:
- *         description: Invalid input or missing content/attachment
+ *         description: Invalid role or unchanged
  *       403:
- *         description: Not a participant
- *       429:
- *         description: Rate limit exceeded
- *       401:
- *         description: Unauthorized
+ *         description: Not the group owner
+ *       404:
+ *         description: Conversation or member not found
  */
-router.post(
-  "/conversations/:conversationId/messages",
+router.delete(
+  "/conversations/:conversationId/members/:userId",
   authMiddleware,
-  messageRateLimiter,
-  upload.single("attachment"),
-  // sendMessageRules,
+  memberRules,
   validate,
-  sendMessage
+  removeConversationMember
+);
+router.patch(
+  "/conversations/:conversationId/members/:userId",
+  authMiddleware,
+  updateMemberRoleRules,
+  validate,
+  updateConversationMemberRole
 );
 
 /**
  * @swagger
- * /messages/reply-story:
+ * components:
+ *   schemas:
+ *     MessageReceipt:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: integer
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ReadCursor:
+ *       type: object
+ *       properties:
+ *         conversationId:
+ *           type: string
+ *         userId:
+ *           type: integer
+ *         lastReadMessageId:
+ *           type: string
+ *           nullable: true
+ *         lastReadAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /messages/receipts:
  *   post:
- *     summary: Reply to a story with reference (Instagram-style)
+ *     summary: Mark a batch of messages as delivered or read
  *     description: |
- *       Sends a message referencing a specific story.
- *       - The story appears as a preview in chat
- *       - Clicking it opens the original story
- *       - Auto-creates conversation if needed
+ *       Marking as read moves the caller's read cursor of each affected conversation
+ *       to the newest message of the batch and emits `messages:read` to the
+ *       conversation. Senders receive `message:status` when the aggregated status
+ *       of their messages changes. Messages the caller did not receive are ignored.
+ *       The same can be done over the socket with `message:delivered` and `message:read`.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -372,102 +2352,99 @@ router.post(
  *         application/json:
  *           schema:
  *             type: object
- *             required: [storyId]
+ *             required: [messageIds, status]
  *             properties:
- *               storyId:
- *                 type: integer
- *                 description: ID of the story being replied to
- *               content:
+ *               messageIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               status:
  *                 type: string
- *                 description: Optional text message
+ *                 enum: [DELIVERED, READ]
  *     responses:
- *       201:
- *         description: Reply sent
+ *       200:
+ *         description: Receipts recorded
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
- *                   $ref: '#/components/schemas/Message'
- *                 conversationId:
- *                   type: string
- *                 isNewConversation:
+ *                 success:
  *                   type: boolean
- *                 storyPreview:
- *                   type: object
- *                   properties:
- *                     StoryID: { type: integer }
- *                     MediaURL: { type: string }
- *                     ExpiresAt: { type: string, format: date-time }
+ *                 cursors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReadCursor'
+ *       400:
+ *         description: Validation error
  */
 router.post(
-  "/reply-story",
+  "/receipts",
   authMiddleware,
-  messageRateLimiter,
-  replyStoryRules,
+  updateReceiptsRules,
   validate,
-  replyToStory
+  updateReceipts
 );
 
 /**
  * @swagger
- * /messages/{messageId}/update:
- *   patch:
- *     summary: Edit a message (sender only)
- *     description: Updates message content. Only the sender can edit.
+ * /messages/conversations/{conversationId}/read:
+ *   post:
+ *     summary: Mark a conversation as read up to a message
+ *     description: |
+ *       Reads every message up to and including `messageId` (the latest message when
+ *       omitted). The cursor only moves forward.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: messageId
+ *         name: conversationId
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - content
  *             properties:
- *               content:
+ *               messageId:
  *                 type: string
- *                 description: New message content
+ *                 format: uuid
  *     responses:
  *       200:
- *         description: Message edited successfully
+ *         description: Current read cursor (null for an empty conversation)
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
+ *                 cursor:
+ *                   $ref: '#/components/schemas/ReadCursor'
+ *       400:
+ *         description: Message belongs to another conversation
  *       403:
- *         description: Not the sender of the message
+ *         description: Not a participant in this conversation
  *       404:
  *         description: Message not found
- *       401:
- *         description: Unauthorized
  */
-router.patch(
-  "/:messageId/update",
+router.post(
+  "/conversations/:conversationId/read",
   authMiddleware,
-  // editMessageRules,
+  markConversationReadRules,
   validate,
-  editMessage
+  markConversationRead
 );
 
 /**
  * @swagger
- * /messages/{messageId}/delete:
- *   delete:
- *     summary: Delete a message (sender only)
- *     description: Soft deletes the message. Only the sender can delete.
+ * /messages/{messageId}/receipts:
+ *   get:
+ *     summary: Get delivery and read state of a message per recipient
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -477,143 +2454,227 @@ router.patch(
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Message deleted successfully
+ *         description: Receipts of the message
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
+ *                 messageId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [SENT, DELIVERED, READ]
+ *                 receipts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: object
+ *                         properties:
+ *                           UserID:
+ *                             type: integer
+ *                           Username:
+ *                             type: string
+ *                           ProfilePicture:
+ *                             type: string
+ *                             nullable: true
+ *                       deliveredAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       readAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
  *       403:
- *         description: Not the sender of the message
+ *         description: Not a participant in this conversation
  *       404:
  *         description: Message not found
- *       401:
- *         description: Unauthorized
  */
-router.delete("/:messageId/delete", authMiddleware, validate, deleteMessage);
+router.get(
+  "/:messageId/receipts",
+  authMiddleware,
+  messageReceiptsRules,
+  validate,
+  getMessageReceipts
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReactionSummary:
+ *       type: object
+ *       properties:
+ *         emoji:
+ *           type: string
+ *         count:
+ *           type: integer
+ *         reactedByMe:
+ *           type: boolean
+ */
 
 /**
  * @swagger
- * /messages/conversations/{conversationId}/search:
+ * /messages/{messageId}/reactions:
  *   get:
- *     summary: Search messages within a conversation
- *     description: Full-text search with case-insensitive matching on decrypted content.
+ *     summary: List who reacted to a message
+ *     description: Reactions grouped by emoji, most used first; users in the order they reacted.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: conversationId
+ *         name: messageId
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *       - in: query
- *         name: q
- *         required: true
+ *         name: emoji
  *         schema:
  *           type: string
- *         description: Search query
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *           maximum: 100
+ *         description: Only list this emoji
  *     responses:
  *       200:
- *         description: Search results with decrypted content
+ *         description: Reactions of the message
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 results:
+ *                 summary:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReactionSummary'
+ *                 reactions:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       Id:
- *                         type: string
- *                       Content:
- *                         type: string
- *                       CreatedAt:
+ *                       emoji:
  *                         type: string
- *                         format: date-time
- *                       SenderId:
- *                         type: integer
+ *                       users:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             UserID:
+ *                               type: integer
+ *                             Username:
+ *                               type: string
+ *                             ProfilePicture:
+ *                               type: string
+ *                               nullable: true
+ *                             reactedAt:
+ *                               type: string
+ *                               format: date-time
+ *       404:
+ *         description: Message not found
+ *   post:
+ *     summary: React to a message
+ *     description: |
+ *       A user can react with up to 5 different emoji per message. Only emoji from the
+ *       reaction allowlist are accepted; "❤" and "❤️" are the same reaction. Reacting
+ *       again with the same emoji changes nothing. The conversation receives
+ *       `message:reacted` with the updated counts. The socket event `message:react` toggles.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [emoji]
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: "👍"
+ *     responses:
+ *       201:
+ *         description: Reaction added
+ *       200:
+ *         description: Already reacted with this emoji
  *       400:
- *         description: Missing search query
- *       403:
- *         description: Not a participant
- *       401:
- *         description: Unauthorized
+ *         description: Emoji not allowed, reaction limit reached, or deleted/system message
+ *       404:
+ *         description: Message not found
  */
 router.get(
-  "/conversations/:conversationId/search",
+  "/:messageId/reactions",
   authMiddleware,
-  // searchMessagesRules,
+  messageReactionsRules,
   validate,
-  searchMessages
+  getMessageReactions
 );
 
+router.post(
+  "/:messageId/reactions",
+  authMiddleware,
+  requireVerifiedEmail("messaging"),
+  addReactionRules,
+  validate,
+  addReaction
+);
 
 /**
  * @swagger
- * /messages/conversations/search:
- *   get:
- *     summary: Search user's conversations by participant name or username
- *     description: |
- *       Searches through user's active conversations for participants matching the query.
- *       Returns the same format as `/conversations` but filtered by search term.
- *       Supports pagination and real-time updates.
+ * /messages/{messageId}/reactions/{emoji}:
+ *   delete:
+ *     summary: Remove one of your reactions from a message
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: q
+ *       - in: path
+ *         name: messageId
  *         required: true
  *         schema:
  *           type: string
- *           minLength: 1
- *           maxLength: 50
- *         description: Search term (username or display name)
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *           minimum: 1
- *         description: Page number
- *       - in: query
- *         name: limit
+ *           format: uuid
+ *       - in: path
+ *         name: emoji
+ *         required: true
  *         schema:
- *           type: integer
- *           default: 15
- *           maximum: 50
- *         description: Results per page
+ *           type: string
+ *         description: URL-encoded emoji
  *     responses:
  *       200:
- *         description: Filtered conversations
+ *         description: Reaction removed (or was not there)
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/responses/ConversationSearchResponse'
- *       400:
- *         description: Missing or invalid search query
- *       401:
- *         description: Unauthorized
+ *               type: object
+ *               properties:
+ *                 emoji:
+ *                   type: string
+ *                 summary:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReactionSummary'
+ *       404:
+ *         description: Message not found
  */
-router.get(
-  "/conversations/search",
+router.delete(
+  "/:messageId/reactions/:emoji",
   authMiddleware,
-  searchConversationsRules,
+  removeReactionRules,
   validate,
-  searchConversations
+  removeReaction
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -34,7 +34,10 @@ const {
   commentEditRules,
 } = require("../validators/postValidators");
 const { validate } = require("../middleware/validationMiddleware");
-const { authMiddleware } = require("../middleware/authMiddleware");
+const {
+  authMiddleware,
+  requireVerifiedEmail,
+} = require("../middleware/authMiddleware");
 const checkPostOwnership = require("../middleware/postOwnershipMiddleware");
 const upload = require("../middleware/uploadMiddleware");
 const rateLimit = require("express-rate-limit");
@@ -88,6 +91,7 @@ const postLimiter = rateLimit({
 router.post(
   "/",
   authMiddleware,
+  requireVerifiedEmail("posting"),
   postLimiter,
   upload.single("media"),
   postCreationRules,
@@ -763,6 +767,7 @@ router.post("/:postId/like", authMiddleware, postLimiter, likePost);
 router.post(
   "/:postId/comment",
   authMiddleware,
+  requireVerifiedEmail("commenting"),
   postLimiter,
   postCreationRules,
   validate,
@@ -926,6 +931,7 @@ router.post(
 router.post(
   "/comments/:commentId/reply",
   authMiddleware,
+  requireVerifiedEmail("commenting"),
   postLimiter,
   commentReplyRules,
   validate,
@@ -1044,6 +1050,7 @@ router.post(
 router.post(
   "/:postId/share",
   authMiddleware,
+  requireVerifiedEmail("posting"),
   postLimiter,
   postShareRules,
   validate,
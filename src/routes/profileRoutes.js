@@ -4,6 +4,8 @@ const {
   updateProfile,
   changePassword,
   updatePrivacySettings,
+  updateLastSeenPrivacy,
+  getPresence,
   deleteProfile,
   getSavedPosts,
   followUser,
@@ -28,8 +30,14 @@ const {
   followActionValidator,
   suggestionsQueryValidator,
   usernameParamValidator,
+  lastSeenPrivacyValidationRules,
+  presenceQueryValidator,
 } = require("../validators/profileValidators");
-const { authMiddleware } = require("../middleware/authMiddleware");
+const {
+  authMiddleware,
+  requireScope,
+  requireSession,
+} = require("../middleware/authMiddleware");
 const multer = require("multer");
 const upload = multer({ storage: multer.memoryStorage() });
 const router = express.Router();
@@ -338,7 +346,7 @@ router.get("/", authMiddleware, getProfile);
  *                 description: Unique username
  *               email:
  *                 type: string
- *                 description: Unique email address
+ *                 description: Unique email address. A new address is unverified until the link emailed to it is used
  *               bio:
  *                 type: string
  *                 description: User biography
@@ -423,12 +431,15 @@ router.get("/", authMiddleware, getProfile);
  *         description: Invalid input or duplicate username/email
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not available to personal access tokens
  *       500:
  *         description: Server error
  */
 router.put(
   "/edit",
   authMiddleware,
+  requireSession,
   upload.fields([
     { name: "profilePicture", maxCount: 1 },
     { name: "coverPicture", maxCount: 1 },
@@ -477,12 +488,15 @@ router.put(
  *         description: Invalid input or old password is incorrect
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not available to personal access tokens
  *       404:
  *         description: User not found
  */
 router.put(
   "/change-password",
   authMiddleware,
+  requireSession,
   upload.none(),
   changePasswordValidationRules,
   validate,
@@ -536,6 +550,109 @@ router.put(
   updatePrivacySettings
 );
 
+/**
+ * @swagger
+ * /profile/privacy/last-seen:
+ *   put:
+ *     tags: [Profile]
+ *     summary: Hide or show your last seen
+ *     description: |
+ *       With last seen hidden, followers and conversation partners still see whether
+ *       you are online, but not when you were last online.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hideLastSeen:
+ *                 type: boolean
+ *             required:
+ *               - hideLastSeen
+ *     responses:
+ *       200:
+ *         description: Setting updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 hideLastSeen:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  "/privacy/last-seen",
+  authMiddleware,
+  upload.none(),
+  lastSeenPrivacyValidationRules,
+  validate,
+  updateLastSeenPrivacy
+);
+
+/**
+ * @swagger
+ * /profile/presence:
+ *   get:
+ *     tags: [Profile]
+ *     summary: Online status and last seen of several users
+ *     description: |
+ *       Presence is visible to the user's accepted followers and to everyone sharing a
+ *       conversation with them; other users are left out of the response. `lastSeen`
+ *       is null for users who hide it. Live updates arrive over the socket as
+ *       `user:online` `{ userId }` and `user:offline` `{ userId, lastSeen }`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated user IDs (at most 100)
+ *         example: 12,45,78
+ *     responses:
+ *       200:
+ *         description: Presence of the visible users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 presence:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: integer
+ *                       online:
+ *                         type: boolean
+ *                       lastSeen:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *       400:
+ *         description: Invalid user IDs
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/presence",
+  authMiddleware,
+  presenceQueryValidator,
+  validate,
+  getPresence
+);
+
 /**
  * @swagger
  * /profile:
@@ -559,8 +676,10 @@ router.put(
  *         description: User not found
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not available to personal access tokens
  */
-router.delete("/", authMiddleware, deleteProfile);
+router.delete("/", authMiddleware, requireSession, deleteProfile);
 
 /**
  * @swagger
@@ -610,6 +729,7 @@ router.delete("/", authMiddleware, deleteProfile);
 router.get(
   "/posts/:username",
   authMiddleware,
+  requireScope("posts:read"),
   usernameParamValidator,
   validate,
   getUserPosts
@@ -675,7 +795,12 @@ router.get(
  *       500:
  *         description: Server error
  */
-router.get("/stories", authMiddleware, getUserStories);
+router.get(
+  "/stories",
+  authMiddleware,
+  requireScope("stories:read"),
+  getUserStories
+);
 
 /**
  * @swagger
@@ -713,7 +838,12 @@ router.get("/stories", authMiddleware, getUserStories);
  *       500:
  *         description: Error fetching saved posts
  */
-router.get("/saved-posts", authMiddleware, getSavedPosts);
+router.get(
+  "/saved-posts",
+  authMiddleware,
+  requireScope("posts:read"),
+  getSavedPosts
+);
 
 /**
  * @swagger
@@ -11,7 +11,10 @@ const {
   getStoryViewersWithLikes,
   recordStoryView,
 } = require("../controllers/storyController");
-const { authMiddleware } = require("../middleware/authMiddleware");
+const {
+  authMiddleware,
+  requireVerifiedEmail,
+} = require("../middleware/authMiddleware");
 const upload = require("../middleware/uploadMiddleware");
 const rateLimit = require("express-rate-limit");
 
@@ -58,6 +61,7 @@ const storyLimiter = rateLimit({
 router.post(
   "/",
   authMiddleware,
+  requireVerifiedEmail("stories"),
   storyLimiter,
   upload.single("media"),
   createStory
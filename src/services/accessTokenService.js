@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const prisma = require("../utils/prisma");
+const { hashToken } = require("./sessionService");
+
+const TOKEN_PREFIX = "lup_";
+const MAX_TOKENS_PER_USER = 25;
+// Avoid a database write on every request made with the same token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Checks whether a bearer credential looks like a personal access token.
+ * @param {string} token - Raw bearer credential
+ * @returns {boolean}
+ */
+const isPersonalAccessToken = (token) =>
+  typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Creates a personal access token. The raw token is only returned here;
+ * the database keeps its SHA-256 hash.
+ * @param {number} userId - ID of the token owner
+ * @param {Object} params - name, scopes and optional expiresInDays
+ * @returns {Promise<Object>} Token record and the raw token
+ * @throws {Error} If the user already has the maximum number of tokens
+ */
+const createToken = async (userId, { name, scopes, expiresInDays }) => {
+  const activeCount = await prisma.personalAccessToken.count({
+    where: { UserID: userId, RevokedAt: null },
+  });
+  if (activeCount >= MAX_TOKENS_PER_USER) {
+    throw new Error("Token limit reached");
+  }
+
+  const rawToken = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+  const record = await prisma.personalAccessToken.create({
+    data: {
+      UserID: userId,
+      Name: name,
+      TokenHash: hashToken(rawToken),
+      TokenPrefix: rawToken.slice(0, TOKEN_PREFIX.length + 8),
+      Scopes: [...new Set(scopes)],
+      ExpiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null,
+    },
+  });
+
+  return { record, rawToken };
+};
+
+/**
+ * Lists the active tokens of a user.
+ * @param {number} userId - ID of the token owner
+ * @returns {Promise<Object[]>} Tokens (without hashes)
+ */
+const listTokens = (userId) =>
+  prisma.personalAccessToken.findMany({
+    where: { UserID: userId, RevokedAt: null },
+    select: {
+      TokenID: true,
+      Name: true,
+      TokenPrefix: true,
+      Scopes: true,
+      CreatedAt: true,
+      LastUsedAt: true,
+      LastUsedIP: true,
+      ExpiresAt: true,
+    },
+    orderBy: { CreatedAt: "desc" },
+  });
+
+/**
+ * Revokes a token of a user.
+ * @param {number} userId - ID of the token owner
+ * @param {string} tokenId - Token to revoke
+ * @returns {Promise<boolean>} True if a token was revoked
+ */
+const revokeToken = async (userId, tokenId) => {
+  const { count } = await prisma.personalAccessToken.updateMany({
+    where: { TokenID: tokenId, UserID: userId, RevokedAt: null },
+    data: { RevokedAt: new Date() },
+  });
+  return count > 0;
+};
+
+/**
+ * Resolves a raw personal access token to its owner and scopes, and
+ * records when and from where it was last used.
+ * @param {string} rawToken - Token from the Authorization header
+ * @param {string|null} ipAddress - Client IP
+ * @returns {Promise<Object|null>} { user, scopes, tokenId } or null if invalid, expired or revoked
+ */
+const authenticateToken = async (rawToken, ipAddress) => {
+  const token = await prisma.personalAccessToken.findUnique({
+    where: { TokenHash: hashToken(rawToken) },
+    select: {
+      TokenID: true,
+      Scopes: true,
+      ExpiresAt: true,
+      RevokedAt: true,
+      LastUsedAt: true,
+      User: {
+        select: {
+          UserID: true,
+          Username: true,
+          Role: true,
+          IsBanned: true,
+          EmailVerified: true,
+          TwoFactorEnabled: true,
+        },
+      },
+    },
+  });
+
+  if (!token || token.RevokedAt || (token.ExpiresAt && token.ExpiresAt < new Date())) {
+    return null;
+  }
+
+  if (
+    !token.LastUsedAt ||
+    Date.now() - token.LastUsedAt.getTime() > LAST_USED_RESOLUTION_MS
+  ) {
+    await prisma.personalAccessToken.update({
+      where: { TokenID: token.TokenID },
+      data: { LastUsedAt: new Date(), LastUsedIP: ipAddress || null },
+    });
+  }
+
+  return { user: token.User, scopes: token.Scopes, tokenId: token.TokenID };
+};
+
+module.exports = {
+  isPersonalAccessToken,
+  createToken,
+  listTokens,
+  revokeToken,
+  authenticateToken,
+};
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const cloudinary = require("../config/cloudinary");
+const logger = require("../utils/logger");
+const { uploadToCloud } = require("./cloudService");
+const {
+  ATTACHMENT_POLICIES,
+  THUMBNAIL_WIDTH,
+  attachmentTokenTtl,
+} = require("../config/attachments");
+
+const formatSize = (bytes) => `${Math.round(bytes / (1024 * 1024))}MB`;
+
+/**
+ * Picks the attachment type of an uploaded file. Audio defaults to a voice
+ * note unless the client asks for AUDIO.
+ * @param {string} mimeType
+ * @param {string} [requestedType] - Type chosen by the client
+ * @returns {string} AttachmentType
+ * @throws {Error} If the file type is not allowed or does not match requestedType
+ */
+const resolveType = (mimeType, requestedType) => {
+  if (requestedType) {
+    const policy = ATTACHMENT_POLICIES[requestedType];
+    if (!policy) {
+      throw new Error("Unsupported attachment type");
+    }
+    if (!policy.mimeTypes.includes(mimeType)) {
+      throw new Error(`File type ${mimeType} is not allowed for ${requestedType} attachments`);
+    }
+    return requestedType;
+  }
+
+  const preferred = mimeType.startsWith("audio/") ? "VOICE" : null;
+  const type =
+    preferred ||
+    Object.keys(ATTACHMENT_POLICIES).find((t) =>
+      ATTACHMENT_POLICIES[t].mimeTypes.includes(mimeType)
+    );
+  if (!type) {
+    throw new Error(`File type ${mimeType} is not allowed`);
+  }
+  return type;
+};
+
+/**
+ * Builds the thumbnail URL of an uploaded image or video. Cloudinary
+ * renders it on first request from the stored original.
+ */
+const buildThumbnail = (type, publicId) => {
+  if (type === "IMAGE") {
+    return cloudinary.url(publicId, {
+      format: "jpg",
+      transformation: [{ width: THUMBNAIL_WIDTH, crop: "limit", quality: "auto" }],
+    });
+  }
+  if (type === "VIDEO") {
+    return cloudinary.url(publicId, {
+      resource_type: "video",
+      format: "jpg",
+      transformation: [
+        { start_offset: 0 },
+        { width: THUMBNAIL_WIDTH, crop: "limit", quality: "auto" },
+      ],
+    });
+  }
+  return null;
+};
+
+const buildWaveform = (publicId) =>
+  cloudinary.url(publicId, {
+    resource_type: "video",
+    format: "png",
+    transformation: [{ flags: "waveform", width: THUMBNAIL_WIDTH, height: 96 }],
+  });
+
+/**
+ * Validates, uploads and describes a message attachment: checks the type
+ * and per-type size limit, reads the duration of audio and video from the
+ * upload, rejects media over the duration limit and generates thumbnails
+ * (a waveform for voice and audio).
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} options
+ * @param {number} options.userId - Uploader
+ * @param {string} [options.type] - Requested AttachmentType
+ * @returns {Promise<Object>} Attachment row data (Url, Type, FileName, FileSize, Duration, Thumbnail, Metadata)
+ * @throws {Error} On type, size or duration policy violations
+ */
+const processAttachment = async (file, { userId, type: requestedType }) => {
+  const type = resolveType(file.mimetype, requestedType);
+  const policy = ATTACHMENT_POLICIES[type];
+
+  if (file.size > policy.maxSize) {
+    throw new Error(`File too large: ${type} attachments are limited to ${formatSize(policy.maxSize)}`);
+  }
+
+  const result = await uploadToCloud(file.buffer, {
+    folder: `messages/${userId}`,
+    resource_type: policy.resourceType,
+  });
+
+  const duration = result.duration ? Number(result.duration.toFixed(2)) : null;
+  if (policy.maxDuration && duration > policy.maxDuration) {
+    try {
+      await cloudinary.uploader.destroy(result.public_id, {
+        resource_type: policy.resourceType,
+      });
+    } catch (error) {
+      logger.error(`Failed to delete rejected attachment: ${error.message}`);
+    }
+    throw new Error(`Attachment too long: ${type} attachments are limited to ${policy.maxDuration / 60} minutes`);
+  }
+
+  const isAudio = type === "VOICE" || type === "AUDIO";
+  return {
+    Url: result.secure_url,
+    Type: type,
+    FileName: file.originalname,
+    FileSize: result.bytes || file.size,
+    Duration: duration,
+    Thumbnail: buildThumbnail(type, result.public_id),
+    Metadata: {
+      mimeType: file.mimetype,
+      format: result.format || null,
+      width: isAudio ? null : result.width || null,
+      height: isAudio ? null : result.height || null,
+      waveformUrl: isAudio ? buildWaveform(result.public_id) : null,
+      publicId: result.public_id,
+    },
+  };
+};
+
+/**
+ * Key of attachment tokens: ATTACHMENT_TOKEN_SECRET, or else a key derived
+ * from JWT_SECRET. Never JWT_SECRET itself, or attachment tokens would pass
+ * for access tokens.
+ * @returns {string|Buffer}
+ */
+const attachmentTokenSecret = () =>
+  process.env.ATTACHMENT_TOKEN_SECRET ||
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update("message-attachment")
+    .digest();
+
+/**
+ * Signs a processed attachment so it can be sent over the socket, where
+ * files cannot be uploaded. The token is bound to the uploader.
+ * @param {Object} attachment - From processAttachment
+ * @param {number} userId
+ * @returns {string}
+ */
+const signAttachment = (attachment, userId) =>
+  jwt.sign(
+    { userId, attachment, purpose: "message_attachment" },
+    attachmentTokenSecret(),
+    { expiresIn: attachmentTokenTtl, issuer: "linkup-api" }
+  );
+
+/**
+ * Verifies an attachment token from signAttachment.
+ * @param {string} token
+ * @param {number} userId - Must be the uploader
+ * @returns {Object} Attachment row data
+ * @throws {Error} If the token is invalid, expired or belongs to someone else
+ */
+const verifyAttachmentToken = (token, userId) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, attachmentTokenSecret(), { issuer: "linkup-api" });
+  } catch {
+    throw new Error("Invalid or expired attachment token");
+  }
+  if (payload.purpose !== "message_attachment" || payload.userId !== userId) {
+    throw new Error("Invalid or expired attachment token");
+  }
+  return payload.attachment;
+};
+
+module.exports = {
+  resolveType,
+  processAttachment,
+  signAttachment,
+  verifyAttachmentToken,
+};
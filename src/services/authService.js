@@ -1,46 +1,91 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const prisma = require("../utils/prisma");
 const redis = require("../utils/redis");
+const logger = require("../utils/logger");
+const { sendVerificationEmail } = require("./emailService");
+const {
+  verificationTokenTtl,
+  resendCooldownSeconds,
+} = require("../config/emailVerification");
+const {
+  challengeTtlSeconds,
+  maxChallengeAttempts,
+} = require("../config/twoFactor");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+} = require("./sessionService");
+const { verifyCode: verifyTwoFactorCode } = require("./twoFactorService");
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordTwoFactorFailure,
+  recordTwoFactorSuccess,
+  checkLoginAnomaly,
+} = require("./loginProtectionService");
 
 /**
- * Generates access and refresh tokens for a user.
+ * Generates access and refresh tokens for a user session.
  * @param {Object} user - User object with UserID
+ * @param {string} sessionId - Session the tokens belong to
  * @returns {Object} Object containing accessToken and refreshToken
  */
-const generateTokens = (user) => {
+const generateTokens = (user, sessionId) => {
   if (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET) {
     throw new Error("JWT secrets not configured");
   }
 
   const accessToken = jwt.sign(
-    { userId: user.UserID },
+    { userId: user.UserID, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn: "15m", issuer: "linkup-api" }
   );
 
+  // jwtid keeps tokens unique even when rotated twice within one second
   const refreshToken = jwt.sign(
-    { userId: user.UserID },
+    { userId: user.UserID, sid: sessionId },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: "7d", issuer: "linkup-api" }
+    { expiresIn: "7d", issuer: "linkup-api", jwtid: crypto.randomUUID() }
   );
 
   return { accessToken, refreshToken };
 };
 
+/**
+ * Starts a new device session and issues its tokens.
+ * Logins from a never-seen device or IP range are reported to the user.
+ * @param {Object} user - User object with UserID
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @returns {Promise<Object>} Object containing tokens and sessionId
+ */
+const startSession = async (user, context) => {
+  try {
+    await checkLoginAnomaly(user.UserID, context);
+  } catch (error) {
+    // Never block a login because the alert could not be recorded
+    logger.error(`Login anomaly check failed: ${error.message}`);
+  }
+
+  const sessionId = crypto.randomUUID();
+  const tokens = generateTokens(user, sessionId);
+  await createSession(user.UserID, sessionId, tokens.refreshToken, context);
+  return { tokens, sessionId };
+};
+
 /**
  * Registers a new user with hashed password.
  * @param {Object} params - Object containing profileName, username, email, password, gender, and dateOfBirth
+ * @param {Object} [context] - Client context (userAgent, ipAddress) for the new session
  * @returns {Object} Created user object and tokens
  */
-const register = async ({
-  profileName,
-  username,
-  email,
-  password,
-  gender,
-  dateOfBirth,
-}) => {
+const register = async (
+  { profileName, username, email, password, gender, dateOfBirth },
+  context = {}
+) => {
   try {
     // Normalize dateOfBirth to UTC midnight to avoid timezone issues
     const dob = new Date(dateOfBirth);
@@ -67,20 +112,15 @@ const register = async ({
         UserID: true,
         Username: true,
         Email: true,
+        EmailVerified: true,
         ProfileName: true,
         ProfilePicture: true,
       },
     });
 
-    const { accessToken, refreshToken } = generateTokens(user);
+    const { tokens } = await startSession(user, context);
 
-    await redis.set(
-      `refresh_token:${user.UserID}`,
-      refreshToken,
-      7 * 24 * 60 * 60
-    );
-
-    return { user, tokens: { accessToken, refreshToken } };
+    return { user, tokens };
   } catch (error) {
     console.error("Register error:", error.message);
     if (error.code === "P2002") {
@@ -91,12 +131,48 @@ const register = async ({
 };
 
 /**
- * Authenticates a user and stores refresh token in Redis.
+ * Public user fields returned after a successful login.
+ * @param {Object} user - User record
+ * @returns {Object} User summary
+ */
+const toLoginUser = (user) => ({
+  UserID: user.UserID,
+  Username: user.Username,
+  Email: user.Email,
+  ProfileName: user.ProfileName,
+  ProfilePicture: user.ProfilePicture,
+  EmailVerified: user.EmailVerified,
+});
+
+/**
+ * Signs the short-lived challenge token that replaces session cookies when
+ * the password was correct but a second factor is still required.
+ * @param {Object} user - User object with UserID
+ * @returns {string} Signed challenge token
+ */
+const generateTwoFactorChallenge = (user) =>
+  jwt.sign(
+    { userId: user.UserID, purpose: "2fa_challenge" },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: challengeTtlSeconds,
+      issuer: "linkup-api",
+      audience: "2fa_challenge",
+      jwtid: crypto.randomUUID(),
+    }
+  );
+
+/**
+ * Authenticates a user and opens a new session for the device.
+ * When 2FA is enabled no session is opened yet: a challenge token is
+ * returned instead, to be exchanged with completeTwoFactorLogin.
+ * Failed attempts are counted per account and per IP, with lockouts.
  * @param {string} usernameOrEmail - Username or email of the user
  * @param {string} password - User's password
- * @returns {Object} Object containing user and tokens
+ * @param {Object} [context] - Client context (userAgent, ipAddress)
+ * @returns {Object} Object containing user and tokens, or the 2FA challenge
  */
-const login = async (usernameOrEmail, password) => {
+const login = async (usernameOrEmail, password, context = {}) => {
   const user = await prisma.user.findFirst({
     where: {
       OR: [
@@ -110,64 +186,191 @@ const login = async (usernameOrEmail, password) => {
       Email: true,
       ProfileName: true,
       ProfilePicture: true,
+      EmailVerified: true,
+      TwoFactorEnabled: true,
       Password: true,
     },
   });
 
+  // Locked accounts/IPs are refused before the password is even checked
+  await assertLoginAllowed(user?.UserID, context);
+
   if (!user) {
+    await recordLoginFailure(null, context);
     throw new Error("Invalid credentials");
   }
 
   const isPasswordValid = await bcrypt.compare(password, user.Password);
   if (!isPasswordValid) {
+    await recordLoginFailure(user, context);
     throw new Error("Invalid credentials");
   }
 
-  const { accessToken, refreshToken } = generateTokens(user);
+  await recordLoginSuccess(user.UserID);
 
-  await redis.set(
-    `refresh_token:${user.UserID}`,
-    refreshToken,
-    7 * 24 * 60 * 60
+  if (user.TwoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user),
+    };
+  }
+
+  const { tokens } = await startSession(user, context);
+
+  return { user: toLoginUser(user), tokens };
+};
+
+/**
+ * Signs in a user already authenticated by an external provider (OAuth).
+ * Applies the same rules as a password login: banned users are refused and
+ * accounts with 2FA get a challenge token instead of a session.
+ * @param {number} userId - ID of the user
+ * @param {Object} [context] - Client context (userAgent, ipAddress)
+ * @returns {Object} Object containing user and tokens, or the 2FA challenge
+ */
+const loginWithIdentity = async (userId, context = {}) => {
+  const user = await prisma.user.findUnique({
+    where: { UserID: userId },
+    select: {
+      UserID: true,
+      Username: true,
+      Email: true,
+      ProfileName: true,
+      ProfilePicture: true,
+      EmailVerified: true,
+      TwoFactorEnabled: true,
+      IsBanned: true,
+    },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (user.IsBanned) {
+    throw new Error("User is banned");
+  }
+
+  if (user.TwoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user),
+    };
+  }
+
+  const { tokens } = await startSession(user, context);
+
+  return { user: toLoginUser(user), tokens };
+};
+
+/**
+ * Second login step: exchanges a 2FA challenge token and a TOTP or recovery
+ * code for a new session. Each challenge allows a limited number of attempts
+ * and can only be used once; wrong codes also count against the account
+ * across challenges and lock it like failed passwords do.
+ * @param {string} challengeToken - Token returned by login
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} [context] - Client context (userAgent, ipAddress)
+ * @returns {Object} Object containing user, tokens and the method used
+ * @throws {Error} If the challenge is invalid/used, too many attempts were made, the account is locked or the code is wrong
+ */
+const completeTwoFactorLogin = async (challengeToken, code, context = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, {
+      issuer: "linkup-api",
+      audience: "2fa_challenge",
+    });
+  } catch (jwtError) {
+    throw new Error("Invalid or expired two-factor challenge");
+  }
+
+  if (decoded.purpose !== "2fa_challenge" || !decoded.jti) {
+    throw new Error("Invalid or expired two-factor challenge");
+  }
+
+  const usedKey = `2fa:challenge:used:${decoded.jti}`;
+  if (await redis.exists(usedKey)) {
+    throw new Error("Invalid or expired two-factor challenge");
+  }
+
+  await assertLoginAllowed(decoded.userId, context);
+
+  const attempts = await redis.incr(
+    `2fa:challenge:attempts:${decoded.jti}`,
+    challengeTtlSeconds
   );
+  if (attempts > maxChallengeAttempts) {
+    await redis.set(usedKey, "1", challengeTtlSeconds);
+    throw new Error("Too many two-factor attempts");
+  }
 
-  return {
-    user: {
-      UserID: user.UserID,
-      Username: user.Username,
-      Email: user.Email,
-      ProfileName: user.ProfileName,
-      ProfilePicture: user.ProfilePicture,
+  const user = await prisma.user.findUnique({
+    where: { UserID: decoded.userId },
+    select: {
+      UserID: true,
+      Username: true,
+      Email: true,
+      ProfileName: true,
+      ProfilePicture: true,
+      EmailVerified: true,
+      IsBanned: true,
     },
-    tokens: { accessToken, refreshToken },
-  };
+  });
+
+  if (!user || user.IsBanned) {
+    throw new Error("Invalid or expired two-factor challenge");
+  }
+
+  const method = await verifyTwoFactorCode(user.UserID, code);
+  if (!method) {
+    await recordTwoFactorFailure(user, context);
+    throw new Error("Invalid two-factor code");
+  }
+
+  await recordTwoFactorSuccess(user.UserID);
+  await redis.set(usedKey, "1", challengeTtlSeconds);
+  const { tokens } = await startSession(user, context);
+
+  return { user: toLoginUser(user), tokens, method };
 };
 
 /**
  * Refreshes access and refresh tokens using a valid refresh token.
+ * The token must be the current token of an active session; presenting a
+ * token that was already rotated revokes the session (token family).
  * @param {string} refreshToken - The refresh token
+ * @param {Object} [context] - Client context (userAgent, ipAddress)
  * @returns {Object} Object containing user data and new tokens
  * @throws {Error} If the refresh token is invalid or user is not found/banned
  */
-const refreshAccessToken = async (refreshToken) => {
+const refreshAccessToken = async (refreshToken, context = {}) => {
   try {
     if (!refreshToken) {
       throw new Error("No refresh token provided");
     }
 
     // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-
-    // Check if refresh token exists in Redis
-    const storedToken = await redis.get(`refresh_token:${decoded.userId}`);
-    // if (!storedToken || storedToken !== refreshToken) {
-    //   throw new Error("Invalid or expired refresh token");
-    // }
-
-    console.log(">> Incoming refreshToken from cookie:", refreshToken);
-    console.log(">> Stored refreshToken in Redis:", storedToken);
-    console.log(">> Are they equal?", storedToken === refreshToken);
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (jwtError) {
+      throw new Error("Invalid or expired refresh token");
+    }
 
+    // Rotate within the token family; replaying a rotated token revokes it
+    const { accessToken, refreshToken: newRefreshToken } = generateTokens(
+      { UserID: decoded.userId },
+      decoded.sid
+    );
+    const session = await rotateRefreshToken(
+      refreshToken,
+      newRefreshToken,
+      context
+    );
+    if (session.UserID !== decoded.userId || session.SessionID !== decoded.sid) {
+      throw new Error("Invalid or expired refresh token");
+    }
 
     // Fetch user from database
     const user = await prisma.user.findUnique({
@@ -190,16 +393,6 @@ const refreshAccessToken = async (refreshToken) => {
       throw new Error("User is banned");
     }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user);
-
-    // Store new refresh token in Redis, replacing the old one
-    await redis.set(
-      `refresh_token:${user.UserID}`,
-      newRefreshToken,
-      7 * 24 * 60 * 60
-    );
-
     return {
       user: {
         UserID: user.UserID,
@@ -217,18 +410,22 @@ const refreshAccessToken = async (refreshToken) => {
 };
 
 /**
- * Removes a user's refresh token from Redis and blacklists access token.
+ * Revokes the current session and blacklists its access token.
+ * Other sessions of the user stay signed in.
  * @param {number} userId - ID of the user to logout
  * @param {string} accessToken - Access token to blacklist
+ * @param {string} [sessionId] - Session to revoke
  */
-const logout = async (userId, accessToken) => {
+const logout = async (userId, accessToken, sessionId) => {
   try {
-    await redis.del(`refresh_token:${userId}`);
+    if (sessionId) {
+      await revokeSession(userId, sessionId);
+    }
     if (accessToken) {
       await redis.set(`blacklist:access:${accessToken}`, "1", 15 * 60); // Blacklist for 15 minutes
     }
     console.log(
-      `Deleted refresh_token:${userId} and blacklisted accessToken from Redis`
+      `Revoked session ${sessionId} of user ${userId} and blacklisted accessToken`
     );
   } catch (error) {
     console.error("Logout error:", error.message);
@@ -236,4 +433,120 @@ const logout = async (userId, accessToken) => {
   }
 };
 
-module.exports = { register, login, refreshAccessToken, logout };
+/**
+ * Signs an email verification token bound to the user's current address,
+ * so changing the email invalidates links sent to the old one. Its audience
+ * keeps it from being accepted as anything but a verification token.
+ * @param {Object} user - User object with UserID and Email
+ * @returns {string} Signed verification token
+ */
+const generateEmailVerificationToken = (user) =>
+  jwt.sign(
+    { userId: user.UserID, email: user.Email, purpose: "email_verification" },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: verificationTokenTtl,
+      issuer: "linkup-api",
+      audience: "email_verification",
+    }
+  );
+
+/**
+ * Emails a verification link to the user and starts the resend cooldown.
+ * @param {Object} user - User object with UserID and Email
+ */
+const sendEmailVerification = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+  const link = `${frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendVerificationEmail(user.Email, link);
+  await redis.set(
+    `email_verification:cooldown:${user.UserID}`,
+    "1",
+    resendCooldownSeconds
+  );
+};
+
+/**
+ * Resends the verification email, enforcing a per-user cooldown.
+ * @param {number} userId - ID of the user
+ * @throws {Error} If already verified or the cooldown has not elapsed
+ */
+const resendEmailVerification = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { UserID: userId },
+    select: { UserID: true, Email: true, EmailVerified: true },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (user.EmailVerified) {
+    throw new Error("Email already verified");
+  }
+
+  const onCooldown = await redis.exists(
+    `email_verification:cooldown:${userId}`
+  );
+  if (onCooldown) {
+    const error = new Error("Verification email recently sent");
+    error.retryAfter = resendCooldownSeconds;
+    throw error;
+  }
+
+  await sendEmailVerification(user);
+};
+
+/**
+ * Marks a user's email as verified using a signed verification token.
+ * @param {string} token - Token from the verification link
+ * @returns {Object} Verified user summary
+ * @throws {Error} If the token is invalid, expired or for another address
+ */
+const verifyEmail = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: "linkup-api",
+      audience: "email_verification",
+    });
+  } catch (jwtError) {
+    throw new Error("Invalid or expired verification token");
+  }
+
+  if (decoded.purpose !== "email_verification") {
+    throw new Error("Invalid or expired verification token");
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { UserID: decoded.userId },
+    select: { UserID: true, Email: true, EmailVerified: true },
+  });
+
+  if (!user || user.Email.toLowerCase() !== decoded.email.toLowerCase()) {
+    throw new Error("Invalid or expired verification token");
+  }
+
+  if (!user.EmailVerified) {
+    await prisma.user.update({
+      where: { UserID: user.UserID },
+      data: { EmailVerified: true, EmailVerifiedAt: new Date() },
+    });
+  }
+
+  return { UserID: user.UserID, Email: user.Email, EmailVerified: true };
+};
+
+module.exports = {
+  register,
+  login,
+  loginWithIdentity,
+  completeTwoFactorLogin,
+  refreshAccessToken,
+  logout,
+  sendEmailVerification,
+  resendEmailVerification,
+  verifyEmail,
+};
@@ -0,0 +1,49 @@
+const prisma = require("../utils/prisma");
+
+/**
+ * Checks whether a user follows another with an accepted follow.
+ * @param {number} followerId
+ * @param {number} userId - Followed user
+ * @returns {Promise<boolean>}
+ */
+const isAcceptedFollower = async (followerId, userId) =>
+  Boolean(
+    await prisma.follower.findFirst({
+      where: { UserID: userId, FollowerUserID: followerId, Status: "ACCEPTED" },
+      select: { FollowerID: true },
+    })
+  );
+
+/**
+ * Checks if a user can view a post (same rules as getPostById)
+ * @param {number} userId - Viewer
+ * @param {Object} post - Post with UserID and privacy
+ * @returns {Promise<boolean>}
+ */
+const canViewPost = async (userId, post) => {
+  if (post.privacy === "PUBLIC") return true;
+  if (post.UserID === userId) return true;
+
+  if (post.privacy === "FOLLOWERS_ONLY") {
+    return isAcceptedFollower(userId, post.UserID);
+  }
+
+  return false; // For PRIVATE
+};
+
+/**
+ * Checks if a user can view the stories of an account: public accounts
+ * are visible to everyone, private ones to accepted followers.
+ * @param {number} userId - Viewer
+ * @param {Object} owner - Story owner with UserID and IsPrivate
+ * @returns {Promise<boolean>}
+ */
+const canViewStoriesOf = async (userId, owner) => {
+  if (!owner.IsPrivate || owner.UserID === userId) return true;
+  return isAcceptedFollower(userId, owner.UserID);
+};
+
+module.exports = {
+  canViewPost,
+  canViewStoriesOf,
+};
@@ -0,0 +1,337 @@
+const prisma = require("../utils/prisma");
+const { decryptMessage } = require("../utils/encryption");
+const { isGroupAdmin } = require("./conversationService");
+
+const MAX_PINNED_MESSAGES = 5;
+const SHARED_ITEMS_LIMIT = 12;
+// Content is encrypted, so links are found by decrypting recent messages
+const LINK_SCAN_LIMIT = 500;
+
+const SHARED_GROUPS = {
+  media: ["IMAGE", "VIDEO"],
+  audio: ["AUDIO", "VOICE"],
+  files: ["FILE"],
+};
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+
+/**
+ * Finds the URLs in a message text, without trailing punctuation.
+ * @param {string|null} text
+ * @returns {string[]}
+ */
+const extractLinks = (text) =>
+  (text?.match(URL_PATTERN) || []).map((url) => url.replace(/[.,;:!?)\]]+$/, ""));
+
+/**
+ * Messages of a conversation as one participant sees them: not deleted
+ * for everyone, not deleted for themselves and not expired.
+ */
+const visibleMessages = (conversationId, userId) => ({
+  ConversationId: conversationId,
+  Type: "USER",
+  IsDeleted: false,
+  HiddenFor: { none: { UserId: userId } },
+  OR: [{ ExpiresAt: null }, { ExpiresAt: { gt: new Date() } }],
+});
+
+/**
+ * Loads a conversation and the user's role in it.
+ * @returns {Promise<Object>} { conversation, canManagePins }
+ * @throws {Error} If the conversation does not exist or the user is not a participant
+ */
+const loadConversation = async (conversationId, userId) => {
+  const conversation = await prisma.conversation.findUnique({
+    where: { Id: conversationId },
+    select: {
+      Id: true,
+      IsGroup: true,
+      Title: true,
+      AvatarUrl: true,
+      CreatedAt: true,
+      MessageTtlSeconds: true,
+      Participants: {
+        select: { UserID: true, Username: true, ProfilePicture: true },
+      },
+      Members: { select: { UserId: true, Role: true, JoinedAt: true } },
+    },
+  });
+  if (!conversation || !conversation.Participants.some((p) => p.UserID === userId)) {
+    throw new Error("Conversation not found or access denied");
+  }
+
+  const role = conversation.Members.find((m) => m.UserId === userId)?.Role;
+  return {
+    conversation,
+    // In groups only owners and admins pin; in direct chats both participants
+    canManagePins: !conversation.IsGroup || isGroupAdmin(role),
+  };
+};
+
+const pinSelect = {
+  PinnedAt: true,
+  PinnedBy: { select: { UserID: true, Username: true } },
+  Message: {
+    select: {
+      Id: true,
+      ConversationId: true,
+      SenderId: true,
+      Content: true,
+      CreatedAt: true,
+      Sender: { select: { UserID: true, Username: true, ProfilePicture: true } },
+      Attachments: { select: { Type: true, Url: true, Thumbnail: true } },
+    },
+  },
+};
+
+/**
+ * Formats a pinned message for API responses and socket events.
+ * @param {Object} pin - PinnedMessage selected with pinSelect
+ * @returns {Object}
+ */
+const formatPin = ({ PinnedAt, PinnedBy, Message: message }) => ({
+  messageId: message.Id,
+  conversationId: message.ConversationId,
+  content: decryptMessage(message.Content, message.ConversationId),
+  sender: message.Sender,
+  attachments: message.Attachments,
+  createdAt: message.CreatedAt,
+  pinnedAt: PinnedAt,
+  pinnedBy: PinnedBy,
+});
+
+/**
+ * Lists the pinned messages of a conversation that a participant can see,
+ * most recently pinned first. Expired messages are left out, although
+ * their pin remains until the cleanup job deletes them.
+ * @param {string} conversationId
+ * @param {number} userId
+ * @returns {Promise<Object[]>}
+ */
+const listPinned = async (conversationId, userId) => {
+  const pins = await prisma.pinnedMessage.findMany({
+    where: {
+      ConversationId: conversationId,
+      Message: visibleMessages(conversationId, userId),
+    },
+    orderBy: { PinnedAt: "desc" },
+    select: pinSelect,
+  });
+  return pins.map(formatPin);
+};
+
+/**
+ * Lists the pinned messages of a conversation the user participates in.
+ * @param {number} userId
+ * @param {string} conversationId
+ * @returns {Promise<Object>} { pinnedMessages, maxPinnedMessages, canManagePins }
+ * @throws {Error} If the conversation does not exist or the user is not a participant
+ */
+const getPinnedMessages = async (userId, conversationId) => {
+  const { canManagePins } = await loadConversation(conversationId, userId);
+  return {
+    pinnedMessages: await listPinned(conversationId, userId),
+    maxPinnedMessages: MAX_PINNED_MESSAGES,
+    canManagePins,
+  };
+};
+
+/**
+ * Pins a message to the top of its conversation.
+ * @param {number} userId
+ * @param {string} conversationId
+ * @param {string} messageId
+ * @returns {Promise<Object>} Formatted pin
+ * @throws {Error} On permission errors, if the message cannot be pinned, is already pinned or the limit is reached
+ */
+const pinMessage = async (userId, conversationId, messageId) => {
+  const { canManagePins } = await loadConversation(conversationId, userId);
+  if (!canManagePins) {
+    throw new Error("Only group admins can pin messages");
+  }
+
+  const message = await prisma.message.findFirst({
+    where: { Id: messageId, ...visibleMessages(conversationId, userId) },
+    select: { Id: true, Pin: { select: { MessageId: true } } },
+  });
+  if (!message) {
+    throw new Error("Message not found");
+  }
+  if (message.Pin) {
+    throw new Error("Message is already pinned");
+  }
+
+  const pinnedCount = await prisma.pinnedMessage.count({
+    where: { ConversationId: conversationId },
+  });
+  if (pinnedCount >= MAX_PINNED_MESSAGES) {
+    throw new Error(`Pinned message limit reached (${MAX_PINNED_MESSAGES})`);
+  }
+
+  const pin = await prisma.pinnedMessage.create({
+    data: { MessageId: messageId, ConversationId: conversationId, PinnedById: userId },
+    select: pinSelect,
+  });
+  return formatPin(pin);
+};
+
+/**
+ * Unpins a message.
+ * @param {number} userId
+ * @param {string} conversationId
+ * @param {string} messageId
+ * @returns {Promise<void>}
+ * @throws {Error} On permission errors or if the message is not pinned
+ */
+const unpinMessage = async (userId, conversationId, messageId) => {
+  const { canManagePins } = await loadConversation(conversationId, userId);
+  if (!canManagePins) {
+    throw new Error("Only group admins can unpin messages");
+  }
+
+  const { count } = await prisma.pinnedMessage.deleteMany({
+    where: { MessageId: messageId, ConversationId: conversationId },
+  });
+  if (count === 0) {
+    throw new Error("Message is not pinned");
+  }
+};
+
+/**
+ * Loads the latest shared attachments of each group (media, audio, files)
+ * with their totals.
+ */
+const loadSharedAttachments = async (where, limit) => {
+  const entries = await Promise.all(
+    Object.entries(SHARED_GROUPS).map(async ([group, types]) => {
+      const attachmentWhere = { Type: { in: types }, Message: where };
+      const [items, total] = await Promise.all([
+        prisma.attachment.findMany({
+          where: attachmentWhere,
+          orderBy: { Message: { CreatedAt: "desc" } },
+          take: limit,
+          select: {
+            Id: true,
+            Url: true,
+            Type: true,
+            FileName: true,
+            FileSize: true,
+            Duration: true,
+            Thumbnail: true,
+            Message: { select: { Id: true, SenderId: true, CreatedAt: true } },
+          },
+        }),
+        prisma.attachment.count({ where: attachmentWhere }),
+      ]);
+
+      return [
+        group,
+        {
+          total,
+          items: items.map(({ Message: message, ...attachment }) => ({
+            ...attachment,
+            messageId: message.Id,
+            senderId: message.SenderId,
+            sentAt: message.CreatedAt,
+          })),
+        },
+      ];
+    })
+  );
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Finds the links shared in the latest LINK_SCAN_LIMIT messages.
+ */
+const loadSharedLinks = async (conversationId, where, limit) => {
+  const messages = await prisma.message.findMany({
+    where: { ...where, Content: { not: null } },
+    orderBy: { CreatedAt: "desc" },
+    take: LINK_SCAN_LIMIT,
+    select: { Id: true, SenderId: true, Content: true, CreatedAt: true },
+  });
+
+  const links = messages.flatMap((message) =>
+    extractLinks(decryptMessage(message.Content, conversationId)).map((url) => ({
+      url,
+      messageId: message.Id,
+      senderId: message.SenderId,
+      sentAt: message.CreatedAt,
+    }))
+  );
+  return {
+    total: links.length,
+    items: links.slice(0, limit),
+    scannedMessages: messages.length,
+  };
+};
+
+/**
+ * Builds the conversation info panel for a participant: participants
+ * with their message counts, pinned messages, shared media, audio, files
+ * and links, and message totals.
+ * @param {number} userId
+ * @param {string} conversationId
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Items per shared group
+ * @returns {Promise<Object>}
+ * @throws {Error} If the conversation does not exist or the user is not a participant
+ */
+const getConversationInfo = async (
+  userId,
+  conversationId,
+  { limit = SHARED_ITEMS_LIMIT } = {}
+) => {
+  const { conversation, canManagePins } = await loadConversation(
+    conversationId,
+    userId
+  );
+  const where = visibleMessages(conversationId, userId);
+  const pageSize = Math.min(parseInt(limit) || SHARED_ITEMS_LIMIT, 50);
+
+  const [pinnedMessages, shared, links, bySender] = await Promise.all([
+    listPinned(conversationId, userId),
+    loadSharedAttachments(where, pageSize),
+    loadSharedLinks(conversationId, where, pageSize),
+    prisma.message.groupBy({ by: ["SenderId"], where, _count: { _all: true } }),
+  ]);
+
+  const countsBySender = new Map(bySender.map((g) => [g.SenderId, g._count._all]));
+  const members = new Map(conversation.Members.map((m) => [m.UserId, m]));
+
+  return {
+    conversationId: conversation.Id,
+    isGroup: conversation.IsGroup,
+    title: conversation.Title,
+    avatarUrl: conversation.AvatarUrl,
+    createdAt: conversation.CreatedAt,
+    messageTtlSeconds: conversation.MessageTtlSeconds,
+    participants: conversation.Participants.map((p) => ({
+      ...p,
+      role: members.get(p.UserID)?.Role || null,
+      joinedAt: members.get(p.UserID)?.JoinedAt || null,
+      messageCount: countsBySender.get(p.UserID) || 0,
+    })),
+    pinnedMessages,
+    maxPinnedMessages: MAX_PINNED_MESSAGES,
+    canManagePins,
+    shared: { ...shared, links },
+    counts: {
+      messages: bySender.reduce((sum, g) => sum + g._count._all, 0),
+      media: shared.media.total,
+      audio: shared.audio.total,
+      files: shared.files.total,
+      links: links.total,
+    },
+  };
+};
+
+module.exports = {
+  MAX_PINNED_MESSAGES,
+  extractLinks,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  getConversationInfo,
+};
@@ -0,0 +1,581 @@
+const prisma = require("../utils/prisma");
+const { del } = require("../utils/redisUtils");
+const { encryptMessage } = require("../utils/encryption");
+const receiptService = require("./receiptService");
+
+const MAX_GROUP_MEMBERS = 256;
+const MAX_TITLE_LENGTH = 100;
+// Allowed disappearing message timers, in seconds, with their labels
+const DISAPPEARING_TIMERS = {
+  86400: "24 hours",
+  604800: "7 days",
+  7776000: "90 days",
+};
+
+const memberSelect = {
+  UserId: true,
+  Role: true,
+  JoinedAt: true,
+  User: { select: { UserID: true, Username: true, ProfilePicture: true } },
+};
+
+/**
+ * Formats a group conversation for API responses and socket events.
+ * @param {Object} conversation - Conversation with Members
+ * @returns {Object}
+ */
+const formatGroup = (conversation) => ({
+  conversationId: conversation.Id,
+  isGroup: true,
+  title: conversation.Title,
+  avatarUrl: conversation.AvatarUrl,
+  members: (conversation.Members || []).map((member) => ({
+    userId: member.User.UserID,
+    username: member.User.Username,
+    profilePicture: member.User.ProfilePicture,
+    role: member.Role,
+    joinedAt: member.JoinedAt,
+  })),
+  createdAt: conversation.CreatedAt,
+  updatedAt: conversation.UpdatedAt,
+});
+
+/**
+ * Loads a group with its members.
+ * @param {string} conversationId
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object|null>}
+ */
+const findGroup = (conversationId, client = prisma) =>
+  client.conversation.findUnique({
+    where: { Id: conversationId },
+    select: {
+      Id: true,
+      IsGroup: true,
+      Title: true,
+      AvatarUrl: true,
+      CreatedAt: true,
+      UpdatedAt: true,
+      Members: { select: memberSelect, orderBy: { JoinedAt: "asc" } },
+    },
+  });
+
+/**
+ * Loads a group and checks that the user is one of its members.
+ * @param {string} conversationId
+ * @param {number} userId
+ * @returns {Promise<Object>} { group, role }
+ * @throws {Error} If the conversation does not exist, is not a group or the user is not a member
+ */
+const getGroupMembership = async (conversationId, userId) => {
+  const group = await findGroup(conversationId);
+  if (!group) {
+    throw new Error("Conversation not found");
+  }
+  if (!group.IsGroup) {
+    throw new Error("Not a group conversation");
+  }
+
+  const member = group.Members.find((m) => m.UserId === userId);
+  if (!member) {
+    throw new Error("Not a member of this conversation");
+  }
+
+  return { group, role: member.Role };
+};
+
+const isGroupAdmin = (role) => role === "OWNER" || role === "ADMIN";
+
+/**
+ * Loads users that can be added to a group.
+ * @param {number[]} userIds
+ * @returns {Promise<Object[]>} Users with UserID and Username
+ * @throws {Error} If any user does not exist or is banned
+ */
+const findAddableUsers = async (userIds) => {
+  const users = await prisma.user.findMany({
+    where: { UserID: { in: userIds }, IsBanned: false },
+    select: { UserID: true, Username: true },
+  });
+  if (users.length !== userIds.length) {
+    throw new Error("Invalid or banned users");
+  }
+  return users;
+};
+
+/**
+ * Writes a system message (membership change, rename...) to a
+ * conversation and makes it the last message. The text is encrypted like
+ * user messages so every read path can decrypt it.
+ * @param {Object} tx - Prisma transaction
+ * @param {string} conversationId
+ * @param {number} actorId - User who caused the event
+ * @param {string} text - Human-readable description
+ * @param {Object} event - Structured event stored in Metadata.systemEvent
+ * @returns {Promise<Object>} Created message with plaintext content
+ */
+const createSystemMessage = async (tx, conversationId, actorId, text, event) => {
+  const message = await tx.message.create({
+    data: {
+      ConversationId: conversationId,
+      SenderId: actorId,
+      Type: "SYSTEM",
+      Content: encryptMessage(text, conversationId),
+      Metadata: { systemEvent: { ...event, actorId } },
+    },
+    include: {
+      Sender: {
+        select: { UserID: true, Username: true, ProfilePicture: true },
+      },
+    },
+  });
+
+  await tx.conversation.update({
+    where: { Id: conversationId },
+    data: { LastMessageId: message.Id, UpdatedAt: new Date() },
+  });
+
+  return { ...message, Content: text };
+};
+
+const invalidateConversationLists = (userIds) =>
+  Promise.all(userIds.map((id) => del(`conversations:${id}`)));
+
+/**
+ * Creates a group conversation. The creator becomes its owner.
+ * @param {Object} creator - User with UserID and Username
+ * @param {Object} params - title, participantIds, avatarUrl
+ * @returns {Promise<Object>} { group, systemMessage }
+ * @throws {Error} If participants are invalid or exceed the member limit
+ */
+const createGroup = async (creator, { title, participantIds, avatarUrl }) => {
+  const memberIds = [...new Set(participantIds)].filter(
+    (id) => id !== creator.UserID
+  );
+  if (memberIds.length === 0) {
+    throw new Error("A group needs at least one other member");
+  }
+  if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+    throw new Error("Group member limit reached");
+  }
+
+  await findAddableUsers(memberIds);
+
+  const result = await prisma.$transaction(async (tx) => {
+    const conversation = await tx.conversation.create({
+      data: {
+        IsGroup: true,
+        Title: title.slice(0, MAX_TITLE_LENGTH),
+        AvatarUrl: avatarUrl || null,
+        Participants: {
+          connect: [creator.UserID, ...memberIds].map((UserID) => ({ UserID })),
+        },
+        Members: {
+          create: [
+            { UserId: creator.UserID, Role: "OWNER" },
+            ...memberIds.map((UserId) => ({
+              UserId,
+              Role: "MEMBER",
+              AddedById: creator.UserID,
+            })),
+          ],
+        },
+      },
+      select: { Id: true },
+    });
+
+    const systemMessage = await createSystemMessage(
+      tx,
+      conversation.Id,
+      creator.UserID,
+      `${creator.Username} created the group "${title}"`,
+      { type: "GROUP_CREATED", userIds: memberIds }
+    );
+
+    return { conversationId: conversation.Id, systemMessage };
+  });
+
+  await invalidateConversationLists([creator.UserID, ...memberIds]);
+
+  return {
+    group: await findGroup(result.conversationId),
+    systemMessage: result.systemMessage,
+  };
+};
+
+/**
+ * Adds users to a group. Requires the actor to be an owner or admin.
+ * Users who are already members are ignored.
+ * @param {string} conversationId
+ * @param {Object} actor - User with UserID and Username
+ * @param {number[]} userIds - Users to add
+ * @returns {Promise<Object>} { group, addedIds, systemMessage }
+ * @throws {Error} On permission, validation or member limit errors
+ */
+const addMembers = async (conversationId, actor, userIds) => {
+  const { group, role } = await getGroupMembership(conversationId, actor.UserID);
+  if (!isGroupAdmin(role)) {
+    throw new Error("Only group admins can add members");
+  }
+
+  const existingIds = new Set(group.Members.map((m) => m.UserId));
+  const newIds = [...new Set(userIds)].filter((id) => !existingIds.has(id));
+  if (newIds.length === 0) {
+    throw new Error("Users are already members");
+  }
+  if (group.Members.length + newIds.length > MAX_GROUP_MEMBERS) {
+    throw new Error("Group member limit reached");
+  }
+
+  const users = await findAddableUsers(newIds);
+
+  const systemMessage = await prisma.$transaction(async (tx) => {
+    await tx.conversation.update({
+      where: { Id: conversationId },
+      data: {
+        Participants: { connect: newIds.map((UserID) => ({ UserID })) },
+      },
+    });
+    await tx.conversationMember.createMany({
+      data: newIds.map((UserId) => ({
+        ConversationId: conversationId,
+        UserId,
+        Role: "MEMBER",
+        AddedById: actor.UserID,
+      })),
+    });
+
+    return createSystemMessage(
+      tx,
+      conversationId,
+      actor.UserID,
+      `${actor.Username} added ${users.map((u) => u.Username).join(", ")}`,
+      { type: "MEMBERS_ADDED", userIds: newIds }
+    );
+  });
+
+  await invalidateConversationLists([...existingIds, ...newIds]);
+
+  return {
+    group: await findGroup(conversationId),
+    addedIds: newIds,
+    systemMessage,
+  };
+};
+
+/**
+ * Removes a member from the conversation and writes the system message.
+ * If the owner goes, ownership passes to the longest-standing admin, or
+ * failing that the longest-standing member. The member's pending receipts
+ * and conversation state go with them, so messages they never read can
+ * still reach READ.
+ * @param {Object} group - Group with Members
+ * @param {Object} member - Member being removed
+ * @param {number} actorId
+ * @param {string} text - System message text
+ * @param {string} type - System event type
+ * @returns {Promise<Object>} { systemMessage, newOwnerId, statusChanges }
+ */
+const detachMember = async (group, member, actorId, text, type) => {
+  const result = await prisma.$transaction(async (tx) => {
+    await tx.conversation.update({
+      where: { Id: group.Id },
+      data: { Participants: { disconnect: { UserID: member.UserId } } },
+    });
+    await tx.conversationMember.delete({
+      where: {
+        ConversationId_UserId: {
+          ConversationId: group.Id,
+          UserId: member.UserId,
+        },
+      },
+    });
+
+    const pending = await tx.messageReceipt.findMany({
+      where: {
+        UserId: member.UserId,
+        ReadAt: null,
+        Message: { ConversationId: group.Id },
+      },
+      select: { MessageId: true },
+    });
+    const pendingIds = pending.map((r) => r.MessageId);
+    await tx.messageReceipt.deleteMany({
+      where: { UserId: member.UserId, MessageId: { in: pendingIds } },
+    });
+    await tx.conversationParticipantState.deleteMany({
+      where: { ConversationId: group.Id, UserId: member.UserId },
+    });
+
+    let newOwnerId = null;
+    const remaining = group.Members.filter((m) => m.UserId !== member.UserId);
+    if (member.Role === "OWNER" && remaining.length > 0) {
+      const successor =
+        remaining.find((m) => m.Role === "ADMIN") || remaining[0];
+      await tx.conversationMember.update({
+        where: {
+          ConversationId_UserId: {
+            ConversationId: group.Id,
+            UserId: successor.UserId,
+          },
+        },
+        data: { Role: "OWNER" },
+      });
+      newOwnerId = successor.UserId;
+    }
+
+    const systemMessage = await createSystemMessage(
+      tx,
+      group.Id,
+      actorId,
+      text,
+      { type, userIds: [member.UserId], newOwnerId }
+    );
+
+    return { systemMessage, newOwnerId, pendingIds };
+  });
+
+  const { pendingIds, ...rest } = result;
+  return {
+    ...rest,
+    statusChanges: await receiptService.refreshMessageStatus(pendingIds),
+  };
+};
+
+/**
+ * Removes a member from a group. Owners can remove anyone, admins can
+ * only remove regular members.
+ * @param {string} conversationId
+ * @param {Object} actor - User with UserID and Username
+ * @param {number} userId - Member to remove
+ * @returns {Promise<Object>} { group, systemMessage, statusChanges }
+ * @throws {Error} On permission errors or if the user is not a member
+ */
+const removeMember = async (conversationId, actor, userId) => {
+  if (userId === actor.UserID) {
+    throw new Error("Use leave to remove yourself");
+  }
+
+  const { group, role } = await getGroupMembership(conversationId, actor.UserID);
+  const member = group.Members.find((m) => m.UserId === userId);
+  if (!member) {
+    throw new Error("User is not a member");
+  }
+
+  if (
+    !isGroupAdmin(role) ||
+    (role === "ADMIN" && member.Role !== "MEMBER")
+  ) {
+    throw new Error("Only group admins can remove members");
+  }
+
+  const { systemMessage, statusChanges } = await detachMember(
+    group,
+    member,
+    actor.UserID,
+    `${actor.Username} removed ${member.User.Username}`,
+    "MEMBER_REMOVED"
+  );
+
+  await invalidateConversationLists(group.Members.map((m) => m.UserId));
+
+  return { group: await findGroup(conversationId), systemMessage, statusChanges };
+};
+
+/**
+ * Leaves a group.
+ * @param {string} conversationId
+ * @param {Object} user - User with UserID and Username
+ * @returns {Promise<Object>} { group, systemMessage, newOwnerId, statusChanges }
+ * @throws {Error} If the user is not a member
+ */
+const leaveGroup = async (conversationId, user) => {
+  const { group } = await getGroupMembership(conversationId, user.UserID);
+  const member = group.Members.find((m) => m.UserId === user.UserID);
+
+  const { systemMessage, newOwnerId, statusChanges } = await detachMember(
+    group,
+    member,
+    user.UserID,
+    `${user.Username} left the group`,
+    "MEMBER_LEFT"
+  );
+
+  await invalidateConversationLists(group.Members.map((m) => m.UserId));
+
+  return {
+    group: await findGroup(conversationId),
+    systemMessage,
+    newOwnerId,
+    statusChanges,
+  };
+};
+
+/**
+ * Changes the role of a member. Only the owner can do this; making
+ * someone OWNER transfers ownership and turns the current owner into an admin.
+ * @param {string} conversationId
+ * @param {Object} actor - User with UserID and Username
+ * @param {number} userId - Member whose role changes
+ * @param {string} newRole - OWNER, ADMIN or MEMBER
+ * @returns {Promise<Object>} { group, systemMessage }
+ * @throws {Error} On permission errors or if the user is not a member
+ */
+const updateMemberRole = async (conversationId, actor, userId, newRole) => {
+  const { group, role } = await getGroupMembership(conversationId, actor.UserID);
+  if (role !== "OWNER") {
+    throw new Error("Only the group owner can change roles");
+  }
+  if (userId === actor.UserID) {
+    throw new Error("Cannot change your own role");
+  }
+
+  const member = group.Members.find((m) => m.UserId === userId);
+  if (!member) {
+    throw new Error("User is not a member");
+  }
+  if (member.Role === newRole) {
+    throw new Error(`User is already ${newRole}`);
+  }
+
+  const memberKey = (UserId) => ({
+    ConversationId_UserId: { ConversationId: conversationId, UserId },
+  });
+
+  const text =
+    newRole === "OWNER"
+      ? `${actor.Username} made ${member.User.Username} the group owner`
+      : newRole === "ADMIN"
+      ? `${actor.Username} made ${member.User.Username} an admin`
+      : `${actor.Username} removed ${member.User.Username} as admin`;
+
+  const systemMessage = await prisma.$transaction(async (tx) => {
+    if (newRole === "OWNER") {
+      await tx.conversationMember.update({
+        where: memberKey(actor.UserID),
+        data: { Role: "ADMIN" },
+      });
+    }
+    await tx.conversationMember.update({
+      where: memberKey(userId),
+      data: { Role: newRole },
+    });
+
+    return createSystemMessage(tx, conversationId, actor.UserID, text, {
+      type: "ROLE_CHANGED",
+      userIds: [userId],
+      role: newRole,
+    });
+  });
+
+  return { group: await findGroup(conversationId), systemMessage };
+};
+
+/**
+ * Updates the title and/or avatar of a group. Requires an owner or admin.
+ * @param {string} conversationId
+ * @param {Object} actor - User with UserID and Username
+ * @param {Object} changes - title and/or avatarUrl
+ * @returns {Promise<Object>} { group, systemMessage }
+ * @throws {Error} On permission errors
+ */
+const updateGroup = async (conversationId, actor, { title, avatarUrl }) => {
+  const { group, role } = await getGroupMembership(conversationId, actor.UserID);
+  if (!isGroupAdmin(role)) {
+    throw new Error("Only group admins can edit the group");
+  }
+
+  const data = {};
+  if (title !== undefined) data.Title = title.slice(0, MAX_TITLE_LENGTH);
+  if (avatarUrl !== undefined) data.AvatarUrl = avatarUrl;
+
+  const text =
+    title !== undefined
+      ? `${actor.Username} renamed the group to "${data.Title}"`
+      : `${actor.Username} changed the group photo`;
+
+  const systemMessage = await prisma.$transaction(async (tx) => {
+    await tx.conversation.update({ where: { Id: conversationId }, data });
+    return createSystemMessage(tx, conversationId, actor.UserID, text, {
+      type: "GROUP_UPDATED",
+      title: data.Title,
+      avatarUrl: data.AvatarUrl,
+    });
+  });
+
+  await invalidateConversationLists(group.Members.map((m) => m.UserId));
+
+  return { group: await findGroup(conversationId), systemMessage };
+};
+
+/**
+ * Sets or turns off the disappearing message timer of a conversation. In
+ * groups only owners and admins may change it; in direct conversations
+ * either participant can. Only messages sent afterwards disappear.
+ * @param {string} conversationId
+ * @param {Object} actor - User with UserID and Username
+ * @param {number|null} seconds - One of DISAPPEARING_TIMERS, or null to turn off
+ * @returns {Promise<Object>} { participantIds, messageTtlSeconds, systemMessage }
+ * @throws {Error} On permission errors or if the timer is unchanged
+ */
+const setDisappearingTimer = async (conversationId, actor, seconds) => {
+  const conversation = await prisma.conversation.findUnique({
+    where: { Id: conversationId },
+    select: {
+      IsGroup: true,
+      MessageTtlSeconds: true,
+      Participants: { select: { UserID: true } },
+    },
+  });
+  if (!conversation) {
+    throw new Error("Conversation not found");
+  }
+
+  if (conversation.IsGroup) {
+    const { role } = await getGroupMembership(conversationId, actor.UserID);
+    if (!isGroupAdmin(role)) {
+      throw new Error("Only group admins can change disappearing messages");
+    }
+  } else if (!conversation.Participants.some((p) => p.UserID === actor.UserID)) {
+    throw new Error("Not a member of this conversation");
+  }
+
+  if ((conversation.MessageTtlSeconds || null) === seconds) {
+    throw new Error("Disappearing messages are already set to this timer");
+  }
+
+  const text = seconds
+    ? `${actor.Username} set messages to disappear after ${DISAPPEARING_TIMERS[seconds]}`
+    : `${actor.Username} turned off disappearing messages`;
+
+  const systemMessage = await prisma.$transaction(async (tx) => {
+    await tx.conversation.update({
+      where: { Id: conversationId },
+      data: { MessageTtlSeconds: seconds },
+    });
+    return createSystemMessage(tx, conversationId, actor.UserID, text, {
+      type: "DISAPPEARING_TIMER_CHANGED",
+      messageTtlSeconds: seconds,
+    });
+  });
+
+  const participantIds = conversation.Participants.map((p) => p.UserID);
+  await invalidateConversationLists(participantIds);
+
+  return { participantIds, messageTtlSeconds: seconds, systemMessage };
+};
+
+module.exports = {
+  MAX_GROUP_MEMBERS,
+  DISAPPEARING_TIMERS,
+  formatGroup,
+  getGroupMembership,
+  isGroupAdmin,
+  createGroup,
+  addMembers,
+  removeMember,
+  leaveGroup,
+  updateMemberRole,
+  updateGroup,
+  setDisappearingTimer,
+};
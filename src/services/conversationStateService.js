@@ -0,0 +1,174 @@
+const prisma = require("../utils/prisma");
+
+const MAX_PINNED_CONVERSATIONS = 5;
+// Stored for "mute until I unmute", so muting is always a single date check
+const MUTED_FOREVER = new Date("9999-12-31T23:59:59.999Z");
+
+/**
+ * Checks whether a participant state is currently muted.
+ * @param {Object|null} state - ConversationParticipantState
+ * @returns {boolean}
+ */
+const isMuted = (state) =>
+  Boolean(state?.MutedUntil && state.MutedUntil > new Date());
+
+/**
+ * Formats a participant state for API responses.
+ * @param {Object|null} state - ConversationParticipantState
+ * @returns {Object}
+ */
+const formatState = (state) => {
+  const muted = isMuted(state);
+  return {
+    isMuted: muted,
+    // null while muted means "until unmuted"
+    mutedUntil:
+      muted && state.MutedUntil.getTime() !== MUTED_FOREVER.getTime()
+        ? state.MutedUntil
+        : null,
+    isPinned: Boolean(state?.PinnedAt),
+    pinnedAt: state?.PinnedAt || null,
+    isArchived: Boolean(state?.IsArchived),
+    lastReadMessageId: state?.LastReadMessageId || null,
+  };
+};
+
+/**
+ * Checks whether a user muted a conversation.
+ * @param {number} userId
+ * @param {string} conversationId
+ * @returns {Promise<boolean>}
+ */
+const isConversationMuted = async (userId, conversationId) => {
+  const state = await prisma.conversationParticipantState.findUnique({
+    where: { ConversationId_UserId: { ConversationId: conversationId, UserId: userId } },
+    select: { MutedUntil: true },
+  });
+  return isMuted(state);
+};
+
+/**
+ * Updates the mute, pin and archive state of a conversation for a user.
+ * Archiving unpins the conversation.
+ * @param {number} userId
+ * @param {string} conversationId - Conversation the user participates in
+ * @param {Object} changes
+ * @param {boolean} [changes.muted] - Mute (until unmuted) or unmute
+ * @param {string|null} [changes.mutedUntil] - Mute until this date (null unmutes)
+ * @param {boolean} [changes.pinned]
+ * @param {boolean} [changes.archived]
+ * @returns {Promise<Object>} Formatted state
+ * @throws {Error} If pinning would exceed the pinned conversation limit
+ */
+const updateState = async (
+  userId,
+  conversationId,
+  { muted, mutedUntil, pinned, archived }
+) => {
+  const data = {};
+
+  if (mutedUntil !== undefined) {
+    data.MutedUntil = mutedUntil ? new Date(mutedUntil) : null;
+  } else if (muted !== undefined) {
+    data.MutedUntil = muted ? MUTED_FOREVER : null;
+  }
+
+  if (archived !== undefined) {
+    data.IsArchived = archived;
+    if (archived) data.PinnedAt = null;
+  }
+
+  if (pinned !== undefined && !archived) {
+    if (pinned) {
+      const current = await prisma.conversationParticipantState.findUnique({
+        where: { ConversationId_UserId: { ConversationId: conversationId, UserId: userId } },
+        select: { PinnedAt: true },
+      });
+      if (!current?.PinnedAt) {
+        const pinnedCount = await prisma.conversationParticipantState.count({
+          where: { UserId: userId, PinnedAt: { not: null } },
+        });
+        if (pinnedCount >= MAX_PINNED_CONVERSATIONS) {
+          throw new Error(
+            `Pinned conversation limit reached (${MAX_PINNED_CONVERSATIONS})`
+          );
+        }
+        data.PinnedAt = new Date();
+        data.IsArchived = false;
+      }
+    } else {
+      data.PinnedAt = null;
+    }
+  }
+
+  const state = await prisma.conversationParticipantState.upsert({
+    where: { ConversationId_UserId: { ConversationId: conversationId, UserId: userId } },
+    update: data,
+    create: { ConversationId: conversationId, UserId: userId, ...data },
+  });
+
+  return formatState(state);
+};
+
+/**
+ * Counts unread messages for the badge. Muted and archived conversations
+ * are left out, like they are for notifications.
+ * @param {number} userId
+ * @returns {Promise<Object>} { total, conversations } - unread messages and conversations with unread messages
+ */
+const getUnreadSummary = async (userId) => {
+  const quiet = await prisma.conversationParticipantState.findMany({
+    where: {
+      UserId: userId,
+      OR: [{ IsArchived: true }, { MutedUntil: { gt: new Date() } }],
+    },
+    select: { ConversationId: true },
+  });
+
+  const quietIds = quiet.map((s) => s.ConversationId);
+  // Same visibility rules as getMessages: expired and hidden messages don't count
+  const visible = {
+    IsDeleted: false,
+    OR: [{ ExpiresAt: null }, { ExpiresAt: { gt: new Date() } }],
+    HiddenFor: { none: { UserId: userId } },
+  };
+
+  const [total, conversations] = await Promise.all([
+    prisma.messageReceipt.count({
+      where: {
+        UserId: userId,
+        ReadAt: null,
+        Message: {
+          ...visible,
+          Conversation: {
+            Id: { notIn: quietIds },
+            Participants: { some: { UserID: userId } },
+          },
+        },
+      },
+    }),
+    prisma.conversation.count({
+      where: {
+        Id: { notIn: quietIds },
+        Participants: { some: { UserID: userId } },
+        Messages: {
+          some: {
+            ...visible,
+            Receipts: { some: { UserId: userId, ReadAt: null } },
+          },
+        },
+      },
+    }),
+  ]);
+
+  return { total, conversations };
+};
+
+module.exports = {
+  MAX_PINNED_CONVERSATIONS,
+  isMuted,
+  formatState,
+  isConversationMuted,
+  updateState,
+  getUnreadSummary,
+};
@@ -0,0 +1,418 @@
+const prisma = require("../utils/prisma");
+const {
+  decodePublicKey,
+  decodeSignature,
+  isValidRegistrationId,
+  isValidKeyId,
+  isValidEnvelope,
+  formatPreKeyBundle,
+} = require("../utils/signalEncryption");
+const {
+  maxDevicesPerUser,
+  maxPreKeysPerUpload,
+  maxStoredPreKeys,
+  preKeyLowWatermark,
+} = require("../config/e2ee");
+
+const deviceSelect = {
+  DeviceID: true,
+  Name: true,
+  RegistrationId: true,
+  IdentityKey: true,
+  CreatedAt: true,
+  LastSeenAt: true,
+  SignedPreKey: { select: { KeyId: true, CreatedAt: true } },
+  _count: { select: { PreKeys: true } },
+};
+
+/**
+ * Formats a device for API responses.
+ * @param {Object} device - Device selected with deviceSelect
+ * @returns {Object}
+ */
+const formatDevice = (device) => ({
+  deviceId: device.DeviceID,
+  name: device.Name,
+  registrationId: device.RegistrationId,
+  identityKey: Buffer.from(device.IdentityKey).toString("base64"),
+  signedPreKeyId: device.SignedPreKey?.KeyId ?? null,
+  signedPreKeyCreatedAt: device.SignedPreKey?.CreatedAt ?? null,
+  preKeyCount: device._count.PreKeys,
+  createdAt: device.CreatedAt,
+  lastSeenAt: device.LastSeenAt,
+});
+
+const parseSignedPreKey = (signedPreKey) => {
+  if (!isValidKeyId(signedPreKey?.keyId)) {
+    throw new Error("Invalid signed prekey ID");
+  }
+  return {
+    KeyId: signedPreKey.keyId,
+    PublicKey: decodePublicKey(signedPreKey.publicKey, "signed prekey"),
+    Signature: decodeSignature(signedPreKey.signature),
+  };
+};
+
+const parsePreKeys = (preKeys = []) => {
+  if (!Array.isArray(preKeys) || preKeys.length > maxPreKeysPerUpload) {
+    throw new Error(`Invalid prekeys: upload at most ${maxPreKeysPerUpload} at a time`);
+  }
+  return preKeys.map((preKey) => {
+    if (!isValidKeyId(preKey?.keyId)) {
+      throw new Error("Invalid prekey ID");
+    }
+    return {
+      KeyId: preKey.keyId,
+      PublicKey: decodePublicKey(preKey.publicKey, "prekey"),
+    };
+  });
+};
+
+/**
+ * Loads one of the user's devices.
+ * @throws {Error} If the device does not exist or belongs to someone else
+ */
+const findOwnDevice = async (userId, deviceId) => {
+  const device = await prisma.device.findFirst({
+    where: { DeviceID: deviceId, UserID: userId },
+    select: { DeviceID: true },
+  });
+  if (!device) {
+    throw new Error("Device not found");
+  }
+  return device;
+};
+
+/**
+ * Stores one-time prekeys of a device, ignoring key IDs it already has.
+ * @returns {Promise<number>} Prekeys stored for the device afterwards
+ * @throws {Error} If the device would exceed maxStoredPreKeys
+ */
+const storePreKeys = async (tx, deviceId, preKeys) => {
+  const stored = await tx.preKey.count({ where: { DeviceID: deviceId } });
+  if (stored + preKeys.length > maxStoredPreKeys) {
+    throw new Error(`Too many prekeys: a device can store at most ${maxStoredPreKeys}`);
+  }
+  if (preKeys.length) {
+    await tx.preKey.createMany({
+      data: preKeys.map((preKey) => ({ ...preKey, DeviceID: deviceId })),
+      skipDuplicates: true,
+    });
+  }
+  return tx.preKey.count({ where: { DeviceID: deviceId } });
+};
+
+/**
+ * Publishes the public keys of a device. A device is identified by its
+ * registration ID: publishing again with the same identity key updates it
+ * (new login, rotated signed prekey), with a different identity key it
+ * replaces it, since the app was reinstalled and old sessions are gone.
+ * @param {number} userId
+ * @param {string|null} sessionId - Login session the device uses
+ * @param {Object} keys
+ * @param {string} [keys.name] - Shown in the device list
+ * @param {number} keys.registrationId
+ * @param {string} keys.identityKey - base64
+ * @param {Object} keys.signedPreKey - { keyId, publicKey, signature }
+ * @param {Object[]} [keys.preKeys] - [{ keyId, publicKey }]
+ * @returns {Promise<Object>} Formatted device
+ * @throws {Error} If a key is invalid or the device limit is reached
+ */
+const registerDevice = async (
+  userId,
+  sessionId,
+  { name, registrationId, identityKey, signedPreKey, preKeys }
+) => {
+  if (!isValidRegistrationId(registrationId)) {
+    throw new Error("Invalid registration ID");
+  }
+  const identity = decodePublicKey(identityKey, "identity key");
+  const signed = parseSignedPreKey(signedPreKey);
+  const oneTime = parsePreKeys(preKeys);
+
+  const deviceId = await prisma.$transaction(async (tx) => {
+    let existing = await tx.device.findUnique({
+      where: { UserID_RegistrationId: { UserID: userId, RegistrationId: registrationId } },
+      select: { DeviceID: true, IdentityKey: true },
+    });
+    if (existing && !Buffer.from(existing.IdentityKey).equals(identity)) {
+      await tx.device.delete({ where: { DeviceID: existing.DeviceID } });
+      existing = null;
+    }
+
+    if (!existing) {
+      const count = await tx.device.count({ where: { UserID: userId } });
+      if (count >= maxDevicesPerUser) {
+        throw new Error(`Device limit reached (${maxDevicesPerUser})`);
+      }
+    }
+
+    // A login session belongs to one device
+    if (sessionId) {
+      await tx.device.updateMany({
+        where: { SessionId: sessionId, NOT: { RegistrationId: registrationId } },
+        data: { SessionId: null },
+      });
+    }
+
+    const device = existing
+      ? await tx.device.update({
+          where: { DeviceID: existing.DeviceID },
+          data: { SessionId: sessionId, Name: name, LastSeenAt: new Date() },
+          select: { DeviceID: true },
+        })
+      : await tx.device.create({
+          data: {
+            UserID: userId,
+            SessionId: sessionId,
+            Name: name,
+            RegistrationId: registrationId,
+            IdentityKey: identity,
+          },
+          select: { DeviceID: true },
+        });
+
+    await tx.signedPreKey.upsert({
+      where: { DeviceID: device.DeviceID },
+      update: { ...signed, CreatedAt: new Date() },
+      create: { ...signed, DeviceID: device.DeviceID },
+    });
+    await storePreKeys(tx, device.DeviceID, oneTime);
+    return device.DeviceID;
+  });
+
+  return formatDevice(
+    await prisma.device.findUnique({ where: { DeviceID: deviceId }, select: deviceSelect })
+  );
+};
+
+/**
+ * Lists the user's devices.
+ * @param {number} userId
+ * @returns {Promise<Object[]>}
+ */
+const listDevices = async (userId) => {
+  const devices = await prisma.device.findMany({
+    where: { UserID: userId },
+    orderBy: { CreatedAt: "asc" },
+    select: deviceSelect,
+  });
+  return devices.map(formatDevice);
+};
+
+/**
+ * Removes a device and its keys. Messages already encrypted for it can no
+ * longer be read by it.
+ * @param {number} userId
+ * @param {number} deviceId
+ * @returns {Promise<void>}
+ * @throws {Error} If the device does not exist
+ */
+const removeDevice = async (userId, deviceId) => {
+  await findOwnDevice(userId, deviceId);
+  await prisma.device.delete({ where: { DeviceID: deviceId } });
+};
+
+/**
+ * Adds one-time prekeys to a device (replenishment).
+ * @param {number} userId
+ * @param {number} deviceId
+ * @param {Object[]} preKeys - [{ keyId, publicKey }]
+ * @returns {Promise<Object>} Prekey status of the device
+ * @throws {Error} If the device does not exist, a key is invalid or too many would be stored
+ */
+const uploadPreKeys = async (userId, deviceId, preKeys) => {
+  await findOwnDevice(userId, deviceId);
+  const parsed = parsePreKeys(preKeys);
+  if (!parsed.length) {
+    throw new Error("Invalid prekeys: at least one is required");
+  }
+
+  const count = await prisma.$transaction((tx) => storePreKeys(tx, deviceId, parsed));
+  await prisma.device.update({
+    where: { DeviceID: deviceId },
+    data: { LastSeenAt: new Date() },
+  });
+  return { deviceId, count, needsMore: count < preKeyLowWatermark };
+};
+
+/**
+ * Replaces the signed prekey of a device (periodic rotation).
+ * @param {number} userId
+ * @param {number} deviceId
+ * @param {Object} signedPreKey - { keyId, publicKey, signature }
+ * @returns {Promise<Object>} { deviceId, keyId }
+ * @throws {Error} If the device does not exist or the key is invalid
+ */
+const setSignedPreKey = async (userId, deviceId, signedPreKey) => {
+  await findOwnDevice(userId, deviceId);
+  const signed = parseSignedPreKey(signedPreKey);
+  await prisma.signedPreKey.upsert({
+    where: { DeviceID: deviceId },
+    update: { ...signed, CreatedAt: new Date() },
+    create: { ...signed, DeviceID: deviceId },
+  });
+  return { deviceId, keyId: signed.KeyId };
+};
+
+/**
+ * Tells a device how many one-time prekeys it has left.
+ * @param {number} userId
+ * @param {number} deviceId
+ * @returns {Promise<Object>} { deviceId, count, needsMore }
+ * @throws {Error} If the device does not exist
+ */
+const getPreKeyStatus = async (userId, deviceId) => {
+  await findOwnDevice(userId, deviceId);
+  const count = await prisma.preKey.count({ where: { DeviceID: deviceId } });
+  return { deviceId, count, needsMore: count < preKeyLowWatermark };
+};
+
+/**
+ * Takes the oldest one-time prekey of a device. Each prekey is handed out
+ * once; if another request claims it first the next one is tried.
+ * @returns {Promise<Object|null>} Prekey, or null when the device has none left
+ */
+const claimPreKey = async (deviceId) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const preKey = await prisma.preKey.findFirst({
+      where: { DeviceID: deviceId },
+      orderBy: { Id: "asc" },
+    });
+    if (!preKey) return null;
+
+    const { count } = await prisma.preKey.deleteMany({ where: { Id: preKey.Id } });
+    if (count) return preKey;
+  }
+  return null;
+};
+
+/**
+ * Builds the prekey bundles needed to start sessions with a user's
+ * devices, claiming one one-time prekey per device. Bundles are only
+ * handed out to users who could send the target a message, i.e. who
+ * share a conversation with them, so strangers cannot drain their prekeys.
+ * @param {number} requesterId
+ * @param {number} targetUserId
+ * @param {number} [deviceId] - Only this device
+ * @returns {Promise<Object>} { bundles, lowDevices: [{ deviceId, remaining }] }
+ * @throws {Error} If the user does not exist, cannot be messaged by the requester or has no devices with keys
+ */
+const getPreKeyBundles = async (requesterId, targetUserId, deviceId) => {
+  const user = await prisma.user.findUnique({
+    where: { UserID: targetUserId },
+    select: { IsBanned: true },
+  });
+  if (!user || user.IsBanned) {
+    throw new Error("User not found");
+  }
+
+  if (requesterId !== targetUserId) {
+    const shared = await prisma.conversation.findFirst({
+      where: {
+        AND: [
+          { Participants: { some: { UserID: requesterId } } },
+          { Participants: { some: { UserID: targetUserId } } },
+        ],
+      },
+      select: { Id: true },
+    });
+    if (!shared) {
+      throw new Error("Cannot message this user");
+    }
+  }
+
+  const devices = await prisma.device.findMany({
+    where: {
+      UserID: targetUserId,
+      DeviceID: deviceId,
+      SignedPreKey: { isNot: null },
+    },
+    orderBy: { DeviceID: "asc" },
+    include: { SignedPreKey: true },
+  });
+  if (!devices.length) {
+    throw new Error("No devices with published keys");
+  }
+
+  const bundles = [];
+  const lowDevices = [];
+  for (const device of devices) {
+    const preKey = await claimPreKey(device.DeviceID);
+    bundles.push(formatPreKeyBundle(targetUserId, device, preKey));
+
+    const remaining = await prisma.preKey.count({ where: { DeviceID: device.DeviceID } });
+    if (remaining < preKeyLowWatermark) {
+      lowDevices.push({ deviceId: device.DeviceID, remaining });
+    }
+  }
+  return { bundles, lowDevices };
+};
+
+/**
+ * Finds the device a login session is signed in with.
+ * @param {number} userId
+ * @param {string|null} sessionId
+ * @returns {Promise<Object|null>} { DeviceID, SessionId }
+ */
+const findSessionDevice = async (userId, sessionId) => {
+  if (!sessionId) return null;
+  return prisma.device.findFirst({
+    where: { UserID: userId, SessionId: sessionId },
+    select: { DeviceID: true, SessionId: true },
+  });
+};
+
+/**
+ * Checks that an encrypted message has exactly one envelope for every
+ * device of every participant, except the sending device. Like Signal,
+ * mismatches are reported so the sender can fetch the missing bundles and
+ * drop removed devices before retrying.
+ * @param {number[]} participantIds - Sender included
+ * @param {number} senderDeviceId
+ * @param {Object[]} envelopes - [{ deviceId, type, body }]
+ * @returns {Promise<Object[]>} Recipient devices { DeviceID, UserID, SessionId, envelope }
+ * @throws {Error} "Device list mismatch" with missingDevices and extraDevices
+ */
+const matchEnvelopes = async (participantIds, senderDeviceId, envelopes) => {
+  if (!Array.isArray(envelopes) || !envelopes.every(isValidEnvelope)) {
+    throw new Error("Invalid envelopes");
+  }
+
+  const devices = await prisma.device.findMany({
+    where: { UserID: { in: participantIds }, NOT: { DeviceID: senderDeviceId } },
+    select: { DeviceID: true, UserID: true, SessionId: true },
+  });
+  const byDevice = new Map(envelopes.map((envelope) => [envelope.deviceId, envelope]));
+
+  const missingDevices = devices
+    .filter((device) => !byDevice.has(device.DeviceID))
+    .map((device) => ({ userId: device.UserID, deviceId: device.DeviceID }));
+  const known = new Set(devices.map((device) => device.DeviceID));
+  const extraDevices = [...byDevice.keys()].filter((id) => !known.has(id));
+
+  if (
+    missingDevices.length ||
+    extraDevices.length ||
+    byDevice.size !== envelopes.length
+  ) {
+    throw Object.assign(new Error("Device list mismatch"), {
+      missingDevices,
+      extraDevices,
+    });
+  }
+
+  return devices.map((device) => ({ ...device, envelope: byDevice.get(device.DeviceID) }));
+};
+
+module.exports = {
+  registerDevice,
+  listDevices,
+  removeDevice,
+  uploadPreKeys,
+  setSignedPreKey,
+  getPreKeyStatus,
+  getPreKeyBundles,
+  findSessionDevice,
+  matchEnvelopes,
+};
@@ -6,7 +6,7 @@ sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 /**
  * Sends a password reset email using SendGrid
  * @param {string} email - Recipient's email address
- * @param {string} resetContent - Either a 4-digit verification code or a reset link
+ * @param {string} resetContent - Either a 6-digit verification code or a reset link
  * @param {boolean} isCode - If true, sends a verification code; if false, sends a reset link
  */
 const sendResetEmail = async (email, resetContent, isCode = false) => {
@@ -14,7 +14,7 @@ const sendResetEmail = async (email, resetContent, isCode = false) => {
     let subject, text, html;
 
     if (isCode) {
-      // Email for 4-digit verification code
+      // Email for 6-digit verification code
       subject = "Your LinkUp Password Reset Verification Code";
       text = `Your verification code to reset your password is: ${resetContent}\nThis code expires in 15 minutes.\nIf you did not request this, please ignore this email.`;
       html = `
@@ -148,4 +148,167 @@ const sendResetEmail = async (email, resetContent, isCode = false) => {
   }
 };
 
-module.exports = { sendResetEmail };
+/**
+ * Sends an email address verification link using SendGrid
+ * @param {string} email - Recipient's email address
+ * @param {string} verificationLink - Signed link that confirms the address
+ */
+const sendVerificationEmail = async (email, verificationLink) => {
+  try {
+    const subject = "Verify your LinkUp email address";
+    const text = `Welcome to LinkUp! Confirm your email address by opening this link: ${verificationLink}\nThis link expires in 24 hours.\nIf you did not create an account, please ignore this email.`;
+    const html = `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Verify Your Email</title>
+      </head>
+      <body style="margin: 0; padding: 0; font-family: 'Arial', sans-serif; background-color: #f4f4f4;">
+        <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="border-collapse: collapse;">
+          <tr>
+            <td style="padding: 40px 0; background-color: #f4f4f4;">
+              <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                <!-- Header -->
+                <tr>
+                  <td style="padding: 30px; text-align: center; background: linear-gradient(135deg, #007bff, #00d4ff);">
+                    <h1 style="margin: 0; font-size: 28px; color: #ffffff; font-weight: bold;">LinkUp</h1>
+                  </td>
+                </tr>
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 40px 30px; text-align: center;">
+                    <h2 style="font-size: 24px; color: #333333; margin: 0 0 20px;">Verify Your Email Address</h2>
+                    <p style="font-size: 16px; color: #666666; line-height: 1.5; margin: 0 0 20px;">
+                      Thanks for joining LinkUp! Click the button below to confirm this is your email address:
+                    </p>
+                    <a href="${verificationLink}" style="display: inline-block; padding: 15px 30px; background-color: #007bff; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: bold; border-radius: 5px; margin: 20px 0;">
+                      Verify Email
+                    </a>
+                    <p style="font-size: 14px; color: #666666; line-height: 1.5; margin: 0 0 20px;">
+                      This link expires in <strong>24 hours</strong>. If you did not create an account, please ignore this email.
+                    </p>
+                  </td>
+                </tr>
+                <!-- Footer -->
+                <tr>
+                  <td style="padding: 20px 30px; text-align: center; background-color: #f8f9fa;">
+                    <p style="font-size: 14px; color: #999999; margin: 0;">
+                      &copy; ${new Date().getFullYear()} LinkUp. All rights reserved.
+                    </p>
+                    <p style="font-size: 14px; color: #999999; margin: 5px 0 0;">
+                      Need help? Contact us at <a href="mailto:support@linkup.com" style="color: #007bff; text-decoration: none;">support@linkup.com</a>
+                    </p>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `;
+
+    const response = await sgMail.send({
+      to: email,
+      from: process.env.EMAIL_FROM,
+      subject,
+      text,
+      html,
+    });
+    console.log("Verification email sent successfully:", response);
+  } catch (error) {
+    console.error(
+      "Error sending verification email:",
+      error.response?.body || error.message
+    );
+    throw new Error("Failed to send verification email");
+  }
+};
+
+/**
+ * Sends an email telling the user their account was locked after repeated
+ * failed logins, with a link to unlock it
+ * @param {string} email - Recipient's email address
+ * @param {string} unlockLink - Signed unlock link
+ */
+const sendAccountLockedEmail = async (email, unlockLink) => {
+  try {
+    const subject = "Your LinkUp account was temporarily locked";
+    const text = `We noticed several failed sign-in attempts on your LinkUp account, so we temporarily locked it.\nIf this was you, unlock your account with this link: ${unlockLink}\nThis link expires in 1 hour.\nIf this was not you, we recommend changing your password.`;
+    const html = `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Temporarily Locked</title>
+      </head>
+      <body style="margin: 0; padding: 0; font-family: 'Arial', sans-serif; background-color: #f4f4f4;">
+        <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="border-collapse: collapse;">
+          <tr>
+            <td style="padding: 40px 0; background-color: #f4f4f4;">
+              <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                <!-- Header -->
+                <tr>
+                  <td style="padding: 30px; text-align: center; background: linear-gradient(135deg, #007bff, #00d4ff);">
+                    <h1 style="margin: 0; font-size: 28px; color: #ffffff; font-weight: bold;">LinkUp</h1>
+                  </td>
+                </tr>
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 40px 30px; text-align: center;">
+                    <h2 style="font-size: 24px; color: #333333; margin: 0 0 20px;">Account Temporarily Locked</h2>
+                    <p style="font-size: 16px; color: #666666; line-height: 1.5; margin: 0 0 20px;">
+                      We noticed several failed sign-in attempts on your account, so we temporarily locked it. If this was you, click the button below to unlock it:
+                    </p>
+                    <a href="${unlockLink}" style="display: inline-block; padding: 15px 30px; background-color: #007bff; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: bold; border-radius: 5px; margin: 20px 0;">
+                      Unlock Account
+                    </a>
+                    <p style="font-size: 14px; color: #666666; line-height: 1.5; margin: 0 0 20px;">
+                      This link expires in <strong>1 hour</strong>. If this was not you, we recommend changing your password.
+                    </p>
+                  </td>
+                </tr>
+                <!-- Footer -->
+                <tr>
+                  <td style="padding: 20px 30px; text-align: center; background-color: #f8f9fa;">
+                    <p style="font-size: 14px; color: #999999; margin: 0;">
+                      &copy; ${new Date().getFullYear()} LinkUp. All rights reserved.
+                    </p>
+                    <p style="font-size: 14px; color: #999999; margin: 5px 0 0;">
+                      Need help? Contact us at <a href="mailto:support@linkup.com" style="color: #007bff; text-decoration: none;">support@linkup.com</a>
+                    </p>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `;
+
+    const response = await sgMail.send({
+      to: email,
+      from: process.env.EMAIL_FROM,
+      subject,
+      text,
+      html,
+    });
+    console.log("Account locked email sent successfully:", response);
+  } catch (error) {
+    console.error(
+      "Error sending account locked email:",
+      error.response?.body || error.message
+    );
+    throw new Error("Failed to send account locked email");
+  }
+};
+
+module.exports = {
+  sendResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+};
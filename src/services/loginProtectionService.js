@@ -0,0 +1,332 @@
+const crypto = require("crypto");
+const net = require("net");
+const jwt = require("jsonwebtoken");
+const prisma = require("../utils/prisma");
+const redis = require("../utils/redis");
+const logger = require("../utils/logger");
+const { sendAccountLockedEmail } = require("./emailService");
+const { createNotification } = require("./notificationService");
+
+// Failed logins allowed before the account / IP is locked
+const ACCOUNT_FAILURE_THRESHOLD = 5;
+const IP_FAILURE_THRESHOLD = 20;
+const ACCOUNT_FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+const IP_FAILURE_WINDOW_SECONDS = 60 * 60;
+// Lockout doubles with every failure past the threshold, up to the cap
+const BASE_LOCKOUT_SECONDS = 60;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+const UNLOCK_TOKEN_TTL_SECONDS = 60 * 60;
+// Previous sessions compared against when detecting a new device
+const DEVICE_HISTORY_SIZE = 100;
+
+/**
+ * Computes the lockout duration for a number of failures.
+ * @param {number} failures - Failures in the current window
+ * @param {number} threshold - Failures that trigger the first lockout
+ * @returns {number} Lockout in seconds
+ */
+const lockoutSeconds = (failures, threshold) =>
+  Math.min(
+    BASE_LOCKOUT_SECONDS * 2 ** (failures - threshold),
+    MAX_LOCKOUT_SECONDS
+  );
+
+/**
+ * Locks a key until now + seconds. The value holds the unlock time so the
+ * remaining time can be reported to the client.
+ * @param {string} key - Lock key
+ * @param {number} seconds - Lockout duration
+ */
+const lock = (key, seconds) =>
+  redis.set(key, String(Date.now() + seconds * 1000), seconds);
+
+/**
+ * Returns the seconds left on a lock.
+ * @param {string} key - Lock key
+ * @returns {Promise<number>} Remaining seconds (0 if not locked)
+ */
+const getLockRemaining = async (key) => {
+  const until = await redis.get(key);
+  if (!until) return 0;
+  return Math.max(0, Math.ceil((Number(until) - Date.now()) / 1000));
+};
+
+/**
+ * Throws if the account or the client IP is currently locked out.
+ * @param {number|undefined} userId - ID of the user, if the account exists
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @throws {Error} "Too many failed login attempts" with retryAfter (seconds)
+ */
+const assertLoginAllowed = async (userId, context = {}) => {
+  const [ipRemaining, accountRemaining] = await Promise.all([
+    context.ipAddress
+      ? getLockRemaining(`login:lock:ip:${context.ipAddress}`)
+      : 0,
+    userId ? getLockRemaining(`login:lock:user:${userId}`) : 0,
+  ]);
+
+  const retryAfter = Math.max(ipRemaining, accountRemaining);
+  if (retryAfter > 0) {
+    const error = new Error("Too many failed login attempts");
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+};
+
+/**
+ * Emails a single-use link that lifts the account lockout. The token is
+ * signed for the "account_unlock" audience only, so it cannot sign in.
+ * @param {Object} user - User with UserID and Email
+ */
+const sendUnlockEmail = async (user) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId: user.UserID, purpose: "account_unlock" },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: UNLOCK_TOKEN_TTL_SECONDS,
+      issuer: "linkup-api",
+      audience: "account_unlock",
+      jwtid: jti,
+    }
+  );
+
+  // Only the latest link is valid
+  await redis.set(`login:unlock:${user.UserID}`, jti, UNLOCK_TOKEN_TTL_SECONDS);
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+  await sendAccountLockedEmail(
+    user.Email,
+    `${frontendUrl}/unlock-account?token=${encodeURIComponent(token)}`
+  );
+};
+
+/**
+ * Counts a failure in an account failure counter. Crossing the threshold
+ * locks the account with an exponentially growing lockout; the first
+ * lockout is audited and the owner receives an unlock link.
+ * @param {Object} user - User with UserID and Email
+ * @param {string} failureKey - Counter of the failed step
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ */
+const recordAccountFailure = async (user, failureKey, context) => {
+  const failures = await redis.incr(failureKey, ACCOUNT_FAILURE_WINDOW_SECONDS);
+  if (failures < ACCOUNT_FAILURE_THRESHOLD) return;
+
+  const seconds = lockoutSeconds(failures, ACCOUNT_FAILURE_THRESHOLD);
+  await lock(`login:lock:user:${user.UserID}`, seconds);
+
+  if (failures === ACCOUNT_FAILURE_THRESHOLD) {
+    await prisma.auditLog.create({
+      data: {
+        Action: "ACCOUNT_LOCKED",
+        UserID: user.UserID,
+        Details: JSON.stringify({
+          failures,
+          lockoutSeconds: seconds,
+          userAgent: context.userAgent || null,
+          ipAddress: context.ipAddress || null,
+        }),
+      },
+    });
+
+    sendUnlockEmail(user).catch((error) =>
+      logger.error(`Failed to send unlock email: ${error.message}`)
+    );
+  }
+};
+
+/**
+ * Counts a failed login against the client IP and, when the account
+ * exists, against the account. Crossing a threshold locks it with an
+ * exponentially growing lockout.
+ * @param {Object|null} user - User with UserID and Email, or null if unknown
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ */
+const recordLoginFailure = async (user, context = {}) => {
+  if (context.ipAddress) {
+    const ipFailures = await redis.incr(
+      `login:fail:ip:${context.ipAddress}`,
+      IP_FAILURE_WINDOW_SECONDS
+    );
+    if (ipFailures >= IP_FAILURE_THRESHOLD) {
+      await lock(
+        `login:lock:ip:${context.ipAddress}`,
+        lockoutSeconds(ipFailures, IP_FAILURE_THRESHOLD)
+      );
+    }
+  }
+
+  if (!user) return;
+
+  await recordAccountFailure(user, `login:fail:user:${user.UserID}`, context);
+};
+
+/**
+ * Clears the account failure counter after a correct password.
+ * @param {number} userId - ID of the user
+ */
+const recordLoginSuccess = (userId) => redis.del(`login:fail:user:${userId}`);
+
+/**
+ * Counts a wrong two-factor code against the account, across challenges.
+ * The counter is separate from the password one, which a correct password
+ * clears, and locks the same account lockout.
+ * @param {Object} user - User with UserID and Email
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ */
+const recordTwoFactorFailure = (user, context = {}) =>
+  recordAccountFailure(user, `2fa:fail:user:${user.UserID}`, context);
+
+/**
+ * Clears the two-factor failure counter after a correct code.
+ * @param {number} userId - ID of the user
+ */
+const recordTwoFactorSuccess = (userId) => redis.del(`2fa:fail:user:${userId}`);
+
+/**
+ * Lifts an account lockout using the link sent by email.
+ * @param {string} token - Token from the unlock link
+ * @throws {Error} If the token is invalid, expired or already used
+ */
+const unlockAccount = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: "linkup-api",
+      audience: "account_unlock",
+    });
+  } catch (jwtError) {
+    throw new Error("Invalid or expired unlock token");
+  }
+
+  if (decoded.purpose !== "account_unlock") {
+    throw new Error("Invalid or expired unlock token");
+  }
+
+  const expectedJti = await redis.get(`login:unlock:${decoded.userId}`);
+  if (!expectedJti || expectedJti !== decoded.jti) {
+    throw new Error("Invalid or expired unlock token");
+  }
+
+  await redis.execMulti([
+    { type: "del", key: `login:unlock:${decoded.userId}` },
+    { type: "del", key: `login:lock:user:${decoded.userId}` },
+    { type: "del", key: `login:fail:user:${decoded.userId}` },
+    { type: "del", key: `2fa:fail:user:${decoded.userId}` },
+  ]);
+
+  await prisma.auditLog.create({
+    data: { Action: "ACCOUNT_UNLOCKED", UserID: decoded.userId },
+  });
+};
+
+/**
+ * Reduces a user agent to its browser/OS family so that version updates
+ * do not count as a new device.
+ * @param {string|null} userAgent
+ * @returns {string|null}
+ */
+const deviceFamily = (userAgent) =>
+  userAgent
+    ? userAgent
+        .replace(/\d+([._]\d+)*/g, "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .toLowerCase()
+    : null;
+
+/**
+ * Reduces an IP address to its network range (/24 for IPv4, /48 for IPv6).
+ * @param {string|null} ipAddress
+ * @returns {string|null}
+ */
+const ipRange = (ipAddress) => {
+  if (!ipAddress) return null;
+
+  const ip = ipAddress.replace(/^::ffff:/, "");
+  if (net.isIPv4(ip)) {
+    return `${ip.split(".").slice(0, 3).join(".")}.0/24`;
+  }
+
+  if (net.isIPv6(ip)) {
+    // Expand "::" so the first three groups are always present
+    const [head, tail = ""] = ip.split("::");
+    const headGroups = head ? head.split(":") : [];
+    const tailGroups = tail ? tail.split(":") : [];
+    const groups = ip.includes("::")
+      ? [
+          ...headGroups,
+          ...Array(8 - headGroups.length - tailGroups.length).fill("0"),
+          ...tailGroups,
+        ]
+      : headGroups;
+    return `${groups.slice(0, 3).join(":")}::/48`;
+  }
+
+  return ip;
+};
+
+/**
+ * Checks a successful login against the user's previous sessions and, when
+ * it comes from a device or IP range never seen before, writes an audit log
+ * entry and notifies the user. The first login of an account is not
+ * reported. Must run before the new session is created.
+ * @param {number} userId - ID of the user
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ */
+const checkLoginAnomaly = async (userId, context = {}) => {
+  const previousSessions = await prisma.session.findMany({
+    where: { UserID: userId },
+    select: { UserAgent: true, IPAddress: true },
+    orderBy: { CreatedAt: "desc" },
+    take: DEVICE_HISTORY_SIZE,
+  });
+
+  if (previousSessions.length === 0) return;
+
+  const device = deviceFamily(context.userAgent);
+  const network = ipRange(context.ipAddress);
+  const isNewDevice = !previousSessions.some(
+    (session) => deviceFamily(session.UserAgent) === device
+  );
+  const isNewNetwork = !previousSessions.some(
+    (session) => ipRange(session.IPAddress) === network
+  );
+
+  if (!isNewDevice && !isNewNetwork) return;
+
+  const details = {
+    newDevice: isNewDevice,
+    newNetwork: isNewNetwork,
+    userAgent: context.userAgent || null,
+    ipAddress: context.ipAddress || null,
+  };
+
+  await prisma.auditLog.create({
+    data: {
+      Action: "NEW_DEVICE_LOGIN",
+      UserID: userId,
+      Details: JSON.stringify(details),
+    },
+  });
+
+  await createNotification({
+    userId,
+    type: "SECURITY_ALERT",
+    content: `New sign-in to your account from ${
+      isNewDevice ? "a new device" : "a new location"
+    }${context.ipAddress ? ` (IP ${context.ipAddress})` : ""}. If this wasn't you, change your password and sign out your other sessions.`,
+    metadata: details,
+  });
+};
+
+module.exports = {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordTwoFactorFailure,
+  recordTwoFactorSuccess,
+  unlockAccount,
+  checkLoginAnomaly,
+};
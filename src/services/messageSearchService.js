@@ -0,0 +1,234 @@
+const prisma = require("../utils/prisma");
+const { decryptMessage, hashSearchToken } = require("../utils/encryption");
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64;
+const MAX_TOKENS_PER_MESSAGE = 500;
+const MAX_QUERY_TERMS = 10;
+// Messages indexed on the fly per search (history sent before indexing existed)
+const BACKFILL_BATCH = 500;
+// Phrases are verified after decryption, so a page may need several batches
+const MAX_SCAN_ROUNDS = 5;
+
+/**
+ * Splits text into normalized words, in order and with repeats.
+ * Case and diacritics are ignored ("Café" matches "cafe").
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) =>
+  (text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu)
+    ?.filter((t) => t.length >= MIN_TOKEN_LENGTH)
+    .map((t) => t.slice(0, MAX_TOKEN_LENGTH)) || [];
+
+/**
+ * Parses a search query. Quoted parts are phrases whose words must appear
+ * next to each other; every other word must appear anywhere in the message.
+ * @param {string} query
+ * @returns {{ terms: string[], phrases: string[][] }}
+ */
+const parseQuery = (query) => {
+  const phrases = [];
+  const rest = query.replace(/"([^"]*)"/g, (_, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 1) phrases.push(words);
+    return ` ${words.join(" ")} `;
+  });
+
+  const terms = [...new Set(tokenize(rest))].slice(0, MAX_QUERY_TERMS);
+  return { terms, phrases };
+};
+
+/**
+ * Replaces the search tokens of a message.
+ * @param {Object} tx - Prisma client or transaction
+ * @param {Object} message - { Id, ConversationId }
+ * @param {string|null} plaintext - Decrypted content
+ */
+const indexMessage = async (tx, { Id, ConversationId }, plaintext) => {
+  const tokens = [...new Set(tokenize(plaintext))].slice(
+    0,
+    MAX_TOKENS_PER_MESSAGE
+  );
+
+  await tx.messageSearchToken.deleteMany({ where: { MessageId: Id } });
+  if (tokens.length > 0) {
+    await tx.messageSearchToken.createMany({
+      data: tokens.map((token) => ({
+        MessageId: Id,
+        ConversationId,
+        Token: hashSearchToken(token, ConversationId),
+      })),
+      skipDuplicates: true,
+    });
+  }
+  await tx.message.update({
+    where: { Id },
+    data: { SearchIndexed: true },
+  });
+};
+
+/**
+ * Removes a message from the index (when it is deleted).
+ * @param {Object} tx - Prisma client or transaction
+ * @param {string} messageId
+ */
+const removeMessage = (tx, messageId) =>
+  tx.messageSearchToken.deleteMany({ where: { MessageId: messageId } });
+
+/**
+ * Indexes messages of the given conversations that are not indexed yet.
+ * @param {string[]} conversationIds
+ */
+const indexPending = async (conversationIds) => {
+  const pending = await prisma.message.findMany({
+    where: {
+      ConversationId: { in: conversationIds },
+      SearchIndexed: false,
+      IsDeleted: false,
+      Type: "USER",
+      Content: { not: null },
+    },
+    take: BACKFILL_BATCH,
+    select: { Id: true, ConversationId: true, Content: true },
+  });
+
+  for (const message of pending) {
+    await indexMessage(
+      prisma,
+      message,
+      decryptMessage(message.Content, message.ConversationId)
+    );
+  }
+};
+
+/**
+ * Checks that every phrase appears as consecutive words.
+ * @param {string[]} words - Tokenized message
+ * @param {string[][]} phrases
+ * @returns {boolean}
+ */
+const matchesPhrases = (words, phrases) =>
+  phrases.every((phrase) =>
+    words.some((_, i) => phrase.every((p, j) => words[i + j] === p))
+  );
+
+/**
+ * Searches messages of the user's conversations.
+ * @param {number} userId - Searching user
+ * @param {Object} params
+ * @param {string} params.q - Query; quoted phrases are matched exactly
+ * @param {string} [params.conversationId] - Restrict to one conversation (membership is checked by the caller)
+ * @param {number} [params.senderId] - Only messages from this user
+ * @param {string} [params.from] - Only messages sent at or after this date
+ * @param {string} [params.to] - Only messages sent at or before this date
+ * @param {string} [params.cursor] - nextCursor of the previous page
+ * @param {number} [params.limit=20]
+ * @returns {Promise<Object>} { results, nextCursor }
+ * @throws {Error} If the query contains no searchable words
+ */
+const searchMessages = async (
+  userId,
+  { q, conversationId, senderId, from, to, cursor, limit }
+) => {
+  const pageSize = parseInt(limit) || 20;
+  const { terms, phrases } = parseQuery(q);
+  if (terms.length === 0) {
+    throw new Error("Search query has no searchable words");
+  }
+
+  const conversationIds = conversationId
+    ? [conversationId]
+    : (
+        await prisma.conversation.findMany({
+          where: { Participants: { some: { UserID: userId } } },
+          select: { Id: true },
+        })
+      ).map((c) => c.Id);
+  if (conversationIds.length === 0) {
+    return { results: [], nextCursor: null };
+  }
+
+  await indexPending(conversationIds);
+
+  const where = {
+    ConversationId: { in: conversationIds },
+    IsDeleted: false,
+    // Expired messages stay hidden until the cleanup job deletes them
+    OR: [{ ExpiresAt: null }, { ExpiresAt: { gt: new Date() } }],
+    HiddenFor: { none: { UserId: userId } },
+    SenderId: senderId ? parseInt(senderId) : undefined,
+    CreatedAt:
+      from || to
+        ? {
+            gte: from ? new Date(from) : undefined,
+            lte: to ? new Date(to) : undefined,
+          }
+        : undefined,
+    AND: terms.map((term) => ({
+      SearchTokens: {
+        some: {
+          Token: {
+            in: conversationIds.map((id) => hashSearchToken(term, id)),
+          },
+        },
+      },
+    })),
+  };
+
+  const batchSize = Math.min(pageSize * 3, 150);
+  const results = [];
+  let scanCursor = cursor;
+  let exhausted = false;
+
+  for (let round = 0; round < MAX_SCAN_ROUNDS && results.length < pageSize; round++) {
+    const batch = await prisma.message.findMany({
+      where,
+      orderBy: [{ CreatedAt: "desc" }, { Id: "desc" }],
+      take: batchSize,
+      ...(scanCursor ? { cursor: { Id: scanCursor }, skip: 1 } : {}),
+      select: {
+        Id: true,
+        ConversationId: true,
+        SenderId: true,
+        Content: true,
+        CreatedAt: true,
+        IsEdited: true,
+        Sender: {
+          select: { UserID: true, Username: true, ProfilePicture: true },
+        },
+      },
+    });
+
+    for (const message of batch) {
+      scanCursor = message.Id;
+      const content = decryptMessage(message.Content, message.ConversationId);
+      if (phrases.length && !matchesPhrases(tokenize(content), phrases)) {
+        continue;
+      }
+      results.push({ ...message, Content: content });
+      if (results.length === pageSize) break;
+    }
+
+    if (batch.length < batchSize) {
+      // Nothing left to scan unless the page filled up mid-batch
+      exhausted =
+        batch.length === 0 || scanCursor === batch[batch.length - 1].Id;
+      break;
+    }
+  }
+
+  return { results, nextCursor: exhausted ? null : scanCursor };
+};
+
+module.exports = {
+  tokenize,
+  parseQuery,
+  indexMessage,
+  removeMessage,
+  searchMessages,
+};
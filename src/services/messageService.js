@@ -0,0 +1,476 @@
+const prisma = require("../utils/prisma");
+const { encryptMessage, decryptMessage } = require("../utils/encryption");
+const { userRoom, sessionRoom } = require("../socket/rooms");
+const receiptService = require("./receiptService");
+const messageSearchService = require("./messageSearchService");
+const deviceKeyService = require("./deviceKeyService");
+const {
+  editWindowMinutes,
+  deleteForEveryoneWindowMinutes,
+} = require("../config/messagePolicy");
+
+const EXPIRY_BATCH = 500;
+
+/**
+ * Stores a user message with everything that goes with it: receipts for
+ * the recipients, search index, the conversation's disappearing timer and
+ * the last message pointer. Every path that creates user messages goes
+ * through here.
+ * @param {Object} params
+ * @param {string} params.conversationId
+ * @param {number} params.senderId
+ * @param {number[]} params.participantIds - All participants, sender included
+ * @param {string} [params.content] - Plaintext, encrypted here
+ * @param {string} [params.replyToId]
+ * @param {Object[]} [params.attachments] - Attachment rows to create
+ * @param {Object} [params.metadata]
+ * @param {number} [params.senderDeviceId] - Device that encrypted the message
+ * @param {Object[]} [params.recipientDevices] - From deviceKeyService.matchEnvelopes; makes the message end-to-end encrypted
+ * @returns {Promise<Object>} Message with Attachments and Sender
+ */
+const createMessage = ({
+  conversationId,
+  senderId,
+  participantIds,
+  content,
+  replyToId,
+  attachments = [],
+  metadata,
+  senderDeviceId,
+  recipientDevices,
+}) =>
+  prisma.$transaction(
+    async (tx) => {
+      const { MessageTtlSeconds } = await tx.conversation.findUnique({
+        where: { Id: conversationId },
+        select: { MessageTtlSeconds: true },
+      });
+
+      const msg = await tx.message.create({
+        data: {
+          ConversationId: conversationId,
+          SenderId: senderId,
+          Content: content ? encryptMessage(content, conversationId) : null,
+          ReplyToId: replyToId,
+          Metadata: metadata,
+          ExpiresAt: MessageTtlSeconds
+            ? new Date(Date.now() + MessageTtlSeconds * 1000)
+            : null,
+          Attachments: attachments.length ? { create: attachments } : undefined,
+          IsEncrypted: Boolean(recipientDevices),
+          SenderDeviceId: recipientDevices ? senderDeviceId : null,
+          Envelopes: recipientDevices
+            ? {
+                create: recipientDevices.map(({ DeviceID, envelope }) => ({
+                  DeviceID,
+                  Type: envelope.type,
+                  Body: envelope.body,
+                })),
+              }
+            : undefined,
+        },
+        include: {
+          Attachments: true,
+          Sender: {
+            select: { UserID: true, Username: true, ProfilePicture: true },
+          },
+        },
+      });
+
+      await receiptService.createReceipts(
+        tx,
+        msg.Id,
+        participantIds.filter((id) => id !== senderId)
+      );
+      if (content) {
+        await messageSearchService.indexMessage(tx, msg, content);
+      }
+      await tx.conversation.update({
+        where: { Id: conversationId },
+        data: { LastMessageId: msg.Id, UpdatedAt: new Date() },
+      });
+
+      return msg;
+    },
+    { timeout: 15000 }
+  );
+
+/**
+ * Loads the replied-to message in the shape used by getMessages.
+ * @param {string} replyToId
+ * @param {string} conversationId
+ * @returns {Promise<Object|null>}
+ */
+const getReplyPreview = async (replyToId, conversationId) => {
+  const replyMsg = await prisma.message.findUnique({
+    where: { Id: replyToId },
+    select: { Id: true, Content: true, SenderId: true, IsDeleted: true },
+  });
+  if (!replyMsg) return null;
+
+  return {
+    Id: replyMsg.Id,
+    Content: replyMsg.IsDeleted
+      ? "Message deleted"
+      : decryptMessage(replyMsg.Content, conversationId),
+    SenderId: replyMsg.SenderId,
+    IsDeleted: replyMsg.IsDeleted,
+  };
+};
+
+/**
+ * Formats a new message like getMessages does.
+ * @param {Object} message - Message from createMessage
+ * @param {string|null} content - Plaintext
+ * @param {Object|null} replyTo - From getReplyPreview
+ * @returns {Object}
+ */
+const formatNewMessage = (message, content, replyTo = null) => ({
+  Id: message.Id,
+  ConversationId: message.ConversationId,
+  SenderId: message.SenderId,
+  Content: content || null,
+  Status: message.Status || "SENT",
+  ReadAt: message.ReadAt,
+  ReplyToId: message.ReplyToId,
+  CreatedAt: message.CreatedAt,
+  UpdatedAt: message.UpdatedAt,
+  ExpiresAt: message.ExpiresAt,
+  IsEncrypted: message.IsEncrypted,
+  SenderDeviceId: message.SenderDeviceId,
+  IsEdited: message.IsEdited,
+  IsDeleted: message.IsDeleted,
+  DeletedAt: message.DeletedAt,
+  Sender: message.Sender,
+  Attachments: message.Attachments,
+  Reactions: [],
+  ReadBy: [],
+  ReplyTo: replyTo,
+  storyReference: null,
+});
+
+/**
+ * Emits an encrypted message: each recipient device signed in on a socket
+ * gets its own envelope, every other socket of the participants only the
+ * message without content.
+ */
+const emitEncryptedMessage = (io, participantIds, event, recipientDevices) => {
+  const connected = recipientDevices.filter((device) => device.SessionId);
+
+  participantIds.forEach((id) => {
+    const deviceRooms = connected
+      .filter((device) => device.UserID === id)
+      .map((device) => sessionRoom(device.SessionId));
+    io.to(userRoom(id)).except(deviceRooms).emit("message:new", {
+      ...event,
+      envelope: null,
+    });
+  });
+  connected.forEach(({ SessionId, envelope }) => {
+    io.to(sessionRoom(SessionId)).emit("message:new", {
+      ...event,
+      envelope: { type: envelope.type, body: envelope.body },
+    });
+  });
+};
+
+/**
+ * Sends a user message (text, attachments, reply) and emits it to every
+ * participant. Used by sendMessage, the message:send socket event and
+ * scheduled message dispatch. With envelopes instead of content the
+ * message is end-to-end encrypted and the server only relays ciphertext.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} params - See createMessage
+ * @param {Object[]} [params.envelopes] - [{ deviceId, type, body }], one per recipient device
+ * @returns {Promise<Object>} Formatted message
+ * @throws {Error} "Device list mismatch" if envelopes do not match the participants' devices
+ */
+const sendUserMessage = async (io, params) => {
+  let recipientDevices;
+  if (params.envelopes) {
+    if (params.content || params.attachments?.length) {
+      throw new Error("Encrypted messages carry their content in envelopes");
+    }
+    recipientDevices = await deviceKeyService.matchEnvelopes(
+      params.participantIds,
+      params.senderDeviceId,
+      params.envelopes
+    );
+  }
+
+  const message = await createMessage({ ...params, recipientDevices });
+  const replyTo = params.replyToId
+    ? await getReplyPreview(params.replyToId, params.conversationId)
+    : null;
+  const formatted = formatNewMessage(message, params.content, replyTo);
+
+  if (io) {
+    const event = { ...formatted, status: formatted.Status };
+    if (recipientDevices) {
+      emitEncryptedMessage(io, params.participantIds, event, recipientDevices);
+    } else {
+      params.participantIds.forEach((id) => {
+        io.to(userRoom(id)).emit("message:new", event);
+      });
+    }
+  }
+
+  return formatted;
+};
+
+const isWithin = (date, minutes) =>
+  Date.now() - new Date(date).getTime() <= minutes * 60 * 1000;
+
+/**
+ * Loads a message of a conversation the user participates in.
+ * @throws {Error} If the message does not exist or the user is not a participant
+ */
+const findParticipantMessage = async (userId, messageId) => {
+  const message = await prisma.message.findUnique({
+    where: { Id: messageId },
+    select: {
+      Id: true,
+      ConversationId: true,
+      SenderId: true,
+      Content: true,
+      Type: true,
+      IsDeleted: true,
+      IsEncrypted: true,
+      CreatedAt: true,
+      Conversation: {
+        select: {
+          Participants: { where: { UserID: userId }, select: { UserID: true } },
+        },
+      },
+    },
+  });
+  if (!message || !message.Conversation.Participants.length) {
+    throw new Error("Message not found");
+  }
+  return message;
+};
+
+/**
+ * Replaces the content of a message, keeping the previous version in its
+ * edit history. Only the sender can edit, within the edit window.
+ * @param {number} userId - Editor
+ * @param {string} messageId
+ * @param {string} content - New plaintext content
+ * @returns {Promise<Object>} { messageId, conversationId, content, editedAt }
+ * @throws {Error} If the message cannot be found, is not the user's, is deleted or the edit window passed
+ */
+const editMessage = async (userId, messageId, content) => {
+  const message = await findParticipantMessage(userId, messageId);
+  if (message.SenderId !== userId || message.Type !== "USER") {
+    throw new Error("Not authorized");
+  }
+  if (message.IsDeleted) {
+    throw new Error("Cannot edit a deleted message");
+  }
+  // The server cannot re-encrypt for the recipients' devices
+  if (message.IsEncrypted) {
+    throw new Error("Cannot edit an encrypted message");
+  }
+  if (!isWithin(message.CreatedAt, editWindowMinutes)) {
+    throw new Error(`Messages can only be edited within ${editWindowMinutes} minutes`);
+  }
+
+  const editedAt = new Date();
+  await prisma.$transaction(async (tx) => {
+    await tx.messageEdit.create({
+      data: {
+        MessageId: messageId,
+        OldContent: message.Content,
+        EditorId: userId,
+        EditedAt: editedAt,
+      },
+    });
+    await tx.message.update({
+      where: { Id: messageId },
+      data: {
+        Content: encryptMessage(content, message.ConversationId),
+        IsEdited: true,
+        UpdatedAt: editedAt,
+      },
+    });
+    await messageSearchService.indexMessage(tx, message, content);
+  });
+
+  return { messageId, conversationId: message.ConversationId, content, editedAt };
+};
+
+/**
+ * Returns the decrypted versions of a message, oldest first. The last one
+ * is the current content.
+ * @param {number} userId - Viewer, must participate in the conversation
+ * @param {string} messageId
+ * @returns {Promise<Object>} { messageId, conversationId, versions: [{ content, since, editedBy }] }
+ * @throws {Error} If the message cannot be found or was deleted for everyone
+ */
+const getEditHistory = async (userId, messageId) => {
+  const message = await findParticipantMessage(userId, messageId);
+  if (message.IsDeleted) {
+    throw new Error("Message was deleted");
+  }
+
+  const edits = await prisma.messageEdit.findMany({
+    where: { MessageId: messageId },
+    orderBy: { EditedAt: "asc" },
+    select: {
+      OldContent: true,
+      EditedAt: true,
+      Editor: { select: { UserID: true, Username: true } },
+    },
+  });
+
+  // Each edit stores the content it replaced: edit i holds the version
+  // that was current from edit i-1 (or creation) until edit i
+  const decrypt = (content) => decryptMessage(content, message.ConversationId);
+  const versions = edits.map((edit, i) => ({
+    content: decrypt(edit.OldContent),
+    since: i === 0 ? message.CreatedAt : edits[i - 1].EditedAt,
+    editedBy: i === 0 ? null : edits[i - 1].Editor,
+  }));
+  versions.push({
+    content: decrypt(message.Content),
+    since: edits.length ? edits[edits.length - 1].EditedAt : message.CreatedAt,
+    editedBy: edits.length ? edits[edits.length - 1].Editor : null,
+  });
+
+  return { messageId, conversationId: message.ConversationId, versions };
+};
+
+/**
+ * Deletes a message for every participant: the content, attachments and
+ * edit history are removed and the message shows as deleted. Only the
+ * sender can do this, within the delete window.
+ * @param {number} userId
+ * @param {string} messageId
+ * @returns {Promise<Object>} { messageId, conversationId, wasPinned }
+ * @throws {Error} If the message cannot be found, is not the user's, is already deleted or the window passed
+ */
+const deleteForEveryone = async (userId, messageId) => {
+  const message = await findParticipantMessage(userId, messageId);
+  if (message.SenderId !== userId || message.Type !== "USER") {
+    throw new Error("Not authorized");
+  }
+  if (message.IsDeleted) {
+    throw new Error("Message already deleted");
+  }
+  if (!isWithin(message.CreatedAt, deleteForEveryoneWindowMinutes)) {
+    throw new Error(
+      `Messages can only be deleted for everyone within ${deleteForEveryoneWindowMinutes} minutes`
+    );
+  }
+
+  const wasPinned = await prisma.$transaction(async (tx) => {
+    await tx.message.update({
+      where: { Id: messageId },
+      data: { IsDeleted: true, DeletedAt: new Date(), Content: null },
+    });
+    await tx.messageEdit.deleteMany({ where: { MessageId: messageId } });
+    await tx.attachment.deleteMany({ where: { MessageId: messageId } });
+    await tx.messageEnvelope.deleteMany({ where: { MessageId: messageId } });
+    const unpinned = await tx.pinnedMessage.deleteMany({ where: { MessageId: messageId } });
+    await tx.messageDelete.create({
+      data: { MessageId: messageId, DeletedBy: userId },
+    });
+    await messageSearchService.removeMessage(tx, messageId);
+    return unpinned.count > 0;
+  });
+
+  return { messageId, conversationId: message.ConversationId, wasPinned };
+};
+
+/**
+ * Hides a message from the user's own view of the conversation. Other
+ * participants are not affected.
+ * @param {number} userId
+ * @param {string} messageId
+ * @returns {Promise<Object>} { messageId, conversationId }
+ * @throws {Error} If the message cannot be found
+ */
+const deleteForMe = async (userId, messageId) => {
+  const message = await findParticipantMessage(userId, messageId);
+
+  await prisma.messageHidden.upsert({
+    where: { MessageId_UserId: { MessageId: messageId, UserId: userId } },
+    update: {},
+    create: { MessageId: messageId, UserId: userId },
+  });
+
+  return { messageId, conversationId: message.ConversationId };
+};
+
+/**
+ * Hard-deletes messages whose disappearing timer ran out and tells the
+ * participants to drop them. Replies keep existing without their quote.
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<number>} Number of deleted messages
+ */
+const deleteExpiredMessages = async (io) => {
+  const expired = await prisma.message.findMany({
+    where: { ExpiresAt: { lte: new Date() } },
+    select: { Id: true, ConversationId: true },
+    take: EXPIRY_BATCH,
+  });
+  if (!expired.length) return 0;
+
+  const ids = expired.map((m) => m.Id);
+  const byConversation = new Map();
+  expired.forEach((m) => {
+    if (!byConversation.has(m.ConversationId)) {
+      byConversation.set(m.ConversationId, []);
+    }
+    byConversation.get(m.ConversationId).push(m.Id);
+  });
+
+  await prisma.$transaction(async (tx) => {
+    await tx.message.updateMany({
+      where: { ReplyToId: { in: ids } },
+      data: { ReplyToId: null },
+    });
+    await tx.messageDelete.deleteMany({ where: { MessageId: { in: ids } } });
+    await tx.message.deleteMany({ where: { Id: { in: ids } } });
+
+    // Deleting the last message clears the pointer; move it back
+    for (const conversationId of byConversation.keys()) {
+      const last = await tx.message.findFirst({
+        where: { ConversationId: conversationId },
+        orderBy: { CreatedAt: "desc" },
+        select: { Id: true },
+      });
+      await tx.conversation.update({
+        where: { Id: conversationId },
+        data: { LastMessageId: last?.Id || null },
+      });
+    }
+  });
+
+  if (io) {
+    const conversations = await prisma.conversation.findMany({
+      where: { Id: { in: [...byConversation.keys()] } },
+      select: { Id: true, Participants: { select: { UserID: true } } },
+    });
+    conversations.forEach((c) => {
+      const payload = { conversationId: c.Id, messageIds: byConversation.get(c.Id) };
+      c.Participants.forEach((p) => {
+        io.to(userRoom(p.UserID)).emit("messages:expired", payload);
+      });
+    });
+  }
+
+  return ids.length;
+};
+
+module.exports = {
+  createMessage,
+  getReplyPreview,
+  formatNewMessage,
+  sendUserMessage,
+  editMessage,
+  getEditHistory,
+  deleteForEveryone,
+  deleteForMe,
+  deleteExpiredMessages,
+};
@@ -0,0 +1,340 @@
+const prisma = require("../utils/prisma");
+const { decryptMessage } = require("../utils/encryption");
+const { userRoom } = require("../socket/rooms");
+const messageService = require("./messageService");
+const { canViewPost, canViewStoriesOf } = require("./contentAccessService");
+
+const MAX_FORWARD_TARGETS = 5;
+const POST_PREVIEW_LENGTH = 200;
+
+/**
+ * Loads the participants of the target conversations.
+ * @param {number} userId - Sender, who must participate in every target
+ * @param {string[]} conversationIds
+ * @returns {Promise<Object[]>} { conversationId, participantIds }
+ * @throws {Error} If a conversation does not exist or the sender is not in it
+ */
+const loadTargets = async (userId, conversationIds) => {
+  const ids = [...new Set(conversationIds)];
+  const conversations = await prisma.conversation.findMany({
+    where: { Id: { in: ids }, Participants: { some: { UserID: userId } } },
+    select: { Id: true, Participants: { select: { UserID: true } } },
+  });
+  if (conversations.length !== ids.length) {
+    throw new Error("Conversation not found or access denied");
+  }
+  return conversations.map((c) => ({
+    conversationId: c.Id,
+    participantIds: c.Participants.map((p) => p.UserID),
+  }));
+};
+
+/**
+ * Stores a shared or forwarded message in one target conversation.
+ */
+const createSharedMessage = async (
+  { conversationId, participantIds },
+  senderId,
+  { content, attachments, metadata }
+) => {
+  const message = await messageService.createMessage({
+    conversationId,
+    senderId,
+    participantIds,
+    content,
+    attachments,
+    metadata,
+  });
+  return { message, content, participantIds };
+};
+
+/**
+ * Forwards a message to other conversations. Content is decrypted and
+ * re-encrypted for each target; attachments are copied. A forwarded
+ * shared post or story stays shared.
+ * @param {number} userId - Forwarding user
+ * @param {string} messageId - Message to forward
+ * @param {string[]} conversationIds - Targets (the user must participate)
+ * @returns {Promise<Object[]>} { message, content, participantIds } per target
+ * @throws {Error} If the message cannot be found, read or forwarded
+ */
+const forwardMessage = async (userId, messageId, conversationIds) => {
+  const source = await prisma.message.findUnique({
+    where: { Id: messageId },
+    select: {
+      Id: true,
+      ConversationId: true,
+      SenderId: true,
+      Content: true,
+      IsDeleted: true,
+      IsEncrypted: true,
+      Type: true,
+      Metadata: true,
+      Attachments: {
+        select: {
+          Url: true,
+          Type: true,
+          FileName: true,
+          FileSize: true,
+          Duration: true,
+          Thumbnail: true,
+          Metadata: true,
+        },
+      },
+      Conversation: {
+        select: {
+          Participants: { where: { UserID: userId }, select: { UserID: true } },
+        },
+      },
+    },
+  });
+
+  if (!source || !source.Conversation.Participants.length) {
+    throw new Error("Message not found");
+  }
+  // Encrypted content is only readable on the devices, which re-send it instead
+  if (source.IsDeleted || source.IsEncrypted || source.Type !== "USER") {
+    throw new Error("This message cannot be forwarded");
+  }
+
+  const content = decryptMessage(source.Content, source.ConversationId);
+  const { sharedPost, sharedStory, forwardedFrom } = source.Metadata || {};
+  // A bare story reply has nothing to forward without its story context
+  if (!content && !source.Attachments.length && !sharedPost && !sharedStory) {
+    throw new Error("This message cannot be forwarded");
+  }
+
+  const targets = await loadTargets(userId, conversationIds);
+  const metadata = {
+    forwardedFrom: {
+      messageId: source.Id,
+      conversationId: source.ConversationId,
+      senderId: source.SenderId,
+      forwardCount: (forwardedFrom?.forwardCount || 0) + 1,
+    },
+    ...(sharedPost && { sharedPost }),
+    ...(sharedStory && { sharedStory }),
+  };
+  const attachments = source.Attachments.map((a) => ({
+    ...a,
+    Metadata: a.Metadata ?? undefined,
+  }));
+
+  const results = [];
+  for (const target of targets) {
+    results.push(
+      await createSharedMessage(target, userId, { content, attachments, metadata })
+    );
+  }
+  return results;
+};
+
+/**
+ * Sends a post into a conversation, with an optional caption.
+ * @param {number} userId - Sender
+ * @param {string} conversationId
+ * @param {number} postId
+ * @param {string} [content] - Caption
+ * @returns {Promise<Object>} { message, content, participantIds }
+ * @throws {Error} If the post does not exist or the sender cannot view it
+ */
+const sharePost = async (userId, conversationId, postId, content) => {
+  const post = await prisma.post.findUnique({
+    where: { PostID: postId },
+    select: { PostID: true, UserID: true, privacy: true },
+  });
+  if (!post) throw new Error("Post not found");
+  if (!(await canViewPost(userId, post))) {
+    throw new Error("No access to this post");
+  }
+
+  const [target] = await loadTargets(userId, [conversationId]);
+  return createSharedMessage(target, userId, {
+    content,
+    metadata: { sharedPost: { postId: post.PostID } },
+  });
+};
+
+/**
+ * Sends a story into a conversation, with an optional caption.
+ * @param {number} userId - Sender
+ * @param {string} conversationId
+ * @param {number} storyId
+ * @param {string} [content] - Caption
+ * @returns {Promise<Object>} { message, content, participantIds }
+ * @throws {Error} If the story expired or the sender cannot view it
+ */
+const shareStory = async (userId, conversationId, storyId, content) => {
+  const story = await prisma.story.findUnique({
+    where: { StoryID: storyId },
+    select: {
+      StoryID: true,
+      MediaURL: true,
+      ExpiresAt: true,
+      User: { select: { UserID: true, IsPrivate: true } },
+    },
+  });
+  if (!story || story.ExpiresAt < new Date()) {
+    throw new Error("Story not found or expired");
+  }
+  if (!(await canViewStoriesOf(userId, story.User))) {
+    throw new Error("No access to this story");
+  }
+
+  const [target] = await loadTargets(userId, [conversationId]);
+  return createSharedMessage(target, userId, {
+    content,
+    metadata: {
+      sharedStory: {
+        storyId: story.StoryID,
+        mediaUrl: story.MediaURL,
+        expiresAt: story.ExpiresAt.toISOString(),
+      },
+    },
+  });
+};
+
+/**
+ * Builds the preview of a shared post for one viewer. Posts the viewer
+ * cannot see (or that were deleted) are reported as unavailable.
+ */
+const renderSharedPost = async (viewerId, { postId }) => {
+  const post = await prisma.post.findUnique({
+    where: { PostID: postId },
+    select: {
+      PostID: true,
+      UserID: true,
+      privacy: true,
+      Content: true,
+      ImageURL: true,
+      VideoURL: true,
+      CreatedAt: true,
+      User: { select: { Username: true, ProfilePicture: true } },
+    },
+  });
+  if (!post || !(await canViewPost(viewerId, post))) {
+    return { postId, isAvailable: false };
+  }
+
+  return {
+    postId,
+    isAvailable: true,
+    content: post.Content ? post.Content.slice(0, POST_PREVIEW_LENGTH) : null,
+    imageUrl: post.ImageURL,
+    videoUrl: post.VideoURL,
+    createdAt: post.CreatedAt,
+    author: {
+      userId: post.UserID,
+      username: post.User.Username,
+      profilePicture: post.User.ProfilePicture,
+    },
+  };
+};
+
+/**
+ * Builds the preview of a shared story for one viewer, like story replies:
+ * media is hidden once the story expired or if the viewer cannot see it.
+ */
+const renderSharedStory = async (viewerId, { storyId, mediaUrl, expiresAt }) => {
+  const story = await prisma.story.findUnique({
+    where: { StoryID: storyId },
+    select: {
+      ExpiresAt: true,
+      User: { select: { UserID: true, Username: true, IsPrivate: true } },
+    },
+  });
+  const isExpired = !story || story.ExpiresAt < new Date();
+  const isAvailable =
+    !isExpired && (await canViewStoriesOf(viewerId, story.User));
+
+  return {
+    storyId,
+    userId: story?.User.UserID,
+    username: story?.User.Username,
+    mediaUrl: isAvailable ? mediaUrl : null,
+    expiresAt: isAvailable ? expiresAt : null,
+    isExpired,
+    isAvailable,
+  };
+};
+
+/**
+ * Renders the forward and share references of a message's Metadata for
+ * one viewer.
+ * @param {number} viewerId
+ * @param {Object|null} metadata - Message Metadata
+ * @returns {Promise<Object>} { forwardedFrom, sharedPost, sharedStory }
+ */
+const renderShares = async (viewerId, metadata) => {
+  const { forwardedFrom, sharedPost, sharedStory } = metadata || {};
+  return {
+    forwardedFrom: forwardedFrom
+      ? {
+          messageId: forwardedFrom.messageId,
+          senderId: forwardedFrom.senderId,
+          forwardCount: forwardedFrom.forwardCount,
+        }
+      : null,
+    sharedPost: sharedPost ? await renderSharedPost(viewerId, sharedPost) : null,
+    sharedStory: sharedStory
+      ? await renderSharedStory(viewerId, sharedStory)
+      : null,
+  };
+};
+
+/**
+ * Formats a forwarded or shared message for one viewer, in the shape
+ * returned by getMessages.
+ * @param {Object} result - { message, content } from forward/share
+ * @param {number} viewerId
+ * @returns {Promise<Object>}
+ */
+const formatForViewer = async ({ message, content }, viewerId) => ({
+  Id: message.Id,
+  ConversationId: message.ConversationId,
+  SenderId: message.SenderId,
+  Content: content || null,
+  Status: message.Status,
+  ReadAt: message.ReadAt,
+  ReplyToId: null,
+  CreatedAt: message.CreatedAt,
+  UpdatedAt: message.UpdatedAt,
+  ExpiresAt: message.ExpiresAt,
+  IsEdited: false,
+  IsDeleted: false,
+  DeletedAt: null,
+  Sender: message.Sender,
+  Attachments: message.Attachments,
+  Reactions: [],
+  ReadBy: [],
+  ReplyTo: null,
+  storyReference: null,
+  ...(await renderShares(viewerId, message.Metadata)),
+});
+
+/**
+ * Emits a forwarded or shared message to every participant, with the
+ * previews each of them is allowed to see.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} result - { message, content, participantIds }
+ */
+const emitNewMessage = async (io, result) => {
+  await Promise.all(
+    result.participantIds.map(async (id) => {
+      io.to(userRoom(id)).emit("message:new", {
+        ...(await formatForViewer(result, id)),
+        status: result.message.Status,
+      });
+    })
+  );
+};
+
+module.exports = {
+  MAX_FORWARD_TARGETS,
+  forwardMessage,
+  sharePost,
+  shareStory,
+  renderShares,
+  formatForViewer,
+  emitNewMessage,
+};
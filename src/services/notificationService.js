@@ -2,6 +2,8 @@ const prisma = require("../utils/prisma");
 const logger = require("../utils/logger");
 const { handleServerError } = require("../utils/errorHandler");
 const emailService = require("./emailService");
+const { userRoom } = require("../socket/rooms");
+const { isConversationMuted } = require("./conversationStateService");
 
 let io; // Socket.IO instance (to be injected)
 
@@ -11,7 +13,9 @@ function setSocketInstance(socketIo) {
 }
 
 /**
- * Creates a notification for a user and sends it via appropriate channels
+ * Creates a notification for a user and sends it via appropriate channels.
+ * MESSAGE notifications for a conversation the user muted are skipped and
+ * null is returned.
  */
 async function createNotification({
   userId,
@@ -21,6 +25,15 @@ async function createNotification({
   senderId,
 }) {
   try {
+    if (
+      type === "MESSAGE" &&
+      metadata?.conversationId &&
+      (await isConversationMuted(userId, metadata.conversationId))
+    ) {
+      logger.info(`Skipped notification for muted conversation - user ${userId}`);
+      return null;
+    }
+
     // Create notification in database
     const notification = await prisma.notification.create({
       data: {
@@ -83,11 +96,11 @@ async function createNotification({
 
     // 2. Emit REAL-TIME notification to the user
     if (io) {
-      io.to(`user:${userId}`).emit("notification:new", formattedNotification);
+      io.to(userRoom(userId)).emit("notification:new", formattedNotification);
 
       // 3. Also emit updated unread count
       const unreadCount = await getUnreadNotificationsCount(userId);
-      io.to(`user:${userId}`).emit("unreadNotificationsCount", {
+      io.to(userRoom(userId)).emit("unreadNotificationsCount", {
         count: unreadCount,
       });
 
@@ -199,7 +212,7 @@ async function markNotificationsRead(userId, notificationIds) {
     // Emit updated count via Socket.IO
     if (io) {
       const newCount = await getUnreadNotificationsCount(userId);
-      io.to(`user:${userId}`).emit("unreadNotificationsCount", {
+      io.to(userRoom(userId)).emit("unreadNotificationsCount", {
         count: newCount,
       });
       logger.info(
@@ -229,7 +242,7 @@ async function markAllNotificationsRead(userId) {
 
     if (io) {
       const newCount = await getUnreadNotificationsCount(userId);
-      io.to(`user:${userId}`).emit("unreadNotificationsCount", {
+      io.to(userRoom(userId)).emit("unreadNotificationsCount", {
         count: newCount,
       });
       logger.info(
@@ -265,7 +278,7 @@ async function deleteNotification(userId, notificationId) {
     // If the deleted notification was unread → update count
     if (!notification.IsRead && io) {
       const newCount = await getUnreadNotificationsCount(userId);
-      io.to(`user:${userId}`).emit("unreadNotificationsCount", {
+      io.to(userRoom(userId)).emit("unreadNotificationsCount", {
         count: newCount,
       });
       logger.info(
@@ -378,13 +391,13 @@ async function deleteNotificationsAndEmit(userId, notificationIds) {
 
     // Emit deleted notification IDs to frontend
     if (io && deleted.count > 0) {
-      io.to(`user:${userId}`).emit("notification:deleted", {
+      io.to(userRoom(userId)).emit("notification:deleted", {
         notificationIds,
       });
 
       // Update unread count after deletion
       const newCount = await getUnreadNotificationsCount(userId);
-      io.to(`user:${userId}`).emit("unreadNotificationsCount", {
+      io.to(userRoom(userId)).emit("unreadNotificationsCount", {
         count: newCount,
       });
 
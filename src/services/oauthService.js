@@ -0,0 +1,240 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const prisma = require("../utils/prisma");
+const redis = require("../utils/redis");
+
+// Time allowed to fill in the fields the provider did not supply
+const PENDING_SIGNUP_TTL_SECONDS = 15 * 60;
+
+const toProviderEnum = (provider) => provider.toUpperCase();
+
+/**
+ * Finds the user to sign in for a provider profile, linking the identity to
+ * an existing account when the provider vouches for a matching email that
+ * the account has verified as well.
+ * New users cannot be created yet because providers do not supply a
+ * username, gender or date of birth: the profile is parked in Redis and a
+ * pending signup token is returned instead.
+ * @param {Object} profile - Normalized provider profile
+ * @returns {Promise<Object>} { userId } or { pendingToken, profile }
+ * @throws {Error} If the email belongs to an account that has not verified it
+ */
+const resolveIdentity = async (profile) => {
+  const provider = toProviderEnum(profile.provider);
+
+  const identity = await prisma.linkedIdentity.findUnique({
+    where: {
+      Provider_ProviderUserID: {
+        Provider: provider,
+        ProviderUserID: profile.providerUserId,
+      },
+    },
+    select: { IdentityID: true, UserID: true },
+  });
+
+  if (identity) {
+    await prisma.linkedIdentity.update({
+      where: { IdentityID: identity.IdentityID },
+      data: { LastUsedAt: new Date() },
+    });
+    return { userId: identity.UserID };
+  }
+
+  // Only trust the email for linking when the provider verified it,
+  // otherwise anyone could take over an account by claiming its address.
+  // The account must have verified it too: an unverified account may have
+  // been registered by someone else to wait for the owner's first OAuth
+  // login, keeping its password and sessions once linked.
+  if (profile.email && profile.emailVerified) {
+    const existingUser = await prisma.user.findFirst({
+      where: { Email: { equals: profile.email, mode: "insensitive" } },
+      select: { UserID: true, EmailVerified: true },
+    });
+
+    if (existingUser) {
+      if (!existingUser.EmailVerified) {
+        throw new Error("Email registered to an unverified account");
+      }
+      await linkIdentity(existingUser.UserID, profile);
+      return { userId: existingUser.UserID };
+    }
+  }
+
+  const pendingToken = crypto.randomBytes(32).toString("hex");
+  await redis.set(
+    `oauth:pending:${pendingToken}`,
+    profile,
+    PENDING_SIGNUP_TTL_SECONDS
+  );
+
+  return { pendingToken, profile };
+};
+
+/**
+ * Links a provider identity to a user.
+ * @param {number} userId - ID of the user
+ * @param {Object} profile - Normalized provider profile
+ * @returns {Promise<Object>} Created identity
+ * @throws {Error} If the identity belongs to another user or the provider is already linked
+ */
+const linkIdentity = async (userId, profile) => {
+  try {
+    return await prisma.linkedIdentity.create({
+      data: {
+        UserID: userId,
+        Provider: toProviderEnum(profile.provider),
+        ProviderUserID: profile.providerUserId,
+        Email: profile.email,
+        DisplayName: profile.displayName,
+      },
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      const existing = await prisma.linkedIdentity.findUnique({
+        where: {
+          Provider_ProviderUserID: {
+            Provider: toProviderEnum(profile.provider),
+            ProviderUserID: profile.providerUserId,
+          },
+        },
+        select: { UserID: true },
+      });
+      if (existing?.UserID === userId) return existing;
+      throw new Error(
+        existing
+          ? "Identity already linked to another account"
+          : "Provider already linked to this account"
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Returns the profile parked for a pending signup, if any.
+ * @param {string} pendingToken - Token from the OAuth callback
+ * @returns {Promise<Object|null>} Normalized provider profile
+ */
+const getPendingSignup = (pendingToken) =>
+  redis.get(`oauth:pending:${pendingToken}`);
+
+/**
+ * Creates the account for a pending OAuth signup with the fields the
+ * provider did not supply, and links the identity to it.
+ * The account gets an unusable random password; a password can be set
+ * later through the password reset flow.
+ * @param {string} pendingToken - Token from the OAuth callback
+ * @param {Object} params - username, gender, dateOfBirth, and email/profileName when missing
+ * @returns {Promise<Object>} Created user
+ * @throws {Error} If the token is invalid/expired, data is missing or already taken
+ */
+const completeSignup = async (
+  pendingToken,
+  { username, gender, dateOfBirth, email, profileName }
+) => {
+  const profile = await getPendingSignup(pendingToken);
+  if (!profile) {
+    throw new Error("Invalid or expired signup token");
+  }
+
+  // A provider-verified email cannot be swapped for another address
+  const finalEmail = (profile.email || email)?.toLowerCase();
+  if (!finalEmail) {
+    throw new Error("Email is required");
+  }
+
+  const dob = new Date(dateOfBirth);
+  if (isNaN(dob.getTime())) {
+    throw new Error("Invalid date of birth format");
+  }
+
+  const unusablePassword = await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    10
+  );
+
+  try {
+    const user = await prisma.user.create({
+      data: {
+        ProfileName: (profileName || profile.displayName || username).slice(0, 50),
+        Username: username,
+        Email: finalEmail,
+        EmailVerified: Boolean(profile.email && profile.emailVerified),
+        EmailVerifiedAt:
+          profile.email && profile.emailVerified ? new Date() : null,
+        Password: unusablePassword,
+        Gender: gender,
+        DateOfBirth: new Date(
+          Date.UTC(dob.getFullYear(), dob.getMonth(), dob.getDate())
+        ),
+        Role: "USER",
+        ProfilePicture: profile.photo,
+        LinkedIdentities: {
+          create: {
+            Provider: toProviderEnum(profile.provider),
+            ProviderUserID: profile.providerUserId,
+            Email: profile.email,
+            DisplayName: profile.displayName,
+          },
+        },
+      },
+      select: {
+        UserID: true,
+        Username: true,
+        Email: true,
+        EmailVerified: true,
+        ProfileName: true,
+        ProfilePicture: true,
+      },
+    });
+
+    await redis.del(`oauth:pending:${pendingToken}`);
+    return user;
+  } catch (error) {
+    if (error.code === "P2002") {
+      throw new Error("Email or username already exists");
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lists the providers linked to a user.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object[]>} Linked identities
+ */
+const listIdentities = (userId) =>
+  prisma.linkedIdentity.findMany({
+    where: { UserID: userId },
+    select: {
+      Provider: true,
+      Email: true,
+      DisplayName: true,
+      CreatedAt: true,
+      LastUsedAt: true,
+    },
+    orderBy: { CreatedAt: "asc" },
+  });
+
+/**
+ * Unlinks a provider from a user.
+ * @param {number} userId - ID of the user
+ * @param {string} provider - Provider name
+ * @returns {Promise<boolean>} True if an identity was removed
+ */
+const unlinkIdentity = async (userId, provider) => {
+  const { count } = await prisma.linkedIdentity.deleteMany({
+    where: { UserID: userId, Provider: toProviderEnum(provider) },
+  });
+  return count > 0;
+};
+
+module.exports = {
+  PENDING_SIGNUP_TTL_SECONDS,
+  resolveIdentity,
+  linkIdentity,
+  getPendingSignup,
+  completeSignup,
+  listIdentities,
+  unlinkIdentity,
+};
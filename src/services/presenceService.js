@@ -0,0 +1,168 @@
+const prisma = require("../utils/prisma");
+const redis = require("../utils/redis");
+const { socketTtlMs } = require("../config/presence");
+
+// Sorted set of a user's live sockets, scored by when each expires
+const socketsKey = (userId) => `presence:sockets:${userId}`;
+
+/**
+ * Marks a socket as live until socketTtlMs from now, dropping sockets that
+ * stopped sending heartbeats.
+ * @returns {Promise<number>} Live sockets of the user, including this one
+ */
+const touchSocket = async (userId, socketId) => {
+  const now = Date.now();
+  const key = socketsKey(userId);
+  const [, , count] = await redis.client
+    .pipeline()
+    .zremrangebyscore(key, 0, now)
+    .zadd(key, { score: now + socketTtlMs, member: socketId })
+    .zcard(key)
+    .pexpire(key, socketTtlMs)
+    .exec();
+  return count;
+};
+
+/**
+ * Number of live sockets per user, across all instances
+ * @param {number[]} userIds
+ * @returns {Promise<Map<number, number>>}
+ */
+const countLiveSockets = async (userIds) => {
+  if (!userIds.length) return new Map();
+
+  const now = Date.now();
+  const pipeline = redis.client.pipeline();
+  userIds.forEach((userId) => pipeline.zcount(socketsKey(userId), now, "+inf"));
+  const counts = await pipeline.exec();
+  return new Map(userIds.map((userId, i) => [userId, Number(counts[i]) || 0]));
+};
+
+/**
+ * Stores when the user was last seen
+ * @returns {Promise<Object>} { LastActive, HideLastSeen }
+ */
+const updateLastSeen = (userId, at = new Date()) =>
+  prisma.user.update({
+    where: { UserID: userId },
+    data: { LastActive: at },
+    select: { LastActive: true, HideLastSeen: true },
+  });
+
+/**
+ * Registers a new socket of a user
+ * @returns {Promise<Object>} { cameOnline } - true for the user's first live socket
+ */
+const connect = async (userId, socketId) => {
+  const count = await touchSocket(userId, socketId);
+  await updateLastSeen(userId);
+  return { cameOnline: count === 1 };
+};
+
+/**
+ * Keeps a socket live for another socketTtlMs
+ */
+const heartbeat = async (userId, socketId) => {
+  await touchSocket(userId, socketId);
+};
+
+/**
+ * Removes a socket of a user. When it was the last one, the user's last
+ * seen is the moment it disconnected.
+ * @returns {Promise<Object>} { wentOffline, lastSeen } - lastSeen is null when hidden
+ */
+const disconnect = async (userId, socketId) => {
+  await redis.client.zrem(socketsKey(userId), socketId);
+  const counts = await countLiveSockets([userId]);
+  if (counts.get(userId) > 0) {
+    return { wentOffline: false, lastSeen: null };
+  }
+
+  const user = await updateLastSeen(userId);
+  return {
+    wentOffline: true,
+    lastSeen: user.HideLastSeen ? null : user.LastActive,
+  };
+};
+
+/**
+ * Users who may see the presence of a user: accepted followers and
+ * everyone they share a conversation with
+ * @param {number} userId
+ * @returns {Promise<number[]>}
+ */
+const getAudience = async (userId) => {
+  const [followers, partners] = await Promise.all([
+    prisma.follower.findMany({
+      where: { UserID: userId, Status: "ACCEPTED" },
+      select: { FollowerUserID: true },
+    }),
+    prisma.user.findMany({
+      where: {
+        UserID: { not: userId },
+        Conversations: { some: { Participants: { some: { UserID: userId } } } },
+      },
+      select: { UserID: true },
+    }),
+  ]);
+
+  return [
+    ...new Set([
+      ...followers.map((f) => f.FollowerUserID),
+      ...partners.map((p) => p.UserID),
+    ]),
+  ];
+};
+
+/**
+ * Presence of several users as seen by the viewer. Users whose presence the
+ * viewer may not see (see getAudience) are left out; last seen is null for
+ * users who hide it, except for the viewer's own.
+ * @param {number} viewerId
+ * @param {number[]} userIds
+ * @returns {Promise<Object[]>} [{ userId, online, lastSeen }]
+ */
+const getPresence = async (viewerId, userIds) => {
+  const users = await prisma.user.findMany({
+    where: {
+      UserID: { in: [...new Set(userIds)] },
+      OR: [
+        { UserID: viewerId },
+        { Followers: { some: { FollowerUserID: viewerId, Status: "ACCEPTED" } } },
+        { Conversations: { some: { Participants: { some: { UserID: viewerId } } } } },
+      ],
+    },
+    select: { UserID: true, LastActive: true, HideLastSeen: true },
+  });
+  const counts = await countLiveSockets(users.map((user) => user.UserID));
+
+  return users.map((user) => ({
+    userId: user.UserID,
+    online: counts.get(user.UserID) > 0,
+    lastSeen:
+      user.HideLastSeen && user.UserID !== viewerId ? null : user.LastActive,
+  }));
+};
+
+/**
+ * Hides or shows the user's last seen to others
+ * @returns {Promise<Object>} { hideLastSeen }
+ */
+const setHideLastSeen = async (userId, hideLastSeen) => {
+  const user = await prisma.user.update({
+    where: { UserID: userId },
+    data: { HideLastSeen: hideLastSeen },
+    select: { HideLastSeen: true },
+  });
+  return { hideLastSeen: user.HideLastSeen };
+};
+
+module.exports = {
+  connect,
+  heartbeat,
+  disconnect,
+  updateLastSeen,
+  getAudience,
+  getPresence,
+  setHideLastSeen,
+};
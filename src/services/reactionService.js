@@ -0,0 +1,246 @@
+const prisma = require("../utils/prisma");
+const { conversationRoom } = require("../socket/rooms");
+const {
+  ALLOWED_REACTIONS,
+  SKIN_TONE_REACTIONS,
+  MAX_REACTIONS_PER_USER,
+} = require("../config/reactions");
+
+// U+FE0F only selects emoji presentation; "❤" and "❤️" are the same reaction
+const VARIATION_SELECTOR = /\uFE0F/g;
+const SKIN_TONE = /[\u{1F3FB}-\u{1F3FF}]$/u;
+
+const stripVariation = (emoji) => emoji.replace(VARIATION_SELECTOR, "");
+
+// Bare form -> stored form
+const canonicalReactions = new Map(
+  ALLOWED_REACTIONS.map((emoji) => [stripVariation(emoji), emoji])
+);
+const skinToneBases = new Set(SKIN_TONE_REACTIONS.map(stripVariation));
+
+/**
+ * Normalizes an emoji to the form it is stored with.
+ * @param {string} emoji
+ * @returns {string|null} Stored form, or null if the emoji is not allowed
+ */
+const normalizeEmoji = (emoji) => {
+  if (typeof emoji !== "string") return null;
+
+  const bare = stripVariation(emoji.trim().normalize("NFC"));
+  if (canonicalReactions.has(bare)) return canonicalReactions.get(bare);
+
+  const tone = bare.match(SKIN_TONE);
+  if (tone) {
+    const base = bare.slice(0, -tone[0].length);
+    // Modifiers attach to the bare base: "✌🏽", not "✌️🏽"
+    if (skinToneBases.has(base)) return base + tone[0];
+  }
+  return null;
+};
+
+/**
+ * Loads a message of a conversation the user participates in.
+ * @throws {Error} If the message does not exist or the user is not a participant
+ */
+const findReactableMessage = async (userId, messageId) => {
+  const message = await prisma.message.findUnique({
+    where: { Id: messageId },
+    select: {
+      Id: true,
+      ConversationId: true,
+      Type: true,
+      IsDeleted: true,
+      Conversation: {
+        select: {
+          Participants: { where: { UserID: userId }, select: { UserID: true } },
+        },
+      },
+    },
+  });
+  if (!message || !message.Conversation.Participants.length) {
+    throw new Error("Message not found");
+  }
+  return message;
+};
+
+/**
+ * Aggregates reactions into counts per emoji, most used first.
+ * @param {Object[]} reactions - Reactions with Emoji and UserId
+ * @param {number} [viewerId] - Adds reactedByMe for this user
+ * @returns {Object[]} { emoji, count, reactedByMe }
+ */
+const summarizeReactions = (reactions, viewerId) => {
+  const summary = new Map();
+  reactions.forEach((reaction) => {
+    const entry = summary.get(reaction.Emoji) || {
+      emoji: reaction.Emoji,
+      count: 0,
+      reactedByMe: false,
+    };
+    entry.count++;
+    if (reaction.UserId === viewerId) entry.reactedByMe = true;
+    summary.set(reaction.Emoji, entry);
+  });
+  // Stable sort keeps ties in order of first use
+  return [...summary.values()].sort((a, b) => b.count - a.count);
+};
+
+const loadSummary = async (messageId) =>
+  summarizeReactions(
+    await prisma.reaction.findMany({
+      where: { MessageId: messageId },
+      select: { Emoji: true, UserId: true },
+      orderBy: { CreatedAt: "asc" },
+    })
+  ).map(({ emoji, count }) => ({ emoji, count }));
+
+/**
+ * Adds or removes one of the user's reactions on a message. Adding an
+ * emoji the user already reacted with, or removing one they did not, is a
+ * no-op.
+ * @param {number} userId
+ * @param {string} messageId
+ * @param {string} emoji - Any allowed form; stored normalized
+ * @param {boolean} add - true to add, false to remove
+ * @returns {Promise<Object>} { conversationId, emoji, changed, summary } - summary without reactedByMe
+ * @throws {Error} If the emoji is not allowed, the message cannot be reacted to, or the user reached MAX_REACTIONS_PER_USER
+ */
+const setReaction = async (userId, messageId, emoji, add) => {
+  const normalized = normalizeEmoji(emoji);
+  if (!normalized) {
+    throw new Error("Reaction emoji is not allowed");
+  }
+
+  const message = await findReactableMessage(userId, messageId);
+  const key = {
+    MessageId_UserId_Emoji: { MessageId: messageId, UserId: userId, Emoji: normalized },
+  };
+  let changed;
+
+  if (add) {
+    if (message.IsDeleted || message.Type !== "USER") {
+      throw new Error("Cannot react to this message");
+    }
+    const existing = await prisma.reaction.findUnique({ where: key, select: { Id: true } });
+    if (!existing) {
+      const count = await prisma.reaction.count({
+        where: { MessageId: messageId, UserId: userId },
+      });
+      if (count >= MAX_REACTIONS_PER_USER) {
+        throw new Error(`Reaction limit reached (${MAX_REACTIONS_PER_USER})`);
+      }
+      // upsert: a concurrent request may have added it meanwhile
+      await prisma.reaction.upsert({
+        where: key,
+        update: {},
+        create: { MessageId: messageId, UserId: userId, Emoji: normalized },
+      });
+    }
+    changed = !existing;
+  } else {
+    const { count } = await prisma.reaction.deleteMany({
+      where: { MessageId: messageId, UserId: userId, Emoji: normalized },
+    });
+    changed = count > 0;
+  }
+
+  return {
+    conversationId: message.ConversationId,
+    emoji: normalized,
+    changed,
+    summary: await loadSummary(messageId),
+  };
+};
+
+/**
+ * Toggles one of the user's reactions on a message.
+ * @param {number} userId
+ * @param {string} messageId
+ * @param {string} emoji
+ * @returns {Promise<Object>} Like setReaction, plus added
+ */
+const toggleReaction = async (userId, messageId, emoji) => {
+  const normalized = normalizeEmoji(emoji);
+  const existing =
+    normalized &&
+    (await prisma.reaction.findUnique({
+      where: {
+        MessageId_UserId_Emoji: { MessageId: messageId, UserId: userId, Emoji: normalized },
+      },
+      select: { Id: true },
+    }));
+  const result = await setReaction(userId, messageId, emoji, !existing);
+  return { ...result, added: !existing };
+};
+
+/**
+ * Lists who reacted to a message, grouped by emoji.
+ * @param {number} userId - Viewer, must participate in the conversation
+ * @param {string} messageId
+ * @param {string} [emoji] - Only this emoji
+ * @returns {Promise<Object>} { summary, reactions: [{ emoji, users }] }
+ * @throws {Error} If the message does not exist or the viewer cannot see it
+ */
+const getMessageReactions = async (userId, messageId, emoji) => {
+  await findReactableMessage(userId, messageId);
+
+  let normalized;
+  if (emoji) {
+    normalized = normalizeEmoji(emoji);
+    if (!normalized) throw new Error("Reaction emoji is not allowed");
+  }
+
+  const reactions = await prisma.reaction.findMany({
+    where: { MessageId: messageId, Emoji: normalized },
+    orderBy: { CreatedAt: "asc" },
+    select: {
+      Emoji: true,
+      UserId: true,
+      CreatedAt: true,
+      User: { select: { UserID: true, Username: true, ProfilePicture: true } },
+    },
+  });
+
+  const summary = summarizeReactions(reactions, userId);
+  return {
+    summary,
+    reactions: summary.map(({ emoji: e }) => ({
+      emoji: e,
+      users: reactions
+        .filter((r) => r.Emoji === e)
+        .map((r) => ({ ...r.User, reactedAt: r.CreatedAt })),
+    })),
+  };
+};
+
+/**
+ * Tells the conversation that a reaction was added or removed, with the
+ * updated counts. Unchanged reactions are not emitted.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} user - Reacting user with UserID and Username
+ * @param {string} messageId
+ * @param {Object} result - From setReaction or toggleReaction
+ * @param {boolean} added
+ */
+const emitReactionChange = (io, user, messageId, result, added) => {
+  if (!result.changed) return;
+  io.to(conversationRoom(result.conversationId)).emit("message:reacted", {
+    messageId,
+    conversationId: result.conversationId,
+    action: added ? "added" : "removed",
+    reaction: {
+      emoji: result.emoji,
+      user: { UserID: user.UserID, Username: user.Username },
+    },
+    summary: result.summary,
+  });
+};
+
+module.exports = {
+  normalizeEmoji,
+  summarizeReactions,
+  setReaction,
+  toggleReaction,
+  getMessageReactions,
+  emitReactionChange,
+};
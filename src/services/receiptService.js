@@ -0,0 +1,290 @@
+const prisma = require("../utils/prisma");
+const { userRoom } = require("../socket/rooms");
+
+/**
+ * Creates pending receipts for the recipients of a new message.
+ * @param {Object} tx - Prisma client or transaction
+ * @param {string} messageId
+ * @param {number[]} recipientIds - Participants other than the sender
+ */
+const createReceipts = (tx, messageId, recipientIds) =>
+  recipientIds.length > 0
+    ? tx.messageReceipt.createMany({
+        data: recipientIds.map((UserId) => ({ MessageId: messageId, UserId })),
+        skipDuplicates: true,
+      })
+    : null;
+
+/**
+ * Computes the status of a message from its receipts.
+ * Messages without receipts (sent before receipts existed, or system
+ * messages) keep their stored status.
+ * @param {Object} message - Message with Status
+ * @param {Object[]} receipts - Receipts with DeliveredAt and ReadAt
+ * @returns {string} SENT, DELIVERED or READ
+ */
+const aggregateStatus = (message, receipts) => {
+  if (!receipts || receipts.length === 0) return message.Status || "SENT";
+  if (receipts.every((r) => r.ReadAt)) return "READ";
+  if (receipts.every((r) => r.DeliveredAt)) return "DELIVERED";
+  return "SENT";
+};
+
+/**
+ * Formats receipts for API responses.
+ * @param {Object[]} receipts
+ * @returns {Object[]}
+ */
+const formatReceipts = (receipts = []) =>
+  receipts.map((r) => ({
+    userId: r.UserId,
+    deliveredAt: r.DeliveredAt,
+    readAt: r.ReadAt,
+  }));
+
+/**
+ * Updates the stored aggregate status of messages whose recipients have
+ * all received or all read them, and returns those that changed.
+ * @param {string[]} messageIds
+ * @returns {Promise<Object[]>} { Id, ConversationId, SenderId, Status }
+ */
+const refreshMessageStatus = async (messageIds) => {
+  if (messageIds.length === 0) return [];
+  const now = new Date();
+
+  const [readIds, deliveredIds] = await Promise.all([
+    prisma.message
+      .findMany({
+        where: {
+          Id: { in: messageIds },
+          Status: { not: "READ" },
+          Receipts: { none: { ReadAt: null } },
+        },
+        select: { Id: true },
+      })
+      .then((rows) => rows.map((r) => r.Id)),
+    prisma.message
+      .findMany({
+        where: {
+          Id: { in: messageIds },
+          Status: "SENT",
+          Receipts: { none: { DeliveredAt: null } },
+        },
+        select: { Id: true },
+      })
+      .then((rows) => rows.map((r) => r.Id)),
+  ]);
+
+  const onlyDelivered = deliveredIds.filter((id) => !readIds.includes(id));
+  await prisma.$transaction([
+    prisma.message.updateMany({
+      where: { Id: { in: readIds } },
+      data: { Status: "READ", ReadAt: now },
+    }),
+    prisma.message.updateMany({
+      where: { Id: { in: onlyDelivered } },
+      data: { Status: "DELIVERED" },
+    }),
+  ]);
+
+  return prisma.message.findMany({
+    where: { Id: { in: [...readIds, ...onlyDelivered] } },
+    select: { Id: true, ConversationId: true, SenderId: true, Status: true },
+  });
+};
+
+/**
+ * Records that messages reached a recipient's device.
+ * @param {number} userId - Recipient
+ * @param {Object} filter - messageIds and/or conversationId to restrict to
+ * @returns {Promise<Object[]>} Messages whose aggregate status changed
+ */
+const markDelivered = async (userId, { messageIds, conversationId } = {}) => {
+  const where = { UserId: userId, DeliveredAt: null };
+  if (messageIds) where.MessageId = { in: messageIds };
+  if (conversationId) where.Message = { ConversationId: conversationId };
+
+  const pending = await prisma.messageReceipt.findMany({
+    where,
+    select: { MessageId: true },
+  });
+  if (pending.length === 0) return [];
+
+  const ids = pending.map((r) => r.MessageId);
+  await prisma.messageReceipt.updateMany({
+    where: { UserId: userId, MessageId: { in: ids }, DeliveredAt: null },
+    data: { DeliveredAt: new Date() },
+  });
+
+  return refreshMessageStatus(ids);
+};
+
+/**
+ * Marks every message of a conversation up to (and including) the given
+ * message as read by the user and moves the user's read cursor forward.
+ * The cursor never moves backwards.
+ * @param {number} userId - Reader
+ * @param {string} conversationId
+ * @param {string} [messageId] - Last read message; defaults to the latest
+ * @returns {Promise<Object|null>} { cursor, changed } or null if there is nothing to read
+ * @throws {Error} If the message does not belong to the conversation
+ */
+const markReadUpTo = async (userId, conversationId, messageId) => {
+  const target = messageId
+    ? await prisma.message.findUnique({
+        where: { Id: messageId },
+        select: { Id: true, ConversationId: true, CreatedAt: true },
+      })
+    : await prisma.message.findFirst({
+        where: { ConversationId: conversationId },
+        orderBy: { CreatedAt: "desc" },
+        select: { Id: true, ConversationId: true, CreatedAt: true },
+      });
+
+  if (!target) {
+    if (messageId) throw new Error("Message not found");
+    return null;
+  }
+  if (target.ConversationId !== conversationId) {
+    throw new Error("Message does not belong to this conversation");
+  }
+
+  const now = new Date();
+  const unread = await prisma.messageReceipt.findMany({
+    where: {
+      UserId: userId,
+      ReadAt: null,
+      Message: { ConversationId: conversationId, CreatedAt: { lte: target.CreatedAt } },
+    },
+    select: { MessageId: true },
+  });
+  const ids = unread.map((r) => r.MessageId);
+
+  const current = await prisma.conversationParticipantState.findUnique({
+    where: { ConversationId_UserId: { ConversationId: conversationId, UserId: userId } },
+    select: { LastReadMessageId: true, LastReadAt: true },
+  });
+  const lastRead = current?.LastReadMessageId
+    ? await prisma.message.findUnique({
+        where: { Id: current.LastReadMessageId },
+        select: { CreatedAt: true },
+      })
+    : null;
+  const movesForward = !lastRead || lastRead.CreatedAt < target.CreatedAt;
+
+  await prisma.$transaction([
+    prisma.messageReceipt.updateMany({
+      where: { UserId: userId, MessageId: { in: ids }, DeliveredAt: null },
+      data: { DeliveredAt: now },
+    }),
+    prisma.messageReceipt.updateMany({
+      where: { UserId: userId, MessageId: { in: ids } },
+      data: { ReadAt: now },
+    }),
+    ...(movesForward
+      ? [
+          prisma.conversationParticipantState.upsert({
+            where: {
+              ConversationId_UserId: { ConversationId: conversationId, UserId: userId },
+            },
+            update: { LastReadMessageId: target.Id, LastReadAt: now },
+            create: {
+              ConversationId: conversationId,
+              UserId: userId,
+              LastReadMessageId: target.Id,
+              LastReadAt: now,
+            },
+          }),
+        ]
+      : []),
+  ]);
+
+  return {
+    cursor: {
+      conversationId,
+      userId,
+      lastReadMessageId: movesForward ? target.Id : current.LastReadMessageId,
+      lastReadAt: movesForward ? now : current.LastReadAt,
+    },
+    changed: await refreshMessageStatus(ids),
+  };
+};
+
+/**
+ * Marks a batch of messages, possibly from several conversations, as read.
+ * Each conversation's cursor moves to the newest message of the batch.
+ * @param {number} userId - Reader
+ * @param {string[]} messageIds
+ * @returns {Promise<Object>} { cursors, changed }
+ */
+const markRead = async (userId, messageIds) => {
+  const messages = await prisma.message.findMany({
+    where: { Id: { in: messageIds }, Receipts: { some: { UserId: userId } } },
+    select: { Id: true, ConversationId: true, CreatedAt: true },
+  });
+
+  const newestByConversation = new Map();
+  messages.forEach((m) => {
+    const newest = newestByConversation.get(m.ConversationId);
+    if (!newest || newest.CreatedAt < m.CreatedAt) {
+      newestByConversation.set(m.ConversationId, m);
+    }
+  });
+
+  const cursors = [];
+  const changed = [];
+  for (const [conversationId, newest] of newestByConversation) {
+    const result = await markReadUpTo(userId, conversationId, newest.Id);
+    if (result) {
+      cursors.push(result.cursor);
+      changed.push(...result.changed);
+    }
+  }
+
+  return { cursors, changed };
+};
+
+/**
+ * Returns the read cursors of every participant of a conversation.
+ * @param {string} conversationId
+ * @returns {Promise<Object[]>}
+ */
+const getReadCursors = async (conversationId) => {
+  const states = await prisma.conversationParticipantState.findMany({
+    where: { ConversationId: conversationId },
+    select: { UserId: true, LastReadMessageId: true, LastReadAt: true },
+  });
+  return states.map((s) => ({
+    userId: s.UserId,
+    lastReadMessageId: s.LastReadMessageId,
+    lastReadAt: s.LastReadAt,
+  }));
+};
+
+/**
+ * Tells senders that the aggregate status of their messages changed.
+ * @param {Object} io - Socket.IO server
+ * @param {Object[]} changed - Messages returned by markDelivered/markReadUpTo
+ */
+const emitStatusChanges = (io, changed) => {
+  if (!io) return;
+  changed.forEach((m) => {
+    io.to(userRoom(m.SenderId)).emit("message:status", {
+      messageId: m.Id,
+      conversationId: m.ConversationId,
+      status: m.Status,
+    });
+  });
+};
+
+module.exports = {
+  createReceipts,
+  aggregateStatus,
+  formatReceipts,
+  refreshMessageStatus,
+  markDelivered,
+  markReadUpTo,
+  markRead,
+  getReadCursors,
+  emitStatusChanges,
+};
@@ -0,0 +1,178 @@
+const prisma = require("../utils/prisma");
+const logger = require("../utils/logger");
+const { reencryptMessage, CURRENT_KEY_VERSION } = require("../utils/encryption");
+
+const BATCH_SIZE = 200;
+
+// Encrypted columns, migrated one after the other
+const TARGETS = [
+  {
+    name: "Message.Content",
+    model: "message",
+    field: "Content",
+    select: { Id: true, Content: true, ConversationId: true, UpdatedAt: true },
+    conversationId: (row) => row.ConversationId,
+    // Re-encrypting is not a change to the message
+    preserve: (row) => ({ UpdatedAt: row.UpdatedAt }),
+  },
+  {
+    name: "MessageEdit.OldContent",
+    model: "messageEdit",
+    field: "OldContent",
+    select: {
+      Id: true,
+      OldContent: true,
+      Message: { select: { ConversationId: true } },
+    },
+    conversationId: (row) => row.Message.ConversationId,
+    preserve: () => ({}),
+  },
+  {
+    name: "ScheduledMessage.Content",
+    model: "scheduledMessage",
+    field: "Content",
+    select: { Id: true, Content: true, ConversationId: true, UpdatedAt: true },
+    conversationId: (row) => row.ConversationId,
+    preserve: (row) => ({ UpdatedAt: row.UpdatedAt }),
+  },
+];
+
+/**
+ * Loads the progress of a target, starting over when the current key
+ * version changed since it was last migrated.
+ */
+const loadState = async (target) => {
+  const state = await prisma.encryptionMigration.findUnique({
+    where: { Target: target.name },
+  });
+  if (state?.KeyVersion === CURRENT_KEY_VERSION) return state;
+
+  const fresh = {
+    KeyVersion: CURRENT_KEY_VERSION,
+    Cursor: null,
+    Migrated: 0,
+    Failed: 0,
+    StartedAt: new Date(),
+    CompletedAt: null,
+  };
+  return prisma.encryptionMigration.upsert({
+    where: { Target: target.name },
+    update: fresh,
+    create: { Target: target.name, ...fresh },
+  });
+};
+
+/**
+ * Re-encrypts the next batch of a target after its cursor. Rows that
+ * cannot be decrypted are counted and skipped; rows changed since they
+ * were read are left alone, they were written with the current key.
+ * @returns {Promise<Object>} { state, migrated, failed }
+ */
+const migrateBatch = async (target, state) => {
+  const rows = await prisma[target.model].findMany({
+    where: {
+      Id: state.Cursor ? { gt: state.Cursor } : undefined,
+      [target.field]: { not: null },
+      NOT: { [target.field]: { startsWith: `v${CURRENT_KEY_VERSION}:` } },
+    },
+    orderBy: { Id: "asc" },
+    take: BATCH_SIZE,
+    select: target.select,
+  });
+
+  let migrated = 0;
+  let failed = 0;
+  for (const row of rows) {
+    let content;
+    try {
+      content = reencryptMessage(row[target.field], target.conversationId(row));
+    } catch (error) {
+      failed++;
+      logger.warn(`Cannot re-encrypt ${target.name} ${row.Id}: ${error.message}`);
+      continue;
+    }
+    if (!content) continue;
+
+    const { count } = await prisma[target.model].updateMany({
+      where: { Id: row.Id, [target.field]: row[target.field] },
+      data: { [target.field]: content, ...target.preserve(row) },
+    });
+    migrated += count;
+  }
+
+  const updated = await prisma.encryptionMigration.update({
+    where: { Target: target.name },
+    data: {
+      Cursor: rows.length ? rows[rows.length - 1].Id : state.Cursor,
+      Migrated: { increment: migrated },
+      Failed: { increment: failed },
+      CompletedAt: rows.length < BATCH_SIZE ? new Date() : null,
+    },
+  });
+  return { state: updated, migrated, failed };
+};
+
+let running = false;
+
+/**
+ * Moves encrypted message content to the current key ring version, a
+ * bounded number of batches per run. Progress is stored, so each run
+ * continues where the previous one stopped, also across restarts.
+ * @param {Object} [options]
+ * @param {number} [options.maxBatches=25] - Batches of BATCH_SIZE rows per run
+ * @returns {Promise<Object>} { migrated, failed, complete }
+ */
+const runReencryption = async ({ maxBatches = 25 } = {}) => {
+  if (running) return { migrated: 0, failed: 0, complete: false };
+  running = true;
+
+  try {
+    let batches = 0;
+    let migrated = 0;
+    let failed = 0;
+
+    for (const target of TARGETS) {
+      let state = await loadState(target);
+      while (!state.CompletedAt && batches < maxBatches) {
+        const batch = await migrateBatch(target, state);
+        state = batch.state;
+        migrated += batch.migrated;
+        failed += batch.failed;
+        batches++;
+      }
+      if (!state.CompletedAt) {
+        return { migrated, failed, complete: false };
+      }
+    }
+    return { migrated, failed, complete: true };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Progress of each encrypted column towards the current key version.
+ * @returns {Promise<Object[]>}
+ */
+const getReencryptionStatus = async () => {
+  const states = await prisma.encryptionMigration.findMany({
+    where: { Target: { in: TARGETS.map((target) => target.name) } },
+  });
+  return TARGETS.map((target) => {
+    const state = states.find((s) => s.Target === target.name);
+    const current = state?.KeyVersion === CURRENT_KEY_VERSION;
+    return {
+      target: target.name,
+      keyVersion: CURRENT_KEY_VERSION,
+      migrated: current ? state.Migrated : 0,
+      failed: current ? state.Failed : 0,
+      startedAt: current ? state.StartedAt : null,
+      completedAt: current ? state.CompletedAt : null,
+    };
+  });
+};
+
+module.exports = {
+  runReencryption,
+  getReencryptionStatus,
+};
@@ -0,0 +1,211 @@
+const prisma = require("../utils/prisma");
+const logger = require("../utils/logger");
+const {
+  encryptMessage,
+  decrypt,
+  decryptMessage,
+} = require("../utils/encryption");
+const { userRoom } = require("../socket/rooms");
+const { isActionRestricted } = require("../config/emailVerification");
+const { sendUserMessage } = require("./messageService");
+
+const MAX_SCHEDULE_DAYS = 365;
+const DISPATCH_BATCH = 100;
+
+/**
+ * Formats a scheduled message for API responses.
+ * @param {Object} scheduled - ScheduledMessage
+ * @returns {Object}
+ */
+const formatScheduled = (scheduled) => ({
+  scheduledId: scheduled.Id,
+  conversationId: scheduled.ConversationId,
+  content: decryptMessage(scheduled.Content, scheduled.ConversationId),
+  replyToId: scheduled.ReplyToId,
+  attachment: scheduled.Attachment,
+  sendAt: scheduled.SendAt,
+  status: scheduled.Status,
+  createdAt: scheduled.CreatedAt,
+});
+
+/**
+ * Stores a message to be sent later. Content is encrypted like sent
+ * messages; attachments must already be uploaded.
+ * @param {Object} params
+ * @param {string} params.conversationId
+ * @param {number} params.senderId
+ * @param {string} [params.content]
+ * @param {string} [params.replyToId]
+ * @param {Object} [params.attachment] - Attachment row data
+ * @param {string|Date} params.sendAt
+ * @returns {Promise<Object>} Formatted scheduled message
+ */
+const scheduleMessage = async ({
+  conversationId,
+  senderId,
+  content,
+  replyToId,
+  attachment,
+  sendAt,
+}) => {
+  const scheduled = await prisma.scheduledMessage.create({
+    data: {
+      ConversationId: conversationId,
+      SenderId: senderId,
+      Content: content ? encryptMessage(content, conversationId) : null,
+      ReplyToId: replyToId,
+      Attachment: attachment || undefined,
+      SendAt: new Date(sendAt),
+    },
+  });
+  return formatScheduled(scheduled);
+};
+
+/**
+ * Lists the pending scheduled messages of a user.
+ * @param {number} userId
+ * @param {string} [conversationId] - Restrict to one conversation
+ * @returns {Promise<Object[]>}
+ */
+const listScheduled = async (userId, conversationId) => {
+  const scheduled = await prisma.scheduledMessage.findMany({
+    where: { SenderId: userId, Status: "PENDING", ConversationId: conversationId },
+    orderBy: { SendAt: "asc" },
+  });
+  return scheduled.map(formatScheduled);
+};
+
+/**
+ * Cancels a pending scheduled message.
+ * @param {number} userId - Sender
+ * @param {string} scheduledId
+ * @returns {Promise<boolean>} False if not found, not the sender's, or already sent
+ */
+const cancelScheduled = async (userId, scheduledId) => {
+  const { count } = await prisma.scheduledMessage.updateMany({
+    where: { Id: scheduledId, SenderId: userId, Status: "PENDING" },
+    data: { Status: "CANCELED" },
+  });
+  return count > 0;
+};
+
+/**
+ * Marks a claimed scheduled message as failed.
+ * @param {string} scheduledId
+ * @param {string} reason - Shown to the sender
+ */
+const markFailed = (scheduledId, reason) =>
+  prisma.scheduledMessage.update({
+    where: { Id: scheduledId },
+    data: { Status: "FAILED", FailureReason: reason },
+  });
+
+/**
+ * Sends one claimed scheduled message through the sendMessage path.
+ * The sender is checked again like a live send would be, since they may
+ * have been banned, left or lost their verified address since scheduling.
+ */
+const dispatch = async (io, scheduled) => {
+  const [sender, conversation] = await Promise.all([
+    prisma.user.findUnique({
+      where: { UserID: scheduled.SenderId },
+      select: { IsBanned: true, EmailVerified: true },
+    }),
+    prisma.conversation.findUnique({
+      where: { Id: scheduled.ConversationId },
+      select: { Participants: { select: { UserID: true } } },
+    }),
+  ]);
+  const participantIds = conversation?.Participants.map((p) => p.UserID) || [];
+
+  if (!sender || sender.IsBanned) {
+    return markFailed(scheduled.Id, "Sender account is suspended");
+  }
+  if (!participantIds.includes(scheduled.SenderId)) {
+    return markFailed(scheduled.Id, "Sender left the conversation");
+  }
+  if (isActionRestricted(sender, "messaging")) {
+    return markFailed(scheduled.Id, "Sender email address is not verified");
+  }
+
+  let content = null;
+  if (scheduled.Content) {
+    try {
+      content = decrypt(scheduled.Content, scheduled.ConversationId);
+    } catch (error) {
+      logger.error(
+        `Failed to decrypt scheduled message ${scheduled.Id}: ${error.message}`
+      );
+      return markFailed(scheduled.Id, "Message content could not be decrypted");
+    }
+  }
+
+  const replyTo = scheduled.ReplyToId
+    ? await prisma.message.findFirst({
+        where: { Id: scheduled.ReplyToId, ConversationId: scheduled.ConversationId },
+        select: { Id: true },
+      })
+    : null;
+
+  const message = await sendUserMessage(io, {
+    conversationId: scheduled.ConversationId,
+    senderId: scheduled.SenderId,
+    participantIds,
+    content,
+    // The replied-to message may have disappeared in the meantime
+    replyToId: replyTo?.Id,
+    attachments: scheduled.Attachment ? [scheduled.Attachment] : [],
+  });
+
+  await prisma.scheduledMessage.update({
+    where: { Id: scheduled.Id },
+    data: { Status: "SENT", MessageId: message.Id },
+  });
+
+  io?.to(userRoom(scheduled.SenderId)).emit("message:scheduled:sent", {
+    scheduledId: scheduled.Id,
+    conversationId: scheduled.ConversationId,
+    messageId: message.Id,
+  });
+};
+
+/**
+ * Sends every scheduled message that is due. Each message is claimed
+ * (PENDING -> SENDING) before sending so that concurrent runs, e.g. on
+ * several instances, never send it twice.
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<number>} Number of messages processed
+ */
+const dispatchDueMessages = async (io) => {
+  const due = await prisma.scheduledMessage.findMany({
+    where: { Status: "PENDING", SendAt: { lte: new Date() } },
+    orderBy: { SendAt: "asc" },
+    take: DISPATCH_BATCH,
+  });
+
+  let processed = 0;
+  for (const scheduled of due) {
+    const { count } = await prisma.scheduledMessage.updateMany({
+      where: { Id: scheduled.Id, Status: "PENDING" },
+      data: { Status: "SENDING" },
+    });
+    if (count === 0) continue;
+
+    try {
+      await dispatch(io, scheduled);
+      processed++;
+    } catch (error) {
+      logger.error(`Failed to send scheduled message ${scheduled.Id}: ${error.message}`);
+      await markFailed(scheduled.Id, "Delivery failed");
+    }
+  }
+  return processed;
+};
+
+module.exports = {
+  MAX_SCHEDULE_DAYS,
+  scheduleMessage,
+  listScheduled,
+  cancelScheduled,
+  dispatchDueMessages,
+};
@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const prisma = require("../utils/prisma");
+const redis = require("../utils/redis");
+const logger = require("../utils/logger");
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60; // Matches refresh token lifetime
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // Matches access token lifetime
+
+/**
+ * Hashes a refresh token so the raw value is never persisted.
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Extracts the client context (user agent and IP) from a request.
+ * @param {Object} req - Express request object
+ * @returns {{ userAgent: string|null, ipAddress: string|null }}
+ */
+const getClientContext = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 512) || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Creates a new session (one per device/login) for a user together with the
+ * first refresh token of its token family.
+ * @param {number} userId - ID of the session owner
+ * @param {string} sessionId - Pre-generated session ID embedded in the tokens
+ * @param {string} refreshToken - Refresh token issued for this session
+ * @param {Object} context - Client context from getClientContext
+ * @returns {Promise<Object>} Created session
+ */
+const createSession = async (userId, sessionId, refreshToken, context = {}) => {
+  const expiresAt = new Date(Date.now() + SESSION_TTL_SECONDS * 1000);
+
+  return prisma.session.create({
+    data: {
+      SessionID: sessionId,
+      UserID: userId,
+      UserAgent: context.userAgent || null,
+      IPAddress: context.ipAddress || null,
+      ExpiresAt: expiresAt,
+      RefreshTokens: {
+        create: { TokenHash: hashToken(refreshToken), ExpiresAt: expiresAt },
+      },
+    },
+  });
+};
+
+/**
+ * Records a detected refresh token replay: revokes the whole token family
+ * and writes an audit log entry.
+ * @param {Object} tokenRecord - The replayed RefreshToken row with its Session
+ * @param {Object} context - Client context of the replaying request
+ */
+const handleTokenReuse = async (tokenRecord, context = {}) => {
+  const { Session: session } = tokenRecord;
+
+  await revokeWhere(
+    { SessionID: session.SessionID },
+    "REFRESH_TOKEN_REUSE"
+  );
+
+  await prisma.auditLog.create({
+    data: {
+      Action: "REFRESH_TOKEN_REUSE",
+      UserID: session.UserID,
+      Details: JSON.stringify({
+        sessionId: session.SessionID,
+        tokenId: tokenRecord.TokenID,
+        rotatedAt: tokenRecord.RotatedAt,
+        userAgent: context.userAgent || null,
+        ipAddress: context.ipAddress || null,
+      }),
+    },
+  });
+
+  logger.warn(
+    `Refresh token reuse detected for user ${session.UserID}, session ${session.SessionID} revoked`
+  );
+};
+
+/**
+ * Rotates a refresh token: the presented token is marked as rotated and the
+ * new token becomes the current one of the same family. Presenting a token
+ * that was already rotated revokes the family.
+ * @param {string} presentedToken - Refresh token sent by the client
+ * @param {string} newToken - Replacement refresh token
+ * @param {Object} context - Client context from getClientContext
+ * @returns {Promise<Object>} The session the token belongs to
+ * @throws {Error} "Refresh token reuse detected" or "Invalid or expired refresh token"
+ */
+const rotateRefreshToken = async (presentedToken, newToken, context = {}) => {
+  const tokenRecord = await prisma.refreshToken.findUnique({
+    where: { TokenHash: hashToken(presentedToken) },
+    include: { Session: true },
+  });
+
+  if (!tokenRecord) {
+    throw new Error("Invalid or expired refresh token");
+  }
+
+  const reuseError = () => {
+    const error = new Error("Refresh token reuse detected");
+    error.sessionId = tokenRecord.SessionID;
+    return error;
+  };
+
+  if (tokenRecord.RotatedAt) {
+    await handleTokenReuse(tokenRecord, context);
+    throw reuseError();
+  }
+
+  const { Session: session } = tokenRecord;
+  if (
+    session.RevokedAt ||
+    session.ExpiresAt < new Date() ||
+    tokenRecord.ExpiresAt < new Date()
+  ) {
+    throw new Error("Invalid or expired refresh token");
+  }
+
+  const expiresAt = new Date(Date.now() + SESSION_TTL_SECONDS * 1000);
+
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Conditional update: only one concurrent request can rotate a token
+    const { count } = await tx.refreshToken.updateMany({
+      where: { TokenID: tokenRecord.TokenID, RotatedAt: null },
+      data: { RotatedAt: new Date() },
+    });
+    if (count === 0) return false;
+
+    const replacement = await tx.refreshToken.create({
+      data: {
+        SessionID: session.SessionID,
+        TokenHash: hashToken(newToken),
+        ExpiresAt: expiresAt,
+      },
+    });
+
+    await tx.refreshToken.update({
+      where: { TokenID: tokenRecord.TokenID },
+      data: { ReplacedByID: replacement.TokenID },
+    });
+
+    await tx.session.update({
+      where: { SessionID: session.SessionID },
+      data: {
+        LastUsedAt: new Date(),
+        ExpiresAt: expiresAt,
+        ...(context.userAgent && { UserAgent: context.userAgent }),
+        ...(context.ipAddress && { IPAddress: context.ipAddress }),
+      },
+    });
+
+    return true;
+  });
+
+  // Lost the race against another request presenting the same token
+  if (!rotated) {
+    await handleTokenReuse(
+      { ...tokenRecord, RotatedAt: new Date() },
+      context
+    );
+    throw reuseError();
+  }
+
+  return session;
+};
+
+/**
+ * Lists a user's active sessions, most recently used first.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object[]>} Active sessions
+ */
+const listSessions = async (userId) => {
+  return prisma.session.findMany({
+    where: {
+      UserID: userId,
+      RevokedAt: null,
+      ExpiresAt: { gt: new Date() },
+    },
+    orderBy: { LastUsedAt: "desc" },
+    select: {
+      SessionID: true,
+      UserAgent: true,
+      IPAddress: true,
+      CreatedAt: true,
+      LastUsedAt: true,
+      ExpiresAt: true,
+    },
+  });
+};
+
+/**
+ * Marks sessions as revoked in the database and in Redis so that access
+ * tokens already issued for them stop working before they expire.
+ * @param {Object} where - Prisma filter selecting the sessions to revoke
+ * @param {string} [reason="LOGOUT"] - Why the sessions were revoked
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+const revokeWhere = async (where, reason = "LOGOUT") => {
+  const sessions = await prisma.session.findMany({
+    where: { ...where, RevokedAt: null },
+    select: { SessionID: true },
+  });
+
+  if (sessions.length === 0) return [];
+
+  const sessionIds = sessions.map((s) => s.SessionID);
+
+  await prisma.session.updateMany({
+    where: { SessionID: { in: sessionIds } },
+    data: { RevokedAt: new Date(), RevokedReason: reason },
+  });
+
+  await redis.execMulti(
+    sessionIds.map((id) => ({
+      type: "set",
+      key: `session:revoked:${id}`,
+      value: "1",
+      ttl: ACCESS_TOKEN_TTL_SECONDS,
+    }))
+  );
+
+  return sessionIds;
+};
+
+/**
+ * Revokes a single session belonging to a user.
+ * @param {number} userId - ID of the session owner
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+  const revoked = await revokeWhere({ UserID: userId, SessionID: sessionId });
+  return revoked.length > 0;
+};
+
+/**
+ * Revokes every session of a user except the given one.
+ * @param {number} userId - ID of the session owner
+ * @param {string} keepSessionId - Session to keep (usually the current one)
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+const revokeOtherSessions = async (userId, keepSessionId) => {
+  return revokeWhere({
+    UserID: userId,
+    ...(keepSessionId && { SessionID: { not: keepSessionId } }),
+  });
+};
+
+/**
+ * Revokes every session of a user.
+ * @param {number} userId - ID of the session owner
+ * @param {string} [reason="LOGOUT"] - Why the sessions were revoked
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+const revokeAllSessions = async (userId, reason) =>
+  revokeWhere({ UserID: userId }, reason);
+
+/**
+ * Verifies the access token of a login session. Other tokens signed with
+ * JWT_SECRET (2FA challenges, email links, password reset) carry a purpose
+ * and belong to no session, so they are refused.
+ * @param {string} token - Access token from the cookie or handshake
+ * @returns {Object} Decoded payload with userId and sid
+ * @throws {Error} If the token is invalid, expired or not an access token
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose || !decoded.sid) {
+    throw new Error("Not an access token");
+  }
+  return decoded;
+};
+
+/**
+ * Checks whether a session has been revoked. Uses the short-lived Redis
+ * marker so authenticated requests do not hit the database; when Redis
+ * cannot be reached the Session row decides instead, so that a Redis
+ * outage does not revive revoked sessions.
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>} True if revoked (or unknown)
+ */
+const isSessionRevoked = async (sessionId) => {
+  if (!sessionId) return false;
+
+  try {
+    return (await redis.client.exists(`session:revoked:${sessionId}`)) > 0;
+  } catch (error) {
+    logger.error(
+      `Session revocation check failed in Redis, using the database: ${error.message}`
+    );
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { SessionID: sessionId },
+    select: { RevokedAt: true },
+  });
+  return !session || Boolean(session.RevokedAt);
+};
+
+module.exports = {
+  SESSION_TTL_SECONDS,
+  hashToken,
+  getClientContext,
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+  verifyAccessToken,
+  isSessionRevoked,
+};
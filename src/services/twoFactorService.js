@@ -0,0 +1,321 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const prisma = require("../utils/prisma");
+const redis = require("../utils/redis");
+const {
+  generateSecret,
+  verifyToken,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const {
+  issuer,
+  setupTtlSeconds,
+  recoveryCodeCount,
+  isTwoFactorRequired,
+} = require("../config/twoFactor");
+const { hashToken } = require("./sessionService");
+
+// A code stays valid for up to three 30s steps (current one ± drift)
+const USED_STEP_TTL_SECONDS = 90;
+
+/**
+ * Derives the key used to encrypt TOTP secrets at rest.
+ * @returns {Buffer} 256-bit key
+ */
+const getEncryptionKey = () => {
+  const secret =
+    process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("Two-factor encryption key not configured");
+  }
+  return crypto.createHash("sha256").update(`2fa:${secret}`).digest();
+};
+
+/**
+ * Encrypts a TOTP secret with AES-256-GCM.
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {string} "iv:authTag:encrypted" (base64)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  return `${iv.toString("base64")}:${cipher
+    .getAuthTag()
+    .toString("base64")}:${encrypted.toString("base64")}`;
+};
+
+/**
+ * Decrypts a TOTP secret produced by encryptSecret.
+ * @param {string} payload - "iv:authTag:encrypted" (base64)
+ * @returns {string} Base32 TOTP secret
+ */
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+/**
+ * Normalizes a recovery code as typed by the user ("ABCDE-12345 " -> "abcde12345").
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) =>
+  code.replace(/[\s-]/g, "").toLowerCase();
+
+/**
+ * Replaces all recovery codes of a user with a fresh set.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} userId - ID of the user
+ * @returns {Promise<string[]>} Plain recovery codes, shown to the user once
+ */
+const replaceRecoveryCodes = async (tx, userId) => {
+  const codes = Array.from({ length: recoveryCodeCount }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await tx.recoveryCode.deleteMany({ where: { UserID: userId } });
+  await tx.recoveryCode.createMany({
+    data: codes.map((code) => ({
+      UserID: userId,
+      CodeHash: hashToken(normalizeRecoveryCode(code)),
+    })),
+  });
+
+  return codes;
+};
+
+/**
+ * Starts 2FA enrolment by generating a secret that is kept pending in Redis
+ * until the user proves their authenticator app produces valid codes.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object>} Secret (for manual entry) and otpauth URI
+ * @throws {Error} If the user is not found or 2FA is already enabled
+ */
+const beginSetup = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { UserID: userId },
+    select: { Email: true, TwoFactorEnabled: true },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (user.TwoFactorEnabled) {
+    throw new Error("Two-factor authentication already enabled");
+  }
+
+  const secret = generateSecret();
+  await redis.set(`2fa:setup:${userId}`, encryptSecret(secret), setupTtlSeconds);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.Email, issuer),
+  };
+};
+
+/**
+ * Remembers the time step of an accepted code so it cannot be replayed.
+ * @param {number} userId - ID of the user
+ * @param {number} step - Accepted time step
+ */
+const markStepUsed = (userId, step) =>
+  redis.set(`2fa:last_step:${userId}`, String(step), USED_STEP_TTL_SECONDS);
+
+/**
+ * Completes enrolment once the user enters a valid code from the app.
+ * @param {number} userId - ID of the user
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ * @throws {Error} If no setup is pending or the code is invalid
+ */
+const confirmSetup = async (userId, code) => {
+  const pending = await redis.get(`2fa:setup:${userId}`);
+  if (!pending) {
+    throw new Error("No pending two-factor setup");
+  }
+
+  const secret = decryptSecret(pending);
+  const step = verifyToken(secret, code);
+  if (step === null) {
+    throw new Error("Invalid two-factor code");
+  }
+
+  const recoveryCodes = await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { UserID: userId },
+      data: {
+        TwoFactorEnabled: true,
+        TwoFactorSecret: encryptSecret(secret),
+        TwoFactorEnabledAt: new Date(),
+      },
+    });
+    return replaceRecoveryCodes(tx, userId);
+  });
+
+  await redis.del(`2fa:setup:${userId}`);
+  await markStepUsed(userId, step);
+
+  return recoveryCodes;
+};
+
+/**
+ * Checks a second-factor code: either a TOTP code from the authenticator app
+ * or an unused recovery code, which is consumed.
+ * @param {number} userId - ID of the user
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<string|null>} "totp" or "recovery_code", or null if invalid
+ */
+const verifyCode = async (userId, code) => {
+  if (typeof code !== "string" || !code.trim()) return null;
+
+  const user = await prisma.user.findUnique({
+    where: { UserID: userId },
+    select: { TwoFactorEnabled: true, TwoFactorSecret: true },
+  });
+
+  if (!user?.TwoFactorEnabled || !user.TwoFactorSecret) return null;
+
+  const trimmed = code.trim();
+  if (/^\d{6}$/.test(trimmed)) {
+    const step = verifyToken(decryptSecret(user.TwoFactorSecret), trimmed);
+    if (step === null) return null;
+
+    const lastStep = await redis.get(`2fa:last_step:${userId}`);
+    if (lastStep !== null && step <= Number(lastStep)) return null;
+
+    await markStepUsed(userId, step);
+    return "totp";
+  }
+
+  // Conditional update so a recovery code can only ever be consumed once
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: {
+      UserID: userId,
+      CodeHash: hashToken(normalizeRecoveryCode(trimmed)),
+      UsedAt: null,
+    },
+    data: { UsedAt: new Date() },
+  });
+
+  return count > 0 ? "recovery_code" : null;
+};
+
+/**
+ * Returns the 2FA state of a user.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object>} enabled, enabledAt, required and remaining recovery codes
+ */
+const getStatus = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { UserID: userId },
+    select: {
+      Role: true,
+      TwoFactorEnabled: true,
+      TwoFactorEnabledAt: true,
+      _count: { select: { RecoveryCodes: { where: { UsedAt: null } } } },
+    },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  return {
+    enabled: user.TwoFactorEnabled,
+    enabledAt: user.TwoFactorEnabledAt,
+    required: isTwoFactorRequired(user),
+    recoveryCodesRemaining: user.TwoFactorEnabled
+      ? user._count.RecoveryCodes
+      : 0,
+  };
+};
+
+/**
+ * Issues a new set of recovery codes, invalidating the previous ones.
+ * @param {number} userId - ID of the user
+ * @param {string} code - Current TOTP or recovery code
+ * @returns {Promise<string[]>} New recovery codes
+ * @throws {Error} If 2FA is not enabled or the code is invalid
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  const method = await verifyCode(userId, code);
+  if (!method) {
+    throw new Error("Invalid two-factor code");
+  }
+
+  return prisma.$transaction((tx) => replaceRecoveryCodes(tx, userId));
+};
+
+/**
+ * Turns 2FA off after re-checking the password and a current code.
+ * Not allowed for roles that the policy requires to use 2FA.
+ * @param {number} userId - ID of the user
+ * @param {string} password - Current password
+ * @param {string} code - Current TOTP or recovery code
+ * @throws {Error} If 2FA is required, not enabled, or a credential is wrong
+ */
+const disable = async (userId, password, code) => {
+  const user = await prisma.user.findUnique({
+    where: { UserID: userId },
+    select: { Role: true, Password: true, TwoFactorEnabled: true },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (!user.TwoFactorEnabled) {
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (isTwoFactorRequired(user)) {
+    throw new Error("Two-factor authentication is required for your role");
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, user.Password);
+  if (!isPasswordValid) {
+    throw new Error("Invalid password");
+  }
+
+  const method = await verifyCode(userId, code);
+  if (!method) {
+    throw new Error("Invalid two-factor code");
+  }
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { UserID: userId },
+      data: {
+        TwoFactorEnabled: false,
+        TwoFactorSecret: null,
+        TwoFactorEnabledAt: null,
+      },
+    }),
+    prisma.recoveryCode.deleteMany({ where: { UserID: userId } }),
+  ]);
+};
+
+module.exports = {
+  beginSetup,
+  confirmSetup,
+  verifyCode,
+  getStatus,
+  regenerateRecoveryCodes,
+  disable,
+};
@@ -0,0 +1,69 @@
+const redis = require("../utils/redis");
+
+// How long an activity lasts without being refreshed by another start
+const ACTIVITY_TIMEOUTS_MS = {
+  typing: 6 * 1000,
+  recording: 30 * 1000,
+};
+
+const ACTIVITIES = Object.keys(ACTIVITY_TIMEOUTS_MS);
+const KEY_TTL_MS = Math.max(...Object.values(ACTIVITY_TIMEOUTS_MS));
+
+// Sorted set of the activities in a conversation, scored by when each expires
+const activityKey = (conversationId) => `typing:${conversationId}`;
+
+const toMember = (user, activity) =>
+  JSON.stringify({ userId: user.UserID, username: user.Username, activity });
+
+// The Upstash client deserializes JSON members on read
+const fromMember = (member) =>
+  typeof member === "string" ? JSON.parse(member) : member;
+
+/**
+ * Who is typing or recording in a conversation, across all instances
+ * @param {string} conversationId
+ * @returns {Promise<Object[]>} [{ userId, username, activity }]
+ */
+const getActivities = async (conversationId) => {
+  const members = await redis.client.zrange(
+    activityKey(conversationId),
+    Date.now(),
+    "+inf",
+    { byScore: true }
+  );
+  return members.map(fromMember);
+};
+
+/**
+ * Starts or refreshes an activity of a user in a conversation
+ * @returns {Promise<Object[]>} Activities in the conversation afterwards
+ */
+const startActivity = async (conversationId, user, activity) => {
+  const now = Date.now();
+  const key = activityKey(conversationId);
+  const timeout = ACTIVITY_TIMEOUTS_MS[activity];
+  await redis.client
+    .pipeline()
+    .zremrangebyscore(key, 0, now)
+    .zadd(key, { score: now + timeout, member: toMember(user, activity) })
+    .pexpire(key, KEY_TTL_MS)
+    .exec();
+  return getActivities(conversationId);
+};
+
+/**
+ * Ends an activity of a user in a conversation
+ * @returns {Promise<Object[]>} Activities in the conversation afterwards
+ */
+const stopActivity = async (conversationId, user, activity) => {
+  await redis.client.zrem(activityKey(conversationId), toMember(user, activity));
+  return getActivities(conversationId);
+};
+
+module.exports = {
+  ACTIVITIES,
+  ACTIVITY_TIMEOUTS_MS,
+  getActivities,
+  startActivity,
+  stopActivity,
+};
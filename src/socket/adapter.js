@@ -0,0 +1,65 @@
+// socket/adapter.js
+const { createClient } = require("redis");
+const { createAdapter } = require("@socket.io/redis-streams-adapter");
+const logger = require("../utils/logger");
+
+/**
+ * Socket.IO adapter, chosen with SOCKET_ADAPTER:
+ * - "redis": packets go through a Redis stream, so `io.to(room)` reaches
+ *   sockets connected to any instance, and sessions kept for connection
+ *   state recovery can be resumed on any instance. Needs REDIS_URL (a TCP
+ *   connection string, the Upstash REST client cannot subscribe).
+ * - "memory": the built-in adapter, for a single instance and local runs.
+ * Defaults to "redis" when REDIS_URL is set.
+ *
+ * SOCKET_STREAM_MAX_LEN bounds the stream; it must hold the packets of a
+ * full recovery window (see socket/index.js), or reconnecting sockets lose
+ * the packets they missed and are not recovered.
+ */
+const ADAPTERS = ["redis", "memory"];
+const DEFAULT_STREAM_MAX_LEN = 100 * 1000;
+
+/**
+ * @returns {Promise<Function|undefined>} Adapter for the Server `adapter`
+ *          option, undefined for the built-in one
+ * @throws {Error} If the adapter is unknown or Redis cannot be reached
+ */
+const createSocketAdapter = async () => {
+  const type =
+    process.env.SOCKET_ADAPTER || (process.env.REDIS_URL ? "redis" : "memory");
+  if (!ADAPTERS.includes(type)) {
+    throw new Error(`SOCKET_ADAPTER must be one of: ${ADAPTERS.join(", ")}`);
+  }
+
+  if (type === "memory") {
+    logger.info("Socket.IO uses the in-memory adapter (single instance)");
+    return undefined;
+  }
+
+  if (!process.env.REDIS_URL) {
+    throw new Error("The redis socket adapter needs REDIS_URL");
+  }
+
+  let connected = false;
+  const client = createClient({
+    url: process.env.REDIS_URL,
+    socket: {
+      // Fail startup when Redis is unreachable, reconnect once running
+      reconnectStrategy: (retries, cause) =>
+        connected ? Math.min(retries * 100, 3000) : cause,
+    },
+  });
+  client.on("error", (err) =>
+    logger.error(`Socket.IO Redis adapter error: ${err.message}`)
+  );
+  await client.connect();
+  connected = true;
+  logger.info("Socket.IO uses the Redis streams adapter");
+
+  return createAdapter(client, {
+    maxLen:
+      parseInt(process.env.SOCKET_STREAM_MAX_LEN, 10) || DEFAULT_STREAM_MAX_LEN,
+  });
+};
+
+module.exports = createSocketAdapter;
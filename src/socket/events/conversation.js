@@ -0,0 +1,44 @@
+// socket/events/conversation.js
+const prisma = require("../../utils/prisma");
+const { conversationRoom, parseConversationId } = require("../rooms");
+const typingService = require("../../services/typingService");
+
+/**
+ * Setup conversation room events
+ * Clients join the room of the conversation they have open to receive
+ * edits, deletions, read receipts and typing indicators. Only participants
+ * can join; removed members are taken out of the room (see messagesController).
+ */
+const setupConversationEvents = (io, socket) => {
+  const userId = socket.user.UserID;
+
+  socket.on("conversation:join", async (payload, callback = () => {}) => {
+    const conversationId = parseConversationId(payload);
+    if (!conversationId) return callback({ error: "Invalid conversation ID" });
+
+    try {
+      const isParticipant = await prisma.conversation.count({
+        where: { Id: conversationId, Participants: { some: { UserID: userId } } },
+      });
+      if (!isParticipant) return callback({ error: "Access denied" });
+
+      socket.join(conversationRoom(conversationId));
+      callback({
+        success: true,
+        typing: await typingService.getActivities(conversationId),
+      });
+    } catch (err) {
+      callback({ error: "Failed to join conversation" });
+    }
+  });
+
+  socket.on("conversation:leave", (payload, callback = () => {}) => {
+    const conversationId = parseConversationId(payload);
+    if (!conversationId) return callback({ error: "Invalid conversation ID" });
+
+    socket.leave(conversationRoom(conversationId));
+    callback({ success: true });
+  });
+};
+
+module.exports = setupConversationEvents;
@@ -1,6 +1,26 @@
 // socket/events/message.js
 const prisma = require("../../utils/prisma");
-const { decryptMessage, encryptMessage } = require("../../utils/encryption");
+const { decryptMessage } = require("../../utils/encryption");
+const { isActionRestricted } = require("../../config/emailVerification");
+const { conversationRoom } = require("../rooms");
+const receiptService = require("../../services/receiptService");
+const messageShareService = require("../../services/messageShareService");
+const messageService = require("../../services/messageService");
+const attachmentService = require("../../services/attachmentService");
+const reactionService = require("../../services/reactionService");
+const deviceKeyService = require("../../services/deviceKeyService");
+
+// Errors thrown by messageShareService that are safe to show to the client
+const SHARE_ERRORS = ["not found", "access denied", "No access", "cannot be forwarded"];
+
+const shareErrorMessage = (err, fallback) =>
+  SHARE_ERRORS.some(text => err.message.includes(text)) ? err.message : fallback;
+
+// Errors thrown by messageService.editMessage that are safe to show to the client
+const EDIT_ERRORS = ["not found", "Not authorized", "Cannot edit", "can only be edited"];
+
+// Errors thrown by reactionService that are safe to show to the client
+const REACTION_ERRORS = ["not found", "not allowed", "Cannot react", "limit reached"];
 
 /**
  * Setup message-related events
@@ -9,8 +29,14 @@ const setupMessageEvents = (io, socket) => {
   const userId = socket.user.UserID;
 
   // Send Message
-  socket.on("message:send", async ({ conversationId, content, replyToId, attachment }, callback) => {
+  // Attachments are uploaded first (POST /messages/attachments) and referenced by their token.
+  // End-to-end encrypted messages send envelopes (one per recipient device) instead of content.
+  socket.on("message:send", async ({ conversationId, content, replyToId, attachmentToken, envelopes }, callback = () => {}) => {
     try {
+      if (isActionRestricted(socket.user, "messaging")) {
+        return callback({ error: "Please verify your email address to use this feature" });
+      }
+
       const conversation = await prisma.conversation.findUnique({
         where: { Id: conversationId },
         select: { Participants: { select: { UserID: true } } },
@@ -20,104 +46,168 @@ const setupMessageEvents = (io, socket) => {
         return callback({ error: "Access denied" });
       }
 
-      const encryptedContent = content ? encryptMessage(content, conversationId) : null;
-
-      const message = await prisma.message.create({
-        data: {
-          ConversationId: conversationId,
-          SenderId: userId,
-          Content: encryptedContent,
-          ReplyToId: replyToId,
-          Attachments: attachment ? { create: attachment } : undefined,
-        },
-        include: {
-          Sender: { select: { UserID: true, Username: true, ProfilePicture: true } },
-          Attachments: true,
-          ReplyTo: { select: { Id: true, Content: true, SenderId: true, IsDeleted: true } },
-        },
-      });
+      let attachment = null;
+      if (attachmentToken) {
+        try {
+          attachment = attachmentService.verifyAttachmentToken(attachmentToken, userId);
+        } catch (err) {
+          return callback({ error: err.message });
+        }
+      }
+      if (!content && !attachment && !envelopes) {
+        return callback({ error: "Content or attachment required" });
+      }
 
-      await prisma.conversation.update({
-        where: { Id: conversationId },
-        data: { LastMessageId: message.Id },
-      });
+      let senderDevice = null;
+      if (envelopes) {
+        senderDevice = await deviceKeyService.findSessionDevice(userId, socket.sessionId);
+        if (!senderDevice) {
+          return callback({ error: "Register this device's keys before sending encrypted messages" });
+        }
+      }
 
-      const decrypted = {
-        ...message,
-        Content: content,
-      };
+      // Emitted to all participants; recipients acknowledge with message:delivered
+      const message = await messageService.sendUserMessage(io, {
+        conversationId,
+        senderId: userId,
+        participantIds: conversation.Participants.map(p => p.UserID),
+        content,
+        replyToId,
+        attachments: attachment ? [attachment] : [],
+        envelopes,
+        senderDeviceId: senderDevice?.DeviceID,
+      });
 
-      // Emit to all participants
-      conversation.Participants.forEach(p => {
-        io.to(`user:${p.UserID}`).emit("message:new", {
-          ...decrypted,
-          status: p.UserID === userId ? "SENT" : "DELIVERED",
+      callback({ success: true, message });
+    } catch (err) {
+      if (err.message === "Device list mismatch") {
+        return callback({
+          error: err.message,
+          missingDevices: err.missingDevices,
+          extraDevices: err.extraDevices,
         });
+      }
+      if (err.message.includes("envelopes")) {
+        return callback({ error: err.message });
+      }
+      callback({ error: "Failed to send message" });
+    }
+  });
+
+  // Forward a message to up to MAX_FORWARD_TARGETS conversations
+  socket.on("message:forward", async ({ messageId, conversationIds }, callback = () => {}) => {
+    try {
+      if (isActionRestricted(socket.user, "messaging")) {
+        return callback({ error: "Please verify your email address to use this feature" });
+      }
+      if (
+        !Array.isArray(conversationIds) ||
+        conversationIds.length === 0 ||
+        conversationIds.length > messageShareService.MAX_FORWARD_TARGETS
+      ) {
+        return callback({ error: "Invalid target conversations" });
+      }
+
+      const results = await messageShareService.forwardMessage(userId, messageId, conversationIds);
+      await Promise.all(results.map(result => messageShareService.emitNewMessage(io, result)));
+
+      callback({
+        success: true,
+        messages: await Promise.all(
+          results.map(result => messageShareService.formatForViewer(result, userId))
+        ),
       });
+    } catch (err) {
+      callback({ error: shareErrorMessage(err, "Failed to forward message") });
+    }
+  });
 
-      callback({ success: true, message: decrypted });
+  // Share a post or a story into a conversation
+  socket.on("message:share", async ({ conversationId, postId, storyId, content }, callback = () => {}) => {
+    try {
+      if (isActionRestricted(socket.user, "messaging")) {
+        return callback({ error: "Please verify your email address to use this feature" });
+      }
+      if (Boolean(postId) === Boolean(storyId)) {
+        return callback({ error: "Provide either postId or storyId" });
+      }
+      if (content !== undefined && (typeof content !== "string" || content.length > 2000)) {
+        return callback({ error: "Invalid content" });
+      }
+
+      const result = postId
+        ? await messageShareService.sharePost(userId, conversationId, parseInt(postId), content)
+        : await messageShareService.shareStory(userId, conversationId, parseInt(storyId), content);
+      await messageShareService.emitNewMessage(io, result);
+
+      callback({ success: true, message: await messageShareService.formatForViewer(result, userId) });
     } catch (err) {
-      callback({ error: "Failed to send message" });
+      callback({ error: shareErrorMessage(err, "Failed to share") });
     }
   });
 
   // Edit Message
-  socket.on("message:edit", async ({ messageId, content }, callback) => {
+  socket.on("message:edit", async ({ messageId, content }, callback = () => {}) => {
     try {
-      const msg = await prisma.message.findUnique({
-        where: { Id: messageId },
-        select: { SenderId: true, ConversationId: true, Content: true },
-      });
+      if (typeof content !== "string" || !content.trim() || content.length > 2000) {
+        return callback({ error: "Invalid content" });
+      }
 
-      if (msg.SenderId !== userId) return callback({ error: "Unauthorized" });
+      const edit = await messageService.editMessage(userId, messageId, content.trim());
+      io.to(conversationRoom(edit.conversationId)).emit("message:edited", edit);
 
-      const encrypted = encryptMessage(content, msg.ConversationId);
+      callback({ success: true, editedAt: edit.editedAt });
+    } catch (err) {
+      callback({ error: EDIT_ERRORS.some(text => err.message.includes(text)) ? err.message : "Failed to edit" });
+    }
+  });
 
-      await prisma.$transaction(async (tx) => {
-        await tx.messageEdit.create({
-          data: { MessageId: messageId, OldContent: msg.Content, EditorId: userId },
-        });
-        await tx.message.update({
-          where: { Id: messageId },
-          data: { Content: encrypted, IsEdited: true },
-        });
-      });
+  // React to Message: toggles the emoji, a user can hold several per message
+  socket.on("message:react", async ({ messageId, emoji }, callback = () => {}) => {
+    try {
+      const result = await reactionService.toggleReaction(userId, messageId, emoji);
+      reactionService.emitReactionChange(io, socket.user, messageId, result, result.added);
 
-      io.to(`conversation:${msg.ConversationId}`).emit("message:edited", {
-        messageId,
-        content,
-        editedAt: new Date(),
-      });
+      callback({ success: true, added: result.added, emoji: result.emoji, summary: result.summary });
+    } catch (err) {
+      callback({ error: REACTION_ERRORS.some(text => err.message.includes(text)) ? err.message : "Failed to react" });
+    }
+  });
+
+  // Delivery acknowledgement for messages received on this device
+  socket.on("message:delivered", async ({ messageIds }, callback = () => {}) => {
+    try {
+      if (!Array.isArray(messageIds) || messageIds.length === 0 || messageIds.length > 100) {
+        return callback({ error: "messageIds must contain 1 to 100 IDs" });
+      }
+
+      const changed = await receiptService.markDelivered(userId, { messageIds });
+      receiptService.emitStatusChanges(io, changed);
 
       callback({ success: true });
     } catch (err) {
-      callback({ error: "Failed to edit" });
+      callback({ error: "Failed to update delivery status" });
     }
   });
 
-  // React to Message
-  socket.on("message:react", async ({ messageId, emoji }, callback) => {
+  // Read everything in a conversation up to a message (latest if omitted)
+  socket.on("message:read", async ({ conversationId, messageId }, callback = () => {}) => {
     try {
-      const reaction = await prisma.reaction.upsert({
-        where: { MessageId_UserId: { MessageId: messageId, UserId: userId } },
-        update: { Emoji: emoji },
-        create: { MessageId: messageId, UserId: userId, Emoji: emoji },
-        include: { User: { select: { UserID: true, Username: true } } },
-      });
-
-      const msg = await prisma.message.findUnique({
-        where: { Id: messageId },
-        select: { ConversationId: true },
+      const isParticipant = await prisma.conversation.count({
+        where: { Id: conversationId, Participants: { some: { UserID: userId } } },
       });
+      if (!isParticipant) return callback({ error: "Access denied" });
 
-      io.to(`conversation:${msg.ConversationId}`).emit("message:reacted", {
-        messageId,
-        reaction: { emoji, user: reaction.User },
-      });
+      const result = await receiptService.markReadUpTo(userId, conversationId, messageId);
+      if (result) {
+        io.to(conversationRoom(conversationId)).emit("messages:read", result.cursor);
+        receiptService.emitStatusChanges(io, result.changed);
+      }
 
-      callback({ success: true });
+      callback({ success: true, cursor: result?.cursor || null });
     } catch (err) {
-      callback({ error: "Failed to react" });
+      if (err.message.includes("Message")) return callback({ error: err.message });
+      callback({ error: "Failed to update read status" });
     }
   });
 };
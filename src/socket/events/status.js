@@ -1,21 +1,68 @@
 // socket/events/status.js
-const prisma = require("../../utils/prisma");
+const presenceService = require("../../services/presenceService");
+const {
+  heartbeatIntervalMs,
+  lastSeenWriteIntervalMs,
+} = require("../../config/presence");
+const { userRoom } = require("../rooms");
 
+/**
+ * Online presence: a user is online while any of their sockets, on any
+ * instance, sends heartbeats. "user:online" and "user:offline" are sent on
+ * the first connect and last disconnect, only to the user's audience.
+ */
 const setupStatusEvents = (io, socket) => {
   const userId = socket.user.UserID;
+  let lastHeartbeatAt = Date.now();
+  let lastSeenWrittenAt = Date.now();
 
-  // Broadcast online
-  socket.broadcast.emit("user:online", { userId });
+  const emitToAudience = async (event, payload) => {
+    const audience = await presenceService.getAudience(userId);
+    if (audience.length) {
+      io.to(audience.map(userRoom)).emit(event, payload);
+    }
+  };
 
-  // Update last active
-  prisma.user.update({
-    where: { UserID: userId },
-    data: { LastActive: new Date() },
+  const connected = presenceService
+    .connect(userId, socket.id)
+    .then(({ cameOnline }) => {
+      if (cameOnline) return emitToAudience("user:online", { userId });
+    })
+    .catch((error) =>
+      console.error(`Presence connect failed for user ${userId}:`, error.message)
+    );
+
+  socket.on("presence:heartbeat", async () => {
+    const now = Date.now();
+    // Ignore clients sending heartbeats faster than asked
+    if (now - lastHeartbeatAt < heartbeatIntervalMs / 2) return;
+    lastHeartbeatAt = now;
+
+    try {
+      await presenceService.heartbeat(userId, socket.id);
+      if (now - lastSeenWrittenAt >= lastSeenWriteIntervalMs) {
+        lastSeenWrittenAt = now;
+        await presenceService.updateLastSeen(userId);
+      }
+    } catch (error) {
+      console.error(`Presence heartbeat failed for user ${userId}:`, error.message);
+    }
   });
 
-  socket.on("disconnect", () => {
-    socket.broadcast.emit("user:offline", { userId });
+  socket.on("disconnect", async () => {
+    await connected;
+    try {
+      const { wentOffline, lastSeen } = await presenceService.disconnect(
+        userId,
+        socket.id
+      );
+      if (wentOffline) {
+        await emitToAudience("user:offline", { userId, lastSeen });
+      }
+    } catch (error) {
+      console.error(`Presence disconnect failed for user ${userId}:`, error.message);
+    }
   });
 };
 
-module.exports = setupStatusEvents;
\ No newline at end of file
+module.exports = setupStatusEvents;
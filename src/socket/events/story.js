@@ -1,6 +1,9 @@
 // socket/events/story.js
 const prisma = require("../../utils/prisma");
-const { encryptMessage } = require("../../utils/encryption");
+const { del } = require("../../utils/redisUtils");
+const { userRoom } = require("../rooms");
+const messageService = require("../../services/messageService");
+const NotificationService = require("../../services/notificationService");
 
 /**
  * Setup real-time story reply events
@@ -54,6 +57,7 @@ const setupStoryEvents = (io, socket) => {
       // 2. Find or create conversation
       conversation = await prisma.conversation.findFirst({
         where: {
+          IsGroup: false,
           AND: [
             { Participants: { some: { UserID: userId } } },
             { Participants: { some: { UserID: story.UserID } } },
@@ -72,38 +76,23 @@ const setupStoryEvents = (io, socket) => {
         isNewConversation = true;
 
         // Invalidate cached conversations
-        await prisma.$executeRaw`DELETE FROM redis WHERE key LIKE 'conversations:${userId}'`;
-        await prisma.$executeRaw`DELETE FROM redis WHERE key LIKE 'conversations:${story.UserID}'`;
+        await del(`conversations:${userId}`);
+        await del(`conversations:${story.UserID}`);
       }
 
       // 3. Create message with story reference
-      const encryptedContent = content ? encryptMessage(content, conversation.Id) : null;
-
-      message = await prisma.$transaction(async (tx) => {
-        const msg = await tx.message.create({
-          data: {
-            ConversationId: conversation.Id,
-            SenderId: userId,
-            Content: encryptedContent,
-            Metadata: {
-              storyReference: {
-                storyId: story.StoryID,
-                mediaUrl: story.MediaURL,
-                expiresAt: story.ExpiresAt.toISOString(),
-              },
-            },
-          },
-          include: {
-            Sender: { select: { UserID: true, Username: true, ProfilePicture: true } },
+      message = await messageService.createMessage({
+        conversationId: conversation.Id,
+        senderId: userId,
+        participantIds: [userId, story.UserID],
+        content,
+        metadata: {
+          storyReference: {
+            storyId: story.StoryID,
+            mediaUrl: story.MediaURL,
+            expiresAt: story.ExpiresAt.toISOString(),
           },
-        });
-
-        await tx.conversation.update({
-          where: { Id: conversation.Id },
-          data: { LastMessageId: msg.Id, UpdatedAt: new Date() },
-        });
-
-        return msg;
+        },
       });
 
       // 4. Prepare decrypted payload
@@ -119,47 +108,34 @@ const setupStoryEvents = (io, socket) => {
       };
 
       // 5. Emit to both users (sender & receiver)
-      const receiverRoom = `user:${story.UserID}`;
-      const senderRoom = `user:${userId}`;
+      const receiverRoom = userRoom(story.UserID);
+      const senderRoom = userRoom(userId);
 
       io.to(receiverRoom).emit("message:new", {
         ...payload,
-        status: "DELIVERED",
+        status: message.Status,
       });
 
       io.to(senderRoom).emit("message:new", {
         ...payload,
-        status: "SENT",
+        status: message.Status,
       });
 
-      // 6. Send notification to story owner
-      io.to(receiverRoom).emit("notification:new", {
-        type: "STORY_REPLY",
-        title: `${username} replied to your story`,
-        body: content || "Sent a photo",
-        data: {
+      // 6. Notify story owner (skipped if they muted the conversation)
+      await NotificationService.createNotification({
+        userId: story.UserID,
+        senderId: userId,
+        type: "MESSAGE",
+        content: `${username} replied to your story`,
+        metadata: {
           conversationId: conversation.Id,
           storyId: story.StoryID,
-        },
-        timestamp: new Date().toISOString(),
-      });
-
-      // 7. Create DB notification
-      await prisma.notification.create({
-        data: {
-          UserID: story.UserID,
-          SenderID: userId,
-          Type: "MESSAGE",
-          Content: `${username} replied to your story`,
-          Metadata: {
-            conversationId: conversation.Id,
-            isStoryReply: true,
-            storyId: story.StoryID,
-          },
+          mediaUrl: story.MediaURL,
+          isStoryReply: true,
         },
       });
 
-      // 8. Respond to sender
+      // 7. Respond to sender
       callback({
         success: true,
         data: {
@@ -1,14 +1,103 @@
 // socket/events/typing.js
+const { conversationRoom, parseConversationId } = require("../rooms");
+const typingService = require("../../services/typingService");
+
+// Minimum delay between two refreshes of the same activity in Redis
+const REFRESH_INTERVAL_MS = 2000;
+
+/**
+ * Typing and voice recording indicators. Clients send "typing:start"
+ * `{ conversationId, activity }` (activity "typing" or "recording") while the
+ * user is active, and "typing:stop" when done. An activity that is not
+ * refreshed ends by itself, and so do all activities of a socket that sends
+ * a message, leaves the conversation or disconnects.
+ *
+ * The conversation room receives "typing" for each change of a user, and
+ * "typing:update" with everyone currently active, for group headers.
+ */
 const setupTypingEvents = (io, socket) => {
-  const userId = socket.user.UserID;
+  const { user } = socket;
+  // conversationId -> { activity, refreshedAt, timer }
+  const activities = new Map();
+
+  const emitChange = (conversationId, activity, isTyping, typing) => {
+    const room = socket.to(conversationRoom(conversationId));
+    room.emit("typing", {
+      conversationId,
+      userId: user.UserID,
+      username: user.Username,
+      activity,
+      isTyping,
+    });
+    room.emit("typing:update", { conversationId, typing });
+  };
+
+  const stop = async (conversationId) => {
+    const current = activities.get(conversationId);
+    if (!current) return;
+    clearTimeout(current.timer);
+    activities.delete(conversationId);
+
+    const typing = await typingService.stopActivity(conversationId, user, current.activity);
+    emitChange(conversationId, current.activity, false, typing);
+  };
+
+  const stopQuietly = (conversationId) =>
+    stop(conversationId).catch((error) =>
+      console.error(`Failed to stop typing for user ${user.UserID}:`, error.message)
+    );
 
-  socket.on("typing:start", ({ conversationId }) => {
-    socket.to(`conversation:${conversationId}`).emit("typing:start", { userId });
+  socket.on("typing:start", async (payload) => {
+    const { conversationId, activity = "typing" } = payload || {};
+    // Only sockets that joined the room, which requires membership
+    if (
+      !typingService.ACTIVITIES.includes(activity) ||
+      !socket.rooms.has(conversationRoom(conversationId))
+    ) {
+      return;
+    }
+
+    try {
+      const now = Date.now();
+      let current = activities.get(conversationId);
+      if (current && current.activity !== activity) {
+        await stop(conversationId);
+        current = null;
+      }
+
+      const timer = setTimeout(
+        () => stopQuietly(conversationId),
+        typingService.ACTIVITY_TIMEOUTS_MS[activity]
+      );
+      if (current) {
+        clearTimeout(current.timer);
+        current.timer = timer;
+        if (now - current.refreshedAt >= REFRESH_INTERVAL_MS) {
+          current.refreshedAt = now;
+          await typingService.startActivity(conversationId, user, activity);
+        }
+        return;
+      }
+
+      activities.set(conversationId, { activity, refreshedAt: now, timer });
+      const typing = await typingService.startActivity(conversationId, user, activity);
+      emitChange(conversationId, activity, true, typing);
+    } catch (error) {
+      console.error(`Failed to start typing for user ${user.UserID}:`, error.message);
+    }
   });
 
-  socket.on("typing:stop", ({ conversationId }) => {
-    socket.to(`conversation:${conversationId}`).emit("typing:stop", { userId });
+  socket.on("typing:stop", (payload) => stopQuietly(payload?.conversationId));
+
+  // Sending a message or leaving the conversation ends the activity
+  socket.on("message:send", (payload) => stopQuietly(payload?.conversationId));
+  socket.on("conversation:leave", (payload) =>
+    stopQuietly(parseConversationId(payload))
+  );
+
+  socket.on("disconnect", () => {
+    [...activities.keys()].forEach(stopQuietly);
   });
 };
 
-module.exports = setupTypingEvents;
\ No newline at end of file
+module.exports = setupTypingEvents;
@@ -1,30 +1,66 @@
 // socket/index.js
 const { Server } = require("socket.io");
-const { pubClient, subClient } = require("../utils/redis");
+const cookieParser = require("cookie-parser");
 const authSocketMiddleware = require("./middleware/auth");
+const prisma = require("../utils/prisma");
+const { userRoom, sessionRoom, conversationRoom } = require("./rooms");
+const setupConversationEvents = require("./events/conversation");
 const setupMessageEvents = require("./events/message");
 const setupTypingEvents = require("./events/typing");
 const setupStatusEvents = require("./events/status");
 const setupStoryEvents = require("./events/story");
+const NotificationService = require("../services/notificationService");
 
 /**
- * Initialize Socket.IO with Redis Adapter for horizontal scaling
+ * A recovered socket gets back the rooms it had when it disconnected.
+ * Leave the conversations the user was removed from in the meantime.
+ */
+const leaveFormerConversations = async (socket) => {
+  const conversationIds = [...socket.rooms]
+    .filter((room) => room.startsWith(conversationRoom("")))
+    .map((room) => room.slice(conversationRoom("").length));
+  if (!conversationIds.length) return;
+
+  const current = await prisma.conversation.findMany({
+    where: {
+      Id: { in: conversationIds },
+      Participants: { some: { UserID: socket.user.UserID } },
+    },
+    select: { Id: true },
+  });
+  const currentIds = new Set(current.map((c) => c.Id));
+  conversationIds
+    .filter((id) => !currentIds.has(id))
+    .forEach((id) => socket.leave(conversationRoom(id)));
+};
+
+/**
+ * Initialize the Socket.IO server: authentication, personal and session
+ * rooms, and every realtime event handler.
  * @param {http.Server} httpServer
+ * @param {Object} options
+ * @param {string[]} options.origins - Allowed CORS origins
+ * @param {Function} [options.adapter] - Adapter shared by all instances (see socket/adapter.js)
  * @returns {Server}
  */
-const initializeSocket = (httpServer) => {
+const initializeSocket = (httpServer, { origins, adapter }) => {
   const io = new Server(httpServer, {
+    adapter,
     cors: {
-      origin: process.env.FRONTEND_URL || "http://localhost:8000",
+      origin: origins,
       methods: ["GET", "POST"],
       credentials: true,
     },
     connectionStateRecovery: {
       maxDisconnectionDuration: 2 * 60 * 1000,
-      skipMiddlewares: true,
+      // Re-run auth on recovery so revoked sessions cannot resume
+      skipMiddlewares: false,
     },
   });
 
+  // Populate socket.request.cookies for the auth middleware
+  io.engine.use(cookieParser());
+
   // Middleware: Authenticate user via accessToken cookie
   io.use(authSocketMiddleware);
 
@@ -33,24 +69,44 @@ const initializeSocket = (httpServer) => {
     const userId = socket.user.UserID;
     console.log(`User ${userId} connected via WebSocket`);
 
-    // Join user's personal room for direct messages
-    socket.join(`user:${userId}`);
+    // Join user's personal room for direct messages and notifications
+    socket.join(userRoom(userId));
+
+    // Join session room so revoking the session can disconnect this socket
+    if (socket.sessionId) {
+      socket.join(sessionRoom(socket.sessionId));
+    }
+
+    // Recovered sockets got their former rooms back with the missed packets
+    if (socket.recovered) {
+      leaveFormerConversations(socket).catch((error) =>
+        console.error("Failed to check recovered rooms:", error.message)
+      );
+    }
 
     // Setup event handlers
+    setupConversationEvents(io, socket);
     setupMessageEvents(io, socket);
     setupTypingEvents(io, socket);
     setupStatusEvents(io, socket);
     setupStoryEvents(io, socket);
 
+    NotificationService.getUnreadNotificationsCount(userId)
+      .then((count) => socket.emit("unreadNotificationsCount", { count }))
+      .catch((error) =>
+        console.error("Failed to send unread count:", error.message)
+      );
+
     // Handle disconnect
     socket.on("disconnect", (reason) => {
       console.log(`User ${userId} disconnected: ${reason}`);
-      // Broadcast offline status
-      socket.to(`user:${userId}`).emit("user:offline", { userId });
     });
   });
 
+  // Inject Socket.IO instance into NotificationService
+  NotificationService.setSocketInstance(io);
+
   return io;
 };
 
-module.exports = initializeSocket;
\ No newline at end of file
+module.exports = initializeSocket;
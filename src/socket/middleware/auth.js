@@ -1,40 +1,68 @@
 // socket/middleware/auth.js
-const jwt = require("jsonwebtoken");
 const prisma = require("../../utils/prisma");
 const redis = require("../../utils/redis");
+const {
+  verifyAccessToken,
+  isSessionRevoked,
+} = require("../../services/sessionService");
+
+/**
+ * Extracts the access token from the handshake: the accessToken cookie
+ * (parsed by cookie-parser, see socket/index.js), or for clients that cannot
+ * send cookies, the `auth.token` option or an Authorization bearer header.
+ * @param {Object} socket - Socket.IO socket
+ * @returns {string|undefined} Access token
+ */
+const getHandshakeToken = (socket) =>
+  socket.request.cookies?.accessToken ||
+  socket.handshake.auth?.token ||
+  socket.handshake.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
 
 /**
  * Socket.IO middleware to authenticate user via accessToken cookie
+ * Applies the same checks as the HTTP authMiddleware: blacklisted tokens,
+ * revoked sessions and banned users are rejected.
  */
 const authSocketMiddleware = async (socket, next) => {
-  const token = socket.request.cookies?.accessToken;
+  const token = getHandshakeToken(socket);
 
   if (!token) {
     return next(new Error("Authentication error: No token provided"));
   }
 
-  // Check blacklist
-  const isBlacklisted = await redis.get(`blacklist:access:${token}`);
-  if (isBlacklisted) {
-    return next(new Error("Authentication error: Token revoked"));
-  }
-
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Check blacklist
+    const isBlacklisted = await redis.get(`blacklist:access:${token}`);
+    if (isBlacklisted) {
+      return next(new Error("Authentication error: Token revoked"));
+    }
+
+    const decoded = verifyAccessToken(token);
+    if (await isSessionRevoked(decoded.sid)) {
+      return next(new Error("Authentication error: Session revoked"));
+    }
+
     const user = await prisma.user.findUnique({
       where: { UserID: decoded.userId },
-      select: { UserID: true, Username: true, IsBanned: true },
+      select: {
+        UserID: true,
+        Username: true,
+        IsBanned: true,
+        EmailVerified: true,
+      },
     });
 
     if (!user || user.IsBanned) {
-      return next(new Error("Authentication error: Invalid user"));
+      return next(new Error("Authentication error: Invalid or banned user"));
     }
 
     socket.user = user;
+    socket.sessionId = decoded.sid;
     next();
   } catch (err) {
+    console.error("Socket auth error:", err.message);
     next(new Error("Authentication error: Invalid token"));
   }
 };
 
-module.exports = authSocketMiddleware;
\ No newline at end of file
+module.exports = authSocketMiddleware;
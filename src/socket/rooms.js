@@ -0,0 +1,38 @@
+/**
+ * Socket.IO room names.
+ * Sockets join these rooms on connection (see socket/index.js); controllers
+ * and services must use the same helpers when emitting so that every event
+ * reaches the sockets it is meant for.
+ */
+
+/** Every socket of a user */
+const userRoom = (userId) => `user:${userId}`;
+
+/** Sockets opened with a login session, used to disconnect revoked sessions */
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/** Sockets currently viewing a conversation */
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Conversation ID of a client request for a conversation room:
+ * `{ conversationId }`, or a plain string as sent by older clients (the ID
+ * or the room name)
+ * @returns {string|null} null when it is not a conversation ID
+ */
+const parseConversationId = (payload) => {
+  const value = typeof payload === "string" ? payload : payload?.conversationId;
+  if (typeof value !== "string") return null;
+  const conversationId = value.replace(/^conversation:/, "");
+  return UUID_PATTERN.test(conversationId) ? conversationId : null;
+};
+
+module.exports = {
+  userRoom,
+  sessionRoom,
+  conversationRoom,
+  parseConversationId,
+};
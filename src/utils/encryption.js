@@ -1,45 +1,110 @@
 /**
  * @file encryption.js
- * @description E2EE for messages using AES-GCM with conversationId-derived key
+ * @description Encryption at rest for message content: AES-256-GCM with a
+ *              per-conversation key derived (HKDF) from a versioned key ring
  */
 
 const crypto = require("crypto");
+const {
+  keys,
+  currentVersion,
+  legacySecret,
+  searchIndexSecret,
+} = require("../config/encryptionKeys");
+
+const VERSION_PREFIX = /^v(\d+):/;
 
 /**
- * Derive encryption key from conversationId (deterministic per conversation)
+ * Derive the key of a conversation for one key ring version
+ * @param {number} version
  * @param {string} conversationId
  * @returns {Buffer} 256-bit key
  */
-const deriveKey = (conversationId) => {
-  const secret = process.env.ENCRYPTION_SECRET || "fallback-secret-key-32bytes-min";
-  return crypto
+const deriveKey = (version, conversationId) =>
+  Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      keys.get(version),
+      `linkup:messages:v${version}`,
+      `conversation:${conversationId}`,
+      32
+    )
+  );
+
+/**
+ * Key of content stored before ciphertexts were versioned
+ * @param {string} conversationId
+ * @returns {Buffer}
+ */
+const deriveLegacyKey = (conversationId) =>
+  crypto
     .createHash("sha256")
-    .update(conversationId + secret)
+    .update(conversationId + legacySecret)
     .digest();
+
+/**
+ * Key ring version of a stored ciphertext
+ * @param {string} encryptedData
+ * @returns {number} 0 for unversioned (legacy) ciphertexts
+ */
+const getKeyVersion = (encryptedData) => {
+  const match = encryptedData.match(VERSION_PREFIX);
+  return match ? Number(match[1]) : 0;
 };
 
 /**
- * Encrypt message content
+ * Encrypt message content with the current key
  * @param {string} plaintext
  * @param {string} conversationId
- * @returns {string} "iv:authTag:encrypted" (base64)
+ * @returns {string} "v<version>:iv:authTag:encrypted" (base64)
  */
 const encryptMessage = (plaintext, conversationId) => {
   if (!plaintext) return null;
 
-  const key = deriveKey(conversationId);
+  const key = deriveKey(currentVersion, conversationId);
   const iv = crypto.randomBytes(12); // 96-bit IV for GCM
   const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
 
   const encrypted = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
   const authTag = cipher.getAuthTag();
 
-  return `${iv.toString("base64")}:${authTag.toString("base64")}:${encrypted.toString("base64")}`;
+  return `v${currentVersion}:${iv.toString("base64")}:${authTag.toString("base64")}:${encrypted.toString("base64")}`;
+};
+
+/**
+ * Decrypt content of any version still in the key ring
+ * @throws {Error} If the key version is unknown or authentication fails
+ */
+const decrypt = (encryptedData, conversationId) => {
+  const version = getKeyVersion(encryptedData);
+  let key;
+  if (version === 0) {
+    if (!legacySecret) throw new Error("No legacy secret configured");
+    key = deriveLegacyKey(conversationId);
+  } else {
+    if (!keys.has(version)) throw new Error(`Unknown key version ${version}`);
+    key = deriveKey(version, conversationId);
+  }
+
+  const [ivB64, authTagB64, encryptedB64] = encryptedData
+    .replace(VERSION_PREFIX, "")
+    .split(":");
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(ivB64, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTagB64, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encryptedB64, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
 };
 
 /**
  * Decrypt message content
- * @param {string} encryptedData "iv:authTag:encrypted"
+ * @param {string} encryptedData "v<version>:iv:authTag:encrypted", or legacy "iv:authTag:encrypted"
  * @param {string} conversationId
  * @returns {string|null} plaintext or null if invalid
  */
@@ -47,25 +112,49 @@ const decryptMessage = (encryptedData, conversationId) => {
   if (!encryptedData) return null;
 
   try {
-    const [ivB64, authTagB64, encryptedB64] = encryptedData.split(":");
-    const key = deriveKey(conversationId);
-    const iv = Buffer.from(ivB64, "base64");
-    const authTag = Buffer.from(authTagB64, "base64");
-    const encrypted = Buffer.from(encryptedB64, "base64");
-
-    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
-    decipher.setAuthTag(authTag);
-
-    const decrypted = Buffer.concat([
-      decipher.update(encrypted),
-      decipher.final(),
-    ]);
-
-    return decrypted.toString("utf8");
+    return decrypt(encryptedData, conversationId);
   } catch (error) {
     console.error("Decryption failed:", error.message);
     return "[Decryption failed]";
   }
 };
 
-module.exports = { encryptMessage, decryptMessage };
\ No newline at end of file
+/**
+ * Re-encrypt content with the current key
+ * @param {string} encryptedData
+ * @param {string} conversationId
+ * @returns {string|null} New ciphertext, or null if it already uses the current key
+ * @throws {Error} If the content cannot be decrypted
+ */
+const reencryptMessage = (encryptedData, conversationId) => {
+  if (!encryptedData || getKeyVersion(encryptedData) === currentVersion) {
+    return null;
+  }
+  return encryptMessage(decrypt(encryptedData, conversationId), conversationId);
+};
+
+/**
+ * Keyed hash of a search token (blind index). The key is derived from a
+ * separate secret and the conversationId, so tokens reveal neither the word
+ * nor whether two conversations contain the same word.
+ * @param {string} token - Normalized word
+ * @param {string} conversationId
+ * @returns {string} hex digest
+ */
+const hashSearchToken = (token, conversationId) => {
+  const key = crypto
+    .createHmac("sha256", searchIndexSecret)
+    .update(`search:${conversationId}`)
+    .digest();
+  return crypto.createHmac("sha256", key).update(token).digest("hex");
+};
+
+module.exports = {
+  CURRENT_KEY_VERSION: currentVersion,
+  encryptMessage,
+  decrypt,
+  decryptMessage,
+  reencryptMessage,
+  getKeyVersion,
+  hashSearchToken,
+};
@@ -0,0 +1,59 @@
+const cron = require("node-cron");
+const logger = require("./logger");
+const { dispatchDueMessages } = require("../services/scheduledMessageService");
+const { deleteExpiredMessages } = require("../services/messageService");
+const { runReencryption } = require("../services/reencryptionService");
+
+/**
+ * Background jobs for messages: sends due scheduled messages, deletes
+ * disappearing messages whose timer ran out and re-encrypts stored content
+ * after a key rotation
+ * @param {Object} io - Socket.IO server, used to notify participants
+ * @returns {void}
+ */
+const startMessageJobs = (io) => {
+  // Run every minute
+  cron.schedule(
+    "* * * * *",
+    async () => {
+      try {
+        const sent = await dispatchDueMessages(io);
+        if (sent) logger.info(`Sent ${sent} scheduled messages`);
+      } catch (error) {
+        logger.error("Scheduled message job error", { error: error.message });
+      }
+
+      try {
+        const deleted = await deleteExpiredMessages(io);
+        if (deleted) logger.info(`Deleted ${deleted} expired messages`);
+      } catch (error) {
+        logger.error("Expired message job error", { error: error.message });
+      }
+    },
+    {
+      timezone: "Africa/Cairo",
+    }
+  );
+
+  // Run every 5 minutes; does nothing once everything uses the current key
+  cron.schedule(
+    "*/5 * * * *",
+    async () => {
+      try {
+        const { migrated, failed, complete } = await runReencryption();
+        if (migrated || failed) {
+          logger.info(
+            `Re-encrypted ${migrated} messages (${failed} failed)${complete ? ", migration complete" : ""}`
+          );
+        }
+      } catch (error) {
+        logger.error("Re-encryption job error", { error: error.message });
+      }
+    },
+    {
+      timezone: "Africa/Cairo",
+    }
+  );
+};
+
+module.exports = { startMessageJobs };
@@ -0,0 +1,164 @@
+/**
+ * @file oauthStateStore.js
+ * @description Redis-backed state storage for passport OAuth strategies.
+ * The API has no server-side sessions, so the OAuth 2.0 `state` parameter and
+ * the OAuth 1.0a request token secret are kept in Redis instead. Each flow is
+ * also bound to the browser that started it with a short-lived cookie, which
+ * prevents login CSRF (finishing someone else's flow in the victim's browser).
+ */
+
+const crypto = require("crypto");
+const redis = require("./redis");
+
+const STATE_TTL_SECONDS = 10 * 60;
+const BINDING_COOKIE = "oauth_flow";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax", // Must survive the top-level redirect back from the provider
+  maxAge: STATE_TTL_SECONDS * 1000,
+  path: "/api/auth/oauth",
+};
+
+/**
+ * Binds a flow handle to the current browser
+ * @param {Object} req - Express request object
+ * @param {string} handle - State handle or request token
+ */
+const bindToBrowser = (req, handle) => {
+  req.res.cookie(BINDING_COOKIE, handle, cookieOptions);
+};
+
+/**
+ * Checks that the callback comes from the browser that started the flow
+ * @param {Object} req - Express request object
+ * @param {string} handle - State handle or request token
+ * @returns {boolean}
+ */
+const isBoundToBrowser = (req, handle) => {
+  const bound = req.cookies?.[BINDING_COOKIE];
+  req.res.clearCookie(BINDING_COOKIE, { path: cookieOptions.path });
+  return (
+    typeof bound === "string" &&
+    bound.length === handle.length &&
+    crypto.timingSafeEqual(Buffer.from(bound), Buffer.from(handle))
+  );
+};
+
+class RedisOAuthStateStore {
+  /**
+   * @param {string} provider - Provider name, used to namespace keys
+   */
+  constructor(provider) {
+    this.prefix = `oauth:${provider}`;
+  }
+
+  // ---- OAuth 2.0 state store (passport-oauth2) ----
+
+  /**
+   * Stores the flow state and returns an opaque handle sent as `state`
+   * @param {Object} req
+   * @param {Object} [state] - App data to restore on callback (e.g. linkUserId)
+   * @param {Object} meta
+   * @param {Function} cb - (err, handle)
+   */
+  store(req, state, meta, cb) {
+    const handle = crypto.randomBytes(24).toString("hex");
+    redis
+      .set(`${this.prefix}:state:${handle}`, state || {}, STATE_TTL_SECONDS)
+      .then((stored) => {
+        if (!stored) return cb(new Error("Failed to store OAuth state"));
+        bindToBrowser(req, handle);
+        cb(null, handle);
+      })
+      .catch(cb);
+  }
+
+  /**
+   * Verifies and consumes the `state` returned by the provider
+   * @param {Object} req
+   * @param {string} handle - `state` query parameter
+   * @param {Function} cb - (err, ok, state)
+   */
+  verify(req, handle, cb) {
+    if (!handle || !isBoundToBrowser(req, handle)) {
+      return cb(null, false, { message: "Invalid OAuth state" });
+    }
+
+    const key = `${this.prefix}:state:${handle}`;
+    redis
+      .get(key)
+      .then(async (state) => {
+        if (!state) {
+          return cb(null, false, { message: "Invalid or expired OAuth state" });
+        }
+        await redis.del(key);
+        cb(null, true, state);
+      })
+      .catch(cb);
+  }
+
+  // ---- OAuth 1.0a request token store (passport-oauth1) ----
+
+  /**
+   * Stores a request token secret until the user comes back from the provider
+   * @param {Object} req
+   * @param {string} token - Request token
+   * @param {string} tokenSecret - Request token secret
+   * @param {Object} [state] - App data to restore on callback
+   * @param {Object} meta
+   * @param {Function} cb - (err)
+   */
+  set(req, token, tokenSecret, state, meta, cb) {
+    redis
+      .set(
+        `${this.prefix}:request_token:${token}`,
+        { tokenSecret, state: state || {} },
+        STATE_TTL_SECONDS
+      )
+      .then((stored) => {
+        if (!stored) return cb(new Error("Failed to store OAuth request token"));
+        bindToBrowser(req, token);
+        cb();
+      })
+      .catch(cb);
+  }
+
+  /**
+   * Loads the secret of a request token
+   * @param {Object} req
+   * @param {string} token - `oauth_token` query parameter
+   * @param {Function} cb - (err, tokenSecret, state)
+   */
+  get(req, token, cb) {
+    if (!token || !isBoundToBrowser(req, token)) {
+      return cb(null, null, { message: "Invalid OAuth request token" });
+    }
+
+    redis
+      .get(`${this.prefix}:request_token:${token}`)
+      .then((data) => {
+        if (!data) {
+          return cb(null, null, { message: "Invalid or expired OAuth request token" });
+        }
+        cb(null, data.tokenSecret, data.state);
+      })
+      .catch(cb);
+  }
+
+  /**
+   * Removes a request token once it has been exchanged
+   * @param {Object} req
+   * @param {string} token - Request token
+   * @param {Function} cb - (err)
+   */
+  destroy(req, token, cb) {
+    redis
+      .del(`${this.prefix}:request_token:${token}`)
+      .then(() => cb())
+      .catch(cb);
+  }
+}
+
+module.exports = RedisOAuthStateStore;
@@ -109,6 +109,25 @@ class RedisClient {
     }
   }
 
+  /**
+   * Increment a counter, starting its TTL window on the first increment
+   * @param {string} key
+   * @param {number} [ttl] - Window in seconds, applied when the counter is created
+   * @returns {Promise<number|null>} New value, or null on error
+   */
+  async incr(key, ttl) {
+    try {
+      const value = await this.client.incr(key);
+      if (ttl && value === 1) {
+        await this.client.expire(key, ttl);
+      }
+      return value;
+    } catch (err) {
+      logger.error(`Redis INCR error for key "${key}": ${err.message}`);
+      return null;
+    }
+  }
+
   /**
    * Execute multiple commands as a transaction
    * @param {Array} operations
@@ -1,217 +1,123 @@
 /**
  * @file utils/signalEncryption.js
- * @description Signal‑Protocol E2EE helpers (backend only)
- *              – key generation
- *              – PreKeyBundle retrieval
- *              – SessionRecord storage
- *              – NO plaintext handling
+ * @description Signal protocol helpers for the key directory. Clients run
+ *              the protocol (key generation, sessions, encryption); the
+ *              server only checks and serves public key material, so
+ *              nothing here touches private keys or plaintext.
  */
 
 const {
-  SignalProtocolAddress,
-  SessionBuilder,
-  SessionCipher,
-  PreKeyBundle,
-  keyhelper,
-} = require('@newfadel/libsignal-node');
-const prisma = require('../utils/prisma');
-const crypto = require('crypto');
+  publicKeyLength,
+  signatureLength,
+  maxEnvelopeLength,
+} = require("../config/e2ee");
 
-/* ------------------------------------------------------------------ */
-/* 1. Custom Signal Store backed by Prisma (only public data)         */
-/* ------------------------------------------------------------------ */
-class PrismaSignalStore {
-  constructor(userId) {
-    this.userId = userId;
-  }
-
-  /* ---------- Identity ---------- */
-  async getIdentityKeyPair() {
-    const dev = await prisma.device.findFirst({
-      where: { UserID: this.userId },
-      orderBy: { DeviceID: 'desc' },
-    });
-    if (!dev) throw new Error('Device not found');
-    return {
-      pubKey: Buffer.from(dev.IdentityKey),
-      // private key NEVER stored on server
-    };
-  }
-
-  async getLocalRegistrationId() {
-    const dev = await prisma.device.findFirst({ where: { UserID: this.userId } });
-    return dev.RegistrationId;
-  }
-
-  /* ---------- PreKeys ---------- */
-  async loadPreKey(keyId) {
-    const pk = await prisma.preKey.findFirst({
-      where: { Device: { UserID: this.userId }, KeyId: keyId },
-    });
-    return pk ? Buffer.from(pk.PublicKey) : undefined;
-  }
-
-  async storePreKey(keyId, keyPair) {
-    // not needed – client uploads prekeys
-  }
-
-  async removePreKey(keyId) {
-    await prisma.preKey.updateMany({
-      where: { Device: { UserID: this.userId }, KeyId: keyId },
-      data: { Used: true },
-    });
-  }
+// libsignal prefixes Curve25519 public keys with their type byte
+const DJB_KEY_TYPE = 0x05;
 
-  /* ---------- Signed PreKey ---------- */
-  async loadSignedPreKey(keyId) {
-    const spk = await prisma.signedPreKey.findFirst({
-      where: { Device: { UserID: this.userId } },
-    });
-    return spk && spk.KeyId === keyId
-      ? { pubKey: Buffer.from(spk.PublicKey), signature: Buffer.from(spk.Signature) }
-      : undefined;
-  }
+// CiphertextMessage types of envelopes
+const ENVELOPE_TYPES = {
+  WHISPER: 1,
+  PREKEY: 3,
+};
 
-  async storeSignedPreKey(keyId, keyPair, signature) {
-    // client uploads signed prekey
-  }
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
 
-  /* ---------- Session ---------- */
-  async loadSession(addressStr) {
-    const addr = SignalProtocolAddress.fromString(addressStr);
-    const rec = await prisma.sessionRecord.findFirst({
-      where: {
-        OwnerID: this.userId,
-        RemoteUserID: parseInt(addr.getName()),
-        RemoteDeviceID: addr.getDeviceId(),
-      },
-    });
-    return rec ? Buffer.from(rec.Record) : null;
+const decodeBase64 = (value, label) => {
+  if (typeof value !== "string" || !BASE64.test(value)) {
+    throw new Error(`Invalid ${label}`);
   }
+  return Buffer.from(value, "base64");
+};
 
-  async storeSession(addressStr, recordBuf) {
-    const addr = SignalProtocolAddress.fromString(addressStr);
-    await prisma.sessionRecord.upsert({
-      where: {
-        OwnerID_RemoteUserID_RemoteDeviceID: {
-          OwnerID: this.userId,
-          RemoteUserID: parseInt(addr.getName()),
-          RemoteDeviceID: addr.getDeviceId(),
-        },
-      },
-      update: { Record: recordBuf, UpdatedAt: new Date() },
-      create: {
-        OwnerID: this.userId,
-        RemoteUserID: parseInt(addr.getName()),
-        RemoteDeviceID: addr.getDeviceId(),
-        Record: recordBuf,
-      },
-    });
+/**
+ * Decodes a base64 Curve25519 public key.
+ * @param {string} value
+ * @param {string} label - Used in the error message
+ * @returns {Buffer}
+ * @throws {Error} If the value is not a serialized public key
+ */
+const decodePublicKey = (value, label = "public key") => {
+  const key = decodeBase64(value, label);
+  if (key.length !== publicKeyLength || key[0] !== DJB_KEY_TYPE) {
+    throw new Error(`Invalid ${label}`);
   }
+  return key;
+};
 
-  /* ---------- Identity trust (Safety Numbers) ---------- */
-  async isTrustedIdentity(address, identityKey) {
-    // Implement QR‑code / safety‑number verification in UI
-    return true; // default trust – replace with real logic
+/**
+ * Decodes a base64 signed prekey signature. The signature itself is
+ * verified by the clients that fetch the bundle.
+ * @param {string} value
+ * @returns {Buffer}
+ * @throws {Error} If the value is not a 64 byte signature
+ */
+const decodeSignature = (value) => {
+  const signature = decodeBase64(value, "signature");
+  if (signature.length !== signatureLength) {
+    throw new Error("Invalid signature");
   }
-}
-
-/* ------------------------------------------------------------------ */
-/* 2. Generate keys for a new device (called once per login)          */
-/* ------------------------------------------------------------------ */
-async function generateDeviceKeys(userId) {
-  const identityKeyPair = await keyhelper.generateIdentityKeyPair();
-  const registrationId = keyhelper.generateRegistrationId();
-  const preKeys = await keyhelper.generatePreKeys(0, 100); // 100 one‑time prekeys
-  const signedPreKey = await keyhelper.generateSignedPreKey(identityKeyPair, 1);
-
-  // ----- Store public parts only -----
-  const device = await prisma.device.create({
-    data: {
-      UserID: userId,
-      IdentityKey: identityKeyPair.pubKey,
-      RegistrationId: registrationId,
-    },
-  });
-
-  // Store prekeys
-  const preKeyCreates = preKeys.map((pk) => ({
-    DeviceID: device.DeviceID,
-    KeyId: pk.keyId,
-    PublicKey: pk.keyPair.pubKey,
-  }));
-  await prisma.preKey.createMany({ data: preKeyCreates });
+  return signature;
+};
 
-  // Store signed prekey
-  await prisma.signedPreKey.create({
-    data: {
-      DeviceID: device.DeviceID,
-      KeyId: signedPreKey.keyId,
-      PublicKey: signedPreKey.keyPair.pubKey,
-      Signature: signedPreKey.signature,
-    },
-  });
-
-  return {
-    deviceId: device.DeviceID,
-    identityKey: identityKeyPair.pubKey.toString('base64'),
-    registrationId,
-    preKeys: preKeys.map((p) => ({
-      keyId: p.keyId,
-      publicKey: p.keyPair.pubKey.toString('base64'),
-    })),
-    signedPreKey: {
-      keyId: signedPreKey.keyId,
-      publicKey: signedPreKey.keyPair.pubKey.toString('base64'),
-      signature: signedPreKey.signature.toString('base64'),
-    },
-  };
-}
-
-/* ------------------------------------------------------------------ */
-/* 3. Build PreKeyBundle for a remote user (used by client)           */
-/* ------------------------------------------------------------------ */
-async function getPreKeyBundle(remoteUserId, remoteDeviceId = 1) {
-  const device = await prisma.device.findFirst({
-    where: { UserID: remoteUserId, DeviceID: remoteDeviceId },
-    include: {
-      SignedPreKey: true,
-      PreKeys: { where: { Used: false }, take: 1 }, // pick first unused
-    },
-  });
-
-  if (!device) throw new Error('Remote device not found');
+/**
+ * Registration IDs are 14-bit values chosen by the client.
+ * @param {*} id
+ * @returns {boolean}
+ */
+const isValidRegistrationId = (id) =>
+  Number.isInteger(id) && id >= 1 && id <= 16380;
 
-  const preKey = device.PreKeys[0];
-  if (!preKey) throw new Error('No available prekey');
+/**
+ * Prekey and signed prekey IDs are 24-bit values.
+ * @param {*} id
+ * @returns {boolean}
+ */
+const isValidKeyId = (id) => Number.isInteger(id) && id >= 0 && id <= 0xffffff;
 
-  return PreKeyBundle.create(
-    device.RegistrationId,
-    remoteDeviceId,
-    preKey.KeyId,
-    preKey.PublicKey,
-    device.SignedPreKey.KeyId,
-    device.SignedPreKey.PublicKey,
-    device.SignedPreKey.Signature,
-    Buffer.from(device.IdentityKey)
-  );
-}
+/**
+ * Checks one envelope of an encrypted message.
+ * @param {Object} envelope - { deviceId, type, body }
+ * @returns {boolean}
+ */
+const isValidEnvelope = (envelope) =>
+  Number.isInteger(envelope?.deviceId) &&
+  Object.values(ENVELOPE_TYPES).includes(envelope.type) &&
+  typeof envelope.body === "string" &&
+  envelope.body.length <= maxEnvelopeLength &&
+  BASE64.test(envelope.body);
 
-/* ------------------------------------------------------------------ */
-/* 4. Helper to get a SessionCipher (only for server‑side tests)      */
-/* ------------------------------------------------------------------ */
-async function getCipher(userId, remoteAddressStr) {
-  const store = new PrismaSignalStore(userId);
-  const address = SignalProtocolAddress.fromString(remoteAddressStr);
-  return new SessionCipher(store, address);
-}
+/**
+ * Formats the prekey bundle of a device, base64 encoded, in the fields
+ * libsignal's SessionBuilder.processPreKey expects.
+ * @param {number} userId - Owner, the "name" of the Signal address
+ * @param {Object} device - Device with SignedPreKey
+ * @param {Object|null} preKey - Claimed one-time prekey; bundles without one are still valid
+ * @returns {Object}
+ */
+const formatPreKeyBundle = (userId, device, preKey) => ({
+  address: { name: String(userId), deviceId: device.DeviceID },
+  registrationId: device.RegistrationId,
+  identityKey: Buffer.from(device.IdentityKey).toString("base64"),
+  signedPreKey: {
+    keyId: device.SignedPreKey.KeyId,
+    publicKey: Buffer.from(device.SignedPreKey.PublicKey).toString("base64"),
+    signature: Buffer.from(device.SignedPreKey.Signature).toString("base64"),
+  },
+  preKey: preKey
+    ? {
+        keyId: preKey.KeyId,
+        publicKey: Buffer.from(preKey.PublicKey).toString("base64"),
+      }
+    : null,
+});
 
-/* ------------------------------------------------------------------ */
-/* 5. Export                                                             */
-/* ------------------------------------------------------------------ */
 module.exports = {
-  generateDeviceKeys,
-  getPreKeyBundle,
-  PrismaSignalStore,
-  getCipher,
-};
\ No newline at end of file
+  ENVELOPE_TYPES,
+  decodePublicKey,
+  decodeSignature,
+  isValidRegistrationId,
+  isValidKeyId,
+  isValidEnvelope,
+  formatPreKeyBundle,
+};
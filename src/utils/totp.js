@@ -0,0 +1,153 @@
+/**
+ * @file totp.js
+ * @description Time-based one-time passwords (RFC 6238) compatible with
+ * authenticator apps (Google Authenticator, Authy, 1Password, ...)
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding optional)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Current time step
+ * @param {number} [timestamp=Date.now()]
+ * @returns {number}
+ */
+const currentStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code valid right now
+ * @param {string} secret - Base32 secret
+ * @returns {string}
+ */
+const generateToken = (secret) => hotp(secret, currentStep());
+
+/**
+ * Verify a code, tolerating clock drift of `window` steps either side
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {number} [window=1]
+ * @returns {number|null} Matching time step, or null if invalid
+ */
+const verifyToken = (secret, token, window = 1) => {
+  if (typeof token !== "string" || !/^\d{6}$/.test(token)) return null;
+
+  const step = currentStep();
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = hotp(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown under the issuer in the app
+ * @param {string} issuer - Service name
+ * @returns {string}
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateToken,
+  verifyToken,
+  buildOtpauthUri,
+};
@@ -0,0 +1,23 @@
+const { body, param } = require("express-validator");
+const { ROLES } = require("../config/permissions");
+
+/**
+ * Validation rules for assigning a role
+ * Ensures the role exists and the optional reason is reasonable
+ */
+const assignRoleValidationRules = [
+  param("userId").isInt({ min: 1 }).withMessage("Invalid user ID"),
+  body("role")
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage("Reason must be between 5 and 500 characters"),
+];
+
+module.exports = {
+  assignRoleValidationRules,
+};
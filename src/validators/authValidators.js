@@ -1,10 +1,30 @@
-const { body } = require("express-validator");
+const { body, param } = require("express-validator");
+const { SCOPE_NAMES } = require("../config/scopes");
 const {
   validateUsername,
   validateEmail,
   validatePassword,
 } = require("../utils/validators");
 
+/**
+ * Ensures the user is at least 13 years old
+ * @param {string} value - Date of birth
+ * @returns {boolean}
+ */
+const validateMinimumAge = (value) => {
+  const dob = new Date(value);
+  const today = new Date();
+  const minAgeDate = new Date(
+    today.getFullYear() - 13,
+    today.getMonth(),
+    today.getDate()
+  );
+  if (dob > minAgeDate) {
+    throw new Error("You must be at least 13 years old to register");
+  }
+  return true;
+};
+
 /**
  * Validation rules for user sign-up
  * Ensures all required fields meet specific criteria
@@ -49,19 +69,7 @@ const signupValidationRules = [
     .withMessage(
       "Date of birth must be a valid ISO 8601 date (e.g., YYYY-MM-DD)"
     )
-    .custom((value) => {
-      const dob = new Date(value);
-      const today = new Date();
-      const minAgeDate = new Date(
-        today.getFullYear() - 13,
-        today.getMonth(),
-        today.getDate()
-      );
-      if (dob > minAgeDate) {
-        throw new Error("You must be at least 13 years old to register");
-      }
-      return true;
-    }),
+    .custom(validateMinimumAge),
 ];
 
 /**
@@ -104,7 +112,7 @@ const forgotPasswordValidationRules = [
 ];
 
 /**
- * Validation rules for verifying the 4-digit code
+ * Validation rules for verifying the 6-digit code
  * Ensures email and code are provided and valid
  */
 const verifyCodeValidationRules = [
@@ -115,8 +123,8 @@ const verifyCodeValidationRules = [
     .withMessage("Please provide a valid email address"),
   body("code")
     .isString()
-    .matches(/^[0-9]{4}$/)
-    .withMessage("Verification code must be a 4-digit number"),
+    .matches(/^[0-9]{6}$/)
+    .withMessage("Verification code must be a 6-digit number"),
 ];
 
 /**
@@ -134,10 +142,172 @@ const resetPasswordValidationRules = [
     ),
 ];
 
+/**
+ * Validation rules for revoking a session
+ * Ensures the session ID is a valid UUID
+ */
+const revokeSessionValidationRules = [
+  param("sessionId").isUUID().withMessage("Invalid session ID"),
+];
+
+/**
+ * Validation rules for verifying an email address
+ * Ensures the token from the verification link is provided
+ */
+const verifyEmailValidationRules = [
+  body("token")
+    .isString()
+    .notEmpty()
+    .withMessage("Verification token is required"),
+];
+
+/**
+ * Validation rules for unlocking an account
+ * Ensures the token from the unlock link is provided
+ */
+const unlockAccountValidationRules = [
+  body("token").isString().notEmpty().withMessage("Unlock token is required"),
+];
+
+/**
+ * Validation rules for creating a personal access token
+ * Requires a name and at least one known scope; expiry is optional
+ */
+const createAccessTokenValidationRules = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Token name must be between 1 and 100 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(SCOPE_NAMES)
+    .withMessage(`Scopes must be among: ${SCOPE_NAMES.join(", ")}`),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Expiry must be between 1 and 365 days")
+    .toInt(),
+];
+
+/**
+ * Validation rules for revoking a personal access token
+ * Ensures the token ID is a valid UUID
+ */
+const revokeAccessTokenValidationRules = [
+  param("tokenId").isUUID().withMessage("Invalid token ID"),
+];
+
+/**
+ * Validation rule for a second-factor code
+ * Accepts a 6-digit TOTP code or a recovery code (xxxxx-xxxxx)
+ */
+const twoFactorCodeRule = body("code")
+  .isString()
+  .trim()
+  .matches(/^(\d{6}|[0-9a-fA-F]{5}-?[0-9a-fA-F]{5})$/)
+  .withMessage("Code must be a 6-digit code or a recovery code");
+
+/**
+ * Validation rules for confirming 2FA setup
+ * Only codes from the authenticator app are accepted
+ */
+const twoFactorConfirmValidationRules = [
+  body("code")
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be a 6-digit code"),
+];
+
+/**
+ * Validation rules for actions that require a current second-factor code
+ */
+const twoFactorCodeValidationRules = [twoFactorCodeRule];
+
+/**
+ * Validation rules for the second login step
+ */
+const twoFactorLoginValidationRules = [
+  body("challengeToken")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Challenge token must be a non-empty string"),
+  twoFactorCodeRule,
+];
+
+/**
+ * Validation rules for disabling 2FA
+ */
+const twoFactorDisableValidationRules = [
+  body("password").isString().notEmpty().withMessage("Password is required"),
+  twoFactorCodeRule,
+];
+
+/**
+ * Validation rules for completing a signup started with an OAuth provider
+ * Asks for the fields providers do not supply; email and profile name are
+ * only needed when the provider did not return them
+ */
+const oauthCompleteValidationRules = [
+  body("username")
+    .notEmpty()
+    .withMessage("Username is required")
+    .custom(validateUsername)
+    .withMessage(
+      "Username must be 3-20 characters long and can only contain letters, numbers, and underscores."
+    ),
+  body("gender")
+    .notEmpty()
+    .withMessage("Gender is required")
+    .isIn(["MALE", "FEMALE", "OTHER"])
+    .withMessage("Gender must be MALE, FEMALE, or OTHER"),
+  body("dateOfBirth")
+    .notEmpty()
+    .withMessage("Date of birth is required")
+    .isISO8601()
+    .withMessage(
+      "Date of birth must be a valid ISO 8601 date (e.g., YYYY-MM-DD)"
+    )
+    .custom(validateMinimumAge),
+  body("email")
+    .optional()
+    .custom(validateEmail)
+    .withMessage("Please provide a valid email address"),
+  body("profileName")
+    .optional()
+    .isString()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Profile name must be between 2 and 50 characters"),
+];
+
+/**
+ * Validation rules for routes taking an OAuth provider name
+ */
+const oauthProviderValidationRules = [
+  param("provider")
+    .isIn(["google", "facebook", "twitter"])
+    .withMessage("Provider must be google, facebook, or twitter"),
+];
+
 module.exports = {
   signupValidationRules,
   loginValidationRules,
   forgotPasswordValidationRules,
   verifyCodeValidationRules,
   resetPasswordValidationRules,
+  revokeSessionValidationRules,
+  verifyEmailValidationRules,
+  twoFactorConfirmValidationRules,
+  twoFactorCodeValidationRules,
+  twoFactorLoginValidationRules,
+  twoFactorDisableValidationRules,
+  oauthCompleteValidationRules,
+  oauthProviderValidationRules,
+  unlockAccountValidationRules,
+  createAccessTokenValidationRules,
+  revokeAccessTokenValidationRules,
 };
@@ -0,0 +1,74 @@
+const { body, param, query } = require("express-validator");
+const { maxPreKeysPerUpload } = require("../config/e2ee");
+
+const deviceIdRule = param("deviceId")
+  .isInt({ min: 1 })
+  .withMessage("Invalid device ID")
+  .toInt();
+
+const signedPreKeyRules = (field) => [
+  body(`${field}.keyId`)
+    .isInt({ min: 0, max: 0xffffff })
+    .withMessage("Signed prekey ID must be a 24-bit integer")
+    .toInt(),
+  body(`${field}.publicKey`).isBase64().withMessage("Signed prekey must be base64"),
+  body(`${field}.signature`).isBase64().withMessage("Signature must be base64"),
+];
+
+const preKeyRules = (optional) => [
+  (optional ? body("preKeys").optional() : body("preKeys"))
+    .isArray({ min: optional ? 0 : 1, max: maxPreKeysPerUpload })
+    .withMessage(`preKeys must contain up to ${maxPreKeysPerUpload} keys`),
+  body("preKeys.*.keyId")
+    .isInt({ min: 0, max: 0xffffff })
+    .withMessage("Prekey IDs must be 24-bit integers")
+    .toInt(),
+  body("preKeys.*.publicKey").isBase64().withMessage("Prekeys must be base64"),
+];
+
+/**
+ * Validation rules for publishing the keys of a device
+ * Key material is checked further by deviceKeyService
+ */
+const registerDeviceRules = [
+  body("name")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 64 })
+    .withMessage("Name must be at most 64 characters"),
+  body("registrationId")
+    .isInt({ min: 1, max: 16380 })
+    .withMessage("Registration ID must be between 1 and 16380")
+    .toInt(),
+  body("identityKey").isBase64().withMessage("Identity key must be base64"),
+  ...signedPreKeyRules("signedPreKey"),
+  ...preKeyRules(true),
+];
+
+const deviceRules = [deviceIdRule];
+
+const uploadPreKeysRules = [deviceIdRule, ...preKeyRules(false)];
+
+const signedPreKeyUpdateRules = [
+  deviceIdRule,
+  body("keyId")
+    .isInt({ min: 0, max: 0xffffff })
+    .withMessage("Signed prekey ID must be a 24-bit integer")
+    .toInt(),
+  body("publicKey").isBase64().withMessage("Signed prekey must be base64"),
+  body("signature").isBase64().withMessage("Signature must be base64"),
+];
+
+const preKeyBundleRules = [
+  param("userId").isInt({ min: 1 }).withMessage("Invalid user ID").toInt(),
+  query("deviceId").optional().isInt({ min: 1 }).withMessage("Invalid device ID"),
+];
+
+module.exports = {
+  registerDeviceRules,
+  deviceRules,
+  uploadPreKeysRules,
+  signedPreKeyUpdateRules,
+  preKeyBundleRules,
+};
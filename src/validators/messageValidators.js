@@ -1,5 +1,15 @@
 const { body, param, query } = require("express-validator");
 const prisma = require("../utils/prisma");
+const { MAX_FORWARD_TARGETS } = require("../services/messageShareService");
+const { MAX_SCHEDULE_DAYS } = require("../services/scheduledMessageService");
+const {
+  DISAPPEARING_TIMERS,
+  MAX_GROUP_MEMBERS,
+} = require("../services/conversationService");
+const { maxDevicesPerUser } = require("../config/e2ee");
+const { isValidEnvelope } = require("../utils/signalEncryption");
+const { ATTACHMENT_TYPES } = require("../config/attachments");
+const { normalizeEmoji } = require("../services/reactionService");
 
 /**
  * Validation rules for getting conversations
@@ -14,6 +24,38 @@ const getConversationsRules = [
     .optional()
     .isInt({ min: 1 })
     .withMessage("Page must be positive integer"),
+  query("archived")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Archived must be true or false"),
+];
+
+/**
+ * Validation rules for muting, pinning or archiving a conversation
+ * At least one change is required; mutedUntil must be in the future
+ */
+const updateConversationStateRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  body("muted").optional().isBoolean({ strict: true }).withMessage("Muted must be boolean"),
+  body("mutedUntil")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Invalid mutedUntil date")
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error("mutedUntil must be in the future");
+      }
+      return true;
+    }),
+  body("pinned").optional().isBoolean({ strict: true }).withMessage("Pinned must be boolean"),
+  body("archived").optional().isBoolean({ strict: true }).withMessage("Archived must be boolean"),
+  body().custom((value) => {
+    const fields = ["muted", "mutedUntil", "pinned", "archived"];
+    if (!fields.some((field) => value?.[field] !== undefined)) {
+      throw new Error(`Provide at least one of: ${fields.join(", ")}`);
+    }
+    return true;
+  }),
 ];
 
 /**
@@ -40,6 +82,90 @@ const getMessagesRules = [
   query("before").optional().isISO8601().withMessage("Invalid timestamp"),
 ];
 
+/**
+ * Validation rules for the attachment type chosen by the client
+ * Audio is sent as a voice note unless attachmentType is AUDIO
+ */
+const attachmentRules = [
+  body("attachmentType")
+    .optional()
+    .isIn(ATTACHMENT_TYPES)
+    .withMessage(`Attachment type must be one of: ${ATTACHMENT_TYPES.join(", ")}`),
+];
+
+/**
+ * Validation rules for scheduling a message with sendAt
+ * sendAt must be in the future and within MAX_SCHEDULE_DAYS
+ */
+const scheduleMessageRules = [
+  body("sendAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid sendAt date")
+    .custom((value) => {
+      const sendAt = new Date(value);
+      if (sendAt <= new Date()) {
+        throw new Error("sendAt must be in the future");
+      }
+      if (sendAt - Date.now() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`sendAt must be within ${MAX_SCHEDULE_DAYS} days`);
+      }
+      return true;
+    }),
+];
+
+/**
+ * Validation rules for end-to-end encrypted messages
+ * envelopes replaces content: one { deviceId, type, body } per recipient device
+ */
+const encryptedMessageRules = [
+  body("envelopes")
+    .optional()
+    .isArray({ min: 1, max: MAX_GROUP_MEMBERS * maxDevicesPerUser })
+    .withMessage("envelopes must be a non-empty array")
+    .bail()
+    .custom((envelopes) => envelopes.every(isValidEnvelope))
+    .withMessage("Each envelope needs a deviceId, a type (1 or 3) and a base64 body"),
+  body("content")
+    .if(body("envelopes").exists())
+    .isEmpty()
+    .withMessage("Encrypted messages carry their content in envelopes"),
+];
+
+/**
+ * Validation rules for listing scheduled messages
+ */
+const getScheduledMessagesRules = [
+  query("conversationId").optional().isUUID().withMessage("Invalid conversation ID"),
+];
+
+/**
+ * Validation rules for canceling a scheduled message
+ */
+const cancelScheduledMessageRules = [
+  param("scheduledId").isUUID().withMessage("Invalid scheduled message ID"),
+];
+
+/**
+ * Validation rules for the disappearing message timer
+ * timer is one of DISAPPEARING_TIMERS (seconds) or null to turn it off
+ */
+const setDisappearingTimerRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  body("timer")
+    .exists()
+    .withMessage("Timer is required")
+    .bail()
+    .custom((value) => {
+      if (value !== null && !(String(value) in DISAPPEARING_TIMERS)) {
+        throw new Error(
+          `Timer must be null or one of: ${Object.keys(DISAPPEARING_TIMERS).join(", ")}`
+        );
+      }
+      return true;
+    }),
+];
+
 /**
  * Validation rules for sending a message
  * Validates content, attachments, and reply
@@ -91,6 +217,8 @@ const sendMessageRules = [
     }
     return true;
   }),
+  ...attachmentRules,
+  ...scheduleMessageRules,
 ];
 
 const replyStoryRules = [
@@ -126,23 +254,63 @@ const replyStoryRules = [
     .trim(),
 ];
 
+/**
+ * Validation rules for editing a message
+ */
+const editMessageRules = [
+  param("messageId").isUUID().withMessage("Invalid message ID"),
+  body("content")
+    .isString()
+    .withMessage("Content must be a string")
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Content must be between 1 and 2000 characters"),
+];
+
+/**
+ * Validation rules for deleting a message
+ * scope "everyone" (sender only, default) or "me"
+ */
+const deleteMessageRules = [
+  param("messageId").isUUID().withMessage("Invalid message ID"),
+  query("scope")
+    .optional()
+    .isIn(["everyone", "me"])
+    .withMessage("Scope must be everyone or me"),
+];
+
+const messageEditsRules = [
+  param("messageId").isUUID().withMessage("Invalid message ID"),
+];
+
 /**
  * Validation rules for adding reactions
- * Validates message ID and emoji format
+ * Validates message ID and that the emoji is on the reaction allowlist
  */
+const isAllowedReaction = (emoji) => normalizeEmoji(emoji) !== null;
+
 const addReactionRules = [
   param("messageId").isUUID().withMessage("Invalid message ID"),
   body("emoji")
     .notEmpty()
     .withMessage("Emoji required")
-    .isLength({ max: 10 })
+    .isLength({ max: 16 })
     .withMessage("Emoji too long")
-    .custom((emoji) => {
-      const emojiRegex =
-        /^(\p{Emoji}|\p{Emoji_Modifier}|\p{Emoji_Component}|[\u2000-\u3300]|\uD83C[\uDF00-\uDFFF]|\uD83D[\uDC00-\uDDFF])+$/u;
-      return emojiRegex.test(emoji);
-    })
-    .withMessage("Invalid emoji format"),
+    .custom(isAllowedReaction)
+    .withMessage("Reaction emoji is not allowed"),
+];
+
+const removeReactionRules = [
+  param("messageId").isUUID().withMessage("Invalid message ID"),
+  param("emoji").custom(isAllowedReaction).withMessage("Reaction emoji is not allowed"),
+];
+
+const messageReactionsRules = [
+  param("messageId").isUUID().withMessage("Invalid message ID"),
+  query("emoji")
+    .optional()
+    .custom(isAllowedReaction)
+    .withMessage("Reaction emoji is not allowed"),
 ];
 
 /**
@@ -154,6 +322,196 @@ const handleTypingRules = [
   body("isTyping").isBoolean().withMessage("Must be boolean"),
 ];
 
+/**
+ * Accepts user ID lists as JSON arrays, or as a JSON/comma-separated
+ * string when sent as multipart form data
+ */
+const toIdList = (value) => {
+  if (Array.isArray(value) || typeof value !== "string") return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    return value.split(",").map((id) => id.trim());
+  }
+};
+
+/**
+ * Validation rules for creating a group conversation
+ * Validates title and member list (the avatar is an optional image upload)
+ */
+const createGroupRules = [
+  body("title")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Title must be between 1 and 100 characters"),
+  body("participantIds")
+    .customSanitizer(toIdList)
+    .isArray({ min: 1, max: 255 })
+    .withMessage("participantIds must contain 1-255 user IDs"),
+  body("participantIds.*")
+    .isInt({ min: 1 })
+    .withMessage("Participant IDs must be integers")
+    .toInt(),
+];
+
+/**
+ * Validation rules for updating a group conversation
+ */
+const updateGroupRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  body("title")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Title must be between 1 and 100 characters"),
+];
+
+/**
+ * Validation rules for group member endpoints
+ */
+const conversationMembersRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+];
+
+const conversationInfoRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+const pinMessageRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  body("messageId").isUUID().withMessage("Invalid message ID"),
+];
+
+const unpinMessageRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  param("messageId").isUUID().withMessage("Invalid message ID"),
+];
+
+const addMembersRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  body("userIds")
+    .customSanitizer(toIdList)
+    .isArray({ min: 1, max: 255 })
+    .withMessage("userIds must contain 1-255 user IDs"),
+  body("userIds.*")
+    .isInt({ min: 1 })
+    .withMessage("User IDs must be integers")
+    .toInt(),
+];
+
+const memberRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  param("userId").isInt({ min: 1 }).withMessage("Invalid user ID"),
+];
+
+const updateMemberRoleRules = [
+  ...memberRules,
+  body("role")
+    .isIn(["OWNER", "ADMIN", "MEMBER"])
+    .withMessage("Role must be one of OWNER, ADMIN, MEMBER"),
+];
+
+/**
+ * Validation rules for forwarding a message
+ * Up to MAX_FORWARD_TARGETS conversations at once
+ */
+const forwardMessageRules = [
+  param("messageId").isUUID().withMessage("Invalid message ID"),
+  body("conversationIds")
+    .isArray({ min: 1, max: MAX_FORWARD_TARGETS })
+    .withMessage(
+      `conversationIds must contain 1 to ${MAX_FORWARD_TARGETS} conversations`
+    ),
+  body("conversationIds.*").isUUID().withMessage("Invalid conversation ID"),
+];
+
+/**
+ * Validation rules for sharing a post or a story into a conversation
+ * Exactly one of postId and storyId, with an optional caption
+ */
+const shareToConversationRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  body("postId").optional().isInt({ min: 1 }).withMessage("Invalid post ID"),
+  body("storyId").optional().isInt({ min: 1 }).withMessage("Invalid story ID"),
+  body().custom((value) => {
+    if (Boolean(value?.postId) === Boolean(value?.storyId)) {
+      throw new Error("Provide either postId or storyId");
+    }
+    return true;
+  }),
+  body("content")
+    .optional()
+    .isString()
+    .withMessage("Content must be a string")
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Message too long"),
+];
+
+/**
+ * Validation rules for batch receipts
+ * Accepts up to 100 message IDs marked as delivered or read
+ */
+const updateReceiptsRules = [
+  body("messageIds")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("messageIds must contain 1 to 100 IDs"),
+  body("messageIds.*").isUUID().withMessage("Invalid message ID"),
+  body("status")
+    .isIn(["DELIVERED", "READ"])
+    .withMessage("Status must be DELIVERED or READ"),
+];
+
+/**
+ * Validation rules for moving the read cursor of a conversation
+ */
+const markConversationReadRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  body("messageId").optional().isUUID().withMessage("Invalid message ID"),
+];
+
+/**
+ * Validation rules for reading the receipts of a message
+ */
+const messageReceiptsRules = [
+  param("messageId").isUUID().withMessage("Invalid message ID"),
+];
+
+/**
+ * Validation rules for message search
+ * Validates the query, filters and cursor pagination
+ */
+const searchMessagesRules = [
+  query("q")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Query must be 1-200 characters"),
+  query("senderId").optional().isInt({ min: 1 }).withMessage("Invalid user ID"),
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+  query("cursor").optional().isUUID().withMessage("Invalid cursor"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1-50"),
+];
+
+/**
+ * Validation rules for searching inside one conversation
+ */
+const searchConversationMessagesRules = [
+  param("conversationId").isUUID().withMessage("Invalid conversation ID"),
+  ...searchMessagesRules,
+];
+
 // validators/messageValidators.js
 
 const searchConversationsRules = [
@@ -174,11 +532,39 @@ const searchConversationsRules = [
 
 module.exports = {
   getConversationsRules,
+  updateConversationStateRules,
   startConversationRules,
   getMessagesRules,
   sendMessageRules,
+  attachmentRules,
+  scheduleMessageRules,
+  encryptedMessageRules,
+  getScheduledMessagesRules,
+  cancelScheduledMessageRules,
+  setDisappearingTimerRules,
   replyStoryRules,
+  editMessageRules,
+  deleteMessageRules,
+  messageEditsRules,
   addReactionRules,
+  removeReactionRules,
+  messageReactionsRules,
   handleTypingRules,
   searchConversationsRules,
+  createGroupRules,
+  updateGroupRules,
+  conversationMembersRules,
+  conversationInfoRules,
+  pinMessageRules,
+  unpinMessageRules,
+  addMembersRules,
+  memberRules,
+  updateMemberRoleRules,
+  forwardMessageRules,
+  shareToConversationRules,
+  updateReceiptsRules,
+  markConversationReadRules,
+  messageReceiptsRules,
+  searchMessagesRules,
+  searchConversationMessagesRules,
 };
@@ -1,5 +1,6 @@
 const { body, param, query } = require("express-validator");
 const { isValidUserId } = require("../utils/validators");
+const { maxBatchSize } = require("../config/presence");
 
 /**
  * Validation rules for updating user profile
@@ -71,6 +72,19 @@ const updatePrivacySettingsValidationRules = [
     .withMessage("Privacy setting must be a boolean value"),
 ];
 
+/**
+ * Validation rules for the last seen privacy setting
+ * @returns {Array} Express-validator middleware array
+ */
+const lastSeenPrivacyValidationRules = [
+  body("hideLastSeen")
+    .notEmpty()
+    .withMessage("Last seen setting is required")
+    .isBoolean()
+    .withMessage("Last seen setting must be a boolean value")
+    .toBoolean(),
+];
+
 /**
  * Validation rules for user ID parameter
  * Ensures user ID is valid and exists
@@ -122,6 +136,27 @@ const usernameParamValidator = [
     .withMessage("Username can only contain letters, numbers, and underscores"),
 ];
 
+/**
+ * Validation rules for batch presence queries
+ * Ensures ids is a comma-separated list of user IDs
+ * @returns {Array} Express-validator middleware array
+ */
+const presenceQueryValidator = [
+  query("ids")
+    .notEmpty()
+    .withMessage("ids is required")
+    .custom((value) => {
+      const ids = String(value).split(",").map((id) => id.trim());
+      if (ids.length > maxBatchSize) {
+        throw new Error(`At most ${maxBatchSize} user IDs per request`);
+      }
+      if (!ids.every((id) => /^[1-9]\d*$/.test(id))) {
+        throw new Error("Invalid user ID");
+      }
+      return true;
+    }),
+];
+
 module.exports = {
   updateProfileValidationRules,
   changePasswordValidationRules,
@@ -130,4 +165,6 @@ module.exports = {
   followActionValidator,
   suggestionsQueryValidator,
   usernameParamValidator,
+  lastSeenPrivacyValidationRules,
+  presenceQueryValidator,
 };
@@ -0,0 +1,25 @@
+const path = require("path");
+
+const SRC = path.join(__dirname, "..", "..", "src");
+
+/**
+ * Replaces a module of src/ in the require cache, so that code loaded
+ * afterwards gets the stub instead of the real module (database, Redis...).
+ * @param {string} modulePath - Path relative to src/ (e.g. "utils/prisma")
+ * @param {Object} exports - Stub exports
+ */
+const stubModule = (modulePath, exports) => {
+  const filename = require.resolve(path.join(SRC, modulePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+/**
+ * Requires a module of src/.
+ * @param {string} modulePath - Path relative to src/
+ */
+const requireSrc = (modulePath) => require(path.join(SRC, modulePath));
+
+// Logger that keeps test output clean
+const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
+
+module.exports = { stubModule, requireSrc, silentLogger };
@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const jwt = require("jsonwebtoken");
+const { stubModule, requireSrc, silentLogger } = require("./helpers/stubModules");
+
+process.env.JWT_SECRET = "test-access-secret-of-at-least-32-chars";
+
+const user = {
+  UserID: 1,
+  Username: "alice",
+  Role: "USER",
+  IsBanned: false,
+  EmailVerified: true,
+  TwoFactorEnabled: false,
+};
+
+// Personal access tokens by hash, as returned by prisma
+const tokens = new Map();
+
+const prisma = {
+  personalAccessToken: {
+    create: async ({ data }) => {
+      const record = {
+        TokenID: `t${tokens.size + 1}`,
+        RevokedAt: null,
+        LastUsedAt: null,
+        ...data,
+        User: user,
+      };
+      tokens.set(data.TokenHash, record);
+      return record;
+    },
+    count: async () => tokens.size,
+    findUnique: async ({ where }) => tokens.get(where.TokenHash) || null,
+    update: async () => {},
+  },
+  user: { findUnique: async () => user },
+};
+
+stubModule("utils/prisma", prisma);
+stubModule("utils/redis", {
+  get: async () => null,
+  client: { exists: async () => 0 },
+});
+stubModule("utils/logger", silentLogger);
+
+const {
+  authMiddleware,
+  scopeFor,
+  requireScope,
+  requireSession,
+} = requireSrc("middleware/authMiddleware");
+const accessTokenService = requireSrc("services/accessTokenService");
+
+// Mirrors how routes/index.js mounts areas and how routers guard routes
+const ok = (req, res) => res.json({ ok: true });
+const app = express();
+app.use(cookieParser());
+
+const posts = express.Router();
+posts.get("/", authMiddleware, ok);
+posts.post("/", authMiddleware, ok);
+app.use("/posts", scopeFor("posts"), posts);
+
+const profile = express.Router();
+profile.get("/saved-posts", authMiddleware, requireScope("posts:read"), ok);
+profile.put("/edit", authMiddleware, requireSession, ok);
+profile.delete("/", authMiddleware, requireSession, ok);
+app.use("/profile", scopeFor("profile"), profile);
+
+const admin = express.Router();
+admin.get("/users", authMiddleware, ok);
+app.use("/admin", admin);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => tokens.clear());
+
+const createToken = async (scopes, extra = {}) => {
+  const { rawToken, record } = await accessTokenService.createToken(1, {
+    name: "bot",
+    scopes,
+  });
+  Object.assign(record, extra);
+  return rawToken;
+};
+
+const call = (method, path, headers = {}) =>
+  fetch(`${baseUrl}${path}`, { method, headers });
+
+const withToken = (method, path, rawToken) =>
+  call(method, path, { Authorization: `Bearer ${rawToken}` });
+
+const withSession = (method, path) =>
+  call(method, path, {
+    Cookie: `accessToken=${jwt.sign(
+      { userId: 1, sid: "s1" },
+      process.env.JWT_SECRET
+    )}`,
+  });
+
+describe("area scopes", () => {
+  it("needs the :read scope for GET and the :write scope otherwise", async () => {
+    const rawToken = await createToken(["posts:read"]);
+
+    assert.equal((await withToken("GET", "/posts", rawToken)).status, 200);
+    const write = await withToken("POST", "/posts", rawToken);
+    assert.equal(write.status, 403);
+    assert.match((await write.json()).error, /posts:write/);
+  });
+
+  it("does not let a scope of one area into another", async () => {
+    const rawToken = await createToken(["posts:read", "posts:write"]);
+
+    assert.equal((await withToken("GET", "/profile/saved-posts", rawToken)).status, 403);
+  });
+
+  it("refuses tokens on areas without a scope", async () => {
+    const rawToken = await createToken(["posts:read", "profile:read"]);
+
+    assert.equal((await withToken("GET", "/admin/users", rawToken)).status, 403);
+  });
+
+  it("refuses unknown, revoked and expired tokens", async () => {
+    const revoked = await createToken(["posts:read"], { RevokedAt: new Date() });
+    const expired = await createToken(["posts:read"], {
+      ExpiresAt: new Date(Date.now() - 1000),
+    });
+
+    assert.equal((await withToken("GET", "/posts", "lup_unknown")).status, 401);
+    assert.equal((await withToken("GET", "/posts", revoked)).status, 401);
+    assert.equal((await withToken("GET", "/posts", expired)).status, 401);
+  });
+});
+
+describe("requireScope", () => {
+  it("needs the route scope on top of the area scope", async () => {
+    const areaOnly = await createToken(["profile:read"]);
+    const both = await createToken(["profile:read", "posts:read"]);
+
+    const refused = await withToken("GET", "/profile/saved-posts", areaOnly);
+    assert.equal(refused.status, 403);
+    assert.match((await refused.json()).error, /posts:read/);
+    assert.equal((await withToken("GET", "/profile/saved-posts", both)).status, 200);
+  });
+
+  it("lets cookie sessions through", async () => {
+    assert.equal((await withSession("GET", "/profile/saved-posts")).status, 200);
+  });
+});
+
+describe("requireSession", () => {
+  it("refuses tokens whatever their scopes", async () => {
+    const rawToken = await createToken(["profile:read", "profile:write"]);
+
+    assert.equal((await withToken("PUT", "/profile/edit", rawToken)).status, 403);
+    assert.equal((await withToken("DELETE", "/profile", rawToken)).status, 403);
+  });
+
+  it("lets cookie sessions through", async () => {
+    assert.equal((await withSession("PUT", "/profile/edit")).status, 200);
+    assert.equal((await withSession("DELETE", "/profile")).status, 200);
+  });
+});
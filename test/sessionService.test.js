@@ -0,0 +1,264 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { stubModule, requireSrc, silentLogger } = require("./helpers/stubModules");
+
+process.env.JWT_SECRET = "test-access-secret-of-at-least-32-chars";
+
+// In-memory stand-ins for the Session, RefreshToken and AuditLog tables
+const db = { sessions: new Map(), refreshTokens: [], auditLogs: [] };
+let nextTokenId = 1;
+
+const prisma = {
+  session: {
+    create: async ({ data }) => {
+      const { RefreshTokens, ...session } = data;
+      db.sessions.set(session.SessionID, {
+        ...session,
+        RevokedAt: null,
+        RevokedReason: null,
+      });
+      await prisma.refreshToken.create({
+        data: { SessionID: session.SessionID, ...RefreshTokens.create },
+      });
+      return { ...db.sessions.get(session.SessionID) };
+    },
+    findUnique: async ({ where }) => {
+      const session = db.sessions.get(where.SessionID);
+      return session ? { ...session } : null;
+    },
+    findMany: async ({ where }) =>
+      [...db.sessions.values()]
+        .filter(
+          (s) =>
+            (!where.SessionID || s.SessionID === where.SessionID) &&
+            (!where.UserID || s.UserID === where.UserID) &&
+            (where.RevokedAt !== null || s.RevokedAt === null)
+        )
+        .map((s) => ({ SessionID: s.SessionID })),
+    update: async ({ where, data }) => {
+      Object.assign(db.sessions.get(where.SessionID), data);
+    },
+    updateMany: async ({ where, data }) => {
+      where.SessionID.in.forEach((id) => Object.assign(db.sessions.get(id), data));
+      return { count: where.SessionID.in.length };
+    },
+  },
+  refreshToken: {
+    create: async ({ data }) => {
+      const token = {
+        TokenID: nextTokenId++,
+        RotatedAt: null,
+        ReplacedByID: null,
+        ...data,
+      };
+      db.refreshTokens.push(token);
+      return { ...token };
+    },
+    findUnique: async ({ where }) => {
+      const token = db.refreshTokens.find((t) => t.TokenHash === where.TokenHash);
+      return token
+        ? { ...token, Session: { ...db.sessions.get(token.SessionID) } }
+        : null;
+    },
+    updateMany: async ({ where, data }) => {
+      const token = db.refreshTokens.find(
+        (t) => t.TokenID === where.TokenID && t.RotatedAt === null
+      );
+      if (!token) return { count: 0 };
+      Object.assign(token, data);
+      return { count: 1 };
+    },
+    update: async ({ where, data }) => {
+      Object.assign(
+        db.refreshTokens.find((t) => t.TokenID === where.TokenID),
+        data
+      );
+    },
+  },
+  auditLog: {
+    create: async ({ data }) => db.auditLogs.push(data),
+  },
+  $transaction: (fn) => fn(prisma),
+};
+
+const redisKeys = new Map();
+let redisDown = false;
+const redis = {
+  client: {
+    exists: async (key) => {
+      if (redisDown) throw new Error("connection refused");
+      return redisKeys.has(key) ? 1 : 0;
+    },
+  },
+  execMulti: async (operations) => {
+    operations.forEach((op) => redisKeys.set(op.key, op.value));
+    return operations.map(() => "OK");
+  },
+};
+
+stubModule("utils/prisma", prisma);
+stubModule("utils/redis", redis);
+stubModule("utils/logger", silentLogger);
+
+const sessionService = requireSrc("services/sessionService");
+
+beforeEach(() => {
+  db.sessions.clear();
+  db.refreshTokens.length = 0;
+  db.auditLogs.length = 0;
+  redisKeys.clear();
+  redisDown = false;
+});
+
+describe("rotateRefreshToken", () => {
+  it("replaces the presented token within the same family", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+
+    const session = await sessionService.rotateRefreshToken("token-1", "token-2");
+
+    assert.equal(session.SessionID, "s1");
+    const [first, second] = db.refreshTokens;
+    assert.ok(first.RotatedAt);
+    assert.equal(first.ReplacedByID, second.TokenID);
+    assert.equal(second.SessionID, "s1");
+    assert.equal(second.TokenHash, sessionService.hashToken("token-2"));
+    assert.equal(second.RotatedAt, null);
+  });
+
+  it("never stores raw tokens", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+    await sessionService.rotateRefreshToken("token-1", "token-2");
+
+    const stored = db.refreshTokens.map((t) => t.TokenHash);
+    assert.ok(!stored.includes("token-1"));
+    assert.ok(!stored.includes("token-2"));
+  });
+
+  it("rejects unknown tokens", async () => {
+    await assert.rejects(
+      sessionService.rotateRefreshToken("unknown", "token-2"),
+      /Invalid or expired refresh token/
+    );
+  });
+
+  it("rejects tokens of revoked sessions", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+    await sessionService.revokeSession(1, "s1");
+
+    await assert.rejects(
+      sessionService.rotateRefreshToken("token-1", "token-2"),
+      /Invalid or expired refresh token/
+    );
+  });
+
+  it("rejects expired sessions", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+    db.sessions.get("s1").ExpiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(
+      sessionService.rotateRefreshToken("token-1", "token-2"),
+      /Invalid or expired refresh token/
+    );
+  });
+});
+
+describe("refresh token reuse", () => {
+  it("revokes the family when a rotated token is replayed", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+    await sessionService.rotateRefreshToken("token-1", "token-2");
+
+    await assert.rejects(
+      sessionService.rotateRefreshToken("token-1", "token-3"),
+      (error) => {
+        assert.equal(error.message, "Refresh token reuse detected");
+        assert.equal(error.sessionId, "s1");
+        return true;
+      }
+    );
+
+    const session = db.sessions.get("s1");
+    assert.ok(session.RevokedAt);
+    assert.equal(session.RevokedReason, "REFRESH_TOKEN_REUSE");
+    assert.ok(redisKeys.has("session:revoked:s1"));
+    assert.equal(db.auditLogs[0].Action, "REFRESH_TOKEN_REUSE");
+    assert.equal(db.auditLogs[0].UserID, 1);
+  });
+
+  it("locks out the legitimate client's current token as well", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+    await sessionService.rotateRefreshToken("token-1", "token-2");
+    await assert.rejects(sessionService.rotateRefreshToken("token-1", "token-3"));
+
+    await assert.rejects(
+      sessionService.rotateRefreshToken("token-2", "token-4"),
+      /Invalid or expired refresh token/
+    );
+  });
+
+  it("lets only one of two concurrent rotations win", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+
+    const results = await Promise.allSettled([
+      sessionService.rotateRefreshToken("token-1", "token-a"),
+      sessionService.rotateRefreshToken("token-1", "token-b"),
+    ]);
+
+    const statuses = results.map((r) => r.status).sort();
+    assert.deepEqual(statuses, ["fulfilled", "rejected"]);
+    const rejected = results.find((r) => r.status === "rejected");
+    assert.equal(rejected.reason.message, "Refresh token reuse detected");
+    assert.ok(db.sessions.get("s1").RevokedAt);
+  });
+
+  it("leaves other sessions of the user alone", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+    await sessionService.createSession(1, "s2", "other-1");
+    await sessionService.rotateRefreshToken("token-1", "token-2");
+    await assert.rejects(sessionService.rotateRefreshToken("token-1", "token-3"));
+
+    assert.equal(db.sessions.get("s2").RevokedAt, null);
+    await sessionService.rotateRefreshToken("other-1", "other-2");
+  });
+});
+
+describe("isSessionRevoked", () => {
+  it("uses the Redis marker", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+    assert.equal(await sessionService.isSessionRevoked("s1"), false);
+
+    await sessionService.revokeSession(1, "s1");
+    assert.equal(await sessionService.isSessionRevoked("s1"), true);
+  });
+
+  it("falls back to the Session row when Redis fails", async () => {
+    await sessionService.createSession(1, "s1", "token-1");
+    await sessionService.createSession(1, "s2", "token-2");
+    await sessionService.revokeSession(1, "s1");
+    redisDown = true;
+
+    assert.equal(await sessionService.isSessionRevoked("s1"), true);
+    assert.equal(await sessionService.isSessionRevoked("s2"), false);
+    assert.equal(await sessionService.isSessionRevoked("missing"), true);
+  });
+});
+
+describe("verifyAccessToken", () => {
+  const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET);
+
+  it("accepts session access tokens", () => {
+    const decoded = sessionService.verifyAccessToken(sign({ userId: 1, sid: "s1" }));
+    assert.equal(decoded.sid, "s1");
+  });
+
+  it("refuses purpose tokens and tokens without a session", () => {
+    assert.throws(
+      () => sessionService.verifyAccessToken(sign({ userId: 1, purpose: "2fa_challenge" })),
+      /Not an access token/
+    );
+    assert.throws(
+      () => sessionService.verifyAccessToken(sign({ userId: 1 })),
+      /Not an access token/
+    );
+  });
+});